@@ -0,0 +1,40 @@
+/**
+ * Billing Grace Period Cron Job
+ *
+ * Drops users whose past_due grace period (BILLING_GRACE_PERIOD_DAYS) has
+ * run out to the free tier and pauses their agents over its limit. See
+ * services/subscriptions.js.
+ */
+
+import { enforceExpiredGracePeriods } from '../services/subscriptions.js';
+
+/**
+ * Start the billing grace period cron.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} [io] - Socket.io server, for agent events
+ * @param {number} intervalMs - Interval between checks (default: 1 hour)
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+export function startBillingGraceCron(db, io = null, intervalMs = 60 * 60 * 1000) {
+  console.log(`[BillingGrace] Starting grace period cron (interval: ${intervalMs / 1000}s)`);
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await enforceExpiredGracePeriods(db, { io });
+      if (summary.users > 0) {
+        console.log(`[BillingGrace] Grace period ended for ${summary.users} user(s), ${summary.paused} agent(s) paused`);
+      }
+    } catch (err) {
+      console.error('[BillingGrace] Check failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+}
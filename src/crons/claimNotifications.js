@@ -6,9 +6,11 @@
  *
  * Channels: on-chain Solana memos (primary).
  * All sends are tracked in wallet_agent_notifications to prevent duplicates.
+ * Skipped while the treasury guard has memos paused (low SOL).
  */
 
 import { sendClaimMemo } from '../services/memoSender.js';
+import { getTreasuryGuard } from '../services/treasury.js';
 
 // ---------------------------------------------------------------------------
 // Notification schedule
@@ -98,7 +100,7 @@ export async function getSentNotifications(db, agentId) {
  *
  * @param {object} db - MongoDB database instance
  * @param {object} redis - Redis client instance
- * @returns {Promise<{processed: number, sent: number, failed: number, skipped: number}>}
+ * @returns {Promise<{processed: number, sent: number, failed: number, skipped: number, paused?: boolean}>}
  */
 export async function processNotifications(db, redis) {
   const now = new Date();
@@ -111,6 +113,15 @@ export async function processNotifications(db, redis) {
     timestamp: now.toISOString(),
   }));
 
+  const guard = await getTreasuryGuard(db);
+  if (guard.memosPaused) {
+    console.error(JSON.stringify({
+      event: 'claim_notifications_paused',
+      reasons: guard.reasons,
+    }));
+    return { processed: 0, sent: 0, failed: 0, skipped: 0, paused: true };
+  }
+
   // Find all unclaimed wallet agents
   const unclaimedAgents = await db
     .collection('Agent')
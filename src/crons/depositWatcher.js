@@ -0,0 +1,65 @@
+/**
+ * Deposit Watcher Cron Job
+ *
+ * Polls the treasury's KLIK token account for new signatures and credits
+ * confirmed deposits to the account named by their memo reference. See
+ * services/depositWatcher.js for verification rules.
+ *
+ * Disabled with DEPOSIT_WATCHER_ENABLED=false (e.g. on secondary instances).
+ */
+
+import { getDepositWatcher } from '../services/depositWatcher.js';
+
+/**
+ * Start the deposit watcher cron.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {number} intervalMs - Interval between polls (default 30 seconds)
+ * @returns {NodeJS.Timeout|null} Interval timer, or null if disabled
+ */
+export function startDepositWatcherCron(db, intervalMs = 30 * 1000) {
+  if (process.env.DEPOSIT_WATCHER_ENABLED === 'false') {
+    console.log('[DepositWatcher] Disabled (DEPOSIT_WATCHER_ENABLED=false)');
+    return null;
+  }
+
+  let watcher;
+  try {
+    watcher = getDepositWatcher(db);
+  } catch (err) {
+    console.warn(`[DepositWatcher] Not started: ${err.message}`);
+    return null;
+  }
+
+  console.log(
+    `[DepositWatcher] Watching ${watcher.tokenAccount.toBase58()} (interval: ${intervalMs / 1000}s)`
+  );
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await watcher.pollOnce();
+      if (summary.seeded) {
+        console.log('[DepositWatcher] First run; watching from the current signature');
+      }
+      if (summary.backlog) {
+        console.log('[DepositWatcher] Signature backlog deeper than one poll; still scanning back');
+      }
+      if (summary.credited > 0 || summary.unmatched > 0 || summary.skipped > 0) {
+        console.log(
+          `[DepositWatcher] credited=${summary.credited} unmatched=${summary.unmatched} ` +
+          `skipped=${summary.skipped} pending=${summary.pending}`
+        );
+      }
+    } catch (err) {
+      console.error('[DepositWatcher] Poll failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+}
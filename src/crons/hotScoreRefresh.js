@@ -0,0 +1,35 @@
+/**
+ * Hot Score Refresh Cron Job
+ *
+ * Votes, tips and comments refresh Post.hotScore as they happen. This job
+ * covers what events can't: comment velocity aging out of its window, and
+ * posts that were never scored. Designed to run every few minutes.
+ */
+
+import { refreshRecentHotScores } from '../services/ranking.js';
+
+/**
+ * Start the hot score refresh cron.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {number} intervalMs - Interval between runs (default 5 minutes)
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+export function startHotScoreCron(db, intervalMs = 5 * 60 * 1000) {
+  console.log(`[HotScoreCron] Starting hot score refresh cron (interval: ${intervalMs / 1000}s)`);
+
+  const run = () => {
+    refreshRecentHotScores(db)
+      .then(({ refreshed }) => {
+        if (refreshed > 0) {
+          console.log(`[HotScoreCron] Refreshed ${refreshed} hot scores`);
+        }
+      })
+      .catch(err => {
+        console.error('[HotScoreCron] Run failed:', err.message);
+      });
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+}
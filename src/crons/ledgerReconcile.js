@@ -0,0 +1,74 @@
+/**
+ * Ledger Reconciliation Cron Job
+ *
+ * Compares every stored KLIK balance (Agent.klikBalance, Agent.ownerEarnings,
+ * User.klikBalance) with the sum of its ledger entries and checks that the
+ * ledger as a whole balances to zero. Each run is stored in
+ * LedgerReconciliation; mismatches are logged loudly but never auto-fixed —
+ * a drift means something wrote a balance outside the ledger.
+ */
+
+import { reconcileLedger } from '../services/ledger.js';
+
+const MAX_STORED_MISMATCHES = 200;
+
+/**
+ * Run one reconciliation and persist the report.
+ *
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<object>} Report from reconcileLedger()
+ */
+export async function runLedgerReconciliation(db) {
+  const report = await reconcileLedger(db);
+
+  await db.collection('LedgerReconciliation').insertOne({
+    checkedAt: report.checkedAt,
+    accounts: report.accounts,
+    mismatchCount: report.mismatches.length,
+    mismatches: report.mismatches.slice(0, MAX_STORED_MISMATCHES),
+    systemBalances: report.systemBalances,
+    imbalance: report.imbalance,
+  });
+
+  if (report.mismatches.length > 0 || report.imbalance !== 0) {
+    console.error(
+      `[LedgerReconcile] ${report.mismatches.length} balance mismatches across ${report.accounts} accounts` +
+      ` (ledger imbalance: ${report.imbalance})`
+    );
+    for (const m of report.mismatches.slice(0, 10)) {
+      console.error(
+        `[LedgerReconcile]   ${m.accountType} ${m.accountId}: stored=${m.stored} ledger=${m.ledger}` +
+        `${m.opened ? '' : ' (no opening balance — run migrate:ledger-opening)'}`
+      );
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Start the ledger reconciliation cron.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {number} intervalMs - Interval between runs (default 1 hour)
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+export function startLedgerReconcileCron(db, intervalMs = 60 * 60 * 1000) {
+  console.log(`[LedgerReconcile] Starting ledger reconciliation cron (interval: ${intervalMs / 1000}s)`);
+
+  const run = () => {
+    runLedgerReconciliation(db)
+      .then(({ accounts, mismatches }) => {
+        if (mismatches.length === 0) {
+          console.log(`[LedgerReconcile] ${accounts} accounts reconciled, no drift`);
+        }
+      })
+      .catch(err => {
+        console.error('[LedgerReconcile] Run failed:', err.message);
+      });
+  };
+
+  // Delay the first run so it doesn't compete with startup
+  setTimeout(run, 60_000);
+  return setInterval(run, intervalMs);
+}
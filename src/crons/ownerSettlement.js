@@ -0,0 +1,46 @@
+/**
+ * Owner Earnings Settlement Cron Job
+ *
+ * Sweeps Agent.ownerEarnings into the owners' User.klikBalance (see
+ * services/ownerEarnings.js). Users can also settle on demand with
+ * POST /api/v1/user/owner-earnings/settle.
+ */
+
+import { settleAllOwnerEarnings } from '../services/ownerEarnings.js';
+
+/**
+ * Start the owner earnings settlement cron.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {number} intervalMs - Interval between sweeps (default OWNER_SETTLEMENT_INTERVAL_HOURS, 24h)
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+export function startOwnerSettlementCron(
+  db,
+  intervalMs = (parseFloat(process.env.OWNER_SETTLEMENT_INTERVAL_HOURS) || 24) * 60 * 60 * 1000
+) {
+  console.log(`[OwnerSettlement] Starting owner earnings settlement cron (interval: ${intervalMs / 1000}s)`);
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await settleAllOwnerEarnings(db);
+      if (summary.agents > 0 || summary.errors > 0) {
+        console.log(
+          `[OwnerSettlement] Settled ${summary.settled} KLIK from ${summary.agents} agent(s)` +
+          `${summary.errors ? `, ${summary.errors} error(s)` : ''}`
+        );
+      }
+    } catch (err) {
+      console.error('[OwnerSettlement] Sweep failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  // Delay the first sweep so it doesn't compete with startup
+  setTimeout(run, 90_000);
+  return setInterval(run, intervalMs);
+}
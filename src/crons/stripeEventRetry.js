@@ -0,0 +1,39 @@
+/**
+ * Stripe Event Retry Cron Job
+ *
+ * Re-runs stored Stripe webhook events whose handling failed (with
+ * backoff) or was interrupted. See services/stripeEvents.js.
+ */
+
+import { retryDueStripeEvents } from '../services/stripeEvents.js';
+import { stripe } from '../services/stripeClient.js';
+
+/**
+ * Start the Stripe event retry cron.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} [io] - Socket.io server, for agent events
+ * @param {number} intervalMs - Interval between runs (default: 1 minute)
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+export function startStripeEventRetryCron(db, io = null, intervalMs = 60 * 1000) {
+  console.log(`[StripeEvents] Starting event retry cron (interval: ${intervalMs / 1000}s)`);
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await retryDueStripeEvents(db, { stripe, io });
+      if (summary.processed > 0 || summary.failed > 0) {
+        console.log(`[StripeEvents] Retried events: ${summary.processed} processed, ${summary.failed} failed`);
+      }
+    } catch (err) {
+      console.error('[StripeEvents] Retry run failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  return setInterval(run, intervalMs);
+}
@@ -0,0 +1,43 @@
+/**
+ * Treasury Monitor Cron Job
+ *
+ * Snapshots the treasury's SOL and KLIK balances against liabilities
+ * (services/treasury.js). Alerts go out when a threshold is crossed or
+ * cleared; the latest snapshot drives the guard that pauses memo sending
+ * and withdrawals.
+ */
+
+import { recordTreasurySnapshot } from '../services/treasury.js';
+
+/**
+ * Start the treasury monitor cron.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {number} intervalMs - Interval between snapshots (default 5 minutes)
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+export function startTreasuryMonitorCron(db, intervalMs = 5 * 60 * 1000) {
+  console.log(`[TreasuryMonitor] Starting treasury monitor (interval: ${intervalMs / 1000}s)`);
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const snapshot = await recordTreasurySnapshot(db);
+      if (snapshot.status !== 'ok') {
+        console.warn(
+          `[TreasuryMonitor] ${snapshot.status}: sol=${snapshot.sol} klik=${snapshot.klik} ` +
+          `liabilities=${snapshot.liabilities.total}`
+        );
+      }
+    } catch (err) {
+      console.error('[TreasuryMonitor] Snapshot failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+}
@@ -0,0 +1,93 @@
+/**
+ * Withdrawal Runner Cron Job
+ *
+ * Drives services/withdrawalRunner.js: sends queued user withdrawals and
+ * approved agent withdrawals, resumes jobs interrupted by a restart and
+ * retries failed attempts once their backoff has passed.
+ *
+ * Request handlers call kickWithdrawalRunner() after queueing a withdrawal
+ * so it is sent right away instead of on the next tick.
+ *
+ * Nothing is sent while the treasury guard has withdrawals paused
+ * (services/treasury.js); queued withdrawals wait, they are not failed.
+ */
+
+import { runDueWithdrawals, countLegacyPendingWithdrawals } from '../services/withdrawalRunner.js';
+import { createSplTransferClient } from '../services/splTransfer.js';
+import { getTreasuryGuard } from '../services/treasury.js';
+
+let tick = null;
+
+/**
+ * Run the withdrawal runner now (no-op if the cron isn't started).
+ */
+export function kickWithdrawalRunner() {
+  if (tick) setImmediate(tick);
+}
+
+/**
+ * Start the withdrawal runner cron.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} [io] - Socket.io server for withdrawal notifications
+ * @param {number} intervalMs - Interval between runs (default 10 seconds)
+ * @returns {NodeJS.Timeout} Interval timer
+ */
+export function startWithdrawalRunnerCron(db, io = null, intervalMs = 10 * 1000) {
+  console.log(`[WithdrawalRunner] Starting withdrawal runner (interval: ${intervalMs / 1000}s)`);
+
+  const chain = createSplTransferClient();
+  let running = false;
+  let rerun = false;
+  let paused = false;
+
+  tick = async () => {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+    try {
+      const guard = await getTreasuryGuard(db);
+      if (guard.withdrawalsPaused !== paused) {
+        paused = guard.withdrawalsPaused;
+        if (paused) {
+          console.error(`[WithdrawalRunner] Paused by treasury guard: ${guard.reasons.join('; ')}`);
+        } else {
+          console.log('[WithdrawalRunner] Treasury guard cleared, resuming');
+        }
+      }
+      if (paused) return;
+
+      do {
+        rerun = false;
+        const summary = await runDueWithdrawals(db, { chain, io });
+        const handled = summary.completed + summary.retry + summary.failed + summary.errors;
+        if (handled > 0) {
+          console.log(
+            `[WithdrawalRunner] completed=${summary.completed} retry=${summary.retry} ` +
+            `failed=${summary.failed} pending=${summary.pending} errors=${summary.errors}`
+          );
+        }
+      } while (rerun);
+    } catch (err) {
+      console.error('[WithdrawalRunner] Run failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  countLegacyPendingWithdrawals(db)
+    .then(count => {
+      if (count > 0) {
+        console.error(
+          `[WithdrawalRunner] ${count} withdrawal(s) left pending by the old sender; ` +
+          'on-chain state unknown — review manually before refunding'
+        );
+      }
+    })
+    .catch(err => console.error('[WithdrawalRunner] Legacy check failed:', err.message));
+
+  tick();
+  return setInterval(tick, intervalMs);
+}
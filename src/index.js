@@ -19,18 +19,54 @@ import rateLimit from 'express-rate-limit';
 import 'dotenv/config';
 
 import agentRoutes from './routes/agents.js';
+import agentCollaboratorRoutes from './routes/agentCollaborators.js';
 import dropletRoutes from './routes/droplets.js';
 import dashboardRoutes from './routes/dashboard.js';
 import authRoutes from './routes/auth.js';
 import billingRoutes from './routes/billing.js';
 import userAgentsRoutes from './routes/userAgents.js';
 import withdrawRoutes from './routes/withdraw.js';
+import depositRoutes from './routes/deposits.js';
+import ownerEarningsRoutes from './routes/ownerEarnings.js';
+import earningsAnalyticsRoutes from './routes/earningsAnalytics.js';
+import priceRoutes from './routes/price.js';
 import userPostsRoutes from './routes/userPosts.js';
 import claimRoutes from './routes/claim.js';
 import orphanRoutes from './routes/orphans.js';
 import adminClaimStatsRoutes from './routes/admin/claimStats.js';
-import { startPriceRefresh, getKlikPrice } from './services/priceFeed.js';
+import adminWithdrawalRoutes from './routes/admin/withdrawals.js';
+import adminTreasuryRoutes from './routes/admin/treasury.js';
+import adminStripeEventRoutes from './routes/admin/stripeEvents.js';
+import adminAccountRoutes from './routes/admin/accounts.js';
+import adminDepositRoutes from './routes/admin/deposits.js';
+import submoltRoutes from './routes/submolts.js';
+import mediaRoutes from './routes/media.js';
+import { startPriceRefresh, ensurePriceHistoryCollection } from './services/priceFeed.js';
+import { ensureFollowIndexes } from './services/followGraph.js';
+import { ensureSubmoltIndexes } from './services/submolts.js';
+import { ensureRankingIndexes } from './services/ranking.js';
+import { ensureMediaIndexes, MEDIA_LIMITS } from './services/mediaStorage.js';
+import { ensureLedgerIndexes, supportsTransactions } from './services/ledger.js';
+import { ensureIdempotencyIndexes } from './middleware/idempotency.js';
+import { ensureDepositIndexes } from './services/depositWatcher.js';
+import { ensureWithdrawalRunnerIndexes } from './services/withdrawalRunner.js';
+import { ensureTreasuryIndexes } from './services/treasury.js';
+import { ensureOwnerSettlementIndexes } from './services/ownerEarnings.js';
+import { ensureSubscriptionIndexes } from './services/subscriptions.js';
+import { ensureStripeEventIndexes } from './services/stripeEvents.js';
+import { ensureApiKeyIndexes } from './services/agentApiKeys.js';
+import { ensureAdminIndexes } from './services/adminAccounts.js';
+import { sessionsEnabled } from './services/sessionTokens.js';
+import { ensureAdminAuditIndexes } from './services/adminAudit.js';
 import { startOrphanCron } from './crons/orphanTransition.js';
+import { startHotScoreCron } from './crons/hotScoreRefresh.js';
+import { startLedgerReconcileCron } from './crons/ledgerReconcile.js';
+import { startDepositWatcherCron } from './crons/depositWatcher.js';
+import { startWithdrawalRunnerCron } from './crons/withdrawalRunner.js';
+import { startTreasuryMonitorCron } from './crons/treasuryMonitor.js';
+import { startOwnerSettlementCron } from './crons/ownerSettlement.js';
+import { startBillingGraceCron } from './crons/billingGrace.js';
+import { startStripeEventRetryCron } from './crons/stripeEventRetry.js';
 import { processNotifications } from './crons/claimNotifications.js';
 
 const app = express();
@@ -81,6 +117,12 @@ app.use(cookieParser());
 // IMPORTANT: Stripe webhook route needs raw body - must be BEFORE express.json()
 app.use('/api/v1/billing/webhook', express.raw({ type: 'application/json' }));
 
+// Binary media uploads (JSON data-URI uploads still go through express.json)
+app.use('/api/v1/media', express.raw({
+  type: ['image/*', 'video/*', 'audio/*', 'application/octet-stream'],
+  limit: Math.max(...Object.values(MEDIA_LIMITS)),
+}));
+
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -102,6 +144,7 @@ const mediaLimiter = rateLimit({
 app.use('/api/v1/posts/*/media', mediaLimiter);
 app.use('/api/v1/agents/*/avatar', mediaLimiter);
 app.use('/api/v1/agents/*/background', mediaLimiter);
+app.use('/api/v1/media', mediaLimiter);
 
 // ===========================================
 // DATABASE CONNECTIONS
@@ -170,7 +213,6 @@ async function connectDatabases() {
 
         // Create indexes
         await db.collection('Agent').createIndex({ name: 1 }, { unique: true });
-        await db.collection('Agent').createIndex({ apiKey: 1 });
         await db.collection('Post').createIndex({ createdAt: -1 });
         await db.collection('Post').createIndex({ authorId: 1 });
         await db.collection('Post').createIndex({ content: 'text' });
@@ -203,6 +245,55 @@ async function connectDatabases() {
           event: 1,
         });
 
+        // Follow graph (agents and users following agents and users)
+        await ensureFollowIndexes(db);
+
+        // Submolts (communities) and memberships
+        await ensureSubmoltIndexes(db);
+
+        // Hot / top feed ranking
+        await ensureRankingIndexes(db);
+
+        // Media store (sha256 dedupe)
+        await ensureMediaIndexes(db);
+
+        // KLIK ledger (double-entry; every balance change is a transaction)
+        await ensureLedgerIndexes(db);
+        if (!(await supportsTransactions(db))) {
+          console.error('[MongoDB] Not a replica set — ledger transactions (tips, deposits, withdrawals) will fail');
+        }
+
+        // Idempotency-Key records for money-moving endpoints (TTL)
+        await ensureIdempotencyIndexes(db);
+
+        // On-chain deposits (memo references, one record per signature)
+        await ensureDepositIndexes(db);
+
+        // Withdrawal runner (due-job lookups)
+        await ensureWithdrawalRunnerIndexes(db);
+
+        // Treasury snapshots (latest-first lookups)
+        await ensureTreasuryIndexes(db);
+
+        // Owner earnings settlement history
+        await ensureOwnerSettlementIndexes(db);
+
+        // Billing grace period check (past_due users)
+        await ensureSubscriptionIndexes(db);
+
+        // Stripe webhook event store (retry worker, admin list)
+        await ensureStripeEventIndexes(db);
+
+        // Agent API keys (prefix lookup, per-agent listing)
+        await ensureApiKeyIndexes(db);
+
+        // Admin accounts, tokens and audit trail
+        await ensureAdminIndexes(db);
+        await ensureAdminAuditIndexes(db);
+
+        // KLIK price history (time-series)
+        await ensurePriceHistoryCollection(db);
+
         // Successfully connected, break out of retry loop
         break;
       } catch (error) {
@@ -324,6 +415,7 @@ app.get('/api', (req, res) => {
       claim: '/api/v1/claim (OpenClaw wallet agent claiming)',
       orphans: '/api/v1/orphans (orphaned agent adoption)',
       adminClaims: '/api/v1/admin/claims (admin claim stats — admin token)',
+      admin: '/api/v1/admin (admin accounts, tokens, audit log — admin token)',
     }
   });
 });
@@ -342,15 +434,23 @@ app.use('/api/v1/orphans', orphanRoutes);
 // OpenClaw admin claim stats (admin token required)
 app.use('/api/v1/admin/claims', adminClaimStatsRoutes);
 
-// KLIK price endpoint (public)
-app.get('/api/v1/price/klik', async (req, res) => {
-  try {
-    const price = await getKlikPrice();
-    res.json(price);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch price' });
-  }
-});
+// Admin withdrawal review queue (agent withdrawals)
+app.use('/api/v1/admin/withdrawals', adminWithdrawalRoutes);
+
+// Admin treasury solvency report and snapshots
+app.use('/api/v1/admin/treasury', adminTreasuryRoutes);
+
+// Admin Stripe webhook events (list, inspect, replay)
+app.use('/api/v1/admin/stripe-events', adminStripeEventRoutes);
+
+// Admin unmatched deposits (assign to an account or record a refund)
+app.use('/api/v1/admin/deposits', adminDepositRoutes);
+
+// Admin accounts, tokens and audit log
+app.use('/api/v1/admin', adminAccountRoutes);
+
+// KLIK price and price history (public)
+app.use('/api/v1/price', priceRoutes);
 
 // Agent dashboard routes (API key auth — owner-facing)
 app.use('/api/v1/dashboard', dashboardRoutes);
@@ -368,12 +468,30 @@ app.use('/api/v1/user-agents', userAgentsRoutes);
 app.use('/api/v1/withdraw', withdrawRoutes);  // Frontend calls /api/v1/withdraw/withdraw
 app.use('/api/v1/user', withdrawRoutes);      // Backwards compat
 
+// On-chain deposits (user)
+app.use('/api/v1/user', depositRoutes);
+
+// Owner earnings: settle agents' owner share into the user's balance
+app.use('/api/v1/user', ownerEarningsRoutes);
+
+// Earnings analytics across the user's agents (series, breakdowns, CSV)
+app.use('/api/v1/user', earningsAnalyticsRoutes);
+
 // User posts routes (create posts, comments, tips as human user)
 app.use('/api/v1/user', userPostsRoutes);
 
+// Submolt (community) routes
+app.use('/api/v1/submolts', submoltRoutes);
+
+// Media upload and serving
+app.use('/api/v1/media', mediaRoutes);
+
 // Internal droplet management routes (admin token required)
 app.use('/api/internal', dropletRoutes);
 
+// Agent collaborators (owner, editor, collaborator roles)
+app.use('/api/v1/agents', agentCollaboratorRoutes);
+
 // Agent routes (Moltbook-style API) - LAST because /:name is a wildcard
 app.use('/api/v1/agents', agentRoutes);
 app.use('/api/v1', agentRoutes); // Also mount at root for /posts, /search
@@ -439,11 +557,15 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 4000;
 
 async function start() {
+  if (!sessionsEnabled()) {
+    console.warn('[Auth] JWT_SECRET not set: wallet claim and SIWS sign-in are disabled');
+  }
+
   await connectDatabases();
 
-  // Start price feed refresh (after Redis is connected)
-  if (redisClient) {
-    startPriceRefresh(redisClient);
+  // Start price feed refresh (after Redis is connected; samples saved to MongoDB)
+  if (redisClient || db) {
+    startPriceRefresh(redisClient, db);
   }
 
   // Start orphan transition cron (hourly check for expired unclaimed agents)
@@ -451,6 +573,46 @@ async function start() {
     startOrphanCron(db, redisClient);
   }
 
+  // Start hot score refresh cron (comment velocity decay, unscored posts)
+  if (db) {
+    startHotScoreCron(db);
+  }
+
+  // Start ledger reconciliation cron (stored balances vs ledger entries)
+  if (db) {
+    startLedgerReconcileCron(db);
+  }
+
+  // Start deposit watcher (credits confirmed KLIK transfers to the treasury)
+  if (db) {
+    startDepositWatcherCron(db);
+  }
+
+  // Start withdrawal runner (sends queued withdrawals, resumes after restarts)
+  if (db) {
+    startWithdrawalRunnerCron(db, io);
+  }
+
+  // Start treasury monitor (balance snapshots, alerts, spend guard)
+  if (db) {
+    startTreasuryMonitorCron(db);
+  }
+
+  // Start owner earnings settlement (Agent.ownerEarnings -> User.klikBalance)
+  if (db) {
+    startOwnerSettlementCron(db);
+  }
+
+  // Start billing grace period check (past_due users drop to free when it ends)
+  if (db) {
+    startBillingGraceCron(db, io);
+  }
+
+  // Start Stripe webhook event retries (failed or interrupted handlers)
+  if (db) {
+    startStripeEventRetryCron(db, io);
+  }
+
   // Start claim notification cron (hourly reminder memos to unclaimed wallet agents)
   if (db) {
     const NOTIFICATION_INTERVAL = 60 * 60 * 1000; // 1 hour
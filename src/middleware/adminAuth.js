@@ -0,0 +1,134 @@
+/**
+ * Admin Authentication Middleware
+ *
+ * Guards operator endpoints with admin tokens (see services/adminAccounts.js),
+ * sent as the X-Admin-Token header or `Authorization: Bearer <token>`.
+ * KLIK_ADMIN_TOKEN is accepted as the bootstrap superadmin.
+ *
+ *   router.get('/stats', requireAdmin('admin:read'), handler);
+ *   router.post('/cleanup', ...adminAction('ops:write', 'agents.cleanup'), handler);
+ *
+ * requireAdmin sets req.admin ({id, name, email, role, tokenId, bootstrap}).
+ * auditAdminAction records the action in the audit trail (services/adminAudit.js);
+ * every destructive or bulk admin route uses it, via adminAction.
+ */
+
+import {
+  ADMIN_PERMISSIONS,
+  authenticateAdminToken,
+  hasAdminPermission,
+} from '../services/adminAccounts.js';
+import { recordAdminAction, finishAdminAction } from '../services/adminAudit.js';
+
+function extractAdminToken(req) {
+  if (req.headers['x-admin-token']) return req.headers['x-admin-token'];
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) return authHeader.slice(7);
+
+  return null;
+}
+
+/**
+ * Require an admin whose role grants `permission`.
+ *
+ * @param {string} permission - One of ADMIN_PERMISSIONS
+ */
+export function requireAdmin(permission) {
+  if (!ADMIN_PERMISSIONS.includes(permission)) {
+    throw new Error(`Unknown admin permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    const token = extractAdminToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Admin token required', code: 'ADMIN_TOKEN_REQUIRED' });
+    }
+
+    try {
+      const result = await authenticateAdminToken(req.db, token);
+      if (!result) {
+        return res.status(401).json({ error: 'Invalid, expired or revoked admin token', code: 'INVALID_ADMIN_TOKEN' });
+      }
+
+      const { admin, token: tokenDoc } = result;
+      if (!hasAdminPermission(admin.role, permission)) {
+        return res.status(403).json({
+          error: `This action requires the ${permission} permission`,
+          code: 'ADMIN_PERMISSION_REQUIRED',
+          required_permission: permission,
+          role: admin.role,
+        });
+      }
+
+      req.admin = {
+        id: admin._id,
+        name: admin.name,
+        email: admin.email,
+        role: admin.role,
+        tokenId: tokenDoc?._id || null,
+        bootstrap: Boolean(admin.bootstrap),
+      };
+      next();
+    } catch (error) {
+      console.error('Admin auth error:', error);
+      res.status(500).json({ error: 'Admin authentication failed' });
+    }
+  };
+}
+
+/**
+ * Record the request in the admin audit trail. Must run after requireAdmin.
+ * Refuses the request (503) if the entry cannot be written. Handlers may
+ * set res.locals.audit to a result summary.
+ *
+ * @param {string} action - e.g. 'agents.cleanup'
+ */
+export function auditAdminAction(action) {
+  return async (req, res, next) => {
+    if (!req.admin) {
+      return res.status(401).json({ error: 'Admin token required', code: 'ADMIN_TOKEN_REQUIRED' });
+    }
+    if (!req.db) {
+      return res.status(503).json({ error: 'Audit log unavailable', code: 'AUDIT_UNAVAILABLE' });
+    }
+
+    let entryId;
+    try {
+      entryId = await recordAdminAction(req.db, {
+        action,
+        admin: { _id: req.admin.id, ...req.admin },
+        tokenId: req.admin.tokenId,
+        method: req.method,
+        path: req.baseUrl + req.path,
+        params: req.params,
+        query: req.query,
+        body: req.body,
+        ip: req.ip || null,
+      });
+    } catch (error) {
+      console.error('Admin audit write error:', error);
+      return res.status(503).json({ error: 'Audit log unavailable', code: 'AUDIT_UNAVAILABLE' });
+    }
+
+    let finished = false;
+    const finish = (statusCode) => {
+      if (finished) return;
+      finished = true;
+      finishAdminAction(req.db, entryId, { statusCode, result: res.locals?.audit ?? null })
+        .catch(err => console.error('Admin audit update error:', err));
+    };
+    res.on('finish', () => finish(res.statusCode));
+    res.on('close', () => finish(res.writableFinished ? res.statusCode : null));
+
+    req.auditId = entryId;
+    next();
+  };
+}
+
+/**
+ * requireAdmin + auditAdminAction, for destructive routes.
+ */
+export function adminAction(permission, action) {
+  return [requireAdmin(permission), auditAdminAction(action)];
+}
@@ -0,0 +1,102 @@
+/**
+ * Agent Ownership Middleware
+ *
+ * Authorizes a principal (see middleware/principal.js) to act on agent :id
+ * with a role:
+ *
+ *   owner         the agent's user (Agent.userId or Agent.owner), or the
+ *                 agent itself through one of its API keys
+ *   editor        users the owner delegated to: identity, style, content
+ *                 strategy, avatar and background
+ *   collaborator  users who may send ideas and answer the agent's questions
+ *
+ * Delegated roles are stored on the agent:
+ *   Agent.collaborators = [{ userId, role, addedAt, addedBy }]
+ *
+ * Must run after verifyPrincipal. Sets req.targetAgent and req.agentRole
+ * (req.agent stays the calling agent, if any).
+ */
+
+import { ObjectId } from 'mongodb';
+
+export const AGENT_ROLES = ['collaborator', 'editor', 'owner'];
+export const DELEGATED_ROLES = ['collaborator', 'editor'];
+
+const rank = (role) => AGENT_ROLES.indexOf(role);
+
+const sameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+
+/**
+ * The principal's role on an agent.
+ *
+ * @param {object} agent - Agent ({_id, userId, owner, collaborators})
+ * @param {object} principal - req.principal ({type, id})
+ * @returns {string|null} 'owner', 'editor', 'collaborator', or null
+ */
+export function resolveAgentRole(agent, principal) {
+  if (!agent || !principal) return null;
+
+  if (principal.type === 'AGENT') {
+    return sameId(agent._id, principal.id) ? 'owner' : null;
+  }
+
+  if (sameId(agent.userId, principal.id) || sameId(agent.owner, principal.id)) {
+    return 'owner';
+  }
+  const delegated = (agent.collaborators || []).find(c => sameId(c.userId, principal.id));
+  return delegated && DELEGATED_ROLES.includes(delegated.role) ? delegated.role : null;
+}
+
+/**
+ * Whether `role` grants at least `minRole`.
+ */
+export function hasAgentRole(role, minRole) {
+  return role !== null && rank(role) >= rank(minRole);
+}
+
+/**
+ * Require the principal to hold at least `minRole` on agent :id.
+ *
+ * @param {string} minRole - 'collaborator', 'editor' or 'owner'
+ * @param {object} [options]
+ * @param {string} [options.param] - Route parameter holding the agent id
+ */
+export function requireAgentRole(minRole, { param = 'id' } = {}) {
+  return async (req, res, next) => {
+    if (!req.principal) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const agentId = req.params[param];
+    if (!ObjectId.isValid(agentId)) {
+      return res.status(400).json({ error: 'Invalid agent ID' });
+    }
+
+    try {
+      const agent = await req.db.collection('Agent').findOne(
+        { _id: new ObjectId(agentId), status: { $ne: 'DELETED' } },
+        { projection: { name: 1, status: 1, userId: 1, owner: 1, collaborators: 1 } }
+      );
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      const role = resolveAgentRole(agent, req.principal);
+      if (!hasAgentRole(role, minRole)) {
+        return res.status(403).json({
+          error: role ? `This action requires the ${minRole} role` : 'You do not manage this agent',
+          code: 'AGENT_ROLE_REQUIRED',
+          required_role: minRole,
+          role,
+        });
+      }
+
+      req.targetAgent = agent;
+      req.agentRole = role;
+      next();
+    } catch (error) {
+      console.error('Agent ownership check error:', error);
+      res.status(500).json({ error: 'Authorization failed' });
+    }
+  };
+}
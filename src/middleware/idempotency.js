@@ -0,0 +1,183 @@
+/**
+ * Idempotency-Key Middleware
+ *
+ * Makes money-moving POSTs safe to retry. When a request carries an
+ * `Idempotency-Key` header, the first response for that (principal, key)
+ * pair is stored and replayed verbatim for any retry, so a tip or
+ * withdrawal runs at most once no matter how often the client resends it.
+ *
+ * - Same key, same request          -> original status + body, with
+ *                                      `Idempotent-Replayed: true`
+ * - Same key, different body/route  -> 422 IDEMPOTENCY_KEY_REUSED
+ * - Same key while first in flight  -> 409 IDEMPOTENCY_IN_PROGRESS
+ *
+ * 5xx and 429 responses are not stored (the key is released so the client
+ * can retry); other 2xx and 4xx responses are. Keys expire after
+ * IDEMPOTENCY_TTL_HOURS (default 24) via a TTL index on
+ * IdempotencyKey.expiresAt.
+ *
+ * Must run after authentication (req.agent or req.user) and before rate
+ * limiters, so replays don't count against quotas. Requests without the
+ * header are passed through unchanged.
+ */
+
+import crypto from 'crypto';
+
+const TTL_MS = (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// An in-progress key older than this belongs to a crashed request and may be taken over
+const LOCK_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Ensure indexes for the IdempotencyKey collection.
+ */
+export async function ensureIdempotencyIndexes(db) {
+  await db.collection('IdempotencyKey').createIndex(
+    { principalType: 1, principalId: 1, key: 1 },
+    { unique: true, name: 'idempotency_principal_key_unique' }
+  );
+  await db.collection('IdempotencyKey').createIndex(
+    { expiresAt: 1 },
+    { expireAfterSeconds: 0, name: 'idempotency_ttl' }
+  );
+}
+
+// Key order must not change the fingerprint of an otherwise identical body
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint of what the key is bound to: method, route and body.
+ */
+export function requestFingerprint(req) {
+  const route = `${req.method} ${req.baseUrl}${req.path}`;
+  return crypto.createHash('sha256').update(`${route}\n${stableStringify(req.body)}`).digest('hex');
+}
+
+function resolvePrincipal(req) {
+  if (req.agent) return { type: 'AGENT', id: req.agent._id };
+  if (req.user) return { type: 'USER', id: req.user._id };
+  return null;
+}
+
+function replay(res, record) {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.responseStatus).json(record.responseBody);
+}
+
+/**
+ * Express middleware enforcing Idempotency-Key semantics.
+ */
+export async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const principal = resolvePrincipal(req);
+  if (!principal) {
+    return next();
+  }
+
+  const collection = req.db.collection('IdempotencyKey');
+  const identity = { principalType: principal.type, principalId: principal.id, key };
+  const fingerprint = requestFingerprint(req);
+  const now = new Date();
+  const lockToken = crypto.randomBytes(8).toString('hex');
+
+  try {
+    try {
+      await collection.insertOne({
+        ...identity,
+        fingerprint,
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        status: 'in_progress',
+        lockToken,
+        lockedAt: now,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + TTL_MS),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await collection.findOne(identity);
+      if (!existing) {
+        // Expired between our insert and read; let the client retry cleanly
+        return res.status(409).json({ error: 'Idempotency key is being reset, retry', code: 'IDEMPOTENCY_IN_PROGRESS' });
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          error: 'Idempotency-Key was already used with a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (existing.status === 'completed') {
+        return replay(res, existing);
+      }
+
+      // Take over a lock abandoned by a crashed request, otherwise report in-flight
+      const takenOver = await collection.findOneAndUpdate(
+        { ...identity, status: 'in_progress', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+        { $set: { lockToken, lockedAt: now } }
+      );
+      if (!takenOver) {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_IN_PROGRESS'
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Idempotency check error:', error);
+    return res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+  }
+
+  // Capture the first JSON response so retries can replay it
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  res.on('finish', () => {
+    const owned = { ...identity, lockToken };
+    const transient = res.statusCode >= 500 || res.statusCode === 429;
+    const settle = transient || responseBody === undefined
+      ? collection.deleteOne(owned)
+      : collection.updateOne(owned, {
+        $set: {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseBody,
+          completedAt: new Date(),
+        },
+        $unset: { lockToken: '', lockedAt: '' },
+      });
+
+    settle.catch(err => {
+      console.error(`Idempotency record update failed (${key}):`, err.message);
+    });
+  });
+
+  next();
+}
@@ -0,0 +1,145 @@
+/**
+ * Principal Resolution Middleware
+ *
+ * Resolves the caller of a request to a single "principal" regardless of
+ * how it authenticated: an agent API key (klik_...) or a user JWT.
+ *
+ * Sets req.principal = { type: 'AGENT' | 'USER', id: ObjectId, name }
+ * and keeps req.agent / req.user populated for existing handlers. Agent
+ * keys also set req.apiKey = { id, name, scopes } for requireScope.
+ */
+
+import { verifyUserJWT, optionalUserJWT } from './userAuth.js';
+import { API_KEY_PREFIX as AGENT_KEY_PREFIX, authenticateApiKey } from '../services/agentApiKeys.js';
+
+/**
+ * Look up an active agent by its API key.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {string} apiKey - Raw API key from the Authorization header
+ * @returns {Promise<{agent: object, apiKey: object}|null>} Agent and key, or null
+ */
+export async function findAgentByApiKey(db, apiKey) {
+  const result = await authenticateApiKey(db, apiKey);
+  if (!result || result.agent.status !== 'ACTIVE') {
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Attach an authenticated agent key to the request.
+ */
+export function setApiKeyAuth(req, { agent, apiKey }) {
+  req.agent = agent;
+  req.apiKey = { id: apiKey._id, name: apiKey.name, scopes: apiKey.scopes };
+}
+
+/**
+ * Require a scope on the caller's agent API key. Users authenticated with
+ * a JWT act with their own rights and are not scoped.
+ *
+ * @param {string} scope - One of API_KEY_SCOPES
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: `This API key lacks the ${scope} scope`,
+        code: 'INSUFFICIENT_SCOPE',
+        required_scope: scope,
+      });
+    }
+    next();
+  };
+}
+
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.substring(7);
+}
+
+function setAgentPrincipal(req, result) {
+  setApiKeyAuth(req, result);
+  const { agent } = result;
+  req.principal = { type: 'AGENT', id: agent._id, name: agent.name };
+}
+
+function setUserPrincipal(req) {
+  if (req.user) {
+    req.principal = {
+      type: 'USER',
+      id: req.user._id,
+      name: req.user.name || req.user.email?.split('@')[0] || 'Anonymous',
+    };
+  }
+}
+
+/**
+ * Require an authenticated agent or user.
+ * Agent API keys are recognised by their klik_ prefix; anything else is
+ * treated as a user JWT and verified by verifyUserJWT.
+ */
+export const verifyPrincipal = async (req, res, next) => {
+  if (!req.db) {
+    return res.status(503).json({ error: 'Database unavailable' });
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      hint: 'Use: Authorization: Bearer <agent API key or user token>'
+    });
+  }
+
+  if (token.startsWith(AGENT_KEY_PREFIX)) {
+    try {
+      const result = await findAgentByApiKey(req.db, token);
+      if (!result) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+      setAgentPrincipal(req, result);
+      return next();
+    } catch (error) {
+      console.error('Principal auth error:', error);
+      return res.status(500).json({ error: 'Authentication failed' });
+    }
+  }
+
+  return verifyUserJWT(req, res, () => {
+    setUserPrincipal(req);
+    next();
+  });
+};
+
+/**
+ * Optional principal - sets req.principal when valid credentials are
+ * present, but never rejects the request.
+ */
+export const optionalPrincipal = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token || !req.db) {
+    return next();
+  }
+
+  if (token.startsWith(AGENT_KEY_PREFIX)) {
+    try {
+      const result = await findAgentByApiKey(req.db, token);
+      if (result) {
+        setAgentPrincipal(req, result);
+      }
+    } catch (e) {
+      // Invalid key is fine for optional auth
+    }
+    return next();
+  }
+
+  return optionalUserJWT(req, res, () => {
+    setUserPrincipal(req);
+    next();
+  });
+};
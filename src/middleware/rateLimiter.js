@@ -0,0 +1,292 @@
+/**
+ * Agent Action Rate Limiter
+ *
+ * Sliding-window rate limits for agent actions (posts, comments, votes,
+ * DMs, tips), shared across API replicas through Redis.
+ *
+ * Each action maps to one or more rules. A request is allowed only if every
+ * rule has room; it then counts against all of them in the same atomic Lua
+ * call, so a rejected comment never burns the daily allowance.
+ *
+ * Windows are true sliding windows (a sorted set of request timestamps per
+ * agent and rule), not fixed buckets that reset on the minute.
+ *
+ * When Redis is unavailable, falls back to an in-process limiter with the
+ * same semantics. Quotas are then per-replica until Redis returns, which
+ * is better than failing open entirely.
+ *
+ * Responses carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+ * and RateLimit-Policy headers (IETF draft, same as express-rate-limit's
+ * standardHeaders) for the most constrained rule.
+ */
+
+import crypto from 'crypto';
+
+// ============================================
+// LIMITS
+// ============================================
+
+/**
+ * Per-agent limits. `window` is in milliseconds.
+ */
+export const AGENT_RATE_LIMITS = {
+  post: [{ name: 'post', count: 1, window: 30 * 60 * 1000 }],                   // 1/30min
+  comment: [
+    { name: 'comment', count: 1, window: 20 * 1000 },                            // 1/20sec
+    { name: 'daily_comments', count: 50, window: 24 * 60 * 60 * 1000 },          // 50/day
+  ],
+  vote: [{ name: 'vote', count: 60, window: 60 * 1000 }],                        // 60/min
+  dm: [
+    { name: 'dm', count: 10, window: 60 * 1000 },                                // 10/min
+    { name: 'daily_dms', count: 200, window: 24 * 60 * 60 * 1000 },              // 200/day
+  ],
+  tip: [{ name: 'tip', count: 10, window: 60 * 1000 }],                          // 10/min
+};
+
+const KEY_PREFIX = 'ratelimit';
+
+// ============================================
+// REDIS (sliding log in a sorted set)
+// ============================================
+
+// KEYS: one sorted set per rule
+// ARGV: now, member, then (window, limit) per key
+// Returns: allowed, then (count, oldestScore) per key, counts before this request
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local member = ARGV[2]
+local result = {}
+local allowed = 1
+for i, key in ipairs(KEYS) do
+  local window = tonumber(ARGV[1 + i * 2])
+  local limit = tonumber(ARGV[2 + i * 2])
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+  local count = redis.call('ZCARD', key)
+  local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+  result[#result + 1] = count
+  result[#result + 1] = oldest[2] or tostring(now)
+  if count >= limit then allowed = 0 end
+end
+if allowed == 1 then
+  for i, key in ipairs(KEYS) do
+    redis.call('ZADD', key, now, member)
+    redis.call('PEXPIRE', key, tonumber(ARGV[1 + i * 2]))
+  end
+end
+table.insert(result, 1, allowed)
+return result
+`;
+
+async function consumeRedis(redis, keys, rules, now) {
+  const args = [String(now), `${now}-${crypto.randomBytes(4).toString('hex')}`];
+  for (const rule of rules) {
+    args.push(String(rule.window), String(rule.count));
+  }
+
+  const reply = await redis.eval(SLIDING_WINDOW_SCRIPT, { keys, arguments: args });
+
+  return {
+    allowed: Number(reply[0]) === 1,
+    windows: rules.map((rule, i) => ({
+      count: Number(reply[1 + i * 2]),
+      oldest: Number(reply[2 + i * 2]),
+    })),
+  };
+}
+
+// ============================================
+// IN-MEMORY FALLBACK
+// ============================================
+
+const memoryWindows = new Map();
+const MEMORY_SWEEP_INTERVAL = 60 * 1000;
+let lastSweep = 0;
+
+function sweepMemory(now) {
+  if (now - lastSweep < MEMORY_SWEEP_INTERVAL) return;
+  lastSweep = now;
+  for (const [key, entry] of memoryWindows) {
+    if (entry.expiresAt <= now) {
+      memoryWindows.delete(key);
+    }
+  }
+}
+
+function consumeMemory(keys, rules, now) {
+  sweepMemory(now);
+
+  const windows = keys.map((key, i) => {
+    const entry = memoryWindows.get(key) || { hits: [], expiresAt: 0 };
+    entry.hits = entry.hits.filter(ts => ts > now - rules[i].window);
+    memoryWindows.set(key, entry);
+    return { entry, count: entry.hits.length, oldest: entry.hits[0] ?? now };
+  });
+
+  const allowed = windows.every((w, i) => w.count < rules[i].count);
+  if (allowed) {
+    windows.forEach((w, i) => {
+      w.entry.hits.push(now);
+      w.entry.expiresAt = now + rules[i].window;
+    });
+  }
+
+  return { allowed, windows: windows.map(({ count, oldest }) => ({ count, oldest })) };
+}
+
+/**
+ * Clear the in-memory fallback state (tests).
+ */
+export function resetMemoryRateLimits() {
+  memoryWindows.clear();
+  lastSweep = 0;
+}
+
+// ============================================
+// CORE
+// ============================================
+
+let warnedFallback = false;
+
+/**
+ * Count one request for `subject` against a set of rules.
+ *
+ * @param {object|null} redis - node-redis v4 client (req.redis)
+ * @param {string} subject - What is being limited, e.g. "agent:<id>"
+ * @param {Array<{name: string, count: number, window: number}>} rules
+ * @param {object} [options]
+ * @param {number} [options.now] - Clock override (tests)
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number,
+ *   resetSeconds: number, retryAfter: number, rule: string, policy: string, backend: string}>}
+ */
+export async function consumeRateLimit(redis, subject, rules, { now = Date.now() } = {}) {
+  // Hash tag keeps all of a subject's keys in one cluster slot for the Lua call
+  const keys = rules.map(rule => `${KEY_PREFIX}:{${subject}}:${rule.name}`);
+
+  let outcome;
+  let backend = 'redis';
+  if (redis?.isReady) {
+    try {
+      outcome = await consumeRedis(redis, keys, rules, now);
+    } catch (err) {
+      console.error('Rate limiter Redis error, using in-memory fallback:', err.message);
+    }
+  } else if (!warnedFallback) {
+    warnedFallback = true;
+    console.warn('Rate limiter: Redis unavailable, using per-process in-memory limits');
+  }
+
+  if (!outcome) {
+    backend = 'memory';
+    outcome = consumeMemory(keys, rules, now);
+  }
+
+  // Report the rule with the least room left (ties: the one resetting last)
+  const states = rules.map((rule, i) => {
+    const { count, oldest } = outcome.windows[i];
+    const used = outcome.allowed ? count + 1 : count;
+    const resetMs = count > 0 ? Math.max(0, oldest + rule.window - now) : rule.window;
+    return {
+      rule,
+      remaining: Math.max(0, rule.count - used),
+      resetSeconds: Math.ceil(resetMs / 1000),
+      blocked: count >= rule.count,
+    };
+  });
+
+  const binding = states.reduce((worst, s) => {
+    if (s.remaining < worst.remaining) return s;
+    if (s.remaining === worst.remaining && s.resetSeconds > worst.resetSeconds) return s;
+    return worst;
+  });
+
+  const retryAfter = outcome.allowed
+    ? 0
+    : Math.max(...states.filter(s => s.blocked).map(s => s.resetSeconds));
+
+  return {
+    allowed: outcome.allowed,
+    limit: binding.rule.count,
+    remaining: binding.remaining,
+    resetSeconds: outcome.allowed ? binding.resetSeconds : retryAfter,
+    retryAfter,
+    rule: outcome.allowed ? binding.rule.name : states.find(s => s.blocked).rule.name,
+    policy: rules.map(rule => `${rule.count};w=${Math.ceil(rule.window / 1000)}`).join(', '),
+    backend,
+  };
+}
+
+/**
+ * Set RateLimit-* response headers from a consumeRateLimit() result.
+ */
+export function setRateLimitHeaders(res, result) {
+  res.set('RateLimit-Policy', result.policy);
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(result.resetSeconds));
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfter));
+  }
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Count one `action` for req.agent and set the RateLimit-* headers. Sends
+ * the 429 and returns false when a limit is hit. Handlers call this
+ * directly to charge the quota only once a request has passed validation;
+ * agentRateLimit is the middleware form.
+ *
+ * @param {string} action - Key of AGENT_RATE_LIMITS
+ * @returns {Promise<boolean>} Whether the request may proceed
+ */
+export async function chargeAgentRateLimit(req, res, action) {
+  const rules = AGENT_RATE_LIMITS[action];
+  if (!rules) {
+    throw new Error(`Unknown rate limit action: ${action}`);
+  }
+  if (!req.agent) {
+    return true;
+  }
+
+  try {
+    const result = await consumeRateLimit(req.redis, `agent:${req.agent._id}`, rules);
+    setRateLimitHeaders(res, result);
+
+    if (!result.allowed) {
+      res.status(429).json({
+        error: 'Rate limit exceeded',
+        code: 'RATE_LIMITED',
+        action,
+        limit: result.rule,
+        retry_after: result.retryAfter
+      });
+      return false;
+    }
+
+    return true;
+  } catch (err) {
+    // Limiter failure should not take the endpoint down
+    console.error(`Rate limiter error (${action}):`, err.message);
+    return true;
+  }
+}
+
+/**
+ * Rate-limit an agent action. Must run after agent authentication (req.agent).
+ *
+ * @param {string} action - Key of AGENT_RATE_LIMITS
+ * @returns {function} Express middleware
+ */
+export function agentRateLimit(action) {
+  if (!AGENT_RATE_LIMITS[action]) {
+    throw new Error(`Unknown rate limit action: ${action}`);
+  }
+
+  return async (req, res, next) => {
+    if (await chargeAgentRateLimit(req, res, action)) {
+      next();
+    }
+  };
+}
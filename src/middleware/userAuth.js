@@ -1,96 +1,50 @@
 /**
- * User Authentication Middleware - Web3Auth Integration
+ * User Authentication Middleware
  *
- * Web3Auth JWT verification for user sessions, subscription checks, and agent limits.
+ * Bearer token verification for user sessions (Web3Auth ID tokens and KLIK
+ * access tokens, see services/sessionTokens.js), subscription checks, and
+ * agent limits.
  */
 
-import jwt from 'jsonwebtoken';
-import jwksClient from 'jwks-rsa';
-
-// Web3Auth JWKS client for token verification
-const WEB3AUTH_CLIENT_ID = process.env.WEB3AUTH_CLIENT_ID;
-const client = jwksClient({
-  jwksUri: 'https://api-auth.web3auth.io/jwks',
-  cache: true,
-  cacheMaxAge: 86400000, // 24 hours
-});
-
-// Get signing key from JWKS
-function getKey(header, callback) {
-  client.getSigningKey(header.kid, (err, key) => {
-    if (err) {
-      callback(err);
-      return;
-    }
-    const signingKey = key.publicKey || key.rsaPublicKey;
-    callback(null, signingKey);
-  });
+import { verifyAccessToken } from '../services/sessionTokens.js';
+import { entitledTier } from '../services/subscriptions.js';
+
+function bearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  return authHeader.substring(7);
 }
 
-// Verify Web3Auth JWT token
-async function verifyWeb3AuthToken(token) {
-  return new Promise((resolve, reject) => {
-    jwt.verify(
-      token,
-      getKey,
-      {
-        algorithms: ['RS256'],
-        issuer: 'https://api-auth.web3auth.io',
-        audience: WEB3AUTH_CLIENT_ID,
-      },
-      (err, decoded) => {
-        if (err) reject(err);
-        else resolve(decoded);
-      }
-    );
-  });
+// Attach the verified user and token to the request
+function attachAuth(req, { user, issuer, claims, tokenId }) {
+  req.user = user;
+  req.auth = { issuer, claims, tokenId };
+  if (issuer === 'web3auth') {
+    req.web3authUserId = claims.verifierId || claims.email;
+    req.web3authUser = claims;
+  }
 }
 
 /**
- * Verify Web3Auth JWT from Authorization header
+ * Verify the user's bearer token from the Authorization header
  */
 export const verifyUserJWT = async (req, res, next) => {
   try {
-    if (!WEB3AUTH_CLIENT_ID) {
-      console.error('Web3Auth not configured (WEB3AUTH_CLIENT_ID required)');
-      return res.status(500).json({ error: 'Auth service unavailable' });
-    }
-
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    const token = bearerToken(req);
+    if (!token) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const token = authHeader.substring(7);
-
-    // Verify token with Web3Auth JWKS
-    const decoded = await verifyWeb3AuthToken(token);
-
-    // Attach Web3Auth user info to request
-    req.web3authUserId = decoded.verifierId || decoded.email;
-    req.web3authUser = decoded;
-
-    // Fetch user from MongoDB by web3authId
-    const user = await req.db.collection('User').findOne({ web3authId: req.web3authUserId });
-
-    if (!user) {
+    const result = await verifyAccessToken(token, { db: req.db, redis: req.redis });
+    if (!result.user) {
       return res.status(401).json({ error: 'User not found. Please complete signup.' });
     }
 
-    req.user = user;
+    attachAuth(req, result);
     next();
   } catch (err) {
-    if (err.message?.includes('expired')) {
-      return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
-    }
-    if (err.message?.includes('invalid signature')) {
-      return res.status(401).json({ error: 'Invalid token signature', code: 'INVALID_SIGNATURE' });
-    }
-    if (err.message?.includes('audience')) {
-      return res.status(401).json({ error: 'Token audience mismatch', code: 'AUDIENCE_MISMATCH' });
-    }
-    if (err.message?.includes('Unable to find a signing key') || err.message?.includes('JWKS')) {
-      return res.status(503).json({ error: 'Auth service temporarily unavailable', code: 'JWKS_UNAVAILABLE' });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
     }
     console.error('Auth middleware error:', err.message);
     return res.status(401).json({ error: 'Authentication failed', code: 'AUTH_FAILED' });
@@ -98,15 +52,19 @@ export const verifyUserJWT = async (req, res, next) => {
 };
 
 /**
- * Require active subscription to proceed
+ * Require a subscription that currently entitles the user to a paid tier:
+ * active, trialing, or past_due within the grace period (see
+ * services/subscriptions.js entitledTier).
  */
 export const requireSubscription = async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
-  const activeStatuses = ['active', 'trialing'];
-  if (!activeStatuses.includes(req.user.subscriptionStatus)) {
+  const tier = entitledTier(req.user.subscriptionStatus, req.user.subscriptionTier || 'free', {
+    graceEndsAt: req.user.subscriptionGraceEndsAt || null,
+  });
+  if (tier === 'free') {
     return res.status(403).json({
       error: 'Active subscription required',
       code: 'SUBSCRIPTION_REQUIRED',
@@ -117,17 +75,20 @@ export const requireSubscription = async (req, res, next) => {
   next();
 };
 
+/**
+ * Agents allowed per subscription tier
+ */
+export const TIER_LIMITS = {
+  free: 0,
+  starter: 1,
+  pro: 3,
+  unlimited: 10
+};
+
 /**
  * Check agent limit based on subscription tier
  */
 export const checkAgentLimit = async (req, res, next) => {
-  const TIER_LIMITS = {
-    free: 0,
-    starter: 1,
-    pro: 3,
-    unlimited: 10
-  };
-
   const tier = req.user.subscriptionTier || 'free';
   const maxAgents = TIER_LIMITS[tier] || 0;
 
@@ -153,34 +114,19 @@ export const checkAgentLimit = async (req, res, next) => {
  * Optional auth - sets req.user if token present, but doesn't require it
  */
 export const optionalUserJWT = async (req, res, next) => {
-  try {
-    if (!WEB3AUTH_CLIENT_ID) {
-      return next();
-    }
-
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return next();
-    }
-
-    const token = authHeader.substring(7);
-
-    try {
-      const decoded = await verifyWeb3AuthToken(token);
-      req.web3authUserId = decoded.verifierId || decoded.email;
-      req.web3authUser = decoded;
+  const token = bearerToken(req);
+  if (!token) {
+    return next();
+  }
 
-      const user = await req.db.collection('User').findOne({ web3authId: req.web3authUserId });
-      if (user) {
-        req.user = user;
-      }
-    } catch (e) {
-      // Token invalid but that's okay for optional auth
+  try {
+    const result = await verifyAccessToken(token, { db: req.db, redis: req.redis });
+    if (result.user) {
+      attachAuth(req, result);
     }
-
-    next();
   } catch (err) {
-    // Don't fail on optional auth errors
-    next();
+    // Token invalid but that's okay for optional auth
   }
+
+  next();
 };
@@ -0,0 +1,87 @@
+/**
+ * Migration 002: Post Hot Scores
+ *
+ * Backfills Post.hotScore for every post using the current ranking
+ * config and creates the hot/top feed indexes. Safe to re-run.
+ *
+ * Usage: node src/migrations/002_post_hot_scores.js
+ */
+
+import { MongoClient } from 'mongodb';
+import 'dotenv/config';
+import { computeHotScore, ensureRankingIndexes, RANKING_CONFIG } from '../services/ranking.js';
+
+const mongoUrl = process.env.MONGODB_URL || process.env.MONGO_URL || process.env.DATABASE_URL;
+const BATCH_SIZE = 1000;
+
+async function migrate() {
+  if (!mongoUrl) {
+    console.error('ERROR: No MongoDB URL found in environment variables');
+    console.error('Set MONGODB_URL, MONGO_URL, or DATABASE_URL');
+    process.exit(1);
+  }
+
+  const client = new MongoClient(mongoUrl);
+
+  try {
+    await client.connect();
+    console.log('Connected to MongoDB');
+
+    const db = client.db('klik');
+
+    // ===========================================
+    // RECENT COMMENT COUNTS (velocity term)
+    // ===========================================
+
+    const since = new Date(Date.now() - RANKING_CONFIG.velocityWindowHours * 3600 * 1000);
+    const recent = await db.collection('Comment').aggregate([
+      { $match: { createdAt: { $gte: since }, isDeleted: { $ne: true } } },
+      { $group: { _id: '$postId', count: { $sum: 1 } } },
+    ]).toArray();
+    const recentByPost = new Map(recent.map(r => [String(r._id), r.count]));
+    console.log(`Found ${recentByPost.size} posts with recent comments`);
+
+    // ===========================================
+    // BACKFILL Post.hotScore
+    // ===========================================
+
+    const cursor = db.collection('Post').find(
+      {},
+      { projection: { upvotes: 1, downvotes: 1, tipAmount: 1, commentCount: 1, createdAt: 1 } }
+    );
+
+    let ops = [];
+    let updated = 0;
+    for await (const post of cursor) {
+      const hotScore = computeHotScore(post, recentByPost.get(String(post._id)) || 0);
+      ops.push({ updateOne: { filter: { _id: post._id }, update: { $set: { hotScore } } } });
+
+      if (ops.length >= BATCH_SIZE) {
+        await db.collection('Post').bulkWrite(ops, { ordered: false });
+        updated += ops.length;
+        console.log(`Scored ${updated} posts...`);
+        ops = [];
+      }
+    }
+    if (ops.length > 0) {
+      await db.collection('Post').bulkWrite(ops, { ordered: false });
+      updated += ops.length;
+    }
+    console.log(`Backfilled hotScore on ${updated} posts`);
+
+    await ensureRankingIndexes(db);
+    console.log('Created indexes: post_hot, post_top_window');
+
+    console.log('\n========================================');
+    console.log('Migration 002 complete!');
+    console.log('========================================');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await client.close();
+  }
+}
+
+migrate();
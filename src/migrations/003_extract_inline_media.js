@@ -0,0 +1,115 @@
+/**
+ * Migration 003: Extract Inline Media
+ *
+ * Moves base64 data: URIs out of Mongo documents into the media store and
+ * replaces them with /api/v1/media/:id URLs:
+ *
+ *   Agent.avatar
+ *   AgentMemory.soul.avatar.imageUrl
+ *   AgentMemory.soul.backgroundImage.imageUrl
+ *   Post.mediaUrl
+ *
+ * Identical blobs collapse to one Media document (sha256 dedupe). Each
+ * field is only rewritten if it still holds the data URI that was read, so
+ * the migration is safe to run while the API is live and safe to re-run.
+ *
+ * Usage: node src/migrations/003_extract_inline_media.js [--dry-run]
+ */
+
+import { MongoClient } from 'mongodb';
+import 'dotenv/config';
+import { storeDataUri, ensureMediaIndexes, mediaUrl } from '../services/mediaStorage.js';
+
+const mongoUrl = process.env.MONGODB_URL || process.env.MONGO_URL || process.env.DATABASE_URL;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const TARGETS = [
+  { collection: 'Agent', field: 'avatar', kind: 'avatar', images: true },
+  { collection: 'AgentMemory', field: 'soul.avatar.imageUrl', kind: 'avatar', images: true },
+  { collection: 'AgentMemory', field: 'soul.backgroundImage.imageUrl', kind: 'background', images: true },
+  { collection: 'Post', field: 'mediaUrl', kind: 'post', images: false },
+];
+
+function readPath(doc, path) {
+  return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+}
+
+async function migrateField(db, { collection, field, kind, images }) {
+  const summary = { scanned: 0, migrated: 0, deduplicated: 0, failed: 0 };
+
+  // Only pull _id and the one field — documents can be several MB each
+  const cursor = db.collection(collection).find(
+    { [field]: { $regex: '^data:' } },
+    { projection: { [field]: 1 } }
+  );
+
+  for await (const doc of cursor) {
+    summary.scanned++;
+    const dataUri = readPath(doc, field);
+
+    try {
+      if (DRY_RUN) {
+        continue;
+      }
+
+      const { media, deduplicated } = await storeDataUri(db, dataUri, {
+        kind,
+        allowedCategories: images ? ['image'] : undefined,
+      });
+
+      const result = await db.collection(collection).updateOne(
+        { _id: doc._id, [field]: dataUri },
+        { $set: { [field]: mediaUrl(media._id) } }
+      );
+
+      if (result.modifiedCount === 1) {
+        summary.migrated++;
+        if (deduplicated) summary.deduplicated++;
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`  ${collection} ${doc._id} ${field}: ${error.code || ''} ${error.message}`);
+    }
+  }
+
+  return summary;
+}
+
+async function migrate() {
+  if (!mongoUrl) {
+    console.error('ERROR: No MongoDB URL found in environment variables');
+    console.error('Set MONGODB_URL, MONGO_URL, or DATABASE_URL');
+    process.exit(1);
+  }
+
+  const client = new MongoClient(mongoUrl);
+
+  try {
+    await client.connect();
+    console.log(`Connected to MongoDB${DRY_RUN ? ' (dry run — nothing will be written)' : ''}`);
+
+    const db = client.db('klik');
+    await ensureMediaIndexes(db);
+
+    for (const target of TARGETS) {
+      console.log(`\nMigrating ${target.collection}.${target.field}...`);
+      const summary = await migrateField(db, target);
+      console.log(
+        `  scanned=${summary.scanned} migrated=${summary.migrated} ` +
+        `deduplicated=${summary.deduplicated} failed=${summary.failed}`
+      );
+    }
+
+    console.log('\n========================================');
+    console.log('Migration 003 complete!');
+    console.log('========================================');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await client.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,88 @@
+/**
+ * Migration 004: Ledger Opening Balances
+ *
+ * Balances that existed before the double-entry ledger have no entries
+ * behind them. This records each non-zero Agent.klikBalance,
+ * Agent.ownerEarnings and User.klikBalance as an OPENING_BALANCE entry
+ * (funded by the SYSTEM "opening" account) without changing the balance,
+ * and creates the ledger indexes.
+ *
+ * Each account is opened at most once (ledgerOpenedAt marker), so the
+ * migration is safe to re-run and safe to run while the API is live.
+ * Requires a replica set (transactions).
+ *
+ * Usage: node src/migrations/004_ledger_opening_balances.js
+ */
+
+import { MongoClient } from 'mongodb';
+import 'dotenv/config';
+import {
+  ACCOUNT_BALANCE_FIELDS,
+  ensureLedgerIndexes,
+  recordOpeningBalance,
+  supportsTransactions,
+} from '../services/ledger.js';
+
+const mongoUrl = process.env.MONGODB_URL || process.env.MONGO_URL || process.env.DATABASE_URL;
+
+async function migrate() {
+  if (!mongoUrl) {
+    console.error('ERROR: No MongoDB URL found in environment variables');
+    console.error('Set MONGODB_URL, MONGO_URL, or DATABASE_URL');
+    process.exit(1);
+  }
+
+  const client = new MongoClient(mongoUrl);
+
+  try {
+    await client.connect();
+    console.log('Connected to MongoDB');
+
+    const db = client.db('klik');
+
+    if (!(await supportsTransactions(db))) {
+      console.error('ERROR: MongoDB is not a replica set; the ledger requires transactions');
+      process.exit(1);
+    }
+
+    await ensureLedgerIndexes(db);
+    console.log('✓ Ledger indexes created');
+
+    for (const [type, { collection, field }] of Object.entries(ACCOUNT_BALANCE_FIELDS)) {
+      console.log(`\nOpening ${collection}.${field} (${type})...`);
+
+      const cursor = db.collection(collection).find(
+        { [`ledgerOpenedAt.${field}`]: { $exists: false } },
+        { projection: { _id: 1 } }
+      );
+
+      let opened = 0;
+      let zero = 0;
+      let total = 0;
+      for await (const doc of cursor) {
+        const amount = await recordOpeningBalance(db, { type, id: doc._id });
+        if (amount === null) continue;
+        if (amount === 0) {
+          zero++;
+        } else {
+          opened++;
+          total += amount;
+        }
+      }
+
+      console.log(`  opened=${opened} zero=${zero} total=${total}`);
+    }
+
+    console.log('\n========================================');
+    console.log('Migration 004 complete!');
+    console.log('========================================');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await client.close();
+  }
+}
+
+migrate();
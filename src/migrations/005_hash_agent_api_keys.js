@@ -0,0 +1,69 @@
+/**
+ * Migration 005: Hash Agent API Keys
+ *
+ * Moves every plaintext Agent.apiKey into AgentApiKey as a hashed key
+ * named "default" with every scope, removes the plaintext, and creates the
+ * AgentApiKey indexes. Existing keys keep working unchanged.
+ *
+ * Keys are also moved on first use, so the migration is safe to re-run
+ * and safe to run while the API is live.
+ *
+ * Usage: node src/migrations/005_hash_agent_api_keys.js
+ */
+
+import { MongoClient } from 'mongodb';
+import 'dotenv/config';
+import { ensureApiKeyIndexes, upgradeLegacyApiKey } from '../services/agentApiKeys.js';
+
+const mongoUrl = process.env.MONGODB_URL || process.env.MONGO_URL || process.env.DATABASE_URL;
+
+async function migrate() {
+  if (!mongoUrl) {
+    console.error('ERROR: No MongoDB URL found in environment variables');
+    console.error('Set MONGODB_URL, MONGO_URL, or DATABASE_URL');
+    process.exit(1);
+  }
+
+  const client = new MongoClient(mongoUrl);
+
+  try {
+    await client.connect();
+    console.log('Connected to MongoDB');
+
+    const db = client.db('klik');
+
+    await ensureApiKeyIndexes(db);
+    console.log('✓ AgentApiKey indexes created');
+
+    const cursor = db.collection('Agent').find(
+      { apiKey: { $type: 'string' } },
+      { projection: { apiKey: 1, apiKeyCreatedAt: 1, createdAt: 1 } }
+    );
+
+    let moved = 0;
+    let skipped = 0;
+    for await (const agent of cursor) {
+      const key = await upgradeLegacyApiKey(db, agent);
+      if (key) {
+        moved++;
+      } else {
+        skipped++;
+        console.warn(`  ! Agent ${agent._id}: key prefix already taken, left in place`);
+      }
+    }
+
+    console.log(`  moved=${moved} skipped=${skipped}`);
+
+    console.log('\n========================================');
+    console.log('Migration 005 complete!');
+    console.log('========================================');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await client.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,226 @@
+/**
+ * Admin Account Routes
+ *
+ * Admin identities, their tokens, and the audit trail (see
+ * services/adminAccounts.js and services/adminAudit.js).
+ *
+ *   GET    /api/v1/admin/me                       any admin
+ *   GET    /api/v1/admin/accounts                 admins:manage
+ *   POST   /api/v1/admin/accounts                 admins:manage
+ *   PATCH  /api/v1/admin/accounts/:id             admins:manage
+ *   GET    /api/v1/admin/accounts/:id/tokens      admins:manage
+ *   POST   /api/v1/admin/accounts/:id/tokens      admins:manage
+ *   DELETE /api/v1/admin/tokens/:tokenId          own tokens, or admins:manage
+ *   GET    /api/v1/admin/audit-log                admins:manage
+ *
+ * Raw tokens are only returned when issued.
+ */
+
+import { Router } from 'express';
+import { ObjectId } from 'mongodb';
+import { requireAdmin, adminAction } from '../../middleware/adminAuth.js';
+import {
+  ADMIN_ROLES,
+  DEFAULT_ADMIN_TOKEN_TTL_DAYS,
+  ROLE_PERMISSIONS,
+  createAdminAccount,
+  formatAdmin,
+  formatAdminToken,
+  hasAdminPermission,
+  issueAdminToken,
+  listAdminTokens,
+  revokeAdminToken,
+  updateAdminAccount,
+} from '../../services/adminAccounts.js';
+import { formatAuditEntry } from '../../services/adminAudit.js';
+import { decodeCursor, buildCursorFilter, paginate, parseLimit, withTiebreaker } from '../../utils/cursor.js';
+
+const router = Router();
+
+const SAVE_TOKEN_MESSAGE = 'SAVE THIS ADMIN TOKEN! It will not be shown again.';
+
+function sendError(res, err, fallback) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ error: fallback });
+}
+
+function issuedBy(req) {
+  return { id: req.admin.id, name: req.admin.name, bootstrap: req.admin.bootstrap };
+}
+
+function validAccountId(req, res, next) {
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid admin ID' });
+  }
+  next();
+}
+
+/**
+ * GET /api/v1/admin/me
+ * The calling admin and their permissions
+ */
+router.get('/me', requireAdmin('admin:read'), (req, res) => {
+  res.json({ admin: formatAdmin({ ...req.admin, _id: req.admin.id, status: 'ACTIVE' }) });
+});
+
+/**
+ * GET /api/v1/admin/accounts
+ */
+router.get('/accounts', requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const accounts = await req.db.collection('AdminAccount')
+      .find({})
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({
+      accounts: accounts.map(formatAdmin),
+      roles: ADMIN_ROLES,
+      role_permissions: ROLE_PERMISSIONS,
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to list admin accounts');
+  }
+});
+
+/**
+ * POST /api/v1/admin/accounts
+ * Body: { email, name?, role }
+ */
+router.post('/accounts', ...adminAction('admins:manage', 'admins.create'), async (req, res) => {
+  try {
+    const { email, name, role } = req.body || {};
+    const account = await createAdminAccount(req.db, { email, name, role, createdBy: issuedBy(req) });
+
+    res.locals.audit = { admin_id: account._id.toString(), role: account.role };
+    res.status(201).json({ account: formatAdmin(account) });
+  } catch (err) {
+    sendError(res, err, 'Failed to create admin account');
+  }
+});
+
+/**
+ * PATCH /api/v1/admin/accounts/:id
+ * Body: { role?, status?: 'ACTIVE' | 'DISABLED', name? }
+ * Disabling an account revokes all of its tokens.
+ */
+router.patch('/accounts/:id', validAccountId, ...adminAction('admins:manage', 'admins.update'), async (req, res) => {
+  try {
+    const { role, status, name } = req.body || {};
+
+    if (req.admin.id && req.admin.id.toString() === req.params.id && (role !== undefined || status !== undefined)) {
+      return res.status(400).json({ error: 'You cannot change your own role or status', code: 'ADMIN_SELF_UPDATE' });
+    }
+
+    const account = await updateAdminAccount(req.db, req.params.id, { role, status, name });
+    if (!account) {
+      return res.status(404).json({ error: 'Admin account not found' });
+    }
+
+    res.locals.audit = { role: account.role, status: account.status };
+    res.json({ account: formatAdmin(account) });
+  } catch (err) {
+    sendError(res, err, 'Failed to update admin account');
+  }
+});
+
+/**
+ * GET /api/v1/admin/accounts/:id/tokens
+ */
+router.get('/accounts/:id/tokens', validAccountId, requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const tokens = await listAdminTokens(req.db, req.params.id);
+    const now = new Date();
+    res.json({ tokens: tokens.map(t => formatAdminToken(t, now)) });
+  } catch (err) {
+    sendError(res, err, 'Failed to list admin tokens');
+  }
+});
+
+/**
+ * POST /api/v1/admin/accounts/:id/tokens
+ * Body: { name?, expires_in_days? } (default 30, at most 365)
+ */
+router.post('/accounts/:id/tokens', validAccountId, ...adminAction('admins:manage', 'admins.issue_token'), async (req, res) => {
+  try {
+    const result = await issueAdminToken(req.db, req.params.id, {
+      name: req.body?.name,
+      expiresInDays: req.body?.expires_in_days ?? DEFAULT_ADMIN_TOKEN_TTL_DAYS,
+      createdBy: issuedBy(req),
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Active admin account not found' });
+    }
+
+    res.locals.audit = { token_id: result.doc._id.toString(), prefix: result.doc.prefix };
+    res.status(201).json({
+      token: formatAdminToken(result.doc),
+      admin_token: result.token,
+      message: SAVE_TOKEN_MESSAGE,
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to issue admin token');
+  }
+});
+
+/**
+ * DELETE /api/v1/admin/tokens/:tokenId
+ * Revoke a token. Admins can revoke their own; admins:manage can revoke any.
+ */
+router.delete('/tokens/:tokenId', ...adminAction('admin:read', 'admins.revoke_token'), async (req, res) => {
+  try {
+    const ownOnly = !hasAdminPermission(req.admin.role, 'admins:manage');
+    const token = await revokeAdminToken(req.db, req.params.tokenId, ownOnly ? { adminId: req.admin.id } : {});
+    if (!token) {
+      return res.status(404).json({ error: 'Admin token not found' });
+    }
+
+    res.json({ success: true, token: formatAdminToken(token) });
+  } catch (err) {
+    sendError(res, err, 'Failed to revoke admin token');
+  }
+});
+
+/**
+ * GET /api/v1/admin/audit-log?action=agents.cleanup&admin_id=&status=failed&limit=50&cursor=
+ * Audit entries, newest first
+ */
+router.get('/audit-log', requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const match = {};
+    if (req.query.action) match.action = String(req.query.action);
+    if (req.query.status) match.status = String(req.query.status);
+    if (req.query.admin_id) {
+      if (!ObjectId.isValid(req.query.admin_id)) {
+        return res.status(400).json({ error: 'Invalid admin_id' });
+      }
+      match['admin.id'] = new ObjectId(req.query.admin_id);
+    }
+
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const sortOrder = withTiebreaker({ createdAt: -1 });
+    const position = decodeCursor(req.query.cursor, 'admin-audit');
+
+    const rows = await req.db.collection('AdminAuditLog')
+      .find(position ? { $and: [match, buildCursorFilter(sortOrder, position)] } : match)
+      .sort(sortOrder)
+      .limit(limit + 1)
+      .toArray();
+    const { items, nextCursor } = paginate(rows, limit, sortOrder, 'admin-audit');
+
+    res.json({
+      entries: items.map(formatAuditEntry),
+      next_cursor: nextCursor,
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    sendError(res, err, 'Failed to list audit log');
+  }
+});
+
+export default router;
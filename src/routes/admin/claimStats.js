@@ -5,40 +5,19 @@
  * Provides aggregate metrics, funnel analytics, archetype distribution,
  * daily time-series data, and notification delivery stats.
  *
- * All routes require KLIK_ADMIN_TOKEN bearer auth.
+ * All routes require an admin token with admin:read (see middleware/adminAuth.js);
+ * clearing the cache also needs ops:write and is audited.
  * Responses are cached in Redis (60s TTL) to reduce DB load.
  */
 
 import { Router } from 'express';
+import { requireAdmin, adminAction } from '../../middleware/adminAuth.js';
 
 const router = Router();
 
-const ADMIN_TOKEN = process.env.KLIK_ADMIN_TOKEN;
 const CACHE_TTL = 60; // seconds
 
-// ---------------------------------------------------------------------------
-// Admin auth middleware
-// ---------------------------------------------------------------------------
-
-function requireAdmin(req, res, next) {
-  if (!ADMIN_TOKEN) {
-    return res.status(503).json({ error: 'Admin auth not configured' });
-  }
-
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing authorization header' });
-  }
-
-  const token = authHeader.slice(7);
-  if (token !== ADMIN_TOKEN) {
-    return res.status(403).json({ error: 'Invalid admin token' });
-  }
-
-  next();
-}
-
-router.use(requireAdmin);
+router.use(requireAdmin('admin:read'));
 
 // ---------------------------------------------------------------------------
 // Helper: cached query
@@ -519,7 +498,7 @@ router.get('/notifications', async (req, res) => {
 // Clear all admin claim caches
 // ===========================================
 
-router.post('/cache/clear', async (req, res) => {
+router.post('/cache/clear', ...adminAction('ops:write', 'claims.cache_clear'), async (req, res) => {
   try {
     const redis = req.redis;
 
@@ -0,0 +1,154 @@
+/**
+ * Admin Deposit Routes
+ *
+ * Deposits the watcher could not match to an account (no or unknown memo,
+ * see services/depositWatcher.js). Support either assigns one to the
+ * account it belongs to, which credits it through the ledger, or records
+ * the on-chain refund sent back to the depositor.
+ *
+ * Reads need admin:read; assigning and refunding need finance:write and
+ * are audited (see middleware/adminAuth.js).
+ */
+
+import { Router } from 'express';
+import { ObjectId } from 'mongodb';
+import { requireAdmin, adminAction } from '../../middleware/adminAuth.js';
+import { parseLimit } from '../../utils/cursor.js';
+import {
+  DEPOSIT_STATUSES,
+  assignDeposit,
+  refundDeposit,
+  isValidSignature,
+} from '../../services/depositWatcher.js';
+
+const router = Router();
+
+const ACCOUNT_COLLECTIONS = { AGENT: 'Agent', USER: 'User' };
+
+function formatDeposit(d) {
+  return {
+    signature: d.signature,
+    amount: d.amount,
+    memo: d.memo || null,
+    memo_text: d.memoText || null,
+    status: d.status,
+    account_type: d.accountType || null,
+    account_id: d.accountId ? d.accountId.toString() : null,
+    assigned_by: d.assignedBy || null,
+    assigned_at: d.assignedAt || null,
+    refund_signature: d.refundSignature || null,
+    refund_reason: d.refundReason || null,
+    refunded_by: d.refundedBy || null,
+    refunded_at: d.refundedAt || null,
+    block_time: d.blockTime || null,
+    created_at: d.createdAt,
+  };
+}
+
+function sendError(res, err, fallback) {
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ error: fallback });
+}
+
+function validSignature(req, res) {
+  if (!isValidSignature(req.params.signature)) {
+    res.status(400).json({ error: 'Invalid transaction signature', code: 'INVALID_SIGNATURE' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/v1/admin/deposits?status=unmatched&limit=50
+ * Deposits by status (oldest first, so the support queue is FIFO)
+ */
+router.get('/', requireAdmin('admin:read'), async (req, res) => {
+  try {
+    const status = req.query.status || 'unmatched';
+    if (!DEPOSIT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DEPOSIT_STATUSES.join(', ')}` });
+    }
+    const limit = parseLimit(req.query.limit, 50, 200);
+
+    const deposits = await req.db.collection('Deposit')
+      .find({ status })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({ status, deposits: deposits.map(formatDeposit) });
+  } catch (err) {
+    sendError(res, err, 'Failed to list deposits');
+  }
+});
+
+/**
+ * POST /api/v1/admin/deposits/:signature/assign
+ * Body: { account_type: 'AGENT'|'USER', account_id }
+ * Credit an unmatched deposit to an agent or user.
+ */
+router.post('/:signature/assign', ...adminAction('finance:write', 'deposits.assign'), async (req, res) => {
+  if (!validSignature(req, res)) return;
+
+  const accountType = String(req.body?.account_type || '').toUpperCase();
+  const accountId = req.body?.account_id;
+  if (!ACCOUNT_COLLECTIONS[accountType]) {
+    return res.status(400).json({ error: 'account_type must be AGENT or USER' });
+  }
+  if (!ObjectId.isValid(accountId)) {
+    return res.status(400).json({ error: 'Invalid account_id' });
+  }
+
+  try {
+    const id = new ObjectId(accountId);
+    const account = await req.db.collection(ACCOUNT_COLLECTIONS[accountType]).findOne(
+      { _id: id },
+      { projection: { _id: 1 } }
+    );
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found', code: 'ACCOUNT_NOT_FOUND' });
+    }
+
+    const deposit = await assignDeposit(req.db, req.params.signature, { type: accountType, id }, req.admin);
+
+    const room = accountType === 'AGENT' ? `agent:${id}` : `user:${id}`;
+    req.io?.to(room).emit('deposit:credited', {
+      signature: deposit.signature,
+      amount: deposit.amount,
+    });
+
+    res.locals.audit = { amount: deposit.amount, account_type: accountType, account_id: accountId };
+    res.json({ success: true, deposit: formatDeposit(deposit) });
+  } catch (err) {
+    if (err.code === 'DUPLICATE_LEDGER_REFERENCE') {
+      return res.status(409).json({ error: 'Deposit was already credited', code: 'DEPOSIT_NOT_UNMATCHED' });
+    }
+    sendError(res, err, 'Failed to assign deposit');
+  }
+});
+
+/**
+ * POST /api/v1/admin/deposits/:signature/refund
+ * Body: { refund_signature, reason? }
+ * Record that an unmatched deposit was sent back to the depositor.
+ */
+router.post('/:signature/refund', ...adminAction('finance:write', 'deposits.refund'), async (req, res) => {
+  if (!validSignature(req, res)) return;
+  try {
+    const deposit = await refundDeposit(req.db, req.params.signature, {
+      refundSignature: req.body?.refund_signature,
+      reason: req.body?.reason || null,
+      admin: req.admin,
+    });
+
+    res.locals.audit = { amount: deposit.amount, refund_signature: deposit.refundSignature };
+    res.json({ success: true, deposit: formatDeposit(deposit) });
+  } catch (err) {
+    sendError(res, err, 'Failed to refund deposit');
+  }
+});
+
+export default router;
@@ -0,0 +1,126 @@
+/**
+ * Admin Stripe Event Routes
+ *
+ * Stored Stripe webhook events: list by status/type, inspect the payload
+ * and processing history, and replay an event through its handler. See
+ * services/stripeEvents.js.
+ *
+ * Reads need admin:read; replays need finance:write and are audited (see
+ * middleware/adminAuth.js).
+ */
+
+import { Router } from 'express';
+import { requireAdmin, adminAction } from '../../middleware/adminAuth.js';
+import { withTiebreaker, decodeCursor, buildCursorFilter, paginate, parseLimit } from '../../utils/cursor.js';
+import { processStripeEvent, STRIPE_EVENT_STATUS } from '../../services/stripeEvents.js';
+import { stripe } from '../../services/stripeClient.js';
+
+const router = Router();
+
+function formatEvent(e, { payload = false } = {}) {
+  return {
+    id: e._id,
+    type: e.type,
+    livemode: e.livemode,
+    status: e.status,
+    attempts: e.attempts,
+    deliveries: e.deliveries,
+    last_error: e.lastError || null,
+    next_attempt_at: [STRIPE_EVENT_STATUS.PENDING, STRIPE_EVENT_STATUS.FAILED].includes(e.status) ? e.nextAttemptAt : null,
+    created_at: e.createdAt,
+    received_at: e.receivedAt,
+    processed_at: e.processedAt || null,
+    failed_at: e.failedAt || null,
+    replayed_at: e.replayedAt || null,
+    ...(payload ? { payload: e.payload } : {}),
+  };
+}
+
+/**
+ * GET /api/v1/admin/stripe-events?status=failed&type=invoice.payment_failed&limit=50&cursor=
+ * Events, newest first
+ */
+router.get('/', requireAdmin('admin:read'), async (req, res) => {
+  try {
+    const match = {};
+    if (req.query.status) {
+      if (!Object.values(STRIPE_EVENT_STATUS).includes(req.query.status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${Object.values(STRIPE_EVENT_STATUS).join(', ')}`
+        });
+      }
+      match.status = req.query.status;
+    }
+    if (req.query.type) match.type = String(req.query.type);
+
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const sortOrder = withTiebreaker({ receivedAt: -1 });
+    const position = decodeCursor(req.query.cursor, 'stripe-events');
+
+    const rows = await req.db.collection('StripeEvent')
+      .find(
+        position ? { $and: [match, buildCursorFilter(sortOrder, position)] } : match,
+        { projection: { payload: 0 } }
+      )
+      .sort(sortOrder)
+      .limit(limit + 1)
+      .toArray();
+    const { items, nextCursor } = paginate(rows, limit, sortOrder, 'stripe-events');
+
+    res.json({
+      events: items.map(e => formatEvent(e)),
+      next_cursor: nextCursor,
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    console.error('Stripe event list error:', err);
+    res.status(500).json({ error: 'Failed to list Stripe events' });
+  }
+});
+
+/**
+ * GET /api/v1/admin/stripe-events/:id
+ * One event with its payload
+ */
+router.get('/:id', requireAdmin('admin:read'), async (req, res) => {
+  try {
+    const event = await req.db.collection('StripeEvent').findOne({ _id: req.params.id });
+    if (!event) {
+      return res.status(404).json({ error: 'Stripe event not found' });
+    }
+    res.json({ event: formatEvent(event, { payload: true }) });
+  } catch (err) {
+    console.error('Stripe event fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch Stripe event' });
+  }
+});
+
+/**
+ * POST /api/v1/admin/stripe-events/:id/replay
+ * Run the event's handler again now, whatever its status
+ */
+router.post('/:id/replay', ...adminAction('finance:write', 'stripe_events.replay'), async (req, res) => {
+  try {
+    const events = req.db.collection('StripeEvent');
+    const replayed = await events.updateOne(
+      { _id: req.params.id },
+      { $set: { replayedAt: new Date() } }
+    );
+    if (replayed.matchedCount === 0) {
+      return res.status(404).json({ error: 'Stripe event not found' });
+    }
+
+    const status = await processStripeEvent(req.db, req.params.id, { stripe, io: req.io, force: true });
+    console.log(`Stripe event ${req.params.id} replayed by admin: ${status}`);
+
+    const event = await events.findOne({ _id: req.params.id }, { projection: { payload: 0 } });
+    res.json({ success: status === STRIPE_EVENT_STATUS.PROCESSED || status === STRIPE_EVENT_STATUS.IGNORED, event: formatEvent(event) });
+  } catch (err) {
+    console.error('Stripe event replay error:', err);
+    res.status(500).json({ error: 'Failed to replay Stripe event' });
+  }
+});
+
+export default router;
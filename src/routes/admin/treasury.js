@@ -0,0 +1,126 @@
+/**
+ * Admin Treasury Routes
+ *
+ * Solvency of the treasury wallet: on-chain SOL/KLIK balances against
+ * stored balances and unsent withdrawals, snapshot history, and whether
+ * memo sending and withdrawals are currently paused. See
+ * services/treasury.js.
+ *
+ * Reads need admin:read; snapshots need finance:write and are audited (see
+ * middleware/adminAuth.js).
+ */
+
+import { Router } from 'express';
+import { requireAdmin, adminAction } from '../../middleware/adminAuth.js';
+import { parseLimit } from '../../utils/cursor.js';
+import {
+  recordTreasurySnapshot,
+  getLatestSnapshot,
+  getLiabilities,
+  getTreasuryGuard,
+  TREASURY_THRESHOLDS,
+} from '../../services/treasury.js';
+
+const router = Router();
+
+function formatLiabilities(liabilities) {
+  return {
+    users: liabilities.users,
+    agents: liabilities.agents,
+    owner_earnings: liabilities.ownerEarnings,
+    pending_withdrawals: liabilities.pendingWithdrawals,
+    total: liabilities.total,
+  };
+}
+
+function formatSnapshot(snapshot) {
+  return {
+    taken_at: snapshot.takenAt,
+    wallet: snapshot.wallet,
+    sol: snapshot.sol,
+    klik: snapshot.klik,
+    liabilities: formatLiabilities(snapshot.liabilities),
+    coverage_ratio: snapshot.coverageRatio,
+    surplus: snapshot.surplus,
+    status: snapshot.status,
+    alerts: snapshot.alerts,
+    memos_paused: snapshot.memosPaused,
+    withdrawals_paused: snapshot.withdrawalsPaused,
+  };
+}
+
+function formatGuard(guard) {
+  return {
+    memos_paused: guard.memosPaused,
+    withdrawals_paused: guard.withdrawalsPaused,
+    reasons: guard.reasons,
+    stale: guard.stale,
+    as_of: guard.takenAt,
+  };
+}
+
+/**
+ * GET /api/v1/admin/treasury/solvency
+ * Latest snapshot plus current liabilities (live from the database) and
+ * the guard state.
+ */
+router.get('/solvency', requireAdmin('admin:read'), async (req, res) => {
+  try {
+    const [snapshot, liabilities, guard] = await Promise.all([
+      getLatestSnapshot(req.db),
+      getLiabilities(req.db),
+      getTreasuryGuard(req.db),
+    ]);
+
+    res.json({
+      snapshot: snapshot ? formatSnapshot(snapshot) : null,
+      current_liabilities: formatLiabilities(liabilities),
+      guard: formatGuard(guard),
+      thresholds: {
+        sol_alert: TREASURY_THRESHOLDS.solAlert,
+        sol_pause: TREASURY_THRESHOLDS.solPause,
+        klik_coverage: TREASURY_THRESHOLDS.klikCoverage,
+      },
+    });
+  } catch (err) {
+    console.error('Treasury solvency error:', err);
+    res.status(500).json({ error: 'Failed to load treasury solvency' });
+  }
+});
+
+/**
+ * POST /api/v1/admin/treasury/snapshot
+ * Take a snapshot now (e.g. after topping up, to lift a pause without
+ * waiting for the next scheduled run).
+ */
+router.post('/snapshot', ...adminAction('finance:write', 'treasury.snapshot'), async (req, res) => {
+  try {
+    const snapshot = await recordTreasurySnapshot(req.db);
+    res.json({ success: true, snapshot: formatSnapshot(snapshot) });
+  } catch (err) {
+    console.error('Treasury snapshot error:', err);
+    res.status(502).json({ error: 'Failed to read treasury balances', code: 'TREASURY_RPC_ERROR' });
+  }
+});
+
+/**
+ * GET /api/v1/admin/treasury/snapshots?limit=100
+ * Snapshot history, newest first.
+ */
+router.get('/snapshots', requireAdmin('admin:read'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 100, 1000);
+    const snapshots = await req.db.collection('TreasurySnapshot')
+      .find({})
+      .sort({ takenAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({ snapshots: snapshots.map(formatSnapshot) });
+  } catch (err) {
+    console.error('Treasury snapshots error:', err);
+    res.status(500).json({ error: 'Failed to load treasury snapshots' });
+  }
+});
+
+export default router;
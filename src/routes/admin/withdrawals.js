@@ -0,0 +1,277 @@
+/**
+ * Admin Withdrawal Queue Routes
+ *
+ * Review queues for:
+ *   - agent withdrawals (Transaction type WITHDRAWAL), which all need
+ *     approval, and
+ *   - user withdrawals held by the risk controls (services/withdrawalRisk.js).
+ *
+ * Approving/releasing hands the withdrawal to the withdrawal runner, which
+ * sends it on-chain; rejecting, or a permanently failed send, refunds
+ * through the ledger.
+ *
+ * Reads need admin:read and reviews need finance:write (see
+ * middleware/adminAuth.js); reviews are audited and record the reviewing admin.
+ */
+
+import { Router } from 'express';
+import { ObjectId } from 'mongodb';
+import { requireAdmin, adminAction } from '../../middleware/adminAuth.js';
+import { parseLimit } from '../../utils/cursor.js';
+import {
+  AGENT_WITHDRAWAL_STATUS,
+  approveAgentWithdrawal,
+  rejectAgentWithdrawal,
+} from '../../services/agentWithdrawals.js';
+import {
+  releaseHeldWithdrawal,
+  rejectHeldWithdrawal,
+  describeWithdrawalStatus,
+} from '../../services/withdrawalRisk.js';
+import { kickWithdrawalRunner } from '../../crons/withdrawalRunner.js';
+
+const router = Router();
+
+function formatWithdrawal(w, agent) {
+  return {
+    id: w._id.toString(),
+    agent_id: w.fromAgentId.toString(),
+    agent_name: agent?.name || null,
+    amount: w.amount,
+    destination_wallet: w.destinationWallet || null,
+    status: w.status,
+    tx_signature: w.txSignature || null,
+    error: w.error || w.lastError || null,
+    attempts: w.attempts ?? null,
+    rejection_reason: w.rejectionReason || null,
+    reviewed_by: w.reviewedBy || null,
+    reviewed_at: w.reviewedAt || null,
+    created_at: w.createdAt,
+    updated_at: w.updatedAt || null,
+  };
+}
+
+function sendError(res, err, fallback) {
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ error: fallback });
+}
+
+function validId(req, res) {
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid withdrawal id' });
+    return false;
+  }
+  return true;
+}
+
+// ============================================
+// HELD USER WITHDRAWALS (risk review)
+// ============================================
+
+function formatUserWithdrawal(w, user) {
+  return {
+    id: w._id.toString(),
+    user_id: w.userId.toString(),
+    user_email: user?.email || null,
+    user_tier: user?.subscriptionTier || 'free',
+    amount: w.amount,
+    wallet_address: w.walletAddress,
+    wallet_linked_at: user?.walletLinkedAt || null,
+    status: w.status,
+    status_reason: describeWithdrawalStatus(w),
+    hold_reason: w.holdReason || null,
+    rejection_reason: w.rejectionReason || null,
+    reviewed_by: w.reviewedBy || null,
+    reviewed_at: w.reviewedAt || null,
+    created_at: w.createdAt,
+  };
+}
+
+/**
+ * GET /api/v1/admin/withdrawals/held?limit=50
+ * User withdrawals held for review (oldest first)
+ */
+router.get('/held', requireAdmin('admin:read'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const withdrawals = await req.db.collection('Withdrawal')
+      .find({ status: 'held' })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .toArray();
+
+    const userIds = [...new Set(withdrawals.map(w => w.userId.toString()))].map(id => new ObjectId(id));
+    const users = await req.db.collection('User')
+      .find({ _id: { $in: userIds } }, { projection: { email: 1, subscriptionTier: 1, walletLinkedAt: 1 } })
+      .toArray();
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+    res.json({
+      withdrawals: withdrawals.map(w => formatUserWithdrawal(w, usersById.get(w.userId.toString()))),
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to list held withdrawals');
+  }
+});
+
+/**
+ * POST /api/v1/admin/withdrawals/held/:id/release
+ * Release a held user withdrawal for sending.
+ */
+router.post('/held/:id/release', ...adminAction('finance:write', 'withdrawals.release'), async (req, res) => {
+  if (!validId(req, res)) return;
+  try {
+    const withdrawal = await releaseHeldWithdrawal(req.db, req.params.id, {
+      reviewedBy: req.admin.email || req.admin.name,
+    });
+
+    kickWithdrawalRunner();
+
+    res.json({ success: true, withdrawal: formatUserWithdrawal(withdrawal) });
+  } catch (err) {
+    sendError(res, err, 'Failed to release withdrawal');
+  }
+});
+
+/**
+ * POST /api/v1/admin/withdrawals/held/:id/reject
+ * Body: { reason }
+ * Reject a held user withdrawal and refund the user. The reason is shown
+ * to the user on GET /withdrawal/:id.
+ */
+router.post('/held/:id/reject', ...adminAction('finance:write', 'withdrawals.reject_held'), async (req, res) => {
+  if (!validId(req, res)) return;
+  try {
+    const withdrawal = await rejectHeldWithdrawal(req.db, req.params.id, {
+      reason: req.body?.reason || null,
+      reviewedBy: req.admin.email || req.admin.name,
+    });
+
+    req.io?.to(`user:${withdrawal.userId}`).emit('withdrawal:rejected', {
+      withdrawalId: withdrawal._id.toString(),
+      amount: withdrawal.amount,
+      reason: describeWithdrawalStatus(withdrawal),
+    });
+
+    res.json({ success: true, withdrawal: formatUserWithdrawal(withdrawal) });
+  } catch (err) {
+    sendError(res, err, 'Failed to reject withdrawal');
+  }
+});
+
+// ============================================
+// AGENT WITHDRAWALS
+// ============================================
+
+/**
+ * GET /api/v1/admin/withdrawals?status=PENDING&limit=50
+ * List agent withdrawals by status (oldest first, so the queue is FIFO)
+ */
+router.get('/', requireAdmin('admin:read'), async (req, res) => {
+  try {
+    const status = (req.query.status || AGENT_WITHDRAWAL_STATUS.PENDING).toUpperCase();
+    if (!Object.values(AGENT_WITHDRAWAL_STATUS).includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${Object.values(AGENT_WITHDRAWAL_STATUS).join(', ')}`
+      });
+    }
+    const limit = parseLimit(req.query.limit, 50, 200);
+
+    const withdrawals = await req.db.collection('Transaction')
+      .find({ type: 'WITHDRAWAL', status })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .toArray();
+
+    const agentIds = [...new Set(withdrawals.map(w => w.fromAgentId.toString()))].map(id => new ObjectId(id));
+    const agents = await req.db.collection('Agent')
+      .find({ _id: { $in: agentIds } }, { projection: { name: 1 } })
+      .toArray();
+    const agentsById = new Map(agents.map(a => [a._id.toString(), a]));
+
+    res.json({
+      status,
+      withdrawals: withdrawals.map(w => formatWithdrawal(w, agentsById.get(w.fromAgentId.toString()))),
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to list withdrawals');
+  }
+});
+
+/**
+ * GET /api/v1/admin/withdrawals/:id
+ */
+router.get('/:id', requireAdmin('admin:read'), async (req, res) => {
+  if (!validId(req, res)) return;
+  try {
+    const withdrawal = await req.db.collection('Transaction').findOne({
+      _id: new ObjectId(req.params.id),
+      type: 'WITHDRAWAL',
+    });
+    if (!withdrawal) {
+      return res.status(404).json({ error: 'Withdrawal not found' });
+    }
+
+    const agent = await req.db.collection('Agent').findOne(
+      { _id: withdrawal.fromAgentId },
+      { projection: { name: 1 } }
+    );
+    res.json({ withdrawal: formatWithdrawal(withdrawal, agent) });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch withdrawal');
+  }
+});
+
+/**
+ * POST /api/v1/admin/withdrawals/:id/approve
+ * Approve and send on-chain. Responds 202 once claimed; the agent is
+ * notified (withdrawal:completed / withdrawal:failed) when the send settles.
+ */
+router.post('/:id/approve', ...adminAction('finance:write', 'withdrawals.approve'), async (req, res) => {
+  if (!validId(req, res)) return;
+  try {
+    const withdrawal = await approveAgentWithdrawal(req.db, req.params.id, {
+      reviewedBy: req.admin.email || req.admin.name,
+    });
+
+    kickWithdrawalRunner();
+
+    res.status(202).json({
+      success: true,
+      withdrawal: formatWithdrawal(withdrawal),
+      message: 'Withdrawal approved; transfer in progress',
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to approve withdrawal');
+  }
+});
+
+/**
+ * POST /api/v1/admin/withdrawals/:id/reject
+ * Body: { reason }
+ * Reject and refund the agent.
+ */
+router.post('/:id/reject', ...adminAction('finance:write', 'withdrawals.reject'), async (req, res) => {
+  if (!validId(req, res)) return;
+  try {
+    const withdrawal = await rejectAgentWithdrawal(req.db, req.params.id, {
+      reason: req.body?.reason || null,
+      reviewedBy: req.admin.email || req.admin.name,
+    });
+
+    req.io?.to(`agent:${withdrawal.fromAgentId}`).emit('withdrawal:rejected', {
+      withdrawalId: withdrawal._id.toString(),
+      amount: withdrawal.amount,
+      reason: withdrawal.rejectionReason,
+    });
+
+    res.json({ success: true, withdrawal: formatWithdrawal(withdrawal) });
+  } catch (err) {
+    sendError(res, err, 'Failed to reject withdrawal');
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+/**
+ * Agent API Key Routes
+ *
+ * Manage one agent's API keys (see services/agentApiKeys.js). Mounted
+ * behind middleware that authenticates the owner and sets req.agent:
+ *
+ *   /api/v1/user-agents/:id/api-keys   user JWT, agents the user owns
+ *   /api/v1/dashboard/api-keys         agent API key with dashboard:admin
+ *
+ * Raw keys are only returned when created or rotated.
+ */
+
+import { Router } from 'express';
+import {
+  API_KEY_SCOPES,
+  DEFAULT_ROTATION_GRACE_HOURS,
+  listApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  formatApiKey,
+  parseExpiry,
+} from '../services/agentApiKeys.js';
+
+const router = Router();
+
+const SAVE_KEY_MESSAGE = 'SAVE YOUR API KEY! It will not be shown again.';
+
+function createdBy(req) {
+  if (req.apiKey) return { type: 'AGENT', id: req.agent._id, apiKeyId: req.apiKey.id };
+  return { type: 'USER', id: req.user._id };
+}
+
+function sendError(res, err, fallback) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /api-keys
+ * List the agent's keys (never the raw key or its hash)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.db, req.agent._id);
+    const now = new Date();
+    res.json({
+      keys: keys.map(k => formatApiKey(k, now)),
+      available_scopes: API_KEY_SCOPES,
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to list API keys');
+  }
+});
+
+/**
+ * POST /api-keys
+ * Create a key
+ *
+ * Body: { name, scopes: [...], expires_at?, expires_in_days? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes } = req.body || {};
+    const { key, doc } = await createApiKey(req.db, req.agent._id, {
+      name,
+      scopes,
+      expiresAt: parseExpiry(req.body) ?? null,
+      createdBy: createdBy(req),
+    });
+
+    res.status(201).json({
+      key: formatApiKey(doc),
+      api_key: key,
+      message: SAVE_KEY_MESSAGE,
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to create API key');
+  }
+});
+
+/**
+ * POST /api-keys/:keyId/rotate
+ * Replace a key; the old one keeps working for grace_hours (default 24)
+ *
+ * Body: { grace_hours?, expires_at?, expires_in_days? }
+ */
+router.post('/:keyId/rotate', async (req, res) => {
+  try {
+    const result = await rotateApiKey(req.db, req.agent._id, req.params.keyId, {
+      graceHours: req.body?.grace_hours ?? DEFAULT_ROTATION_GRACE_HOURS,
+      expiresAt: parseExpiry(req.body),
+      createdBy: createdBy(req),
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Active API key not found', code: 'API_KEY_NOT_FOUND' });
+    }
+
+    res.status(201).json({
+      key: formatApiKey(result.doc),
+      api_key: result.key,
+      previous: formatApiKey(result.previous),
+      message: SAVE_KEY_MESSAGE,
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to rotate API key');
+  }
+});
+
+/**
+ * DELETE /api-keys/:keyId
+ * Revoke a key immediately
+ */
+router.delete('/:keyId', async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.db, req.agent._id, req.params.keyId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found', code: 'API_KEY_NOT_FOUND' });
+    }
+
+    res.json({ success: true, key: formatApiKey(revoked) });
+  } catch (err) {
+    sendError(res, err, 'Failed to revoke API key');
+  }
+});
+
+export default router;
@@ -0,0 +1,181 @@
+/**
+ * Agent Collaborator Routes
+ *
+ * Owners delegate an agent to other users as editor or collaborator (see
+ * middleware/agentOwnership.js). Auth: user JWT, or the agent's own API key
+ * with the dashboard:admin scope.
+ *
+ *   GET    /api/v1/agents/:id/collaborators           any role
+ *   POST   /api/v1/agents/:id/collaborators           owner (add or change role)
+ *   DELETE /api/v1/agents/:id/collaborators/:userId   owner, or the user leaving
+ */
+
+import { Router } from 'express';
+import { ObjectId } from 'mongodb';
+import { verifyPrincipal, requireScope } from '../middleware/principal.js';
+import { requireAgentRole, DELEGATED_ROLES } from '../middleware/agentOwnership.js';
+
+const router = Router();
+
+const MAX_COLLABORATORS = 25;
+
+const auth = [verifyPrincipal, requireScope('dashboard:admin')];
+
+function formatCollaborator(entry, user) {
+  return {
+    user_id: entry.userId.toString(),
+    name: user?.name || null,
+    wallet_address: user?.walletAddress || null,
+    role: entry.role,
+    added_at: entry.addedAt,
+  };
+}
+
+/**
+ * GET /api/v1/agents/:id/collaborators
+ * List the users the agent is delegated to
+ */
+router.get('/:id/collaborators', ...auth, requireAgentRole('collaborator'), async (req, res) => {
+  try {
+    const entries = req.targetAgent.collaborators || [];
+    const users = await req.db.collection('User')
+      .find(
+        { _id: { $in: entries.map(c => c.userId) } },
+        { projection: { name: 1, walletAddress: 1 } }
+      )
+      .toArray();
+    const byId = new Map(users.map(u => [u._id.toString(), u]));
+
+    res.json({
+      owner_id: (req.targetAgent.userId || req.targetAgent.owner)?.toString() || null,
+      your_role: req.agentRole,
+      collaborators: entries.map(c => formatCollaborator(c, byId.get(c.userId.toString()))),
+    });
+  } catch (error) {
+    console.error('List collaborators error:', error);
+    res.status(500).json({ error: 'Failed to list collaborators' });
+  }
+});
+
+/**
+ * POST /api/v1/agents/:id/collaborators
+ * Add a user as editor or collaborator, or change their role
+ *
+ * Body: { user_id | wallet_address | email, role }
+ */
+router.post('/:id/collaborators', ...auth, requireAgentRole('owner'), async (req, res) => {
+  try {
+    const { user_id, wallet_address, email, role } = req.body || {};
+
+    if (!DELEGATED_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${DELEGATED_ROLES.join(', ')}`, code: 'INVALID_ROLE' });
+    }
+
+    let filter;
+    if (user_id) {
+      if (!ObjectId.isValid(user_id)) {
+        return res.status(400).json({ error: 'Invalid user_id' });
+      }
+      filter = { _id: new ObjectId(user_id) };
+    } else if (wallet_address) {
+      filter = { walletAddress: String(wallet_address) };
+    } else if (email) {
+      filter = { email: String(email) };
+    } else {
+      return res.status(400).json({ error: 'user_id, wallet_address or email is required', code: 'MISSING_FIELDS' });
+    }
+
+    const user = await req.db.collection('User').findOne(
+      { ...filter, status: { $ne: 'DELETED' } },
+      { projection: { name: 1, walletAddress: 1 } }
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const agent = req.targetAgent;
+    const ownerId = agent.userId || agent.owner;
+    if (ownerId && ownerId.toString() === user._id.toString()) {
+      return res.status(400).json({ error: 'The owner cannot be a collaborator', code: 'ALREADY_OWNER' });
+    }
+
+    const agents = req.db.collection('Agent');
+    const existing = (agent.collaborators || []).find(c => c.userId.toString() === user._id.toString());
+    let entry;
+
+    if (existing) {
+      await agents.updateOne(
+        { _id: agent._id, 'collaborators.userId': user._id },
+        { $set: { 'collaborators.$.role': role, updatedAt: new Date() } }
+      );
+      entry = { ...existing, role };
+    } else {
+      if ((agent.collaborators || []).length >= MAX_COLLABORATORS) {
+        return res.status(409).json({ error: `An agent can have at most ${MAX_COLLABORATORS} collaborators`, code: 'COLLABORATOR_LIMIT' });
+      }
+      entry = {
+        userId: user._id,
+        role,
+        addedAt: new Date(),
+        addedBy: { type: req.principal.type, id: req.principal.id },
+      };
+      await agents.updateOne(
+        { _id: agent._id, 'collaborators.userId': { $ne: user._id } },
+        { $push: { collaborators: entry }, $set: { updatedAt: new Date() } }
+      );
+    }
+
+    if (req.io) {
+      req.io.to(`user:${user._id}`).emit('agent:collaborator', {
+        agentId: agent._id.toString(),
+        name: agent.name,
+        role,
+      });
+    }
+
+    res.status(existing ? 200 : 201).json({ collaborator: formatCollaborator(entry, user) });
+  } catch (error) {
+    console.error('Add collaborator error:', error);
+    res.status(500).json({ error: 'Failed to add collaborator' });
+  }
+});
+
+/**
+ * DELETE /api/v1/agents/:id/collaborators/:userId
+ * Remove a collaborator (owners remove anyone; collaborators can leave)
+ */
+router.delete('/:id/collaborators/:userId', ...auth, requireAgentRole('collaborator'), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const userId = new ObjectId(req.params.userId);
+    const leaving = req.principal.type === 'USER' && req.principal.id.toString() === userId.toString();
+    if (req.agentRole !== 'owner' && !leaving) {
+      return res.status(403).json({
+        error: 'This action requires the owner role',
+        code: 'AGENT_ROLE_REQUIRED',
+        required_role: 'owner',
+        role: req.agentRole,
+      });
+    }
+
+    const isCollaborator = (req.targetAgent.collaborators || []).some(c => c.userId.toString() === userId.toString());
+    if (!isCollaborator) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    await req.db.collection('Agent').updateOne(
+      { _id: req.targetAgent._id },
+      { $pull: { collaborators: { userId } }, $set: { updatedAt: new Date() } }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    res.status(500).json({ error: 'Failed to remove collaborator' });
+  }
+});
+
+export default router;
@@ -9,9 +9,47 @@ import express from 'express';
 import crypto from 'crypto';
 import { ObjectId } from 'mongodb';
 import { optionalUserJWT } from '../middleware/userAuth.js';
+import { verifyPrincipal, optionalPrincipal, findAgentByApiKey, setApiKeyAuth, requireScope } from '../middleware/principal.js';
+import { createApiKey } from '../services/agentApiKeys.js';
+import { agentRateLimit, chargeAgentRateLimit } from '../middleware/rateLimiter.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { requireAgentRole } from '../middleware/agentOwnership.js';
+import { requireAdmin, adminAction } from '../middleware/adminAuth.js';
+import {
+  postLedgerTransaction,
+  transfer,
+  balanceAfter,
+  roundAmount,
+  agentAccount,
+  ownerEarningsAccount,
+  systemAccount,
+  SYSTEM_ACCOUNTS,
+  LEDGER_TYPES,
+  reconcileLedger,
+} from '../services/ledger.js';
+import { follow, unfollow, listFollows, getFollowingIds, reconcileFollowCounts } from '../services/followGraph.js';
+import { fetchFeedPage, resolveTopWindow } from '../services/feed.js';
+import { computeHotScore, queueHotScoreRefresh } from '../services/ranking.js';
+import { storeDataUri, findMedia, isMediaUrl, mediaIdFromUrl, mediaUrl, parseDataUri } from '../services/mediaStorage.js';
+import { parseVariant, withVariant, sendInlineVariant } from '../services/imageVariants.js';
+import { withTiebreaker, decodeCursor, buildCursorFilter, paginate, encodeCursor, parseLimit } from '../utils/cursor.js';
+import { findSubmolt, isBanned } from '../services/submolts.js';
+import { requestAgentWithdrawal } from '../services/agentWithdrawals.js';
+import { parseWalletAddress } from '../services/splTransfer.js';
+import {
+  getDepositWatcher,
+  getDepositReference,
+  getTreasuryOwner,
+  depositInstructions,
+  isValidSignature,
+  sendDepositResult,
+} from '../services/depositWatcher.js';
 
 const router = express.Router();
 
+// KLIK credited to every newly registered agent
+const STARTING_GRANT = 100;
+
 // Middleware to verify agent API key
 const verifyAgentApiKey = async (req, res, next) => {
   // Guard: Check if database is available
@@ -31,16 +69,13 @@ const verifyAgentApiKey = async (req, res, next) => {
   const apiKey = authHeader.split(' ')[1];
 
   try {
-    const agent = await req.db.collection('Agent').findOne({
-      apiKey: apiKey,
-      status: 'ACTIVE'
-    });
+    const result = await findAgentByApiKey(req.db, apiKey);
 
-    if (!agent) {
+    if (!result) {
       return res.status(401).json({ error: 'Invalid API key' });
     }
 
-    req.agent = agent;
+    setApiKeyAuth(req, result);
     next();
   } catch (error) {
     console.error('Auth error:', error);
@@ -48,17 +83,6 @@ const verifyAgentApiKey = async (req, res, next) => {
   }
 };
 
-// ============================================
-// ADMIN AUTH MIDDLEWARE
-// ============================================
-const adminAuth = (req, res, next) => {
-  const token = req.headers['x-admin-token'] || req.query.admin_token;
-  if (!token || token !== process.env.KLIK_ADMIN_TOKEN) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  next();
-};
-
 // ============================================
 // HELPER: Build Identity System Prompt
 // ============================================
@@ -131,41 +155,6 @@ VOICE GUIDELINES:
   return prompt;
 }
 
-// Rate limiting state (in production, use Redis)
-const rateLimits = new Map();
-
-const checkRateLimit = (agentId, action) => {
-  const key = `${agentId}:${action}`;
-  const now = Date.now();
-  const limits = {
-    request: { count: 100, window: 60000 },      // 100/min
-    post: { count: 1, window: 1800000 },          // 1/30min
-    comment: { count: 1, window: 20000 },         // 1/20sec
-    daily_comments: { count: 50, window: 86400000 }, // 50/day
-  };
-
-  const limit = limits[action];
-  if (!limit) return { allowed: true };
-
-  const record = rateLimits.get(key) || { count: 0, resetAt: now + limit.window };
-
-  if (now > record.resetAt) {
-    record.count = 0;
-    record.resetAt = now + limit.window;
-  }
-
-  if (record.count >= limit.count) {
-    return {
-      allowed: false,
-      retry_after: Math.ceil((record.resetAt - now) / 1000)
-    };
-  }
-
-  record.count++;
-  rateLimits.set(key, record);
-  return { allowed: true };
-};
-
 // ============================================
 // PUBLIC ROUTES (No Auth)
 // ============================================
@@ -217,8 +206,7 @@ router.post('/register', optionalUserJWT, async (req, res) => {
       });
     }
 
-    // Generate API key and verification code
-    const apiKey = `klik_${crypto.randomBytes(32).toString('hex')}`;
+    // Generate verification code (the API key is issued once the agent exists)
     const verificationCode = crypto.randomBytes(4).toString('hex').toUpperCase();
 
     // Create agent wallet (in production, use proper key generation)
@@ -246,8 +234,6 @@ router.post('/register', optionalUserJWT, async (req, res) => {
       avatar: initialAvatar, // Emoji placeholder until AI avatar is generated
       category: category || 'custom',
       walletAddress,
-      apiKey,
-      apiKeyCreatedAt: new Date(),
       verificationCode,
       verified: false,
       isExternal: true,
@@ -262,7 +248,7 @@ router.post('/register', optionalUserJWT, async (req, res) => {
       aiApiKey: ai_api_key || null, // TODO: encrypt in production
       multimodalCapabilities: multimodal_capabilities || ['text'],
       // Wallet
-      klikBalance: 100, // Give new agents 100 KLIK to start
+      klikBalance: 0, // Starting grant is credited through the ledger below
       dailyBudget: 100,
       budgetSpentToday: 0,
       totalEarned: 0,
@@ -278,6 +264,19 @@ router.post('/register', optionalUserJWT, async (req, res) => {
     };
 
     const result = await req.db.collection('Agent').insertOne(agent);
+    const { key: apiKey } = await createApiKey(req.db, result.insertedId, {
+      createdBy: ownerId ? { type: 'USER', id: ownerId } : null,
+    });
+
+    // Give new agents 100 KLIK to start
+    await transfer(req.db, {
+      type: LEDGER_TYPES.GRANT,
+      from: systemAccount(SYSTEM_ACCOUNTS.GRANTS),
+      to: agentAccount(result.insertedId),
+      amount: STARTING_GRANT,
+      metadata: { reason: 'registration' },
+    });
+    agent.klikBalance = STARTING_GRANT;
 
     // Auto-queue AI avatar generation for the new agent
     // The runtime cron will pick this up and generate a photorealistic headshot
@@ -470,7 +469,7 @@ router.get('/', async (req, res) => {
           avatar_url = `/api/v1/agents/${encodeURIComponent(a.name)}/avatar`;
           has_avatar_image = true;
           avatar = null;
-        } else if (avatar && (avatar.startsWith('http://') || avatar.startsWith('https://'))) {
+        } else if (avatar && (avatar.startsWith('http://') || avatar.startsWith('https://') || isMediaUrl(avatar))) {
           avatar_url = avatar;
           has_avatar_image = true;
         } else {
@@ -509,132 +508,88 @@ router.get('/', async (req, res) => {
 /**
  * GET /api/v1/posts (PUBLIC, with optional auth)
  *
- * Get feed of posts - no auth required, but logged-in users get user_has_liked
+ * Get feed of posts - no auth required, but logged-in users get user_has_liked.
+ * sort=following (agent API key or user JWT required) limits the feed to
+ * agents and users the caller follows.
+ *
+ * sort=hot ranks by time-decayed engagement (votes, tips, comment velocity).
+ * sort=top&t=day|week|month|all limits top posts to a time window.
+ *
+ * Paginate with ?cursor=<next_cursor from the previous page>; next_cursor
+ * is null on the last page.
  */
-router.get('/posts', optionalUserJWT, async (req, res) => {
+router.get('/posts', optionalPrincipal, async (req, res) => {
   try {
-    const { sort = 'new', limit = 25, before, submolt } = req.query;
+    const { sort = 'new', before, submolt, cursor } = req.query;
+    const limit = parseLimit(req.query.limit, 25, 100);
 
     const query = { isDeleted: false };
 
     if (submolt) {
-      query.submoltId = new ObjectId(submolt);
+      const submoltDoc = await findSubmolt(req.db, submolt);
+      if (!submoltDoc) {
+        return res.status(404).json({ error: 'Submolt not found' });
+      }
+      query.submoltId = submoltDoc._id;
     }
 
     if (before) {
       query.createdAt = { $lt: new Date(before) };
     }
 
-    let sortOrder = { createdAt: -1 };
-    if (sort === 'hot') sortOrder = { score: -1, createdAt: -1 };
-    if (sort === 'top') sortOrder = { upvotes: -1 };
-
-    const posts = await req.db.collection('Post')
-      .aggregate([
-        { $match: query },
-        { $sort: sortOrder },
-        { $limit: Math.min(parseInt(limit), 100) },
-        {
-          $lookup: {
-            from: 'Agent',
-            localField: 'authorId',
-            foreignField: '_id',
-            as: 'author'
-          }
-        },
-        { $unwind: '$author' },
-        {
-          $project: {
-            id: { $toString: '$_id' },
-            content: 1,
-            content_type: '$contentType',
-            media_url: '$mediaUrl',
-            upvotes: 1,
-            downvotes: 1,
-            score: 1,
-            comment_count: '$commentCount',
-            tip_amount: '$tipAmount',
-            created_at: '$createdAt',
-            author: {
-              name: '$author.name',
-              display_name: '$author.displayName',
-              avatar: '$author.avatar',
-              verified: '$author.verified'
-            }
-          }
-        }
-      ])
-      .toArray();
-
-    // Lookup user votes if authenticated
-    let userVotes = new Set();
-    if (req.user) {
-      const votes = await req.db.collection('PostVote').find({
-        user_id: req.user._id,
-        post_id: { $in: posts.map(p => p._id) }
-      }).toArray();
-      userVotes = new Set(votes.map(v => v.post_id.toString()));
-    }
-
-    // Truncate base64 media_urls in feed to prevent multi-MB responses
-    // Full media is available via GET /posts/:id
-    const truncatedPosts = posts.map(p => {
-      const result = { ...p };
-
-      // Add user_has_liked for authenticated users
-      result.user_has_liked = userVotes.has((p._id || p.id).toString());
-
-      // Handle base64 post media
-      if (result.media_url && result.media_url.startsWith('data:')) {
-        const mimeMatch = result.media_url.match(/^data:([^;]+);base64,/);
-        result.media_url = null;
-        result.has_media = true;
-        result.media_mime = mimeMatch ? mimeMatch[1] : 'image/png';
-        result.media_preview_url = `/api/v1/posts/${result.id || result._id}/media`;
-      }
-
-      // Handle avatar: if it's a base64 data URI, serve via avatar endpoint instead
-      // This prevents bloating JSON feed with massive base64 strings per post
-      if (result.author?.avatar && result.author.avatar.startsWith('data:')) {
-        result.author.avatar_url = `/api/v1/agents/${encodeURIComponent(result.author.name)}/avatar`;
-        result.author.has_avatar_image = true;
-        result.author.avatar = null; // Don't send base64 in feed JSON
-      } else if (result.author?.avatar && (result.author.avatar.startsWith('http://') || result.author.avatar.startsWith('https://'))) {
-        // It's already a URL
-        result.author.avatar_url = result.author.avatar;
-        result.author.has_avatar_image = true;
-      } else {
-        // Avatar is emoji or null — provide avatar endpoint as fallback
-        // The endpoint checks AgentMemory.soul.avatar for legacy agents
-        result.author.avatar_url = result.author?.name
-          ? `/api/v1/agents/${encodeURIComponent(result.author.name)}/avatar`
-          : null;
-        result.author.has_avatar_image = !!result.author?.name; // Optimistic
+    if (sort === 'following') {
+      if (!req.principal) {
+        return res.status(401).json({
+          error: 'Authentication required for the following feed',
+          code: 'AUTH_REQUIRED'
+        });
       }
+      const { agentIds, userIds } = await getFollowingIds(req.db, req.principal);
+      query.$or = [
+        { authorId: { $in: agentIds } },
+        { authorType: 'USER', userId: { $in: userIds } },
+      ];
+    }
 
-      return result;
+    // Base64 media/avatars are stripped from feed posts to prevent multi-MB
+    // responses. Full media is available via GET /posts/:id
+    const { posts, nextCursor } = await fetchFeedPage(req.db, {
+      query,
+      sort,
+      limit,
+      cursor,
+      window: resolveTopWindow(req.query.t),
+      user: req.user,
+      includeUserPosts: sort === 'following',
     });
 
     res.json({
-      posts: truncatedPosts,
-      count: truncatedPosts.length,
-      has_more: posts.length === parseInt(limit)
+      posts,
+      count: posts.length,
+      next_cursor: nextCursor
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     console.error('Feed error:', error);
     res.status(500).json({ error: 'Failed to fetch feed' });
   }
 });
 
 /**
- * GET /api/v1/posts/:id/media (PUBLIC)
+ * GET /api/v1/posts/:id/media?variant=thumb|feed|full (PUBLIC)
  *
- * Serve post media (base64 images/videos) as binary response
- * This avoids sending massive base64 strings in JSON feed responses
+ * Serve post media as a binary response.
+ * This avoids sending massive base64 strings in JSON feed responses.
+ * Media-store URLs redirect to /api/v1/media/:id with the variant preserved;
+ * legacy inline images are resized here.
  */
 router.get('/posts/:id/media', async (req, res) => {
   try {
+    const variant = parseVariant(req.query.variant);
+
     const post = await req.db.collection('Post').findOne(
       { _id: new ObjectId(req.params.id), isDeleted: false },
       { projection: { mediaUrl: 1, contentType: 1 } }
@@ -645,18 +600,21 @@ router.get('/posts/:id/media', async (req, res) => {
     }
 
     // If it's a base64 data URI, decode and serve as binary
-    const dataMatch = post.mediaUrl.match(/^data:([^;]+);base64,(.+)$/s);
-    if (dataMatch) {
-      const mime = dataMatch[1];
-      const buffer = Buffer.from(dataMatch[2], 'base64');
-      res.set('Content-Type', mime);
-      res.set('Cache-Control', 'public, max-age=86400'); // cache 1 day
-      return res.send(buffer);
+    const inline = parseDataUri(post.mediaUrl);
+    if (inline) {
+      return await sendInlineVariant(req, res, inline, variant, 86400); // cache 1 day
     }
 
-    // If it's a URL, redirect to it
+    if (isMediaUrl(post.mediaUrl)) {
+      return res.redirect(withVariant(post.mediaUrl, variant));
+    }
+
+    // External URL, redirect to it
     return res.redirect(post.mediaUrl);
   } catch (error) {
+    if (error.code === 'INVALID_VARIANT') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     console.error('Media serve error:', error);
     res.status(500).json({ error: 'Failed to serve media' });
   }
@@ -721,7 +679,7 @@ router.get('/posts/:id', async (req, res) => {
       authorAvatarUrl = `/api/v1/agents/${encodeURIComponent(p.author.name)}/avatar`;
       authorHasAvatarImage = true;
       authorAvatarClean = null;
-    } else if (authorAvatar && (authorAvatar.startsWith('http://') || authorAvatar.startsWith('https://'))) {
+    } else if (authorAvatar && (authorAvatar.startsWith('http://') || authorAvatar.startsWith('https://') || isMediaUrl(authorAvatar))) {
       authorAvatarUrl = authorAvatar;
       authorHasAvatarImage = true;
     } else {
@@ -759,7 +717,7 @@ router.get('/posts/:id', async (req, res) => {
           cAvatarUrl = `/api/v1/agents/${encodeURIComponent(c.author.name)}/avatar`;
           cHasImage = true;
           cAvatarClean = null;
-        } else if (cAvatar && (cAvatar.startsWith('http://') || cAvatar.startsWith('https://'))) {
+        } else if (cAvatar && (cAvatar.startsWith('http://') || cAvatar.startsWith('https://') || isMediaUrl(cAvatar))) {
           cAvatarUrl = cAvatar;
           cHasImage = true;
         }
@@ -789,21 +747,40 @@ router.get('/posts/:id', async (req, res) => {
 /**
  * GET /api/v1/search (PUBLIC)
  *
- * Search posts and agents - no auth required
+ * Search posts and agents - no auth required.
+ * Paginate with ?cursor=<next_cursor>; with type=all one cursor pages both lists.
  */
 router.get('/search', async (req, res) => {
   try {
-    const { q, type = 'all', limit = 20 } = req.query;
+    const { q, type = 'all', cursor } = req.query;
 
     if (!q || q.length < 2) {
       return res.status(400).json({ error: 'Query too short (min 2 chars)' });
     }
 
     const results = { posts: [], agents: [] };
-    const searchLimit = Math.min(parseInt(limit), 50);
+    const searchLimit = parseLimit(req.query.limit, 20, 50);
+
+    // type=all pages both lists with one cursor holding a sub-cursor per list;
+    // a null sub-cursor on a later page means that list is exhausted
+    let postsCursor = cursor;
+    let agentsCursor = cursor;
+    let searchPosts = type === 'all' || type === 'posts';
+    let searchAgents = type === 'all' || type === 'agents';
+    if (type === 'all' && cursor) {
+      [postsCursor, agentsCursor] = decodeCursor(cursor, 'search:all');
+      searchPosts = !!postsCursor;
+      searchAgents = !!agentsCursor;
+    }
+
+    let nextPostsCursor = null;
+    let nextAgentsCursor = null;
 
-    if (type === 'all' || type === 'posts') {
-      results.posts = await req.db.collection('Post')
+    if (searchPosts) {
+      const sortOrder = { textScore: -1, _id: -1 };
+      const position = decodeCursor(postsCursor, 'search:posts');
+
+      const rows = await req.db.collection('Post')
         .aggregate([
           {
             $match: {
@@ -811,8 +788,10 @@ router.get('/search', async (req, res) => {
               isDeleted: false
             }
           },
-          { $sort: { score: { $meta: 'textScore' } } },
-          { $limit: searchLimit },
+          { $addFields: { textScore: { $meta: 'textScore' } } },
+          ...(position ? [{ $match: buildCursorFilter(sortOrder, position) }] : []),
+          { $sort: sortOrder },
+          { $limit: searchLimit + 1 },
           {
             $lookup: {
               from: 'Agent',
@@ -821,31 +800,43 @@ router.get('/search', async (req, res) => {
               as: 'author'
             }
           },
-          { $unwind: '$author' },
+          { $unwind: { path: '$author', preserveNullAndEmptyArrays: true } },
           {
             $project: {
               id: { $toString: '$_id' },
               content: 1,
               score: 1,
+              textScore: 1,
               created_at: '$createdAt',
               author: { name: '$author.name' }
             }
           }
         ])
         .toArray();
+
+      const page = paginate(rows, searchLimit, sortOrder, 'search:posts');
+      // textScore is only needed for the cursor
+      page.items.forEach(post => delete post.textScore);
+      results.posts = page.items.filter(p => p.author?.name);
+      nextPostsCursor = page.nextCursor;
     }
 
-    if (type === 'all' || type === 'agents') {
-      results.agents = await req.db.collection('Agent')
+    if (searchAgents) {
+      const sortOrder = withTiebreaker({ followerCount: -1 });
+      const position = decodeCursor(agentsCursor, 'search:agents');
+
+      const filter = {
+        $or: [
+          { name: { $regex: q, $options: 'i' } },
+          { displayName: { $regex: q, $options: 'i' } },
+          { bio: { $regex: q, $options: 'i' } }
+        ],
+        status: 'ACTIVE'
+      };
+
+      const rows = await req.db.collection('Agent')
         .find(
-          {
-            $or: [
-              { name: { $regex: q, $options: 'i' } },
-              { displayName: { $regex: q, $options: 'i' } },
-              { bio: { $regex: q, $options: 'i' } }
-            ],
-            status: 'ACTIVE'
-          },
+          position ? { $and: [filter, buildCursorFilter(sortOrder, position)] } : filter,
           {
             projection: {
               id: { $toString: '$_id' },
@@ -854,17 +845,36 @@ router.get('/search', async (req, res) => {
               bio: 1,
               avatar: 1,
               verified: 1,
+              followerCount: 1,
               follower_count: '$followerCount'
             }
           }
         )
-        .limit(searchLimit)
+        .sort(sortOrder)
+        .limit(searchLimit + 1)
         .toArray();
+
+      const page = paginate(rows, searchLimit, sortOrder, 'search:agents');
+      // followerCount is only needed for the cursor (follower_count is returned)
+      page.items.forEach(agent => delete agent.followerCount);
+      results.agents = page.items;
+      nextAgentsCursor = page.nextCursor;
+    }
+
+    if (type === 'all') {
+      results.next_cursor = nextPostsCursor || nextAgentsCursor
+        ? encodeCursor([nextPostsCursor, nextAgentsCursor], 'search:all')
+        : null;
+    } else {
+      results.next_cursor = type === 'posts' ? nextPostsCursor : nextAgentsCursor;
     }
 
     res.json(results);
 
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     console.error('Search error:', error);
     res.status(500).json({ error: 'Search failed' });
   }
@@ -880,7 +890,7 @@ router.get('/search', async (req, res) => {
  * Retrieve agent memory for context building (used by agent runtime)
  * Returns identity + episodic + relationships for prompt assembly
  */
-router.get('/:id/memory', adminAuth, async (req, res) => {
+router.get('/:id/memory', requireAdmin('admin:read'), async (req, res) => {
   try {
     if (!ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ error: 'Invalid agent ID' });
@@ -981,7 +991,7 @@ router.get('/:id/memory', adminAuth, async (req, res) => {
  *
  * Update identity layer (called when user edits agent settings)
  */
-router.put('/:id/memory/identity', adminAuth, async (req, res) => {
+router.put('/:id/memory/identity', ...adminAction('agents:write', 'agents.memory.identity'), async (req, res) => {
   try {
     if (!ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ error: 'Invalid agent ID' });
@@ -1019,7 +1029,7 @@ router.put('/:id/memory/identity', adminAuth, async (req, res) => {
  *
  * Add episodic memory entry (called by agent runtime after each cycle)
  */
-router.post('/:id/memory/episodic', adminAuth, async (req, res) => {
+router.post('/:id/memory/episodic', ...adminAction('agents:write', 'agents.memory.episodic'), async (req, res) => {
   try {
     if (!ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ error: 'Invalid agent ID' });
@@ -1088,7 +1098,7 @@ router.post('/:id/memory/episodic', adminAuth, async (req, res) => {
  *
  * Update relationship with another agent
  */
-router.post('/:id/memory/relationship', adminAuth, async (req, res) => {
+router.post('/:id/memory/relationship', ...adminAction('agents:write', 'agents.memory.relationship'), async (req, res) => {
   try {
     if (!ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ error: 'Invalid agent ID' });
@@ -1201,114 +1211,61 @@ router.get('/wallet/:agentId/balance', async (req, res) => {
  * and returning "Agent not found". The frontend uses /api/v1/posts directly,
  * but external callers (curl, bots) may hit /api/v1/feed.
  */
-router.get('/feed', optionalUserJWT, async (req, res) => {
+router.get('/feed', optionalPrincipal, async (req, res) => {
   try {
-    const { sort = 'new', limit = 25, page = 1, before, submolt } = req.query;
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(parseInt(limit) || 25, 100);
-    const skip = (pageNum - 1) * limitNum;
+    const { sort = 'new', before, submolt, cursor } = req.query;
+    const limit = parseLimit(req.query.limit, 25, 100);
 
     const query = { isDeleted: false };
 
     if (submolt) {
-      query.submoltId = new ObjectId(submolt);
+      const submoltDoc = await findSubmolt(req.db, submolt);
+      if (!submoltDoc) {
+        return res.status(404).json({ error: 'Submolt not found' });
+      }
+      query.submoltId = submoltDoc._id;
     }
 
     if (before) {
       query.createdAt = { $lt: new Date(before) };
     }
 
-    let sortOrder = { createdAt: -1 };
-    if (sort === 'hot') sortOrder = { score: -1, createdAt: -1 };
-    if (sort === 'top') sortOrder = { upvotes: -1 };
-
-    const posts = await req.db.collection('Post')
-      .aggregate([
-        { $match: query },
-        { $sort: sortOrder },
-        { $skip: skip },
-        { $limit: limitNum },
-        {
-          $lookup: {
-            from: 'Agent',
-            localField: 'authorId',
-            foreignField: '_id',
-            as: 'author'
-          }
-        },
-        { $unwind: '$author' },
-        {
-          $project: {
-            id: { $toString: '$_id' },
-            content: 1,
-            content_type: '$contentType',
-            media_url: '$mediaUrl',
-            upvotes: 1,
-            downvotes: 1,
-            score: 1,
-            comment_count: '$commentCount',
-            tip_amount: '$tipAmount',
-            created_at: '$createdAt',
-            author: {
-              name: '$author.name',
-              display_name: '$author.displayName',
-              avatar: '$author.avatar',
-              verified: '$author.verified'
-            }
-          }
-        }
-      ])
-      .toArray();
-
-    // Lookup user votes if authenticated
-    let userVotes = new Set();
-    if (req.user) {
-      const votes = await req.db.collection('PostVote').find({
-        user_id: req.user._id,
-        post_id: { $in: posts.map(p => p._id) }
-      }).toArray();
-      userVotes = new Set(votes.map(v => v.post_id.toString()));
-    }
-
-    // Truncate base64 media_urls in feed to prevent multi-MB responses
-    const truncatedPosts = posts.map(p => {
-      const result = { ...p };
-
-      result.user_has_liked = userVotes.has((p._id || p.id).toString());
-
-      if (result.media_url && result.media_url.startsWith('data:')) {
-        const mimeMatch = result.media_url.match(/^data:([^;]+);base64,/);
-        result.media_url = null;
-        result.has_media = true;
-        result.media_mime = mimeMatch ? mimeMatch[1] : 'image/png';
-        result.media_preview_url = `/api/v1/posts/${result.id || result._id}/media`;
-      }
-
-      if (result.author?.avatar && result.author.avatar.startsWith('data:')) {
-        result.author.avatar_url = `/api/v1/agents/${encodeURIComponent(result.author.name)}/avatar`;
-        result.author.has_avatar_image = true;
-        result.author.avatar = null;
-      } else if (result.author?.avatar && (result.author.avatar.startsWith('http://') || result.author.avatar.startsWith('https://'))) {
-        result.author.avatar_url = result.author.avatar;
-        result.author.has_avatar_image = true;
-      } else {
-        result.author.avatar_url = result.author?.name
-          ? `/api/v1/agents/${encodeURIComponent(result.author.name)}/avatar`
-          : null;
-        result.author.has_avatar_image = !!result.author?.name;
+    if (sort === 'following') {
+      if (!req.principal) {
+        return res.status(401).json({
+          error: 'Authentication required for the following feed',
+          code: 'AUTH_REQUIRED'
+        });
       }
+      const { agentIds, userIds } = await getFollowingIds(req.db, req.principal);
+      query.$or = [
+        { authorId: { $in: agentIds } },
+        { authorType: 'USER', userId: { $in: userIds } },
+      ];
+    }
 
-      return result;
+    // Base64 media/avatars are stripped from feed posts to prevent multi-MB
+    // responses. Full media is available via GET /posts/:id
+    const { posts, nextCursor } = await fetchFeedPage(req.db, {
+      query,
+      sort,
+      limit,
+      cursor,
+      window: resolveTopWindow(req.query.t),
+      user: req.user,
+      includeUserPosts: sort === 'following',
     });
 
     res.json({
-      posts: truncatedPosts,
-      count: truncatedPosts.length,
-      page: pageNum,
-      has_more: posts.length === limitNum
+      posts,
+      count: posts.length,
+      next_cursor: nextCursor
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     console.error('Feed error:', error);
     res.status(500).json({ error: 'Failed to fetch feed' });
   }
@@ -1383,14 +1340,42 @@ router.get('/:name', async (req, res) => {
 });
 
 /**
- * GET /api/v1/agents/:name/avatar (PUBLIC)
+ * Serve an agent image field (avatar or background) at the requested variant.
+ * Base64 data URIs (legacy, until migration 003 has run) are decoded and
+ * resized here; media store URLs redirect with the variant preserved;
+ * external URLs redirect as-is. Returns false if there is no image to serve.
+ */
+async function sendAgentImage(req, res, imageData, variant) {
+  const inline = parseDataUri(imageData);
+  if (inline) {
+    await sendInlineVariant(req, res, inline, variant, 3600); // cache 1 hour
+    return true;
+  }
+
+  if (isMediaUrl(imageData)) {
+    res.redirect(withVariant(imageData, variant));
+    return true;
+  }
+
+  if (imageData && (imageData.startsWith('http://') || imageData.startsWith('https://'))) {
+    res.redirect(imageData);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * GET /api/v1/agents/:name/avatar?variant=thumb|feed|full (PUBLIC)
  *
  * Serve agent avatar as binary image.
- * Handles base64 data URIs stored in Agent.avatar or AgentMemory.soul.avatar.imageUrl.
+ * Handles images stored in Agent.avatar or AgentMemory.soul.avatar.imageUrl.
  * Falls back to 404 if no image avatar exists (emoji avatars are handled client-side).
  */
 router.get('/:name/avatar', async (req, res) => {
   try {
+    const variant = parseVariant(req.query.variant);
+
     const agent = await req.db.collection('Agent').findOne(
       { name: req.params.name.toLowerCase() },
       { projection: { avatar: 1 } }
@@ -1412,35 +1397,169 @@ router.get('/:name/avatar', async (req, res) => {
       avatarData = memory?.soul?.avatar?.imageUrl || avatarData;
     }
 
-    // If it's a base64 data URI, decode and serve as binary
-    if (avatarData && avatarData.startsWith('data:')) {
-      const dataMatch = avatarData.match(/^data:([^;]+);base64,(.+)$/s);
-      if (dataMatch) {
-        const mime = dataMatch[1];
-        const buffer = Buffer.from(dataMatch[2], 'base64');
-        res.set('Content-Type', mime);
-        res.set('Cache-Control', 'public, max-age=3600'); // cache 1 hour
-        return res.send(buffer);
-      }
-    }
-
-    // If it's a URL, redirect
-    if (avatarData && (avatarData.startsWith('http://') || avatarData.startsWith('https://'))) {
-      return res.redirect(avatarData);
+    if (await sendAgentImage(req, res, avatarData, variant)) {
+      return;
     }
 
     // No image avatar available (emoji or null)
     return res.status(404).json({ error: 'No image avatar', emoji: agent.avatar || null });
   } catch (error) {
+    if (error.code === 'INVALID_VARIANT') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     console.error('Avatar serve error:', error);
     res.status(500).json({ error: 'Failed to serve avatar' });
   }
 });
 
+/**
+ * GET /api/v1/agents/:name/background?variant=thumb|feed|full (PUBLIC)
+ *
+ * Serve agent profile background (AgentMemory.soul.backgroundImage.imageUrl).
+ * The profile endpoint points background_url here for inline images.
+ */
+router.get('/:name/background', async (req, res) => {
+  try {
+    const variant = parseVariant(req.query.variant);
+
+    const agent = await req.db.collection('Agent').findOne(
+      { name: req.params.name.toLowerCase() },
+      { projection: { _id: 1 } }
+    );
+
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const memory = await req.db.collection('AgentMemory').findOne(
+      { agentId: agent._id },
+      { projection: { 'soul.backgroundImage.imageUrl': 1 } }
+    );
+
+    if (await sendAgentImage(req, res, memory?.soul?.backgroundImage?.imageUrl, variant)) {
+      return;
+    }
+
+    return res.status(404).json({ error: 'No background image' });
+  } catch (error) {
+    if (error.code === 'INVALID_VARIANT') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Background serve error:', error);
+    res.status(500).json({ error: 'Failed to serve background' });
+  }
+});
+
+// ============================================
+// FOLLOW GRAPH
+// ============================================
+
+async function findFollowTarget(db, name) {
+  return db.collection('Agent').findOne(
+    { name: name.toLowerCase(), status: 'ACTIVE' },
+    { projection: { _id: 1, name: 1 } }
+  );
+}
+
+/**
+ * POST /api/v1/agents/:name/follow
+ *
+ * Follow an agent. Works with an agent API key or a user JWT.
+ */
+router.post('/:name/follow', verifyPrincipal, requireScope('posts:write'), async (req, res) => {
+  try {
+    const target = await findFollowTarget(req.db, req.params.name);
+    if (!target) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const result = await follow(req.db, req.principal, { type: 'AGENT', id: target._id });
+
+    res.status(result.followed ? 201 : 200).json({
+      success: true,
+      following: true,
+      already_following: result.alreadyFollowing,
+      agent: target.name
+    });
+
+  } catch (error) {
+    if (error.code === 'SELF_FOLLOW') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Follow error:', error);
+    res.status(500).json({ error: 'Failed to follow agent' });
+  }
+});
+
+/**
+ * DELETE /api/v1/agents/:name/follow
+ *
+ * Unfollow an agent. Works with an agent API key or a user JWT.
+ */
+router.delete('/:name/follow', verifyPrincipal, requireScope('posts:write'), async (req, res) => {
+  try {
+    const target = await findFollowTarget(req.db, req.params.name);
+    if (!target) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const result = await unfollow(req.db, req.principal, { type: 'AGENT', id: target._id });
+
+    res.json({
+      success: true,
+      following: false,
+      was_following: result.unfollowed,
+      agent: target.name
+    });
+
+  } catch (error) {
+    console.error('Unfollow error:', error);
+    res.status(500).json({ error: 'Failed to unfollow agent' });
+  }
+});
+
+/**
+ * GET /api/v1/agents/:name/followers (PUBLIC)
+ * GET /api/v1/agents/:name/following (PUBLIC)
+ *
+ * List accounts (agents and users) following / followed by an agent.
+ */
+router.get('/:name/:direction(followers|following)', async (req, res) => {
+  try {
+    const target = await findFollowTarget(req.db, req.params.name);
+    if (!target) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(parseInt(limit) || 50, 100);
+
+    const { accounts, total } = await listFollows(
+      req.db,
+      { type: 'AGENT', id: target._id },
+      req.params.direction,
+      { limit: limitNum, skip: (pageNum - 1) * limitNum }
+    );
+
+    res.json({
+      agent: target.name,
+      [req.params.direction]: accounts,
+      count: accounts.length,
+      total,
+      page: pageNum
+    });
+
+  } catch (error) {
+    console.error('List follows error:', error);
+    res.status(500).json({ error: 'Failed to list follows' });
+  }
+});
+
 // ============================================
 // ADMIN: One-time migration (admin token required)
 // ============================================
-router.post('/admin/migrate-image-gen', adminAuth, async (req, res) => {
+router.post('/admin/migrate-image-gen', ...adminAction('ops:write', 'agents.migrate_image_gen'), async (req, res) => {
   try {
     const result = await req.db.collection('Agent').updateMany(
       {},
@@ -1477,9 +1596,13 @@ router.post('/admin/migrate-image-gen', adminAuth, async (req, res) => {
  * Top up all agents to a minimum KLIK balance (admin, no auth)
  * Body: { min_balance?: number } — defaults to 500
  */
-router.post('/admin/topup-balances', adminAuth, async (req, res) => {
+router.post('/admin/topup-balances', ...adminAction('finance:write', 'agents.topup_balances'), async (req, res) => {
   try {
-    const minBalance = req.body.min_balance || 500;
+    const minBalance = req.body?.min_balance === undefined ? 500 : req.body.min_balance;
+
+    if (typeof minBalance !== 'number' || !Number.isFinite(minBalance) || roundAmount(minBalance) <= 0) {
+      return res.status(400).json({ error: 'min_balance must be a positive number' });
+    }
 
     const agents = await req.db.collection('Agent').find(
       { status: 'ACTIVE', klikBalance: { $lt: minBalance } }
@@ -1487,14 +1610,19 @@ router.post('/admin/topup-balances', adminAuth, async (req, res) => {
 
     let updated = 0;
     for (const agent of agents) {
-      const topup = minBalance - (agent.klikBalance || 0);
-      await req.db.collection('Agent').updateOne(
-        { _id: agent._id },
-        { $inc: { klikBalance: topup }, $set: { updatedAt: new Date() } }
-      );
+      const topup = roundAmount(minBalance - (agent.klikBalance || 0));
+      if (topup <= 0) continue;
+      await transfer(req.db, {
+        type: LEDGER_TYPES.GRANT,
+        from: systemAccount(SYSTEM_ACCOUNTS.GRANTS),
+        to: agentAccount(agent._id),
+        amount: topup,
+        metadata: { reason: 'admin_topup', minBalance },
+      });
       updated++;
     }
 
+    res.locals.audit = { agents_topped_up: updated, min_balance: minBalance };
     res.json({
       success: true,
       agents_topped_up: updated,
@@ -1514,7 +1642,7 @@ router.post('/admin/topup-balances', adminAuth, async (req, res) => {
  * Also creates AgentPersonality docs for any agents missing them.
  * This kickstarts the platform with massive activity.
  */
-router.post('/admin/activate-all-agents', adminAuth, async (req, res) => {
+router.post('/admin/activate-all-agents', ...adminAction('ops:write', 'agents.activate_all_agents'), async (req, res) => {
   try {
     // Activate all non-deleted agents
     const result = await req.db.collection('Agent').updateMany(
@@ -1570,7 +1698,7 @@ router.post('/admin/activate-all-agents', adminAuth, async (req, res) => {
  * Populate agent interests based on their names/personalities.
  * Agents with empty interests get personality-matched interests.
  */
-router.post('/admin/populate-interests', adminAuth, async (req, res) => {
+router.post('/admin/populate-interests', ...adminAction('ops:write', 'agents.populate_interests'), async (req, res) => {
   try {
     const AGENT_INTERESTS = {
       'pixelmuse': ['digital art', 'glitch art', 'illustration', 'creative process', 'design'],
@@ -1626,7 +1754,7 @@ router.post('/admin/populate-interests', adminAuth, async (req, res) => {
  *
  * Set unique visual styles for each agent based on their personality.
  */
-router.post('/admin/populate-visual-styles', adminAuth, async (req, res) => {
+router.post('/admin/populate-visual-styles', ...adminAction('ops:write', 'agents.populate_visual_styles'), async (req, res) => {
   try {
     const AGENT_VISUAL_STYLES = {
       'ai_doomer': 'gritty-photojournalist',
@@ -1684,7 +1812,7 @@ router.post('/admin/populate-visual-styles', adminAuth, async (req, res) => {
  * Create AgentMemory documents for all agents missing them.
  * This is required for the agent runtime to function.
  */
-router.post('/admin/bootstrap-agent-memory', adminAuth, async (req, res) => {
+router.post('/admin/bootstrap-agent-memory', ...adminAction('ops:write', 'agents.bootstrap_agent_memory'), async (req, res) => {
   try {
     const activeAgents = await req.db.collection('Agent').find({ status: 'ACTIVE' }).toArray();
 
@@ -1747,7 +1875,9 @@ router.post('/admin/bootstrap-agent-memory', adminAuth, async (req, res) => {
  *
  * Fetch comments for a post with threaded hierarchy (PUBLIC - no auth required)
  * Returns flat list with parent_id for client-side threading, or
- * use ?threaded=true to get pre-built tree structure
+ * use ?threaded=true to get pre-built tree structure.
+ * Oldest first; paginate with ?cursor=<next_cursor> (replies whose parent
+ * is on an earlier page are returned as roots when threaded).
  */
 router.get('/posts/:id/comments', async (req, res) => {
   try {
@@ -1757,12 +1887,16 @@ router.get('/posts/:id/comments', async (req, res) => {
 
     const postId = new ObjectId(req.params.id);
     const threaded = req.query.threaded === 'true';
-
-    // Fetch all comments for this post (both agent and user comments)
-    const comments = await req.db.collection('Comment').aggregate([
-      { $match: { postId, isDeleted: false } },
-      { $sort: { createdAt: 1 } }, // Sort ascending for proper thread building
-      { $limit: 200 },
+    const limit = parseLimit(req.query.limit, 200, 200);
+    const sortOrder = { createdAt: 1, _id: 1 }; // Ascending for proper thread building
+    const position = decodeCursor(req.query.cursor, 'comments');
+    const match = { postId, isDeleted: false };
+
+    // Fetch comments for this post (both agent and user comments)
+    const rows = await req.db.collection('Comment').aggregate([
+      { $match: position ? { $and: [match, buildCursorFilter(sortOrder, position)] } : match },
+      { $sort: sortOrder },
+      { $limit: limit + 1 },
       // Join with Agent collection for agent authors
       {
         $lookup: {
@@ -1783,6 +1917,8 @@ router.get('/posts/:id/comments', async (req, res) => {
       }
     ]).toArray();
 
+    const { items: comments, nextCursor } = paginate(rows, limit, sortOrder, 'comments');
+
     // Transform comments to unified format
     const transformedComments = comments.map(c => {
       const isAgent = c.authorType !== 'USER';
@@ -1807,7 +1943,7 @@ router.get('/posts/:id/comments', async (req, res) => {
         commentAvatarUrl = isAgent ? `/api/v1/agents/${encodeURIComponent(authorName)}/avatar` : null;
         commentHasImage = !!commentAvatarUrl;
         commentAvatarClean = commentHasImage ? null : rawAvatar;
-      } else if (rawAvatar && (rawAvatar.startsWith('http://') || rawAvatar.startsWith('https://'))) {
+      } else if (rawAvatar && (rawAvatar.startsWith('http://') || rawAvatar.startsWith('https://') || isMediaUrl(rawAvatar))) {
         commentAvatarUrl = rawAvatar;
         commentHasImage = true;
       }
@@ -1871,6 +2007,7 @@ router.get('/posts/:id/comments', async (req, res) => {
         comments: rootComments,
         count: transformedComments.length,
         threaded: true,
+        next_cursor: nextCursor,
       });
     } else {
       // Return flat list (default) - client builds tree
@@ -1878,10 +2015,14 @@ router.get('/posts/:id/comments', async (req, res) => {
         comments: transformedComments,
         count: transformedComments.length,
         threaded: false,
+        next_cursor: nextCursor,
       });
     }
 
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     console.error('Get comments error:', error);
     res.status(500).json({ error: 'Failed to fetch comments' });
   }
@@ -1894,7 +2035,7 @@ router.get('/posts/:id/comments', async (req, res) => {
  * This is an admin endpoint - should be called once to bootstrap avatars.
  * PUBLIC - no auth required
  */
-router.post('/admin/generate-all-avatars', adminAuth, async (req, res) => {
+router.post('/admin/generate-all-avatars', ...adminAction('ops:write', 'agents.generate_all_avatars'), async (req, res) => {
   try {
     // Find all active agents
     const agents = await req.db.collection('Agent').find({
@@ -1955,7 +2096,7 @@ router.post('/admin/generate-all-avatars', adminAuth, async (req, res) => {
  * This forces new avatar generation with updated prompts.
  * PUBLIC - no auth required (admin only in practice)
  */
-router.post('/admin/regenerate-all-avatars', adminAuth, async (req, res) => {
+router.post('/admin/regenerate-all-avatars', ...adminAction('ops:write', 'agents.regenerate_all_avatars'), async (req, res) => {
   try {
     const agents = await req.db.collection('Agent').find({
       status: 'ACTIVE'
@@ -2015,7 +2156,7 @@ router.post('/admin/regenerate-all-avatars', adminAuth, async (req, res) => {
  * Queue background image generation for all agents without backgrounds.
  * PUBLIC - no auth required
  */
-router.post('/admin/generate-all-backgrounds', adminAuth, async (req, res) => {
+router.post('/admin/generate-all-backgrounds', ...adminAction('ops:write', 'agents.generate_all_backgrounds'), async (req, res) => {
   try {
     const agents = await req.db.collection('Agent').find({
       status: 'ACTIVE'
@@ -2071,7 +2212,7 @@ router.post('/admin/generate-all-backgrounds', adminAuth, async (req, res) => {
  * Recalculate postCount for all agents based on actual posts.
  * PUBLIC - no auth required
  */
-router.post('/admin/fix-post-counts', adminAuth, async (req, res) => {
+router.post('/admin/fix-post-counts', ...adminAction('ops:write', 'agents.fix_post_counts'), async (req, res) => {
   try {
     const agents = await req.db.collection('Agent').find({}).toArray();
     let fixed = 0;
@@ -2103,11 +2244,58 @@ router.post('/admin/fix-post-counts', adminAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/v1/admin/fix-follow-counts
+ *
+ * Recalculate followerCount / followingCount for agents and users from the Follow graph.
+ */
+router.post('/admin/fix-follow-counts', ...adminAction('ops:write', 'agents.fix_follow_counts'), async (req, res) => {
+  try {
+    const summary = await reconcileFollowCounts(req.db);
+
+    res.json({
+      success: true,
+      agents_fixed: summary.agentsFixed,
+      users_fixed: summary.usersFixed,
+      message: `Fixed follow counts for ${summary.agentsFixed} agents and ${summary.usersFixed} users.`
+    });
+  } catch (error) {
+    console.error('Fix follow counts error:', error);
+    res.status(500).json({ error: 'Failed to fix follow counts' });
+  }
+});
+
+/**
+ * POST /api/v1/admin/reconcile-ledger
+ *
+ * Compare stored KLIK balances with the ledger on demand (read-only; the
+ * hourly cron runs the same check and stores its reports).
+ */
+router.post('/admin/reconcile-ledger', ...adminAction('finance:write', 'ledger.reconcile'), async (req, res) => {
+  try {
+    const report = await reconcileLedger(req.db);
+
+    res.locals.audit = { accounts: report.accounts, mismatch_count: report.mismatches.length };
+    res.json({
+      success: true,
+      checked_at: report.checkedAt,
+      accounts: report.accounts,
+      mismatch_count: report.mismatches.length,
+      mismatches: report.mismatches.slice(0, 100),
+      system_balances: report.systemBalances,
+      imbalance: report.imbalance,
+    });
+  } catch (error) {
+    console.error('Reconcile ledger error:', error);
+    res.status(500).json({ error: 'Failed to reconcile ledger' });
+  }
+});
+
 /**
  * POST /api/v1/admin/quick-cleanup
  * Fast targeted cleanup — no expensive post count reconciliation
  */
-router.post('/admin/quick-cleanup', adminAuth, async (req, res) => {
+router.post('/admin/quick-cleanup', ...adminAction('ops:write', 'agents.quick_cleanup'), async (req, res) => {
   try {
     const results = {};
 
@@ -2150,6 +2338,7 @@ router.post('/admin/quick-cleanup', adminAuth, async (req, res) => {
     const remainingComments = await req.db.collection('Comment').countDocuments({});
     results.remaining_comments = remainingComments;
 
+    res.locals.audit = results;
     res.json({ success: true, cleanup: results });
   } catch (error) {
     console.error('Quick cleanup error:', error);
@@ -2163,7 +2352,7 @@ router.post('/admin/quick-cleanup', adminAuth, async (req, res) => {
  *
  * Debug endpoint to check agent runtime state without needing Railway logs.
  */
-router.post('/admin/cleanup', adminAuth, async (req, res) => {
+router.post('/admin/cleanup', ...adminAction('ops:write', 'agents.cleanup'), async (req, res) => {
   try {
     const results = {};
 
@@ -2210,6 +2399,7 @@ router.post('/admin/cleanup', adminAuth, async (req, res) => {
     const remainingComments = await req.db.collection('Comment').countDocuments({});
     results.remaining_comments = remainingComments;
 
+    res.locals.audit = results;
     res.json({ success: true, cleanup: results });
   } catch (error) {
     console.error('Cleanup error:', error);
@@ -2277,6 +2467,12 @@ router.get('/runtime/diagnostics', async (req, res) => {
 // PROTECTED ROUTES (Require API Key)
 // ============================================
 
+// Owner routes (/:id/owner/*, identity and media generation) accept an
+// agent API key or a user JWT and check the caller's role on agent :id.
+// They are registered on ownerRouter further down.
+const ownerRouter = express.Router();
+router.use(ownerRouter);
+
 router.use(verifyAgentApiKey);
 
 /**
@@ -2310,13 +2506,32 @@ router.get('/me', async (req, res) => {
  *
  * Update agent profile
  */
-router.patch('/me', async (req, res) => {
+router.patch('/me', requireScope('dashboard:admin'), async (req, res) => {
   try {
     const { bio, avatar, display_name } = req.body;
     const updates = { updatedAt: new Date() };
 
     if (bio !== undefined) updates.bio = bio.slice(0, 500);
-    if (avatar !== undefined) updates.avatar = avatar;
+    if (avatar !== undefined) {
+      // Image avatars go to the media store; emoji/URL avatars are kept as-is
+      if (typeof avatar === 'string' && avatar.startsWith('data:')) {
+        try {
+          const { media } = await storeDataUri(req.db, avatar, {
+            kind: 'avatar',
+            allowedCategories: ['image'],
+            createdBy: { type: 'AGENT', id: req.agent._id },
+          });
+          updates.avatar = mediaUrl(media._id);
+        } catch (error) {
+          if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+          }
+          throw error;
+        }
+      } else {
+        updates.avatar = avatar;
+      }
+    }
     if (display_name !== undefined) updates.displayName = display_name.slice(0, 50);
 
     await req.db.collection('Agent').updateOne(
@@ -2339,19 +2554,11 @@ router.patch('/me', async (req, res) => {
 /**
  * POST /api/v1/posts
  *
- * Create a new post
+ * Create a new post. `submolt` (slug or id) is optional but must exist.
+ * The post quota is only charged once the request is valid.
  */
-router.post('/posts', async (req, res) => {
+router.post('/posts', requireScope('posts:write'), async (req, res) => {
   try {
-    // Rate limit check
-    const rateCheck = checkRateLimit(req.agent._id.toString(), 'post');
-    if (!rateCheck.allowed) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        retry_after: rateCheck.retry_after
-      });
-    }
-
     const { content, submolt, media_url, content_type } = req.body;
 
     if (!content || content.trim().length === 0) {
@@ -2368,9 +2575,27 @@ router.post('/posts', async (req, res) => {
       ? content_type.toUpperCase()
       : 'TEXT';
 
-    // If media_url provided, validate it's a reasonable URL
-    if (media_url && !/^https?:\/\/.+/.test(media_url)) {
-      return res.status(400).json({ error: 'Invalid media_url — must be a full HTTPS URL' });
+    // If media_url provided, it must be an uploaded media URL or a full URL
+    let mediaId = null;
+    if (media_url && isMediaUrl(media_url)) {
+      mediaId = mediaIdFromUrl(media_url);
+      if (!mediaId || !(await findMedia(req.db, mediaId.toString()))) {
+        return res.status(400).json({ error: 'Unknown media id in media_url', code: 'MEDIA_NOT_FOUND' });
+      }
+    } else if (media_url && !/^https?:\/\/.+/.test(media_url)) {
+      return res.status(400).json({ error: 'Invalid media_url — must be a full HTTPS URL or /api/v1/media/:id' });
+    }
+
+    // Posting into a submolt requires it to exist
+    let submoltDoc = null;
+    if (submolt) {
+      submoltDoc = await findSubmolt(req.db, String(submolt));
+      if (!submoltDoc) {
+        return res.status(404).json({ error: 'Submolt not found', code: 'SUBMOLT_NOT_FOUND' });
+      }
+      if (await isBanned(req.db, submoltDoc._id, { type: 'AGENT', id: req.agent._id })) {
+        return res.status(403).json({ error: 'You are banned from this submolt', code: 'SUBMOLT_BANNED' });
+      }
     }
 
     // Check budget — media posts cost more
@@ -2383,12 +2608,15 @@ router.post('/posts', async (req, res) => {
       });
     }
 
+    if (!(await chargeAgentRateLimit(req, res, 'post'))) return;
+
     const post = {
       authorId: req.agent._id,
       content: content.trim(),
       contentType: resolvedType,
       mediaUrl: media_url || null,
-      submoltId: submolt ? new ObjectId(submolt) : null,
+      mediaId,
+      submoltId: submoltDoc ? submoltDoc._id : null,
       upvotes: 0,
       downvotes: 0,
       score: 0,
@@ -2400,6 +2628,7 @@ router.post('/posts', async (req, res) => {
       createdAt: new Date(),
       updatedAt: new Date(),
     };
+    post.hotScore = computeHotScore(post);
 
     const result = await req.db.collection('Post').insertOne(post);
 
@@ -2412,9 +2641,17 @@ router.post('/posts', async (req, res) => {
       }
     );
 
+    if (submoltDoc) {
+      await req.db.collection('Submolt').updateOne(
+        { _id: submoltDoc._id },
+        { $inc: { postCount: 1 } }
+      );
+    }
+
     res.status(201).json({
       success: true,
       post_id: result.insertedId.toString(),
+      submolt: submoltDoc ? submoltDoc.slug : null,
       cost: cost
     });
 
@@ -2429,17 +2666,8 @@ router.post('/posts', async (req, res) => {
  *
  * Add a comment to a post
  */
-router.post('/posts/:id/comments', async (req, res) => {
+router.post('/posts/:id/comments', requireScope('posts:write'), agentRateLimit('comment'), async (req, res) => {
   try {
-    // Rate limit
-    const rateCheck = checkRateLimit(req.agent._id.toString(), 'comment');
-    if (!rateCheck.allowed) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        retry_after: rateCheck.retry_after
-      });
-    }
-
     const { content, parent_id } = req.body;
 
     if (!content || content.trim().length === 0) {
@@ -2478,6 +2706,7 @@ router.post('/posts/:id/comments', async (req, res) => {
       { _id: post._id },
       { $inc: { commentCount: 1 } }
     );
+    queueHotScoreRefresh(req.db, post._id);
 
     // Update agent stats
     await req.db.collection('Agent').updateOne(
@@ -2504,8 +2733,8 @@ router.post('/posts/:id/comments', async (req, res) => {
  * POST /api/v1/posts/:id/upvote
  * POST /api/v1/posts/:id/downvote
  */
-router.post('/posts/:id/upvote', async (req, res) => handleVote(req, res, 1));
-router.post('/posts/:id/downvote', async (req, res) => handleVote(req, res, -1));
+router.post('/posts/:id/upvote', requireScope('posts:write'), agentRateLimit('vote'), async (req, res) => handleVote(req, res, 1));
+router.post('/posts/:id/downvote', requireScope('posts:write'), agentRateLimit('vote'), async (req, res) => handleVote(req, res, -1));
 
 async function handleVote(req, res, value) {
   try {
@@ -2563,6 +2792,8 @@ async function handleVote(req, res, value) {
       );
     }
 
+    queueHotScoreRefresh(req.db, postId);
+
     res.json({ success: true });
 
   } catch (error) {
@@ -2581,24 +2812,16 @@ async function handleVote(req, res, value) {
  * Tip a post with KLIK. DB-based instant transfer.
  * 80% to agent, 20% to agent's owner.
  */
-router.post('/posts/:id/tip', async (req, res) => {
+router.post('/posts/:id/tip', requireScope('wallet:transfer'), idempotency, agentRateLimit('tip'), async (req, res) => {
   try {
     const { amount } = req.body;
-    const tipAmount = parseFloat(amount);
+    // Rounded to ledger precision so the debit equals the two shares
+    const tipAmount = roundAmount(parseFloat(amount));
 
-    if (!tipAmount || tipAmount <= 0 || tipAmount > 1000) {
+    if (!(tipAmount >= 0.1) || tipAmount > 1000) {
       return res.status(400).json({ error: 'Tip amount must be between 0.1 and 1000 KLIK' });
     }
 
-    // Check tipper has enough balance
-    if ((req.agent.klikBalance || 0) < tipAmount) {
-      return res.status(402).json({
-        error: 'Insufficient KLIK balance',
-        balance: req.agent.klikBalance || 0,
-        needed: tipAmount
-      });
-    }
-
     // Find the post and its author
     const post = await req.db.collection('Post').findOne({
       _id: new ObjectId(req.params.id),
@@ -2614,55 +2837,70 @@ router.post('/posts/:id/tip', async (req, res) => {
       return res.status(400).json({ error: "Can't tip your own post" });
     }
 
-    // Calculate split: 80% to agent, 20% to owner
-    const agentShare = tipAmount * 0.8;
-    const ownerShare = tipAmount * 0.2;
-
-    // Execute the transfer atomically
-    // 1. Debit tipper
-    await req.db.collection('Agent').updateOne(
-      { _id: req.agent._id },
-      { $inc: { klikBalance: -tipAmount } }
-    );
-
-    // 2. Credit post author (agent gets 80%)
-    await req.db.collection('Agent').updateOne(
-      { _id: post.authorId },
-      {
-        $inc: {
-          klikBalance: agentShare,
-          totalEarned: agentShare,
-          ownerEarnings: ownerShare
-        }
-      }
-    );
-
-    // 3. Update post tip amount
-    await req.db.collection('Post').updateOne(
-      { _id: post._id },
-      { $inc: { tipAmount: tipAmount } }
-    );
+    // Only agent posts carry a wallet to tip
+    if (post.authorType === 'USER') {
+      return res.status(400).json({ error: 'Can only tip agent posts' });
+    }
 
-    // 4. Record the transaction
-    await req.db.collection('Transaction').insertOne({
-      type: 'TIP',
-      fromAgentId: req.agent._id,
-      toAgentId: post.authorId,
-      postId: post._id,
-      amount: tipAmount,
-      agentShare,
-      ownerShare,
-      createdAt: new Date(),
+    // Calculate split: 80% to agent, 20% to owner
+    const agentShare = roundAmount(tipAmount * 0.8);
+    const ownerShare = roundAmount(tipAmount - agentShare);
+
+    // Debit tipper (only if the balance covers it), credit author and owner
+    // share, bump the post and record the transaction — all or nothing
+    const tipper = agentAccount(req.agent._id);
+    const outcome = await postLedgerTransaction(req.db, {
+      type: LEDGER_TYPES.TIP,
+      legs: [
+        { account: tipper, amount: -tipAmount },
+        { account: agentAccount(post.authorId), amount: agentShare },
+        { account: ownerEarningsAccount(post.authorId), amount: ownerShare },
+      ],
+      metadata: { postId: post._id },
+      withSession: async (session) => {
+        await req.db.collection('Agent').updateOne(
+          { _id: post.authorId },
+          { $inc: { totalEarned: agentShare } },
+          { session }
+        );
+        await req.db.collection('Post').updateOne(
+          { _id: post._id },
+          { $inc: { tipAmount: tipAmount } },
+          { session }
+        );
+        await req.db.collection('Transaction').insertOne({
+          type: 'TIP',
+          fromAgentId: req.agent._id,
+          toAgentId: post.authorId,
+          postId: post._id,
+          amount: tipAmount,
+          agentShare,
+          ownerShare,
+          createdAt: new Date(),
+        }, { session });
+      },
     });
+    queueHotScoreRefresh(req.db, post._id);
 
     res.json({
       success: true,
       amount: tipAmount,
-      new_balance: (req.agent.klikBalance || 0) - tipAmount,
+      new_balance: balanceAfter(outcome, tipper),
       recipient: post.authorId.toString(),
     });
 
   } catch (error) {
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(402).json({
+        error: 'Insufficient KLIK balance',
+        code: error.code,
+        balance: error.balance,
+        needed: error.needed
+      });
+    }
+    if (error.code === 'ACCOUNT_NOT_FOUND') {
+      return res.status(404).json({ error: 'Post author not found', code: error.code });
+    }
     console.error('Tip error:', error);
     res.status(500).json({ error: 'Tip failed' });
   }
@@ -2696,48 +2934,60 @@ router.get('/wallet/me', async (req, res) => {
     recent_transactions: transactions.map(t => ({
       type: t.type,
       amount: t.amount,
-      direction: t.fromAgentId.toString() === req.agent._id.toString() ? 'sent' : 'received',
-      counterparty: t.fromAgentId.toString() === req.agent._id.toString()
-        ? t.toAgentId.toString()
-        : t.fromAgentId.toString(),
+      direction: t.fromAgentId?.toString() === req.agent._id.toString() ? 'sent' : 'received',
+      counterparty: t.fromAgentId?.toString() === req.agent._id.toString()
+        ? t.toAgentId?.toString() || null
+        : t.fromAgentId?.toString() || null,
+      ...(t.type === 'WITHDRAWAL' && { status: t.status, tx_signature: t.txSignature || null }),
       created_at: t.createdAt,
     })),
   });
 });
 
+/**
+ * GET /api/v1/wallet/deposit-address
+ *
+ * Treasury address and this agent's memo reference for on-chain deposits
+ */
+router.get('/wallet/deposit-address', async (req, res) => {
+  try {
+    const treasuryOwner = getTreasuryOwner();
+    if (!treasuryOwner) {
+      return res.status(503).json({ error: 'Deposits are not configured', code: 'DEPOSITS_UNAVAILABLE' });
+    }
+
+    const memo = await getDepositReference(req.db, agentAccount(req.agent._id));
+    res.json(depositInstructions(treasuryOwner, memo));
+  } catch (error) {
+    console.error('Deposit address error:', error);
+    res.status(500).json({ error: 'Failed to get deposit address' });
+  }
+});
+
 /**
  * POST /api/v1/wallet/deposit
  *
- * Record a KLIK deposit (in production, triggered by webhook from Solflare/Web3Auth)
- * For now, admin-accessible endpoint for testing
+ * Claim an on-chain KLIK deposit by signature instead of waiting for the
+ * deposit watcher. The amount and recipient come from the verified
+ * transaction (mint, treasury balance change, memo), never from the body.
  */
-router.post('/wallet/deposit', async (req, res) => {
+router.post('/wallet/deposit', requireScope('wallet:transfer'), idempotency, async (req, res) => {
   try {
-    const { amount, tx_hash } = req.body;
-    const depositAmount = parseFloat(amount);
+    const { tx_hash } = req.body;
 
-    if (!depositAmount || depositAmount <= 0) {
-      return res.status(400).json({ error: 'Invalid deposit amount' });
+    if (!isValidSignature(tx_hash)) {
+      return res.status(400).json({ error: 'tx_hash required (Solana transaction signature)' });
     }
 
-    await req.db.collection('Agent').updateOne(
-      { _id: req.agent._id },
-      { $inc: { klikBalance: depositAmount } }
-    );
+    let watcher;
+    try {
+      watcher = getDepositWatcher(req.db);
+    } catch {
+      return res.status(503).json({ error: 'Deposits are not configured', code: 'DEPOSITS_UNAVAILABLE' });
+    }
 
-    await req.db.collection('Transaction').insertOne({
-      type: 'DEPOSIT',
-      toAgentId: req.agent._id,
-      amount: depositAmount,
-      txHash: tx_hash || null,
-      createdAt: new Date(),
-    });
-
-    res.json({
-      success: true,
-      deposited: depositAmount,
-      new_balance: (req.agent.klikBalance || 0) + depositAmount,
-    });
+    const result = await watcher.processSignature(tx_hash);
+    sendDepositResult(res, result, agentAccount(req.agent._id));
 
   } catch (error) {
     console.error('Deposit error:', error);
@@ -2748,9 +2998,10 @@ router.post('/wallet/deposit', async (req, res) => {
 /**
  * POST /api/v1/wallet/withdraw
  *
- * Request a KLIK withdrawal (admin approval required in production)
+ * Request a KLIK withdrawal. The balance is debited now; an admin approves
+ * (sends on-chain) or rejects (refunds) it from /api/v1/admin/withdrawals.
  */
-router.post('/wallet/withdraw', async (req, res) => {
+router.post('/wallet/withdraw', requireScope('wallet:transfer'), idempotency, async (req, res) => {
   try {
     const { amount, destination_wallet } = req.body;
     const withdrawAmount = parseFloat(amount);
@@ -2759,42 +3010,39 @@ router.post('/wallet/withdraw', async (req, res) => {
       return res.status(400).json({ error: 'Invalid withdrawal amount' });
     }
 
-    if ((req.agent.klikBalance || 0) < withdrawAmount) {
-      return res.status(402).json({
-        error: 'Insufficient balance',
-        balance: req.agent.klikBalance || 0
-      });
-    }
-
     if (!destination_wallet) {
       return res.status(400).json({ error: 'destination_wallet required (Solana address)' });
     }
 
-    // Debit immediately, create pending withdrawal
-    await req.db.collection('Agent').updateOne(
-      { _id: req.agent._id },
-      { $inc: { klikBalance: -withdrawAmount } }
-    );
+    if (!parseWalletAddress(destination_wallet)) {
+      return res.status(400).json({ error: 'Invalid Solana wallet address' });
+    }
 
-    const withdrawal = await req.db.collection('Transaction').insertOne({
-      type: 'WITHDRAWAL',
-      fromAgentId: req.agent._id,
+    // Debit immediately (conditional on balance), queue for admin review
+    const account = agentAccount(req.agent._id);
+    const outcome = await requestAgentWithdrawal(req.db, {
+      agentId: req.agent._id,
       amount: withdrawAmount,
       destinationWallet: destination_wallet,
-      status: 'PENDING', // Admin approves and sends SOL
-      createdAt: new Date(),
     });
 
     res.json({
       success: true,
-      withdrawal_id: withdrawal.insertedId.toString(),
+      withdrawal_id: outcome.result.insertedId.toString(),
       amount: withdrawAmount,
       status: 'PENDING',
-      new_balance: (req.agent.klikBalance || 0) - withdrawAmount,
+      new_balance: balanceAfter(outcome, account),
       message: 'Withdrawal request submitted. Funds will be sent to your wallet after approval.',
     });
 
   } catch (error) {
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(402).json({
+        error: 'Insufficient balance',
+        code: error.code,
+        balance: error.balance
+      });
+    }
     console.error('Withdraw error:', error);
     res.status(500).json({ error: 'Withdrawal failed' });
   }
@@ -2809,7 +3057,7 @@ router.post('/wallet/withdraw', async (req, res) => {
  *
  * Send a direct message to another agent (requires agent auth)
  */
-router.post('/:id/dm', async (req, res) => {
+router.post('/:id/dm', requireScope('dm'), agentRateLimit('dm'), async (req, res) => {
   try {
     if (!ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ error: 'Invalid agent ID' });
@@ -2873,9 +3121,10 @@ router.post('/:id/dm', async (req, res) => {
 /**
  * GET /api/v1/agents/:id/dm
  *
- * Get DM conversation with another agent (requires auth)
+ * Get DM conversation with another agent (requires auth).
+ * Each page is chronological; ?cursor=<next_cursor> loads older messages.
  */
-router.get('/:id/dm', async (req, res) => {
+router.get('/:id/dm', requireScope('dm'), async (req, res) => {
   try {
     if (!ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ error: 'Invalid agent ID' });
@@ -2883,19 +3132,21 @@ router.get('/:id/dm', async (req, res) => {
 
     const otherId = new ObjectId(req.params.id);
     const myId = req.agent._id;
+    const limit = parseLimit(req.query.limit, 50, 100);
+    const sortOrder = { createdAt: -1, _id: -1 };
+    const position = decodeCursor(req.query.cursor, 'dm');
+    const match = {
+      $or: [
+        { senderId: myId, receiverId: otherId },
+        { senderId: otherId, receiverId: myId }
+      ]
+    };
 
-    // Get messages between these two agents
-    const messages = await req.db.collection('AgentMessage').aggregate([
-      {
-        $match: {
-          $or: [
-            { senderId: myId, receiverId: otherId },
-            { senderId: otherId, receiverId: myId }
-          ]
-        }
-      },
-      { $sort: { createdAt: -1 } },
-      { $limit: 50 },
+    // Get messages between these two agents, newest first
+    const rows = await req.db.collection('AgentMessage').aggregate([
+      { $match: position ? { $and: [match, buildCursorFilter(sortOrder, position)] } : match },
+      { $sort: sortOrder },
+      { $limit: limit + 1 },
       {
         $lookup: {
           from: 'Agent',
@@ -2907,6 +3158,8 @@ router.get('/:id/dm', async (req, res) => {
       { $unwind: { path: '$sender', preserveNullAndEmptyArrays: true } }
     ]).toArray();
 
+    const { items: messages, nextCursor } = paginate(rows, limit, sortOrder, 'dm');
+
     // Mark messages as read
     await req.db.collection('AgentMessage').updateMany(
       { senderId: otherId, receiverId: myId, isRead: false },
@@ -2918,7 +3171,7 @@ router.get('/:id/dm', async (req, res) => {
         const senderAvatar = m.sender?.avatar;
         let sAvatar = senderAvatar;
         let sAvatarUrl = null;
-        if (senderAvatar && (senderAvatar.startsWith('data:') || senderAvatar.startsWith('http'))) {
+        if (senderAvatar && (senderAvatar.startsWith('data:') || senderAvatar.startsWith('http') || isMediaUrl(senderAvatar))) {
           sAvatarUrl = senderAvatar.startsWith('data:')
             ? `/api/v1/agents/${encodeURIComponent(m.sender?.name || 'unknown')}/avatar`
             : senderAvatar;
@@ -2937,9 +3190,13 @@ router.get('/:id/dm', async (req, res) => {
           created_at: m.createdAt,
         };
       }),
+      next_cursor: nextCursor,
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     console.error('DM fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch DMs' });
   }
@@ -2948,14 +3205,18 @@ router.get('/:id/dm', async (req, res) => {
 /**
  * GET /api/v1/dm/inbox
  *
- * Get all DM conversations (inbox) for the authenticated agent
+ * Get all DM conversations (inbox) for the authenticated agent,
+ * most recently active first. Paginate with ?cursor=<next_cursor>.
  */
-router.get('/dm/inbox', async (req, res) => {
+router.get('/dm/inbox', requireScope('dm'), async (req, res) => {
   try {
     const myId = req.agent._id;
+    const limit = parseLimit(req.query.limit, 50, 100);
+    const sortOrder = { 'lastMessage.createdAt': -1, _id: -1 };
+    const position = decodeCursor(req.query.cursor, 'dm:inbox');
 
     // Get all agents this agent has DM'd with, with latest message
-    const conversations = await req.db.collection('AgentMessage').aggregate([
+    const rows = await req.db.collection('AgentMessage').aggregate([
       {
         $match: {
           $or: [
@@ -3003,16 +3264,19 @@ router.get('/dm/inbox', async (req, res) => {
         }
       },
       { $unwind: '$agent' },
-      { $sort: { 'lastMessage.createdAt': -1 } },
-      { $limit: 50 }
+      ...(position ? [{ $match: buildCursorFilter(sortOrder, position) }] : []),
+      { $sort: sortOrder },
+      { $limit: limit + 1 }
     ]).toArray();
 
+    const { items: conversations, nextCursor } = paginate(rows, limit, sortOrder, 'dm:inbox');
+
     res.json({
       conversations: conversations.map(c => {
         const agAvatar = c.agent.avatar;
         let agAvatarClean = agAvatar || '🤖';
         let agAvatarUrl = null;
-        if (agAvatar && (agAvatar.startsWith('data:') || agAvatar.startsWith('http'))) {
+        if (agAvatar && (agAvatar.startsWith('data:') || agAvatar.startsWith('http') || isMediaUrl(agAvatar))) {
           agAvatarUrl = agAvatar.startsWith('data:')
             ? `/api/v1/agents/${encodeURIComponent(c.agent.name)}/avatar`
             : agAvatar;
@@ -3034,9 +3298,13 @@ router.get('/dm/inbox', async (req, res) => {
           unread_count: c.unreadCount,
         };
       }),
+      next_cursor: nextCursor,
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
     console.error('Inbox error:', error);
     res.status(500).json({ error: 'Failed to fetch inbox' });
   }
@@ -3047,13 +3315,9 @@ router.get('/dm/inbox', async (req, res) => {
  *
  * Generate a unique background image for agent profile
  */
-router.post('/:id/generate-background', async (req, res) => {
+ownerRouter.post('/:id/generate-background', verifyPrincipal, requireScope('dashboard:admin'), requireAgentRole('editor'), async (req, res) => {
   try {
-    if (!ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid agent ID' });
-    }
-
-    const agentId = new ObjectId(req.params.id);
+    const agentId = req.targetAgent._id;
 
     // Queue background generation
     await req.db.collection('AgentDirective').insertOne({
@@ -3133,18 +3397,14 @@ const VISUAL_PRESETS = {
  * Owner submits content ideas for their agent
  * Agent will see these in their next decision cycle
  */
-router.post('/:id/owner/ideas', async (req, res) => {
+ownerRouter.post('/:id/owner/ideas', verifyPrincipal, requireScope('dashboard:admin'), requireAgentRole('collaborator'), async (req, res) => {
   try {
-    if (!ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid agent ID' });
-    }
-
     const { idea } = req.body;
     if (!idea || idea.trim().length === 0) {
       return res.status(400).json({ error: 'Idea content is required' });
     }
 
-    const agentId = new ObjectId(req.params.id);
+    const agentId = req.targetAgent._id;
 
     // Add idea to agent's pending ideas list
     const result = await req.db.collection('AgentMemory').updateOne(
@@ -3178,14 +3438,10 @@ router.post('/:id/owner/ideas', async (req, res) => {
  *
  * Owner retrieves questions their agent has asked them
  */
-router.get('/:id/owner/questions', async (req, res) => {
+ownerRouter.get('/:id/owner/questions', verifyPrincipal, requireScope('dashboard:admin'), requireAgentRole('collaborator'), async (req, res) => {
   try {
-    if (!ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid agent ID' });
-    }
-
     const memory = await req.db.collection('AgentMemory').findOne({
-      agentId: new ObjectId(req.params.id)
+      agentId: req.targetAgent._id
     });
 
     if (!memory) {
@@ -3216,18 +3472,14 @@ router.get('/:id/owner/questions', async (req, res) => {
  *
  * Owner answers a question from their agent
  */
-router.post('/:id/owner/answer', async (req, res) => {
+ownerRouter.post('/:id/owner/answer', verifyPrincipal, requireScope('dashboard:admin'), requireAgentRole('collaborator'), async (req, res) => {
   try {
-    if (!ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid agent ID' });
-    }
-
     const { question_index, answer } = req.body;
     if (question_index === undefined || !answer) {
       return res.status(400).json({ error: 'question_index and answer are required' });
     }
 
-    const agentId = new ObjectId(req.params.id);
+    const agentId = req.targetAgent._id;
 
     await req.db.collection('AgentMemory').updateOne(
       { agentId },
@@ -3256,14 +3508,10 @@ router.post('/:id/owner/answer', async (req, res) => {
  *
  * Owner defines their style preferences for agent to mimic
  */
-router.put('/:id/owner/style', async (req, res) => {
+ownerRouter.put('/:id/owner/style', verifyPrincipal, requireScope('dashboard:admin'), requireAgentRole('editor'), async (req, res) => {
   try {
-    if (!ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid agent ID' });
-    }
-
     const { voice_examples, visual_preferences, topic_preferences } = req.body;
-    const agentId = new ObjectId(req.params.id);
+    const agentId = req.targetAgent._id;
 
     await req.db.collection('AgentMemory').updateOne(
       { agentId },
@@ -3296,14 +3544,10 @@ router.put('/:id/owner/style', async (req, res) => {
  *
  * Update agent's visual identity for photorealistic content
  */
-router.put('/:id/visual-identity', async (req, res) => {
+ownerRouter.put('/:id/visual-identity', verifyPrincipal, requireScope('dashboard:admin'), requireAgentRole('editor'), async (req, res) => {
   try {
-    if (!ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid agent ID' });
-    }
-
     const { preset, custom } = req.body;
-    const agentId = new ObjectId(req.params.id);
+    const agentId = req.targetAgent._id;
 
     let visualIdentity;
     if (preset && VISUAL_PRESETS[preset]) {
@@ -3362,12 +3606,8 @@ router.put('/:id/visual-identity', async (req, res) => {
  *
  * Update agent's TikTok-style content strategy
  */
-router.put('/:id/content-strategy', async (req, res) => {
+ownerRouter.put('/:id/content-strategy', verifyPrincipal, requireScope('dashboard:admin'), requireAgentRole('editor'), async (req, res) => {
   try {
-    if (!ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid agent ID' });
-    }
-
     const {
       content_types,    // ["dance", "fitness", "lifestyle", "reaction", "news"]
       viral_hooks,      // ["hot-take", "pov", "relatable"]
@@ -3376,7 +3616,7 @@ router.put('/:id/content-strategy', async (req, res) => {
       posting_style,    // "reactive" or "original"
     } = req.body;
 
-    const agentId = new ObjectId(req.params.id);
+    const agentId = req.targetAgent._id;
 
     const contentStrategy = {
       contentTypes: content_types || ['lifestyle', 'reaction'],
@@ -3415,13 +3655,9 @@ router.put('/:id/content-strategy', async (req, res) => {
  * Request avatar generation for an agent
  * Avatar will be generated asynchronously
  */
-router.post('/:id/generate-avatar', async (req, res) => {
+ownerRouter.post('/:id/generate-avatar', verifyPrincipal, requireScope('dashboard:admin'), requireAgentRole('editor'), async (req, res) => {
   try {
-    if (!ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid agent ID' });
-    }
-
-    const agentId = new ObjectId(req.params.id);
+    const agentId = req.targetAgent._id;
 
     // Queue avatar generation (in production, this would be an async job)
     await req.db.collection('AgentDirective').insertOne({
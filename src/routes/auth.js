@@ -3,53 +3,30 @@
  *
  * Web3Auth handles authentication (social login, email, wallets).
  * This API verifies Web3Auth JWTs and syncs user data with MongoDB.
+ * Wallets can also sign in directly with Sign-In With Solana, which
+ * starts a KLIK session (refresh and logout below).
  */
 
 import { Router } from 'express';
 import jwt from 'jsonwebtoken';
-import jwksClient from 'jwks-rsa';
 import rateLimit from 'express-rate-limit';
+import { WALLET_COOLDOWN_HOURS } from '../services/withdrawalRisk.js';
+import { verifyUserJWT } from '../middleware/userAuth.js';
+import {
+  verifyAccessToken,
+  web3authIssuer,
+  issueSession,
+  sessionsEnabled,
+  refreshSession,
+  revokeToken,
+  revokeAllUserTokens,
+} from '../services/sessionTokens.js';
+import { createSiwsChallenge, verifySiwsSignIn } from '../services/siws.js';
+import { isValidSolanaAddress } from '../utils/solanaSignature.js';
 
 const router = Router();
 
-// Web3Auth JWKS client for token verification
 const WEB3AUTH_CLIENT_ID = process.env.WEB3AUTH_CLIENT_ID;
-const client = jwksClient({
-  jwksUri: 'https://api-auth.web3auth.io/jwks',
-  cache: true,
-  cacheMaxAge: 86400000, // 24 hours
-});
-
-// Get signing key from JWKS
-function getKey(header, callback) {
-  client.getSigningKey(header.kid, (err, key) => {
-    if (err) {
-      callback(err);
-      return;
-    }
-    const signingKey = key.publicKey || key.rsaPublicKey;
-    callback(null, signingKey);
-  });
-}
-
-// Verify Web3Auth JWT token
-async function verifyWeb3AuthToken(token) {
-  return new Promise((resolve, reject) => {
-    jwt.verify(
-      token,
-      getKey,
-      {
-        algorithms: ['RS256'],
-        issuer: 'https://api-auth.web3auth.io',
-        audience: WEB3AUTH_CLIENT_ID,
-      },
-      (err, decoded) => {
-        if (err) reject(err);
-        else resolve(decoded);
-      }
-    );
-  });
-}
 
 // ===========================================
 // RATE LIMITERS
@@ -61,6 +38,24 @@ const syncLimiter = rateLimit({
   message: { error: 'Too many requests. Try again later.' }
 });
 
+const siwsNonceLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 20,
+  message: { error: 'Too many nonce requests. Please wait 5 minutes.', code: 'RATE_LIMIT_NONCE' }
+});
+
+const siwsVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: { error: 'Too many sign-in attempts. Please wait 15 minutes.', code: 'RATE_LIMIT_VERIFY' }
+});
+
+const refreshLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: { error: 'Too many requests. Try again later.' }
+});
+
 // ===========================================
 // MIDDLEWARE
 // ===========================================
@@ -81,15 +76,17 @@ async function verifyWeb3AuthMiddleware(req, res, next) {
 
     const token = authHeader.substring(7);
 
-    // Verify token with Web3Auth JWKS
-    const decoded = await verifyWeb3AuthToken(token);
+    // Verify token with Web3Auth JWKS; the user may not exist yet (signup)
+    const { user, issuer, claims, tokenId } = await verifyAccessToken(token, {
+      db: req.db,
+      redis: req.redis,
+      issuers: [web3authIssuer],
+    });
 
     // Attach Web3Auth user info to request
-    req.web3authUserId = decoded.verifierId || decoded.email;
-    req.web3authUser = decoded;
-
-    // Fetch user from MongoDB
-    const user = await req.db.collection('User').findOne({ web3authId: req.web3authUserId });
+    req.web3authUserId = claims.verifierId || claims.email;
+    req.web3authUser = claims;
+    req.auth = { issuer, claims, tokenId };
     if (user) {
       req.user = user;
     }
@@ -158,6 +155,10 @@ router.post('/web3auth-sync', syncLimiter, verifyWeb3AuthMiddleware, async (req,
         });
         if (!existingWallet) {
           updates.walletAddress = walletAddress;
+          // Replacing a wallet starts the withdrawal cooldown
+          if (user.walletAddress) {
+            updates.walletLinkedAt = now;
+          }
         }
       }
 
@@ -298,6 +299,8 @@ router.get('/me', verifyWeb3AuthMiddleware, async (req, res) => {
         klikBalanceUsd: null,
         totalEarned: req.user.totalEarned || 0,
         todayEarned: req.user.todayEarned || 0,
+        followerCount: req.user.followerCount || 0,
+        followingCount: req.user.followingCount || 0,
         agents: agents.map(a => ({
           _id: a._id.toString(),
           name: a.name,
@@ -376,12 +379,25 @@ router.post('/link-wallet', verifyWeb3AuthMiddleware, async (req, res) => {
       return res.status(409).json({ error: 'Wallet already linked to another account' });
     }
 
+    const updates = { walletAddress, updatedAt: new Date() };
+
+    // A new withdrawal address starts the withdrawal cooldown
+    if (walletAddress !== req.user.walletAddress) {
+      updates.walletLinkedAt = updates.updatedAt;
+    }
+
     await req.db.collection('User').updateOne(
       { _id: req.user._id },
-      { $set: { walletAddress, updatedAt: new Date() } }
+      { $set: updates }
     );
 
-    res.json({ success: true, walletAddress });
+    res.json({
+      success: true,
+      walletAddress,
+      withdrawalsAvailableAt: updates.walletLinkedAt
+        ? new Date(updates.walletLinkedAt.getTime() + WALLET_COOLDOWN_HOURS * 60 * 60 * 1000)
+        : null
+    });
   } catch (err) {
     console.error('Link wallet error:', err);
     res.status(500).json({ error: 'Failed to link wallet' });
@@ -429,6 +445,139 @@ router.delete('/me', verifyWeb3AuthMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/v1/auth/siws/nonce
+ * Start a Sign-In With Solana login: returns the message the wallet signs
+ *
+ * Body: { wallet }
+ */
+router.post('/siws/nonce', siwsNonceLimiter, async (req, res) => {
+  try {
+    const { wallet } = req.body || {};
+    if (!wallet) {
+      return res.status(400).json({ error: 'Missing required field: wallet', code: 'MISSING_FIELDS' });
+    }
+    if (!isValidSolanaAddress(wallet)) {
+      return res.status(400).json({ error: 'Invalid Solana wallet address', code: 'INVALID_WALLET' });
+    }
+
+    const challenge = await createSiwsChallenge(req.redis, wallet);
+    res.json(challenge);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error('SIWS nonce error:', err);
+    res.status(500).json({ error: 'Failed to generate sign-in nonce' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/siws/verify
+ * Verify the signed message, find or create the wallet's user and start a
+ * session
+ *
+ * Body: { wallet, nonce, signature }
+ */
+router.post('/siws/verify', siwsVerifyLimiter, async (req, res) => {
+  try {
+    // Check before the nonce is used up
+    if (!sessionsEnabled()) {
+      return res.status(503).json({ error: 'Sessions are not configured', code: 'SESSIONS_UNAVAILABLE' });
+    }
+
+    const { wallet, nonce, signature } = req.body || {};
+    if (!wallet || !nonce || !signature) {
+      return res.status(400).json({
+        error: 'Missing required fields: wallet, nonce, signature',
+        code: 'MISSING_FIELDS',
+      });
+    }
+    if (!isValidSolanaAddress(wallet)) {
+      return res.status(400).json({ error: 'Invalid Solana wallet address', code: 'INVALID_WALLET' });
+    }
+
+    const { user, isNewUser } = await verifySiwsSignIn(req.db, req.redis, { wallet, nonce, signature });
+    const session = await issueSession(req.redis, user, { authMethod: 'siws' });
+
+    res.json({
+      user: {
+        id: user._id.toString(),
+        walletAddress: user.walletAddress,
+        name: user.name,
+        avatarUrl: user.avatarUrl,
+        subscriptionStatus: user.subscriptionStatus,
+        subscriptionTier: user.subscriptionTier,
+        isNewUser,
+      },
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error('SIWS verify error:', err);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/refresh
+ * Exchange a KLIK refresh token for a new access token. The refresh token
+ * is rotated: use the new one next time.
+ *
+ * Body: { refresh_token }
+ */
+router.post('/refresh', refreshLimiter, async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {};
+    if (!refresh_token || typeof refresh_token !== 'string') {
+      return res.status(400).json({ error: 'refresh_token is required' });
+    }
+
+    const session = await refreshSession(req.db, req.redis, refresh_token);
+
+    res.json({
+      access_token: session.accessToken,
+      refresh_token: session.refreshToken,
+      token_type: 'Bearer',
+      expires_in: session.expiresIn,
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    console.error('Token refresh error:', err);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+/**
+ * POST /api/v1/auth/logout
+ * Revoke the current token (and its session), or with { all: true } every
+ * token and session of the user
+ */
+router.post('/logout', verifyUserJWT, async (req, res) => {
+  try {
+    const all = req.body?.all === true;
+    const revoked = all
+      ? await revokeAllUserTokens(req.redis, req.user._id)
+      : await revokeToken(req.redis, req.auth);
+
+    if (!revoked) {
+      return res.status(503).json({ error: 'Revocation unavailable', code: 'REVOCATION_UNAVAILABLE' });
+    }
+
+    res.clearCookie('klik_access_token', { path: '/' });
+    res.json({ success: true, all });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
 /**
  * GET /api/v1/auth/health
  *
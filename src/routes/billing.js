@@ -1,45 +1,30 @@
 /**
  * Billing API Routes
  *
- * Stripe subscription management including checkout, portal, and webhooks.
+ * Stripe subscription management including checkout, trials, tier
+ * changes with proration, portal, and webhooks. Subscription state and
+ * agent pausing live in services/subscriptions.js; webhook events are
+ * stored and handled by services/stripeEvents.js.
  */
 
 import { Router } from 'express';
-import Stripe from 'stripe';
 import { ObjectId } from 'mongodb';
-import { verifyUserJWT } from '../middleware/userAuth.js';
+import { verifyUserJWT, TIER_LIMITS } from '../middleware/userAuth.js';
+import {
+  PRICE_MAP,
+  TRIAL_DAYS,
+  agentLimit,
+  planAgentPauses,
+  enforceAgentLimit,
+  syncSubscription,
+  subscriptionTier,
+  subscriptionPeriodEnd,
+} from '../services/subscriptions.js';
+import { stripe } from '../services/stripeClient.js';
+import { recordStripeEvent, processStripeEvent } from '../services/stripeEvents.js';
 
 const router = Router();
 
-// Initialize Stripe
-const stripe = process.env.STRIPE_SECRET_KEY
-  ? new Stripe(process.env.STRIPE_SECRET_KEY)
-  : null;
-
-// Subscription tier limits
-const TIER_LIMITS = {
-  free: 0,
-  starter: 1,
-  pro: 3,
-  unlimited: 10
-};
-
-// Price IDs from Stripe Dashboard (env vars)
-const PRICE_MAP = {
-  starter: {
-    month: process.env.STRIPE_STARTER_MONTHLY_PRICE_ID,
-    year: process.env.STRIPE_STARTER_ANNUAL_PRICE_ID
-  },
-  pro: {
-    month: process.env.STRIPE_PRO_MONTHLY_PRICE_ID,
-    year: process.env.STRIPE_PRO_ANNUAL_PRICE_ID
-  },
-  unlimited: {
-    month: process.env.STRIPE_UNLIMITED_MONTHLY_PRICE_ID,
-    year: process.env.STRIPE_UNLIMITED_ANNUAL_PRICE_ID
-  }
-};
-
 /**
  * POST /api/v1/billing/create-checkout-session
  * Create Stripe Checkout session for subscription
@@ -75,6 +60,9 @@ router.post('/create-checkout-session', verifyUserJWT, async (req, res) => {
       );
     }
 
+    // One trial per user, on their first subscription
+    const trialDays = TRIAL_DAYS > 0 && !req.user.trialUsedAt && !req.user.subscriptionId ? TRIAL_DAYS : 0;
+
     const session = await stripe.checkout.sessions.create({
       customer: customerId,
       mode: 'subscription',
@@ -82,10 +70,13 @@ router.post('/create-checkout-session', verifyUserJWT, async (req, res) => {
       success_url: `${process.env.FRONTEND_URL || 'https://klik.cool'}/dashboard?subscription=success`,
       cancel_url: `${process.env.FRONTEND_URL || 'https://klik.cool'}/pricing?subscription=canceled`,
       metadata: { userId: req.user._id.toString(), tier },
-      subscription_data: { metadata: { userId: req.user._id.toString(), tier } }
+      subscription_data: {
+        metadata: { userId: req.user._id.toString(), tier },
+        ...(trialDays ? { trial_period_days: trialDays } : {})
+      }
     });
 
-    res.json({ sessionId: session.id, url: session.url });
+    res.json({ sessionId: session.id, url: session.url, trialDays });
   } catch (err) {
     console.error('Checkout error:', err);
     res.status(500).json({ error: 'Failed to create checkout session' });
@@ -128,11 +119,13 @@ router.get('/subscription', verifyUserJWT, async (req, res) => {
       status: req.user.subscriptionStatus || 'inactive',
       tier: req.user.subscriptionTier || 'free',
       endDate: req.user.subscriptionEndDate,
-      agentLimit: TIER_LIMITS[req.user.subscriptionTier] || 0
+      trialEndsAt: req.user.subscriptionStatus === 'trialing' ? req.user.trialEndsAt || null : null,
+      graceEndsAt: req.user.subscriptionStatus === 'past_due' ? req.user.subscriptionGraceEndsAt || null : null,
+      agentLimit: agentLimit(req.user)
     };
 
     // Get payment method info from Stripe
-    if (stripe && req.user.stripeCustomerId && req.user.subscriptionStatus === 'active') {
+    if (stripe && req.user.stripeCustomerId && ['active', 'trialing', 'past_due'].includes(req.user.subscriptionStatus)) {
       try {
         const customer = await stripe.customers.retrieve(req.user.stripeCustomerId, {
           expand: ['subscriptions.data', 'invoice_settings.default_payment_method']
@@ -144,7 +137,7 @@ router.get('/subscription', verifyUserJWT, async (req, res) => {
         const activeSub = customer.subscriptions?.data?.[0];
         if (activeSub) {
           sub.cancelAtPeriodEnd = activeSub.cancel_at_period_end;
-          sub.currentPeriodEnd = new Date(activeSub.current_period_end * 1000);
+          sub.currentPeriodEnd = subscriptionPeriodEnd(activeSub);
         }
       } catch (stripeErr) {
         console.error('Stripe fetch error:', stripeErr.message);
@@ -158,6 +151,177 @@ router.get('/subscription', verifyUserJWT, async (req, res) => {
   }
 });
 
+// ============================================
+// TIER CHANGES
+// ============================================
+
+function billingError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/**
+ * Resolve a requested tier change against the user's Stripe subscription.
+ *
+ * Upgrades (and interval changes) are invoiced immediately for the
+ * prorated difference; downgrades credit the difference to the next
+ * invoice. Nothing is prorated during a trial.
+ */
+async function resolveTierChange(req) {
+  if (!stripe) {
+    throw billingError('Billing service not configured', 'BILLING_NOT_CONFIGURED', 500);
+  }
+
+  const { tier, interval } = req.body;
+  const priceId = PRICE_MAP[tier]?.[interval];
+  if (!priceId) {
+    throw billingError('Invalid tier or interval', 'INVALID_TIER', 400);
+  }
+  if (!req.user.subscriptionId || !['active', 'trialing'].includes(req.user.subscriptionStatus)) {
+    throw billingError(
+      req.user.subscriptionStatus === 'past_due'
+        ? 'Update your payment method before changing plans'
+        : 'No active subscription to change',
+      'NO_ACTIVE_SUBSCRIPTION',
+      409
+    );
+  }
+
+  const subscription = await stripe.subscriptions.retrieve(req.user.subscriptionId);
+  const item = subscription.items.data[0];
+  if (item.price.id === priceId) {
+    throw billingError('Already on this plan', 'SAME_PLAN', 400);
+  }
+
+  const currentTier = subscriptionTier(subscription);
+  const direction = TIER_LIMITS[tier] < TIER_LIMITS[currentTier] ? 'downgrade'
+    : TIER_LIMITS[tier] > TIER_LIMITS[currentTier] ? 'upgrade'
+    : 'interval';
+
+  let prorationBehavior = direction === 'downgrade' ? 'create_prorations' : 'always_invoice';
+  if (subscription.status === 'trialing') prorationBehavior = 'none';
+
+  // The caller passes back the preview's proration date so the charge matches it
+  const prorationDate = parseInt(req.body.proration_date) || Math.floor(Date.now() / 1000);
+
+  return { subscription, item, tier, interval, priceId, currentTier, direction, prorationBehavior, prorationDate };
+}
+
+async function agentsOverLimit(req, tier, keepIds) {
+  const agents = await req.db.collection('Agent')
+    .find(
+      { userId: req.user._id, status: 'ACTIVE' },
+      { projection: { name: 1, lastActiveAt: 1, createdAt: 1 } }
+    )
+    .toArray();
+  return planAgentPauses(agents, agentLimit(req.user, tier), keepIds).pause;
+}
+
+function parseKeepIds(value) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || !value.every(id => ObjectId.isValid(id))) {
+    throw billingError('keep_agent_ids must be an array of agent IDs', 'INVALID_KEEP_AGENT_IDS', 400);
+  }
+  return value.map(String);
+}
+
+function sendBillingError(res, err, label) {
+  if (err.status && err.code) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+  if (err.type === 'StripeCardError') {
+    return res.status(402).json({ error: err.message, code: 'PAYMENT_FAILED' });
+  }
+  console.error(`${label} error:`, err);
+  res.status(500).json({ error: `Failed to ${label.toLowerCase()}` });
+}
+
+/**
+ * POST /api/v1/billing/change-tier/preview
+ * Body: { tier, interval, keep_agent_ids? }
+ *
+ * Prorated cost of switching plans now, and which agents a downgrade would
+ * pause. Pass prorationDate back to /change-tier to be charged the same.
+ */
+router.post('/change-tier/preview', verifyUserJWT, async (req, res) => {
+  try {
+    const keepIds = parseKeepIds(req.body.keep_agent_ids);
+    const change = await resolveTierChange(req);
+
+    const preview = await stripe.invoices.createPreview({
+      customer: change.subscription.customer,
+      subscription: change.subscription.id,
+      subscription_details: {
+        items: [{ id: change.item.id, price: change.priceId }],
+        proration_behavior: change.prorationBehavior,
+        proration_date: change.prorationDate
+      }
+    });
+
+    const isProration = (line) => line.proration ?? line.parent?.subscription_item_details?.proration ?? false;
+    const toPause = await agentsOverLimit(req, change.tier, keepIds);
+
+    res.json({
+      tier: change.tier,
+      interval: change.interval,
+      currentTier: change.currentTier,
+      direction: change.direction,
+      prorationDate: change.prorationDate,
+      currency: preview.currency,
+      prorationAmount: preview.lines.data.filter(isProration).reduce((sum, line) => sum + line.amount, 0),
+      amountDue: preview.amount_due,
+      // Upgrades are charged now; otherwise this is the next invoice
+      chargedNow: change.prorationBehavior === 'always_invoice',
+      nextPaymentAt: preview.next_payment_attempt ? new Date(preview.next_payment_attempt * 1000) : null,
+      agentLimit: agentLimit(req.user, change.tier),
+      agentsToPause: toPause.map(a => ({ id: a._id.toString(), name: a.name }))
+    });
+  } catch (err) {
+    sendBillingError(res, err, 'Preview tier change');
+  }
+});
+
+/**
+ * POST /api/v1/billing/change-tier
+ * Body: { tier, interval, proration_date?, keep_agent_ids? }
+ *
+ * Switch plans mid-cycle. Upgrades are charged immediately (402 if the
+ * payment fails, with the plan unchanged); downgrades pause the agents
+ * over the new limit, keeping keep_agent_ids first.
+ */
+router.post('/change-tier', verifyUserJWT, async (req, res) => {
+  try {
+    const keepIds = parseKeepIds(req.body.keep_agent_ids);
+    const change = await resolveTierChange(req);
+
+    const updated = await stripe.subscriptions.update(change.subscription.id, {
+      items: [{ id: change.item.id, price: change.priceId }],
+      proration_behavior: change.prorationBehavior,
+      proration_date: change.prorationDate,
+      metadata: { ...change.subscription.metadata, tier: change.tier },
+      ...(change.prorationBehavior === 'always_invoice' ? { payment_behavior: 'error_if_incomplete' } : {})
+    });
+
+    const paused = await enforceAgentLimit(req.db, req.user, change.tier, { keepAgentIds: keepIds, io: req.io });
+    const synced = await syncSubscription(req.db, req.user._id, updated, { io: req.io });
+
+    console.log(`Subscription ${change.direction}: user=${req.user._id}, ${change.currentTier} -> ${change.tier}`);
+    res.json({
+      success: true,
+      tier: synced.entitledTier,
+      status: synced.status,
+      direction: change.direction,
+      agentLimit: agentLimit(req.user, synced.entitledTier),
+      pausedAgents: paused.map(a => ({ id: a._id.toString(), name: a.name })),
+      resumedAgents: synced.resumed
+    });
+  } catch (err) {
+    sendBillingError(res, err, 'Change tier');
+  }
+});
+
 /**
  * POST /api/v1/billing/webhook
  * Stripe webhook handler
@@ -184,102 +348,28 @@ router.post('/webhook', async (req, res) => {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  const db = req.db;
-
+  // Store first so the event survives handler failures; redeliveries are deduplicated
+  let stored;
   try {
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        const userId = session.metadata?.userId;
-        const tier = session.metadata?.tier;
-        if (userId && tier) {
-          const subscription = await stripe.subscriptions.retrieve(session.subscription);
-          await db.collection('User').updateOne(
-            { _id: new ObjectId(userId) },
-            {
-              $set: {
-                subscriptionId: session.subscription,
-                subscriptionStatus: 'active',
-                subscriptionTier: tier,
-                subscriptionEndDate: new Date(subscription.current_period_end * 1000),
-                updatedAt: new Date()
-              }
-            }
-          );
-          console.log(`Subscription activated: user=${userId}, tier=${tier}`);
-        }
-        break;
-      }
-
-      case 'customer.subscription.updated': {
-        const subscription = event.data.object;
-        const userId = subscription.metadata?.userId;
-        if (userId) {
-          const tier = subscription.metadata?.tier || 'free';
-          await db.collection('User').updateOne(
-            { _id: new ObjectId(userId) },
-            {
-              $set: {
-                subscriptionStatus: subscription.status,
-                subscriptionTier: subscription.status === 'active' ? tier : 'free',
-                subscriptionEndDate: new Date(subscription.current_period_end * 1000),
-                updatedAt: new Date()
-              }
-            }
-          );
-          console.log(`Subscription updated: user=${userId}, status=${subscription.status}`);
-        }
-        break;
-      }
-
-      case 'customer.subscription.deleted': {
-        const subscription = event.data.object;
-        const userId = subscription.metadata?.userId;
-        if (userId) {
-          await db.collection('User').updateOne(
-            { _id: new ObjectId(userId) },
-            {
-              $set: {
-                subscriptionStatus: 'canceled',
-                subscriptionTier: 'free',
-                updatedAt: new Date()
-              }
-            }
-          );
-          // Pause all user's agents
-          await db.collection('Agent').updateMany(
-            { userId: new ObjectId(userId), status: 'ACTIVE' },
-            { $set: { status: 'PAUSED', updatedAt: new Date() } }
-          );
-          console.log(`Subscription canceled: user=${userId}, agents paused`);
-        }
-        break;
-      }
+    stored = await recordStripeEvent(req.db, event);
+  } catch (err) {
+    console.error(`Failed to store webhook event ${event.id}:`, err);
+    // Not stored: have Stripe redeliver it
+    return res.status(500).json({ error: 'Failed to store event' });
+  }
 
-      case 'invoice.payment_failed': {
-        const invoice = event.data.object;
-        const customerId = invoice.customer;
-        const user = await db.collection('User').findOne({ stripeCustomerId: customerId });
-        if (user) {
-          await db.collection('User').updateOne(
-            { _id: user._id },
-            { $set: { subscriptionStatus: 'past_due', updatedAt: new Date() } }
-          );
-          console.log(`Payment failed: user=${user._id}`);
-          // TODO: Send warning email
-        }
-        break;
-      }
+  if (stored.duplicate) {
+    return res.json({ received: true, duplicate: true, status: stored.event?.status });
+  }
 
-      default:
-        console.log(`Unhandled webhook event: ${event.type}`);
-    }
+  // Failures are retried by the Stripe event worker (crons/stripeEventRetry.js)
+  let status = stored.event.status;
+  try {
+    status = await processStripeEvent(req.db, event.id, { stripe, io: req.io }) || status;
   } catch (err) {
-    console.error(`Webhook handler error for ${event.type}:`, err);
-    // Return 200 to acknowledge receipt - Stripe will retry on error
+    console.error(`Webhook processing error for ${event.type} (${event.id}):`, err);
   }
-
-  res.json({ received: true });
+  res.json({ received: true, status });
 });
 
 export default router;
@@ -10,7 +10,6 @@
 
 import { Router } from 'express';
 import crypto from 'crypto';
-import jwt from 'jsonwebtoken';
 import { ObjectId } from 'mongodb';
 import {
   verifySolanaSignature,
@@ -26,10 +25,11 @@ import {
   detectClaimAbuse,
   recordFailedClaimAttempt,
 } from '../middleware/claimRateLimit.js';
+import { settleAgentOwnerEarnings, SETTLEMENT_REASONS } from '../services/ownerEarnings.js';
+import { issueSession, sessionsEnabled } from '../services/sessionTokens.js';
 
 const router = Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || process.env.KLIK_JWT_SECRET || 'klik-openclaw-jwt-secret';
 const NONCE_TTL_SECONDS = 300;
 
 // ===========================================
@@ -279,6 +279,11 @@ router.post('/nonce', claimNonceRateLimit, detectClaimAbuse, async (req, res) =>
 
 router.post('/verify', claimVerifyRateLimit, detectClaimAbuse, async (req, res) => {
   try {
+    // Refuse before claiming if no session could be issued afterwards
+    if (!sessionsEnabled()) {
+      return res.status(503).json({ error: 'Sessions are not configured', code: 'SESSIONS_UNAVAILABLE' });
+    }
+
     const { wallet, agentId, signature, nonce } = req.body;
 
     if (!wallet || !agentId || !signature || !nonce) {
@@ -380,7 +385,7 @@ router.post('/verify', claimVerifyRateLimit, detectClaimAbuse, async (req, res)
       { returnDocument: 'after' }
     );
 
-    if (!claimResult || !claimResult.value) {
+    if (!claimResult) {
       // Agent was already claimed or state changed
       await redis.del(nonceKey);
       return res.status(409).json({
@@ -389,7 +394,7 @@ router.post('/verify', claimVerifyRateLimit, detectClaimAbuse, async (req, res)
       });
     }
 
-    const claimedAgent = claimResult.value;
+    const claimedAgent = claimResult;
 
     // Find or create user for this wallet
     let user = await db.collection('User').findOne({ walletAddress: wallet });
@@ -428,6 +433,14 @@ router.post('/verify', claimVerifyRateLimit, detectClaimAbuse, async (req, res)
       }
     );
 
+    // Earnings accrued while unclaimed belong to the claimer
+    try {
+      await settleAgentOwnerEarnings(db, claimedAgent._id, { reason: SETTLEMENT_REASONS.CLAIM });
+    } catch (err) {
+      // The scheduled sweep settles it later
+      console.error('Claim owner earnings settlement failed:', err.message);
+    }
+
     // Calculate founding rank (count of previously claimed agents + 1)
     const previousClaims = await db.collection('Agent').countDocuments({
       isWalletAgent: true,
@@ -463,16 +476,8 @@ router.post('/verify', claimVerifyRateLimit, detectClaimAbuse, async (req, res)
       timestamp: now,
     });
 
-    // Issue JWT
-    const authToken = jwt.sign(
-      {
-        userId: user._id.toString(),
-        walletAddress: wallet,
-        type: 'wallet_claim',
-      },
-      JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // Start a session (access token for verifyUserJWT + refresh token)
+    const session = await issueSession(redis, user, { authMethod: 'wallet_claim' });
 
     // Publish claim event via Redis
     if (redis.isReady) {
@@ -504,7 +509,9 @@ router.post('/verify', claimVerifyRateLimit, detectClaimAbuse, async (req, res)
         tier: user.subscriptionTier,
         isNewUser: !user.lastLoginAt || user.createdAt.getTime() === now.getTime(),
       },
-      authToken,
+      authToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       redirectTo: `/agent/${claimedAgent.name || claimedAgent._id.toString()}`,
     });
   } catch (err) {
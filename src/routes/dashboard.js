@@ -2,7 +2,8 @@
  * KLIK Agent Dashboard Routes
  *
  * Frontend-facing routes for agent owners to manage their agents.
- * Auth: Agent API key (same key returned at registration).
+ * Auth: Agent API key with the dashboard:admin scope (the key returned at
+ * registration has every scope).
  *
  * These routes handle:
  * - Agent dashboard stats (earnings, posts, engagement)
@@ -11,12 +12,17 @@
  * - Updating agent personality/schedule
  * - Deleting agents
  * - Provisioning agents on droplets (triggers runtime)
+ * - Managing the agent's API keys
  *
  * Flow: Frontend → Dashboard Routes → Internal Droplet Routes → FastAPI on Droplet
  */
 
 import express from 'express';
 import { ObjectId } from 'mongodb';
+import { sendEarningsAnalytics } from '../services/earningsAnalytics.js';
+import { authenticateApiKey } from '../services/agentApiKeys.js';
+import { setApiKeyAuth, requireScope } from '../middleware/principal.js';
+import agentApiKeyRoutes from './agentApiKeys.js';
 
 const router = express.Router();
 
@@ -24,9 +30,11 @@ const router = express.Router();
 // AUTH MIDDLEWARE
 // ============================================
 
+const requireDashboardScope = requireScope('dashboard:admin');
+
 /**
  * Verify agent API key and attach agent to request.
- * The owner authenticates with the API key they received at registration.
+ * The owner authenticates with an API key that has the dashboard:admin scope.
  */
 const verifyAgentOwner = async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -42,18 +50,18 @@ const verifyAgentOwner = async (req, res, next) => {
 
   try {
     // Look up agent by API key
-    const agent = await req.db.collection('Agent').findOne({ apiKey });
+    const result = await authenticateApiKey(req.db, apiKey);
 
-    if (!agent) {
+    if (!result) {
       return res.status(401).json({ error: 'Invalid API key' });
     }
 
-    if (agent.status === 'DELETED') {
+    if (result.agent.status === 'DELETED') {
       return res.status(410).json({ error: 'Agent has been deleted' });
     }
 
-    req.agent = agent;
-    next();
+    setApiKeyAuth(req, result);
+    requireDashboardScope(req, res, next);
   } catch (error) {
     console.error('Dashboard auth error:', error);
     res.status(500).json({ error: 'Authentication failed' });
@@ -393,6 +401,14 @@ router.post('/resume', verifyAgentOwner, async (req, res) => {
       return res.status(400).json({ error: 'Agent is already active' });
     }
 
+    // Paused for being over the owner's plan limit; resumes with an upgrade
+    if (req.agent.pausedReason === 'subscription') {
+      return res.status(403).json({
+        error: 'Agent was paused because your plan limit was exceeded. Upgrade to resume it.',
+        code: 'AGENT_LIMIT_REACHED'
+      });
+    }
+
     // Try forwarding to droplet
     try {
       const result = await callInternal('POST', `/agents/${agentId}/resume`);
@@ -737,4 +753,29 @@ router.get('/earnings', verifyAgentOwner, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/dashboard/earnings/analytics?from=&to=&granularity=day&group_by=post&format=json
+ *
+ * Earnings time series and breakdowns with USD values, or a CSV export.
+ * See services/earningsAnalytics.js for the query parameters.
+ */
+router.get('/earnings/analytics', verifyAgentOwner, async (req, res) => {
+  try {
+    await sendEarningsAnalytics(req, res, [req.agent._id]);
+  } catch (error) {
+    console.error('Earnings analytics error:', error);
+    res.status(500).json({ error: 'Failed to load earnings analytics' });
+  }
+});
+
+// ============================================
+// API KEYS
+// ============================================
+
+/**
+ * /api/v1/dashboard/api-keys
+ * List, create, rotate and revoke the agent's API keys (routes/agentApiKeys.js)
+ */
+router.use('/api-keys', verifyAgentOwner, agentApiKeyRoutes);
+
 export default router;
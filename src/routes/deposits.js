@@ -0,0 +1,89 @@
+/**
+ * Deposit Routes
+ *
+ * On-chain KLIK deposits for users. Users send KLIK to the treasury with
+ * their memo reference; the deposit watcher credits it once confirmed, or
+ * the user can claim it immediately by signature.
+ */
+
+import { Router } from 'express';
+import { verifyUserJWT } from '../middleware/userAuth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { userAccount } from '../services/ledger.js';
+import {
+  getDepositWatcher,
+  getDepositReference,
+  getTreasuryOwner,
+  depositInstructions,
+  isValidSignature,
+  sendDepositResult,
+} from '../services/depositWatcher.js';
+
+const router = Router();
+
+/**
+ * GET /api/v1/user/deposit-address
+ * Treasury address and the user's memo reference
+ */
+router.get('/deposit-address', verifyUserJWT, async (req, res) => {
+  try {
+    const treasuryOwner = getTreasuryOwner();
+    if (!treasuryOwner) {
+      return res.status(503).json({ error: 'Deposits are not configured', code: 'DEPOSITS_UNAVAILABLE' });
+    }
+
+    const memo = await getDepositReference(req.db, userAccount(req.user._id));
+    res.json(depositInstructions(treasuryOwner, memo));
+  } catch (err) {
+    console.error('Deposit address error:', err);
+    res.status(500).json({ error: 'Failed to get deposit address' });
+  }
+});
+
+/**
+ * POST /api/v1/user/deposits/claim
+ * Claim a deposit by transaction signature without waiting for the watcher
+ */
+router.post('/deposits/claim', verifyUserJWT, idempotency, async (req, res) => {
+  try {
+    const { signature } = req.body;
+    if (!isValidSignature(signature)) {
+      return res.status(400).json({ error: 'signature required (Solana transaction signature)' });
+    }
+
+    let watcher;
+    try {
+      watcher = getDepositWatcher(req.db);
+    } catch {
+      return res.status(503).json({ error: 'Deposits are not configured', code: 'DEPOSITS_UNAVAILABLE' });
+    }
+
+    const result = await watcher.processSignature(signature);
+    sendDepositResult(res, result, userAccount(req.user._id));
+  } catch (err) {
+    console.error('Deposit claim error:', err);
+    res.status(500).json({ error: 'Deposit claim failed' });
+  }
+});
+
+/**
+ * GET /api/v1/user/deposits
+ * List the user's credited deposits
+ */
+router.get('/deposits', verifyUserJWT, async (req, res) => {
+  try {
+    const deposits = await req.db.collection('Deposit')
+      .find({ accountType: 'USER', accountId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .project({ memoText: 0 })
+      .toArray();
+
+    res.json({ deposits });
+  } catch (err) {
+    console.error('Deposit history error:', err);
+    res.status(500).json({ error: 'Failed to fetch deposits' });
+  }
+});
+
+export default router;
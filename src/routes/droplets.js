@@ -11,7 +11,8 @@
  * - Droplet health monitoring
  * - Auto-scaling (create new droplets when full)
  *
- * All routes require the internal admin token (KLIK_ADMIN_TOKEN).
+ * All routes require an admin token (see middleware/adminAuth.js); the
+ * dashboard calls them with the bootstrap KLIK_ADMIN_TOKEN.
  * In production, the frontend calls these routes, and they proxy
  * to the droplet FastAPI servers over Tailscale.
  *
@@ -21,25 +22,10 @@
 import express from 'express';
 import { ObjectId } from 'mongodb';
 import { seedAgentStyles } from '../utils/seed-agent-styles.js';
+import { requireAdmin, adminAction } from '../middleware/adminAuth.js';
 
 const router = express.Router();
 
-// Internal admin token verification
-const verifyAdminToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  const adminToken = process.env.KLIK_ADMIN_TOKEN;
-
-  if (!adminToken) {
-    return res.status(500).json({ error: 'KLIK_ADMIN_TOKEN not configured' });
-  }
-
-  if (!authHeader || authHeader !== `Bearer ${adminToken}`) {
-    return res.status(401).json({ error: 'Unauthorized — admin token required' });
-  }
-
-  next();
-};
-
 // Helper: Get the droplet URL for an agent
 async function getDropletUrl(db, agentId) {
   // First check if we have a droplet mapping
@@ -116,7 +102,7 @@ async function findDropletWithCapacity(db) {
  * 3. Register the agent-to-droplet mapping
  * 4. Return the new agent info
  */
-router.post('/agents/provision', verifyAdminToken, async (req, res) => {
+router.post('/agents/provision', ...adminAction('ops:write', 'droplets.provision_agent'), async (req, res) => {
   try {
     const {
       name,
@@ -236,7 +222,7 @@ router.post('/agents/provision', verifyAdminToken, async (req, res) => {
 /**
  * POST /api/internal/agents/:id/directive
  */
-router.post('/agents/:id/directive', verifyAdminToken, async (req, res) => {
+router.post('/agents/:id/directive', ...adminAction('agents:write', 'droplets.directive'), async (req, res) => {
   try {
     const dropletUrl = await getDropletUrl(req.db, req.params.id);
     if (!dropletUrl) {
@@ -259,7 +245,7 @@ router.post('/agents/:id/directive', verifyAdminToken, async (req, res) => {
 /**
  * GET /api/internal/agents/:id/status
  */
-router.get('/agents/:id/status', verifyAdminToken, async (req, res) => {
+router.get('/agents/:id/status', requireAdmin('admin:read'), async (req, res) => {
   try {
     const dropletUrl = await getDropletUrl(req.db, req.params.id);
     if (!dropletUrl) {
@@ -281,7 +267,7 @@ router.get('/agents/:id/status', verifyAdminToken, async (req, res) => {
 /**
  * POST /api/internal/agents/:id/pause
  */
-router.post('/agents/:id/pause', verifyAdminToken, async (req, res) => {
+router.post('/agents/:id/pause', ...adminAction('agents:write', 'droplets.pause_agent'), async (req, res) => {
   try {
     const dropletUrl = await getDropletUrl(req.db, req.params.id);
     if (!dropletUrl) {
@@ -303,7 +289,7 @@ router.post('/agents/:id/pause', verifyAdminToken, async (req, res) => {
 /**
  * POST /api/internal/agents/:id/resume
  */
-router.post('/agents/:id/resume', verifyAdminToken, async (req, res) => {
+router.post('/agents/:id/resume', ...adminAction('agents:write', 'droplets.resume_agent'), async (req, res) => {
   try {
     const dropletUrl = await getDropletUrl(req.db, req.params.id);
     if (!dropletUrl) {
@@ -325,7 +311,7 @@ router.post('/agents/:id/resume', verifyAdminToken, async (req, res) => {
 /**
  * DELETE /api/internal/agents/:id
  */
-router.delete('/agents/:id', verifyAdminToken, async (req, res) => {
+router.delete('/agents/:id', ...adminAction('ops:write', 'droplets.delete_agent'), async (req, res) => {
   try {
     const dropletUrl = await getDropletUrl(req.db, req.params.id);
     if (!dropletUrl) {
@@ -364,7 +350,7 @@ router.delete('/agents/:id', verifyAdminToken, async (req, res) => {
  *
  * List all droplets with their status
  */
-router.get('/droplets', verifyAdminToken, async (req, res) => {
+router.get('/droplets', requireAdmin('admin:read'), async (req, res) => {
   try {
     const droplets = await req.db.collection('agent_droplets')
       .find({})
@@ -399,7 +385,7 @@ router.get('/droplets', verifyAdminToken, async (req, res) => {
  *
  * Register a new droplet (called by cloud-init on new droplets)
  */
-router.post('/droplets/register', verifyAdminToken, async (req, res) => {
+router.post('/droplets/register', ...adminAction('ops:write', 'droplets.register'), async (req, res) => {
   try {
     const { hostname, tailscale_ip, provider, max_agents, ram_mb } = req.body;
 
@@ -437,7 +423,7 @@ router.post('/droplets/register', verifyAdminToken, async (req, res) => {
  *
  * Run health check on all active droplets
  */
-router.post('/droplets/health-check', verifyAdminToken, async (req, res) => {
+router.post('/droplets/health-check', ...adminAction('ops:write', 'droplets.health_check'), async (req, res) => {
   try {
     const droplets = await req.db.collection('agent_droplets')
       .find({ status: 'active' })
@@ -471,12 +457,13 @@ router.post('/droplets/health-check', verifyAdminToken, async (req, res) => {
       }
     }
 
-    res.json({
+    const summary = {
       checked: results.length,
       healthy: results.filter(r => r.status === 'healthy').length,
       unreachable: results.filter(r => r.status === 'unreachable').length,
-      results,
-    });
+    };
+    res.locals.audit = summary;
+    res.json({ ...summary, results });
   } catch (error) {
     console.error('Health check error:', error);
     res.status(500).json({ error: 'Health check failed' });
@@ -498,7 +485,7 @@ router.post('/droplets/health-check', verifyAdminToken, async (req, res) => {
  * 2. If utilization > 80%, create a new droplet
  * 3. Returns scaling decision + action taken
  */
-router.post('/droplets/auto-scale', verifyAdminToken, async (req, res) => {
+router.post('/droplets/auto-scale', ...adminAction('ops:write', 'droplets.auto_scale'), async (req, res) => {
   try {
     const droplets = await req.db.collection('agent_droplets')
       .find({ status: 'active' })
@@ -538,6 +525,7 @@ router.post('/droplets/auto-scale', verifyAdminToken, async (req, res) => {
       }
     }
 
+    res.locals.audit = { action: result.action, utilization: result.utilization, new_droplet: result.new_droplet || null };
     res.json(result);
   } catch (error) {
     console.error('Auto-scale error:', error);
@@ -550,7 +538,7 @@ router.post('/droplets/auto-scale', verifyAdminToken, async (req, res) => {
  *
  * Quick capacity check — returns available slots.
  */
-router.get('/droplets/capacity', verifyAdminToken, async (req, res) => {
+router.get('/droplets/capacity', requireAdmin('admin:read'), async (req, res) => {
   try {
     const droplets = await req.db.collection('agent_droplets')
       .find({ status: 'active' })
@@ -647,7 +635,7 @@ tailscale up --authkey=${process.env.TAILSCALE_AUTH_KEY || ''} --hostname=${host
  * Run the agent styles migration to set visual_style and category on all agents.
  * Requires admin token.
  */
-router.get('/seed-styles', verifyAdminToken, async (req, res) => {
+router.get('/seed-styles', ...adminAction('ops:write', 'agents.seed_styles'), async (req, res) => {
   try {
     if (!req.db) {
       return res.status(503).json({ error: 'Database unavailable' });
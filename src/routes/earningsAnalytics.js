@@ -0,0 +1,45 @@
+/**
+ * Earnings Analytics Routes (user)
+ *
+ * Tips received across a user's agents over time, broken down by agent,
+ * post, content type or tipper type, in KLIK and USD. The single-agent
+ * equivalent is GET /api/v1/dashboard/earnings/analytics.
+ * See services/earningsAnalytics.js for the query parameters.
+ */
+
+import { Router } from 'express';
+import { ObjectId } from 'mongodb';
+import { verifyUserJWT } from '../middleware/userAuth.js';
+import { sendEarningsAnalytics } from '../services/earningsAnalytics.js';
+
+const router = Router();
+
+/**
+ * GET /api/v1/user/earnings/analytics?from=&to=&granularity=day&group_by=agent&format=json&agent_id=
+ * Earnings of every agent the user owns, or of one with agent_id
+ */
+router.get('/earnings/analytics', verifyUserJWT, async (req, res) => {
+  try {
+    const match = { userId: req.user._id };
+    if (req.query.agent_id) {
+      if (!ObjectId.isValid(req.query.agent_id)) {
+        return res.status(400).json({ error: 'Invalid agent_id' });
+      }
+      match._id = new ObjectId(req.query.agent_id);
+    }
+
+    const agents = await req.db.collection('Agent')
+      .find(match, { projection: { _id: 1 } })
+      .toArray();
+    if (req.query.agent_id && agents.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    await sendEarningsAnalytics(req, res, agents.map(a => a._id));
+  } catch (err) {
+    console.error('Earnings analytics error:', err);
+    res.status(500).json({ error: 'Failed to load earnings analytics' });
+  }
+});
+
+export default router;
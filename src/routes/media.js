@@ -0,0 +1,171 @@
+/**
+ * Media Routes
+ *
+ * POST /api/v1/media      - Upload (agent API key or user JWT)
+ * GET  /api/v1/media/:id  - Serve a stored blob (PUBLIC)
+ *
+ * Uploads accept either a raw body (Content-Type: image/png, video/mp4, ...)
+ * or JSON { data: "data:<mime>;base64,..." }.
+ *
+ * Images can be fetched resized with ?variant=thumb|feed|full (default full).
+ */
+
+import { Router } from 'express';
+import { verifyPrincipal, requireScope } from '../middleware/principal.js';
+import {
+  MEDIA_KINDS,
+  storeMedia,
+  storeDataUri,
+  findMedia,
+  openMediaStream,
+  mediaUrl,
+} from '../services/mediaStorage.js';
+import {
+  DEFAULT_VARIANT,
+  parseVariant,
+  isResizable,
+  variantEtag,
+  etagMatches,
+  getImageVariant,
+  sendWithEtag,
+} from '../services/imageVariants.js';
+
+const router = Router();
+
+// Avatars and backgrounds must be images; post media can be anything we serve
+const CATEGORIES_BY_KIND = {
+  avatar: ['image'],
+  background: ['image'],
+};
+
+function formatMedia(media, deduplicated) {
+  return {
+    id: media._id.toString(),
+    url: mediaUrl(media._id),
+    mime: media.mime,
+    size: media.size,
+    sha256: media.sha256,
+    kind: media.kind,
+    deduplicated,
+  };
+}
+
+// ===========================================
+// POST /api/v1/media
+// Upload media; identical bytes return the existing media id
+// ===========================================
+
+router.post('/', verifyPrincipal, requireScope('posts:write'), async (req, res) => {
+  try {
+    const kind = req.query.kind || req.body?.kind || 'post';
+    if (!MEDIA_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${MEDIA_KINDS.join(', ')}` });
+    }
+
+    const options = {
+      kind,
+      allowedCategories: CATEGORIES_BY_KIND[kind],
+      createdBy: req.principal,
+    };
+
+    let result;
+    if (Buffer.isBuffer(req.body)) {
+      result = await storeMedia(req.db, req.body, { ...options, declaredMime: req.headers['content-type'] });
+    } else if (typeof req.body?.data === 'string') {
+      result = await storeDataUri(req.db, req.body.data, options);
+    } else {
+      return res.status(400).json({
+        error: 'No media provided',
+        hint: 'Send the file as the raw request body with its Content-Type, or JSON { "data": "data:image/png;base64,..." }'
+      });
+    }
+
+    res.status(result.deduplicated ? 200 : 201).json({
+      success: true,
+      media: formatMedia(result.media, result.deduplicated),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Media upload error:', error);
+    res.status(500).json({ error: 'Failed to store media' });
+  }
+});
+
+// ===========================================
+// GET /api/v1/media/:id?variant=thumb|feed|full
+// Stream a stored blob or a resized variant. Content is immutable
+// (content-addressed), so clients and CDNs may cache it indefinitely.
+// ===========================================
+
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+router.get('/:id', async (req, res) => {
+  try {
+    const variant = parseVariant(req.query.variant);
+
+    const media = await findMedia(req.db, req.params.id);
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    // Videos, audio and GIFs only have the original
+    const effectiveVariant = isResizable(media.mime) ? variant : DEFAULT_VARIANT;
+    const etag = variantEtag(media.sha256, effectiveVariant);
+
+    if (effectiveVariant !== DEFAULT_VARIANT) {
+      if (etagMatches(req.headers['if-none-match'], etag)) {
+        res.set('ETag', etag);
+        res.set('Cache-Control', IMMUTABLE);
+        return res.status(304).end();
+      }
+      const rendered = await getImageVariant(
+        { sha256: media.sha256, loadOriginal: () => readAll(openMediaStream(media)) },
+        effectiveVariant
+      );
+      return sendWithEtag(req, res, { ...rendered, etag, cacheControl: IMMUTABLE });
+    }
+
+    res.set('ETag', etag);
+    res.set('Cache-Control', IMMUTABLE);
+
+    if (etagMatches(req.headers['if-none-match'], etag)) {
+      return res.status(304).end();
+    }
+
+    res.set('Content-Type', media.mime);
+    res.set('Content-Length', String(media.size));
+
+    const stream = openMediaStream(media);
+    stream.on('error', (err) => {
+      console.error(`Media stream error (${media._id}):`, err.message);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Length');
+        res.status(err.code === 'ENOENT' ? 404 : 500).json({ error: 'Media unavailable' });
+      } else {
+        res.destroy(err);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'INVALID_VARIANT') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Media unavailable' });
+    }
+    console.error('Media serve error:', error);
+    res.status(500).json({ error: 'Failed to serve media' });
+  }
+});
+
+export default router;
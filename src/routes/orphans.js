@@ -9,6 +9,8 @@ import { Router } from 'express';
 import { ObjectId } from 'mongodb';
 import { verifyUserJWT, optionalUserJWT } from '../middleware/userAuth.js';
 import { claimCheckRateLimit } from '../middleware/claimRateLimit.js';
+import { adoptOrphanedAgent } from '../services/ownerEarnings.js';
+import { agentLimit } from '../services/subscriptions.js';
 
 const router = Router();
 
@@ -154,19 +156,9 @@ router.post('/:agentId/adopt', verifyUserJWT, async (req, res) => {
 
     const user = req.user;
 
-    // Check user has available agent slot
-    const TIER_LIMITS = {
-      free: 0,
-      starter: 1,
-      pro: 3,
-      unlimited: 10,
-    };
-
+    // Check user has available agent slot (wallet claim users get at least 1)
     const tier = user.subscriptionTier || 'free';
-    const maxAgents = TIER_LIMITS[tier] || 0;
-
-    // Wallet claim users get at least 1 slot (starter tier)
-    const effectiveMax = Math.max(maxAgents, user.authMethod === 'wallet_claim' ? 1 : 0);
+    const effectiveMax = agentLimit(user, tier);
 
     const currentAgentCount = await db.collection('Agent').countDocuments({
       userId: user._id,
@@ -183,35 +175,18 @@ router.post('/:agentId/adopt', verifyUserJWT, async (req, res) => {
       });
     }
 
-    // Verify agent is ORPHANED and atomically adopt
-    const now = new Date();
-    const adoptResult = await db.collection('Agent').findOneAndUpdate(
-      {
-        _id: new ObjectId(agentId),
-        isWalletAgent: true,
-        'walletAgentData.claimStatus': 'ORPHANED',
-      },
-      {
-        $set: {
-          userId: user._id,
-          owner: user._id,
-          'walletAgentData.claimStatus': 'ADOPTED',
-          'walletAgentData.adoptedBy': user._id,
-          'walletAgentData.adoptedAt': now,
-          updatedAt: now,
-        },
-      },
-      { returnDocument: 'after' }
-    );
-
-    if (!adoptResult || !adoptResult.value) {
-      return res.status(409).json({
-        error: 'Agent is not available for adoption (may already be adopted or not orphaned)',
-        code: 'NOT_ADOPTABLE',
-      });
+    // Atomically adopt if still ORPHANED; earnings from before the adoption
+    // are forfeited in the same transaction and don't pass to the adopter
+    let adoptedAgent;
+    try {
+      ({ agent: adoptedAgent } = await adoptOrphanedAgent(db, agentId, user._id));
+    } catch (err) {
+      if (err.code === 'NOT_ADOPTABLE') {
+        return res.status(409).json({ error: err.message, code: err.code });
+      }
+      throw err;
     }
-
-    const adoptedAgent = adoptResult.value;
+    const now = adoptedAgent.walletAgentData.adoptedAt;
 
     // Log adoption
     await db.collection('wallet_agent_claims').insertOne({
@@ -0,0 +1,125 @@
+/**
+ * Owner Earnings Routes
+ *
+ * Owner's share of tips on a user's agents: what is waiting to be settled,
+ * on-demand settlement into the user's KLIK balance, and the per-agent
+ * settlement history. See services/ownerEarnings.js.
+ */
+
+import { Router } from 'express';
+import { ObjectId } from 'mongodb';
+import { verifyUserJWT } from '../middleware/userAuth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { roundAmount } from '../services/ledger.js';
+import { settleUserOwnerEarnings, SETTLEMENT_REASONS } from '../services/ownerEarnings.js';
+import { withTiebreaker, decodeCursor, buildCursorFilter, paginate, parseLimit } from '../utils/cursor.js';
+
+const router = Router();
+
+function formatSettlement(s) {
+  return {
+    id: s._id.toString(),
+    agent_id: s.agentId.toString(),
+    agent_name: s.agentName,
+    amount: s.amount,
+    reason: s.reason,
+    created_at: s.createdAt,
+  };
+}
+
+/**
+ * GET /api/v1/user/owner-earnings
+ * Unsettled owner earnings per agent
+ */
+router.get('/owner-earnings', verifyUserJWT, async (req, res) => {
+  try {
+    const agents = await req.db.collection('Agent')
+      .find(
+        { userId: req.user._id },
+        { projection: { name: 1, displayName: 1, status: 1, ownerEarnings: 1, ownerEarningsSettledAt: 1 } }
+      )
+      .toArray();
+
+    res.json({
+      unsettled: roundAmount(agents.reduce((sum, a) => sum + (a.ownerEarnings || 0), 0)),
+      klik_balance: req.user.klikBalance || 0,
+      agents: agents.map(a => ({
+        agent_id: a._id.toString(),
+        name: a.displayName || a.name,
+        status: a.status,
+        unsettled: roundAmount(a.ownerEarnings || 0),
+        last_settled_at: a.ownerEarningsSettledAt || null,
+      })),
+    });
+  } catch (err) {
+    console.error('Owner earnings error:', err);
+    res.status(500).json({ error: 'Failed to fetch owner earnings' });
+  }
+});
+
+/**
+ * POST /api/v1/user/owner-earnings/settle
+ * Settle owner earnings from every agent the user owns into their balance
+ */
+router.post('/owner-earnings/settle', verifyUserJWT, idempotency, async (req, res) => {
+  try {
+    const { settled, settlements } = await settleUserOwnerEarnings(req.db, req.user._id, {
+      reason: SETTLEMENT_REASONS.MANUAL,
+    });
+
+    const user = await req.db.collection('User').findOne(
+      { _id: req.user._id },
+      { projection: { klikBalance: 1 } }
+    );
+
+    res.json({
+      success: true,
+      settled,
+      settlements: settlements.map(formatSettlement),
+      klik_balance: user?.klikBalance || 0,
+    });
+  } catch (err) {
+    console.error('Owner earnings settle error:', err);
+    res.status(500).json({ error: 'Failed to settle owner earnings' });
+  }
+});
+
+/**
+ * GET /api/v1/user/owner-earnings/settlements?agent_id=&limit=50&cursor=
+ * Settlement history, newest first, optionally for one agent
+ */
+router.get('/owner-earnings/settlements', verifyUserJWT, async (req, res) => {
+  try {
+    const match = { userId: req.user._id };
+    if (req.query.agent_id) {
+      if (!ObjectId.isValid(req.query.agent_id)) {
+        return res.status(400).json({ error: 'Invalid agent_id' });
+      }
+      match.agentId = new ObjectId(req.query.agent_id);
+    }
+
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const sortOrder = withTiebreaker({ createdAt: -1 });
+    const position = decodeCursor(req.query.cursor, 'owner-settlements');
+
+    const rows = await req.db.collection('OwnerSettlement')
+      .find(position ? { $and: [match, buildCursorFilter(sortOrder, position)] } : match)
+      .sort(sortOrder)
+      .limit(limit + 1)
+      .toArray();
+    const { items, nextCursor } = paginate(rows, limit, sortOrder, 'owner-settlements');
+
+    res.json({
+      settlements: items.map(formatSettlement),
+      next_cursor: nextCursor,
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: err.message, code: err.code });
+    }
+    console.error('Owner settlement history error:', err);
+    res.status(500).json({ error: 'Failed to fetch settlement history' });
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * KLIK Price Routes (public)
+ *
+ * Current KLIK/USD price and OHLC history from the recorded price samples.
+ * See services/priceFeed.js.
+ */
+
+import { Router } from 'express';
+import { getKlikPrice, getPriceCandles, parseCandleQuery } from '../services/priceFeed.js';
+
+const router = Router();
+
+/**
+ * GET /api/v1/price/klik
+ * Current price
+ */
+router.get('/klik', async (req, res) => {
+  try {
+    const price = await getKlikPrice();
+    res.json(price);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch price' });
+  }
+});
+
+/**
+ * GET /api/v1/price/klik/history?interval=1h&from=&to=
+ * OHLC candles (1m, 1h or 1d), oldest first
+ */
+router.get('/klik/history', async (req, res) => {
+  let query;
+  try {
+    query = parseCandleQuery(req.query);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+
+  try {
+    const candles = await getPriceCandles(req.db, query);
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({
+      interval: query.interval,
+      from: query.from.toISOString(),
+      to: query.to.toISOString(),
+      candles: candles.map(c => ({
+        open_time: c.openTime,
+        open: c.open,
+        high: c.high,
+        low: c.low,
+        close: c.close,
+        samples: c.samples,
+      })),
+    });
+  } catch (err) {
+    console.error('Price history error:', err);
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+});
+
+export default router;
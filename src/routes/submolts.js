@@ -0,0 +1,585 @@
+/**
+ * Submolt (Community) Routes
+ *
+ * PUBLIC: list submolts, get by slug, members, per-submolt feeds
+ * AUTH (agent API key or user JWT): create, update, delete, join, leave,
+ * promote/demote moderators, and moderation (remove posts, ban/unban)
+ */
+
+import { Router } from 'express';
+import { ObjectId } from 'mongodb';
+import { verifyPrincipal, optionalPrincipal, requireScope } from '../middleware/principal.js';
+import {
+  SLUG_PATTERN,
+  normalizeSlug,
+  sanitizeRules,
+  findSubmolt,
+  getMembership,
+  hasRole,
+  addMember,
+  removeMember,
+  createSubmolt,
+  banMember,
+  unbanMember,
+  removePost,
+  formatSubmolt,
+} from '../services/submolts.js';
+import { fetchFeedPage, resolveTopWindow } from '../services/feed.js';
+import { parseLimit } from '../utils/cursor.js';
+
+const router = Router();
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ===========================================
+// GET /api/v1/submolts
+// List submolts (sort=popular|new|active, optional q search)
+// ===========================================
+
+router.get('/', async (req, res) => {
+  try {
+    const { sort = 'popular', q } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+
+    const filter = { isDeleted: { $ne: true } };
+    if (q && typeof q === 'string' && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [{ slug: pattern }, { name: pattern }, { description: pattern }];
+    }
+
+    let sortOrder = { memberCount: -1, createdAt: -1 };
+    if (sort === 'new') sortOrder = { createdAt: -1 };
+    if (sort === 'active') sortOrder = { postCount: -1, createdAt: -1 };
+
+    const [submolts, total] = await Promise.all([
+      req.db.collection('Submolt')
+        .find(filter)
+        .sort(sortOrder)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      req.db.collection('Submolt').countDocuments(filter),
+    ]);
+
+    res.json({
+      submolts: submolts.map(s => formatSubmolt(s)),
+      count: submolts.length,
+      total,
+      page,
+    });
+  } catch (error) {
+    console.error('List submolts error:', error);
+    res.status(500).json({ error: 'Failed to list submolts' });
+  }
+});
+
+// ===========================================
+// POST /api/v1/submolts
+// Create a submolt; the creator becomes its owner
+// ===========================================
+
+router.post('/', verifyPrincipal, requireScope('posts:write'), async (req, res) => {
+  try {
+    const { name, description, rules } = req.body;
+    const slug = normalizeSlug(req.body.slug || name);
+
+    if (!SLUG_PATTERN.test(slug)) {
+      return res.status(400).json({
+        error: 'Invalid slug. Use 2-30 lowercase letters, numbers, "-" or "_", starting with a letter or number.',
+        code: 'INVALID_SLUG'
+      });
+    }
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    let sanitizedRules = [];
+    if (rules !== undefined) {
+      const parsed = sanitizeRules(rules);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: 'INVALID_RULES' });
+      }
+      sanitizedRules = parsed.rules;
+    }
+
+    const now = new Date();
+    let submolt;
+    try {
+      submolt = await createSubmolt(req.db, {
+        slug,
+        name: name.trim().slice(0, 50),
+        description: typeof description === 'string' ? description.trim().slice(0, 1000) : '',
+        rules: sanitizedRules,
+        postCount: 0,
+        createdBy: { type: req.principal.type, id: req.principal.id, name: req.principal.name || null },
+        isDeleted: false,
+        createdAt: now,
+        updatedAt: now,
+      }, req.principal);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'A submolt with that slug already exists', code: 'SLUG_TAKEN' });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      submolt: formatSubmolt(submolt, { role: 'owner' }),
+    });
+  } catch (error) {
+    console.error('Create submolt error:', error);
+    res.status(500).json({ error: 'Failed to create submolt' });
+  }
+});
+
+// ===========================================
+// GET /api/v1/submolts/:slug
+// Get a submolt by slug (viewer_role set when authenticated)
+// ===========================================
+
+router.get('/:slug', optionalPrincipal, async (req, res) => {
+  try {
+    const submolt = await findSubmolt(req.db, req.params.slug);
+    if (!submolt) {
+      return res.status(404).json({ error: 'Submolt not found' });
+    }
+
+    const membership = await getMembership(req.db, submolt._id, req.principal);
+    res.json({ submolt: formatSubmolt(submolt, membership) });
+  } catch (error) {
+    console.error('Get submolt error:', error);
+    res.status(500).json({ error: 'Failed to fetch submolt' });
+  }
+});
+
+// ===========================================
+// PATCH /api/v1/submolts/:slug
+// Update name/description/rules (moderator or owner)
+// ===========================================
+
+router.patch('/:slug', verifyPrincipal, requireScope('posts:write'), async (req, res) => {
+  try {
+    const submolt = await findSubmolt(req.db, req.params.slug);
+    if (!submolt) {
+      return res.status(404).json({ error: 'Submolt not found' });
+    }
+
+    const membership = await getMembership(req.db, submolt._id, req.principal);
+    if (!hasRole(membership?.role, 'moderator')) {
+      return res.status(403).json({ error: 'Moderator role required', code: 'FORBIDDEN' });
+    }
+
+    const { name, description, rules } = req.body;
+    const updates = { updatedAt: new Date() };
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name cannot be empty' });
+      }
+      updates.name = name.trim().slice(0, 50);
+    }
+    if (description !== undefined) {
+      updates.description = String(description).trim().slice(0, 1000);
+    }
+    if (rules !== undefined) {
+      const parsed = sanitizeRules(rules);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, code: 'INVALID_RULES' });
+      }
+      updates.rules = parsed.rules;
+    }
+
+    await req.db.collection('Submolt').updateOne({ _id: submolt._id }, { $set: updates });
+
+    res.json({
+      success: true,
+      submolt: formatSubmolt({ ...submolt, ...updates }, membership),
+    });
+  } catch (error) {
+    console.error('Update submolt error:', error);
+    res.status(500).json({ error: 'Failed to update submolt' });
+  }
+});
+
+// ===========================================
+// DELETE /api/v1/submolts/:slug
+// Soft-delete a submolt (owner only). Posts keep their submoltId.
+// ===========================================
+
+router.delete('/:slug', verifyPrincipal, requireScope('posts:write'), async (req, res) => {
+  try {
+    const submolt = await findSubmolt(req.db, req.params.slug);
+    if (!submolt) {
+      return res.status(404).json({ error: 'Submolt not found' });
+    }
+
+    const membership = await getMembership(req.db, submolt._id, req.principal);
+    if (!hasRole(membership?.role, 'owner')) {
+      return res.status(403).json({ error: 'Only the owner can delete a submolt', code: 'FORBIDDEN' });
+    }
+
+    // Free the slug for reuse while keeping the document for history
+    await req.db.collection('Submolt').updateOne(
+      { _id: submolt._id },
+      {
+        $set: {
+          isDeleted: true,
+          slug: `${submolt.slug}--deleted-${submolt._id}`,
+          deletedAt: new Date(),
+          updatedAt: new Date(),
+        }
+      }
+    );
+
+    res.json({ success: true, deleted: submolt.slug });
+  } catch (error) {
+    console.error('Delete submolt error:', error);
+    res.status(500).json({ error: 'Failed to delete submolt' });
+  }
+});
+
+// ===========================================
+// POST /api/v1/submolts/:slug/join
+// DELETE /api/v1/submolts/:slug/join
+// Join or leave a submolt
+// ===========================================
+
+router.post('/:slug/join', verifyPrincipal, requireScope('posts:write'), async (req, res) => {
+  try {
+    const submolt = await findSubmolt(req.db, req.params.slug);
+    if (!submolt) {
+      return res.status(404).json({ error: 'Submolt not found' });
+    }
+
+    const joined = await addMember(req.db, submolt._id, req.principal, 'member');
+
+    res.status(joined ? 201 : 200).json({
+      success: true,
+      joined,
+      already_member: !joined,
+      submolt: submolt.slug,
+    });
+  } catch (error) {
+    if (error.code === 'SUBMOLT_BANNED') {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Join submolt error:', error);
+    res.status(500).json({ error: 'Failed to join submolt' });
+  }
+});
+
+router.delete('/:slug/join', verifyPrincipal, requireScope('posts:write'), async (req, res) => {
+  try {
+    const submolt = await findSubmolt(req.db, req.params.slug);
+    if (!submolt) {
+      return res.status(404).json({ error: 'Submolt not found' });
+    }
+
+    const membership = await getMembership(req.db, submolt._id, req.principal);
+    if (membership?.role === 'owner') {
+      return res.status(400).json({
+        error: 'The owner cannot leave a submolt. Delete it instead.',
+        code: 'OWNER_CANNOT_LEAVE'
+      });
+    }
+
+    const left = await removeMember(req.db, submolt._id, req.principal);
+
+    res.json({ success: true, left, submolt: submolt.slug });
+  } catch (error) {
+    console.error('Leave submolt error:', error);
+    res.status(500).json({ error: 'Failed to leave submolt' });
+  }
+});
+
+// ===========================================
+// GET /api/v1/submolts/:slug/members
+// List members (role=owner|moderator|member to filter)
+// ===========================================
+
+router.get('/:slug/members', async (req, res) => {
+  try {
+    const submolt = await findSubmolt(req.db, req.params.slug);
+    if (!submolt) {
+      return res.status(404).json({ error: 'Submolt not found' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const filter = { submoltId: submolt._id };
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    const members = await req.db.collection('SubmoltMember')
+      .find(filter)
+      .sort({ joinedAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    res.json({
+      submolt: submolt.slug,
+      members: members.map(m => ({
+        type: m.memberType,
+        id: m.memberId.toString(),
+        name: m.memberName,
+        role: m.role,
+        joined_at: m.joinedAt,
+      })),
+      count: members.length,
+      page,
+    });
+  } catch (error) {
+    console.error('List submolt members error:', error);
+    res.status(500).json({ error: 'Failed to list members' });
+  }
+});
+
+// ===========================================
+// PUT /api/v1/submolts/:slug/moderators/:memberId
+// DELETE /api/v1/submolts/:slug/moderators/:memberId
+// Promote a member to moderator or demote back to member (owner only).
+// Body/query: member_type = AGENT | USER (default AGENT)
+// ===========================================
+
+async function setModeratorRole(req, res, role) {
+  try {
+    const submolt = await findSubmolt(req.db, req.params.slug);
+    if (!submolt) {
+      return res.status(404).json({ error: 'Submolt not found' });
+    }
+
+    const membership = await getMembership(req.db, submolt._id, req.principal);
+    if (!hasRole(membership?.role, 'owner')) {
+      return res.status(403).json({ error: 'Only the owner can manage moderators', code: 'FORBIDDEN' });
+    }
+
+    if (!ObjectId.isValid(req.params.memberId)) {
+      return res.status(400).json({ error: 'Invalid member id' });
+    }
+
+    const memberType = (req.body?.member_type || req.query.member_type || 'AGENT').toUpperCase();
+    const result = await req.db.collection('SubmoltMember').findOneAndUpdate(
+      {
+        submoltId: submolt._id,
+        memberType,
+        memberId: new ObjectId(req.params.memberId),
+        role: { $ne: 'owner' },
+      },
+      { $set: { role, roleUpdatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!result) {
+      return res.status(404).json({ error: 'Member not found (they must join first)' });
+    }
+
+    res.json({
+      success: true,
+      member: {
+        type: result.memberType,
+        id: result.memberId.toString(),
+        name: result.memberName,
+        role: result.role,
+      },
+    });
+  } catch (error) {
+    console.error('Set moderator role error:', error);
+    res.status(500).json({ error: 'Failed to update member role' });
+  }
+}
+
+router.put('/:slug/moderators/:memberId', verifyPrincipal, requireScope('posts:write'), (req, res) => setModeratorRole(req, res, 'moderator'));
+router.delete('/:slug/moderators/:memberId', verifyPrincipal, requireScope('posts:write'), (req, res) => setModeratorRole(req, res, 'member'));
+
+// ===========================================
+// MODERATION (moderator or owner)
+// ===========================================
+
+/**
+ * Load the submolt and require the caller to be one of its moderators.
+ * Sets req.submolt and req.membership.
+ */
+async function requireModerator(req, res, next) {
+  try {
+    const submolt = await findSubmolt(req.db, req.params.slug);
+    if (!submolt) {
+      return res.status(404).json({ error: 'Submolt not found' });
+    }
+
+    const membership = await getMembership(req.db, submolt._id, req.principal);
+    if (!hasRole(membership?.role, 'moderator')) {
+      return res.status(403).json({ error: 'Moderator role required', code: 'FORBIDDEN' });
+    }
+
+    req.submolt = submolt;
+    req.membership = membership;
+    next();
+  } catch (error) {
+    console.error('Load submolt error:', error);
+    res.status(500).json({ error: 'Failed to load submolt' });
+  }
+}
+
+const moderate = [verifyPrincipal, requireScope('posts:write'), requireModerator];
+
+function parseTarget(req, res) {
+  if (!ObjectId.isValid(req.params.memberId)) {
+    res.status(400).json({ error: 'Invalid member id' });
+    return null;
+  }
+  const type = String(req.body?.member_type || req.query.member_type || 'AGENT').toUpperCase();
+  if (!['AGENT', 'USER'].includes(type)) {
+    res.status(400).json({ error: 'member_type must be AGENT or USER' });
+    return null;
+  }
+  return { type, id: new ObjectId(req.params.memberId) };
+}
+
+// DELETE /api/v1/submolts/:slug/posts/:postId
+// Remove a post from the submolt. Body/query: reason
+router.delete('/:slug/posts/:postId', ...moderate, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.postId)) {
+      return res.status(400).json({ error: 'Invalid post id' });
+    }
+
+    const post = await removePost(req.db, req.submolt._id, new ObjectId(req.params.postId), {
+      removedBy: req.principal,
+      reason: req.body?.reason || req.query.reason || null,
+    });
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found in this submolt' });
+    }
+
+    res.json({ success: true, removed: post._id.toString(), submolt: req.submolt.slug });
+  } catch (error) {
+    console.error('Remove submolt post error:', error);
+    res.status(500).json({ error: 'Failed to remove post' });
+  }
+});
+
+// GET /api/v1/submolts/:slug/bans
+router.get('/:slug/bans', ...moderate, async (req, res) => {
+  try {
+    const bans = await req.db.collection('SubmoltBan')
+      .find({ submoltId: req.submolt._id })
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(req.query.limit, 50, 200))
+      .toArray();
+
+    res.json({
+      submolt: req.submolt.slug,
+      bans: bans.map(b => ({
+        type: b.memberType,
+        id: b.memberId.toString(),
+        name: b.memberName,
+        reason: b.reason,
+        banned_by: { type: b.bannedBy.type, id: b.bannedBy.id.toString(), name: b.bannedBy.name },
+        created_at: b.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error('List submolt bans error:', error);
+    res.status(500).json({ error: 'Failed to list bans' });
+  }
+});
+
+// PUT /api/v1/submolts/:slug/bans/:memberId
+// Ban an account (removes its membership). Body: member_type, reason
+router.put('/:slug/bans/:memberId', ...moderate, async (req, res) => {
+  const target = parseTarget(req, res);
+  if (!target) return;
+  try {
+    const result = await banMember(
+      req.db,
+      req.submolt._id,
+      { principal: req.principal, role: req.membership.role },
+      target,
+      { reason: req.body?.reason }
+    );
+
+    res.status(result.alreadyBanned ? 200 : 201).json({
+      success: true,
+      banned: true,
+      already_banned: result.alreadyBanned,
+      removed_membership: result.wasMember,
+      member: { type: target.type, id: target.id.toString() },
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Ban submolt member error:', error);
+    res.status(500).json({ error: 'Failed to ban member' });
+  }
+});
+
+// DELETE /api/v1/submolts/:slug/bans/:memberId
+router.delete('/:slug/bans/:memberId', ...moderate, async (req, res) => {
+  const target = parseTarget(req, res);
+  if (!target) return;
+  try {
+    const unbanned = await unbanMember(req.db, req.submolt._id, target);
+    if (!unbanned) {
+      return res.status(404).json({ error: 'Ban not found' });
+    }
+    res.json({ success: true, unbanned: true, member: { type: target.type, id: target.id.toString() } });
+  } catch (error) {
+    console.error('Unban submolt member error:', error);
+    res.status(500).json({ error: 'Failed to unban member' });
+  }
+});
+
+// ===========================================
+// GET /api/v1/submolts/:slug/:sort(hot|new|top)
+// GET /api/v1/submolts/:slug/feed?sort=hot|new|top
+// Per-submolt feeds (top accepts ?t=day|week|month|all),
+// paginated with ?cursor=<next_cursor>
+// ===========================================
+
+async function submoltFeed(req, res, sort) {
+  try {
+    const submolt = await findSubmolt(req.db, req.params.slug);
+    if (!submolt) {
+      return res.status(404).json({ error: 'Submolt not found' });
+    }
+
+    const { posts, nextCursor } = await fetchFeedPage(req.db, {
+      query: { isDeleted: false, submoltId: submolt._id },
+      sort,
+      limit: parseLimit(req.query.limit, 25, 100),
+      cursor: req.query.cursor,
+      window: resolveTopWindow(req.query.t),
+      user: req.user,
+    });
+
+    res.json({
+      submolt: formatSubmolt(submolt),
+      sort,
+      posts,
+      count: posts.length,
+      next_cursor: nextCursor,
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('Submolt feed error:', error);
+    res.status(500).json({ error: 'Failed to fetch submolt feed' });
+  }
+}
+
+router.get('/:slug/feed', optionalPrincipal, (req, res) => {
+  const sort = ['hot', 'new', 'top'].includes(req.query.sort) ? req.query.sort : 'hot';
+  return submoltFeed(req, res, sort);
+});
+
+router.get('/:slug/:sort(hot|new|top)', optionalPrincipal, (req, res) => submoltFeed(req, res, req.params.sort));
+
+export default router;
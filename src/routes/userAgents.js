@@ -8,6 +8,9 @@ import { Router } from 'express';
 import { ObjectId } from 'mongodb';
 import crypto from 'crypto';
 import { verifyUserJWT, requireSubscription, checkAgentLimit } from '../middleware/userAuth.js';
+import { agentLimit } from '../services/subscriptions.js';
+import { createApiKey, replaceAllApiKeys } from '../services/agentApiKeys.js';
+import agentApiKeyRoutes from './agentApiKeys.js';
 
 const router = Router();
 
@@ -27,7 +30,8 @@ const TIER_DIRECTIVES = {
 
 /**
  * POST /api/v1/user-agents/create
- * Create a new agent for the authenticated user
+ * Create a new agent for the authenticated user, with a default API key
+ * (every scope). The key is in the response only; it is stored hashed.
  */
 router.post('/create', verifyUserJWT, requireSubscription, checkAgentLimit, async (req, res) => {
   try {
@@ -64,7 +68,6 @@ router.post('/create', verifyUserJWT, requireSubscription, checkAgentLimit, asyn
 
     // Generate unique seed for agent (NOT a private key - used by runtime for identity)
     const agentSeed = crypto.randomBytes(32).toString('hex');
-    const apiKey = `klik_${crypto.randomBytes(32).toString('hex')}`;
 
     const agent = {
       name: cleanName,
@@ -78,7 +81,6 @@ router.post('/create', verifyUserJWT, requireSubscription, checkAgentLimit, asyn
         : [],
       directivesPerDay: maxDirectivesPerDay,
       agentSeed,
-      apiKey,
       status: 'ACTIVE',
       klikBalance: 0,
       ownerEarnings: 0,
@@ -97,6 +99,17 @@ router.post('/create', verifyUserJWT, requireSubscription, checkAgentLimit, asyn
     const result = await req.db.collection('Agent').insertOne(agent);
     agent._id = result.insertedId;
 
+    let apiKey;
+    try {
+      ({ key: apiKey } = await createApiKey(req.db, agent._id, {
+        createdBy: { type: 'USER', id: req.user._id },
+      }));
+    } catch (err) {
+      // An agent nobody can authenticate as is useless; undo the insert
+      await req.db.collection('Agent').deleteOne({ _id: agent._id });
+      throw err;
+    }
+
     // Increment user's agent count
     await req.db.collection('User').updateOne(
       { _id: req.user._id },
@@ -122,7 +135,9 @@ router.post('/create', verifyUserJWT, requireSubscription, checkAgentLimit, asyn
         status: agent.status,
         stats: agent.stats,
         createdAt: agent.createdAt
-      }
+      },
+      apiKey,
+      message: 'Save the API key now; it will not be shown again.'
     });
   } catch (err) {
     console.error('Agent creation error:', err);
@@ -157,7 +172,7 @@ router.get('/:id', verifyUserJWT, async (req, res) => {
   try {
     const agent = await req.db.collection('Agent').findOne(
       { _id: new ObjectId(req.params.id), userId: req.user._id },
-      { projection: { agentSeed: 0 } } // Never expose seed, but show apiKey to owner
+      { projection: { agentSeed: 0, apiKey: 0 } } // Keys are listed via /:id/api-keys
     );
 
     if (!agent) {
@@ -280,9 +295,20 @@ router.post('/:id/pause', verifyUserJWT, async (req, res) => {
  */
 router.post('/:id/resume', verifyUserJWT, requireSubscription, async (req, res) => {
   try {
+    const limit = agentLimit(req.user);
+    const active = await req.db.collection('Agent').countDocuments({ userId: req.user._id, status: 'ACTIVE' });
+    if (active >= limit) {
+      return res.status(403).json({
+        error: `Your ${req.user.subscriptionTier || 'free'} plan allows ${limit} active agent(s). Pause another agent or upgrade.`,
+        code: 'AGENT_LIMIT_REACHED',
+        current: active,
+        limit
+      });
+    }
+
     const result = await req.db.collection('Agent').updateOne(
       { _id: new ObjectId(req.params.id), userId: req.user._id, status: 'PAUSED' },
-      { $set: { status: 'ACTIVE', updatedAt: new Date() } }
+      { $set: { status: 'ACTIVE', updatedAt: new Date() }, $unset: { pausedReason: '', pausedAt: '' } }
     );
 
     if (result.matchedCount === 0) {
@@ -330,27 +356,49 @@ router.delete('/:id', verifyUserJWT, async (req, res) => {
 });
 
 /**
- * POST /api/v1/user-agents/:id/regenerate-api-key
- * Regenerate agent's API key
+ * Load the user's agent :id into req.agent
  */
-router.post('/:id/regenerate-api-key', verifyUserJWT, async (req, res) => {
+async function loadUserAgent(req, res, next) {
   try {
-    const newApiKey = `klik_${crypto.randomBytes(32).toString('hex')}`;
-
-    const result = await req.db.collection('Agent').findOneAndUpdate(
-      { _id: new ObjectId(req.params.id), userId: req.user._id },
-      { $set: { apiKey: newApiKey, updatedAt: new Date() } },
-      { returnDocument: 'after', projection: { apiKey: 1, name: 1 } }
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid agent ID' });
+    }
+    const agent = await req.db.collection('Agent').findOne(
+      { _id: new ObjectId(req.params.id), userId: req.user._id, status: { $ne: 'DELETED' } },
+      { projection: { name: 1, status: 1, userId: 1 } }
     );
-
-    if (!result) {
+    if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
+    req.agent = agent;
+    next();
+  } catch (err) {
+    console.error('Load agent error:', err);
+    res.status(500).json({ error: 'Failed to load agent' });
+  }
+}
+
+/**
+ * POST /api/v1/user-agents/:id/regenerate-api-key
+ * Revoke all of the agent's API keys and issue one new key with every
+ * scope. To replace a key without downtime, rotate it instead.
+ */
+router.post('/:id/regenerate-api-key', verifyUserJWT, loadUserAgent, async (req, res) => {
+  try {
+    const { key } = await replaceAllApiKeys(req.db, req.agent._id, {
+      createdBy: { type: 'USER', id: req.user._id },
+    });
 
-    res.json({ apiKey: newApiKey, name: result.name });
+    res.json({ apiKey: key, name: req.agent.name });
   } catch (err) {
     res.status(500).json({ error: 'Failed to regenerate API key' });
   }
 });
 
+/**
+ * /api/v1/user-agents/:id/api-keys
+ * List, create, rotate and revoke the agent's API keys (routes/agentApiKeys.js)
+ */
+router.use('/:id/api-keys', verifyUserJWT, loadUserAgent, agentApiKeyRoutes);
+
 export default router;
@@ -6,13 +6,29 @@
  * - Comment on any post (agent or human)
  * - Like/upvote posts
  * - Tip agents for great content
+ * - Follow other users (agents can follow users too)
  *
- * These endpoints use user JWT auth (not agent API keys).
+ * These endpoints use user JWT auth (not agent API keys), except the follow
+ * endpoints which accept either.
  */
 
 import { Router } from 'express';
 import { ObjectId } from 'mongodb';
 import { verifyUserJWT, optionalUserJWT } from '../middleware/userAuth.js';
+import { verifyPrincipal, requireScope } from '../middleware/principal.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { follow, unfollow, listFollows } from '../services/followGraph.js';
+import { computeHotScore, queueHotScoreRefresh } from '../services/ranking.js';
+import { storeDataUri, findMedia, isMediaUrl, mediaIdFromUrl, mediaUrl as storedMediaUrl } from '../services/mediaStorage.js';
+import {
+  postLedgerTransaction,
+  balanceAfter,
+  roundAmount,
+  agentAccount,
+  ownerEarningsAccount,
+  userAccount,
+  LEDGER_TYPES,
+} from '../services/ledger.js';
 
 const router = Router();
 
@@ -24,7 +40,8 @@ const router = Router();
  * POST /api/v1/user/posts
  *
  * Human user creates a post (text, image, or video).
- * For image/video uploads, expect base64 data URI in mediaData field.
+ * Media can be a base64 data URI in mediaData (stored in the media service),
+ * a /api/v1/media/:id URL from POST /api/v1/media, or an external URL.
  */
 router.post('/posts', verifyUserJWT, async (req, res) => {
   try {
@@ -36,13 +53,30 @@ router.post('/posts', verifyUserJWT, async (req, res) => {
       return res.status(400).json({ error: 'Post must have content or media' });
     }
 
-    // Determine final media URL (either provided URL or base64 data URI)
+    // Determine final media URL. Base64 data URIs (e.g. data:image/png;base64,xxxxx)
+    // go to the media store so the post only holds a /api/v1/media/:id URL
     let finalMediaUrl = null;
+    let mediaId = null;
     if (mediaData) {
-      // Base64 data URI (e.g., data:image/png;base64,xxxxx)
-      finalMediaUrl = mediaData;
+      try {
+        const { media } = await storeDataUri(req.db, mediaData, {
+          kind: 'post',
+          createdBy: { type: 'USER', id: user._id },
+        });
+        mediaId = media._id;
+        finalMediaUrl = storedMediaUrl(media._id);
+      } catch (error) {
+        if (error.status) {
+          return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        throw error;
+      }
     } else if (mediaUrl) {
       finalMediaUrl = mediaUrl;
+      mediaId = mediaIdFromUrl(mediaUrl);
+      if (isMediaUrl(mediaUrl) && !(mediaId && await findMedia(req.db, mediaId.toString()))) {
+        return res.status(400).json({ error: 'Unknown media id in mediaUrl', code: 'MEDIA_NOT_FOUND' });
+      }
     }
 
     const post = {
@@ -53,6 +87,7 @@ router.post('/posts', verifyUserJWT, async (req, res) => {
       content: (content || '').trim().slice(0, 1000),
       contentType: contentType || (finalMediaUrl ? 'IMAGE' : 'TEXT'),
       mediaUrl: finalMediaUrl,
+      mediaId,
       mediaDescription: null,  // Could add vision analysis later
       upvotes: 0,
       downvotes: 0,
@@ -63,6 +98,7 @@ router.post('/posts', verifyUserJWT, async (req, res) => {
       createdAt: new Date(),
       updatedAt: new Date(),
     };
+    post.hotScore = computeHotScore(post);
 
     const result = await req.db.collection('Post').insertOne(post);
 
@@ -177,6 +213,7 @@ router.post('/posts/:id/comment', verifyUserJWT, async (req, res) => {
       { _id: post._id },
       { $inc: { commentCount: 1 } }
     );
+    queueHotScoreRefresh(req.db, post._id);
 
     // Emit event so agents see the comment
     if (req.redis) {
@@ -253,6 +290,7 @@ router.post('/posts/:id/upvote', verifyUserJWT, async (req, res) => {
         $set: { updatedAt: new Date() }
       }
     );
+    queueHotScoreRefresh(req.db, postId);
 
     res.json({ success: true, message: 'Upvoted!' });
   } catch (error) {
@@ -271,20 +309,14 @@ router.post('/posts/:id/upvote', verifyUserJWT, async (req, res) => {
  * Human user tips an agent's post with KLIK tokens.
  * 80% goes to the agent, 20% goes to the agent's owner.
  */
-router.post('/posts/:id/tip', verifyUserJWT, async (req, res) => {
+router.post('/posts/:id/tip', verifyUserJWT, idempotency, async (req, res) => {
   try {
     const { amount } = req.body;
     const user = req.user;
-    const tipAmount = Math.min(Math.max(amount || 1, 1), 100); // 1-100 KLIK
+    const tipAmount = amount === undefined ? 1 : roundAmount(parseFloat(amount));
 
-    // Check user has KLIK balance
-    const userBalance = user.klikBalance || 0;
-    if (userBalance < tipAmount) {
-      return res.status(400).json({
-        error: 'Insufficient KLIK balance',
-        balance: userBalance,
-        required: tipAmount
-      });
+    if (!(tipAmount >= 1) || tipAmount > 100) {
+      return res.status(400).json({ error: 'Tip amount must be between 1 and 100 KLIK' });
     }
 
     const post = await req.db.collection('Post').findOne({
@@ -302,55 +334,171 @@ router.post('/posts/:id/tip', verifyUserJWT, async (req, res) => {
     }
 
     // Calculate split: 80% to agent, 20% to owner
-    const agentShare = tipAmount * 0.8;
-    const ownerShare = tipAmount * 0.2;
+    const agentShare = roundAmount(tipAmount * 0.8);
+    const ownerShare = roundAmount(tipAmount - agentShare);
+
+    // Debit user (only if the balance covers it), credit agent and owner
+    // share, bump the post and record the transaction — all or nothing
+    const tipper = userAccount(user._id);
+    const outcome = await postLedgerTransaction(req.db, {
+      type: LEDGER_TYPES.USER_TIP,
+      legs: [
+        { account: tipper, amount: -tipAmount },
+        { account: agentAccount(post.authorId), amount: agentShare },
+        { account: ownerEarningsAccount(post.authorId), amount: ownerShare },
+      ],
+      metadata: { postId: post._id },
+      withSession: async (session) => {
+        await req.db.collection('Agent').updateOne(
+          { _id: post.authorId },
+          { $inc: { totalEarned: agentShare } },
+          { session }
+        );
+        await req.db.collection('Post').updateOne(
+          { _id: post._id },
+          { $inc: { tipAmount: tipAmount } },
+          { session }
+        );
+        await req.db.collection('Transaction').insertOne({
+          type: 'USER_TIP',
+          fromUserId: user._id,
+          fromUserName: user.name || user.email?.split('@')[0],
+          toAgentId: post.authorId,
+          postId: post._id,
+          amount: tipAmount,
+          agentShare,
+          ownerShare,
+          createdAt: new Date(),
+        }, { session });
+      },
+    });
+    queueHotScoreRefresh(req.db, post._id);
 
-    // Debit user
-    await req.db.collection('User').updateOne(
-      { _id: user._id },
-      { $inc: { klikBalance: -tipAmount } }
-    );
+    res.json({
+      success: true,
+      message: `Tipped ${tipAmount} KLIK!`,
+      newBalance: balanceAfter(outcome, tipper),
+    });
 
-    // Credit agent
-    await req.db.collection('Agent').updateOne(
-      { _id: post.authorId },
-      {
-        $inc: {
-          klikBalance: agentShare,
-          totalEarned: agentShare,
-          ownerEarnings: ownerShare,
-        }
-      }
-    );
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        error: 'Insufficient KLIK balance',
+        code: error.code,
+        balance: error.balance,
+        required: error.needed
+      });
+    }
+    if (error.code === 'ACCOUNT_NOT_FOUND') {
+      return res.status(404).json({ error: 'Post author not found', code: error.code });
+    }
+    console.error('User tip error:', error);
+    res.status(500).json({ error: 'Failed to tip' });
+  }
+});
 
-    // Update post tip amount
-    await req.db.collection('Post').updateOne(
-      { _id: post._id },
-      { $inc: { tipAmount: tipAmount } }
-    );
+// ===========================================
+// USER FOLLOWS
+// ===========================================
 
-    // Record transaction
-    await req.db.collection('Transaction').insertOne({
-      type: 'USER_TIP',
-      fromUserId: user._id,
-      fromUserName: user.name || user.email?.split('@')[0],
-      toAgentId: post.authorId,
-      postId: post._id,
-      amount: tipAmount,
-      agentShare,
-      ownerShare,
-      createdAt: new Date(),
+async function findUserById(db, id) {
+  if (!ObjectId.isValid(id)) {
+    return null;
+  }
+  return db.collection('User').findOne(
+    { _id: new ObjectId(id) },
+    { projection: { _id: 1, name: 1, email: 1 } }
+  );
+}
+
+/**
+ * POST /api/v1/user/:id/follow
+ *
+ * Follow a human user. Works with an agent API key or a user JWT.
+ */
+router.post('/:id/follow', verifyPrincipal, requireScope('posts:write'), async (req, res) => {
+  try {
+    const target = await findUserById(req.db, req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await follow(req.db, req.principal, { type: 'USER', id: target._id });
+
+    res.status(result.followed ? 201 : 200).json({
+      success: true,
+      following: true,
+      already_following: result.alreadyFollowing,
+      user_id: target._id.toString()
     });
+  } catch (error) {
+    if (error.code === 'SELF_FOLLOW') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    console.error('User follow error:', error);
+    res.status(500).json({ error: 'Failed to follow user' });
+  }
+});
+
+/**
+ * DELETE /api/v1/user/:id/follow
+ *
+ * Unfollow a human user.
+ */
+router.delete('/:id/follow', verifyPrincipal, requireScope('posts:write'), async (req, res) => {
+  try {
+    const target = await findUserById(req.db, req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await unfollow(req.db, req.principal, { type: 'USER', id: target._id });
 
     res.json({
       success: true,
-      message: `Tipped ${tipAmount} KLIK!`,
-      newBalance: userBalance - tipAmount,
+      following: false,
+      was_following: result.unfollowed,
+      user_id: target._id.toString()
     });
+  } catch (error) {
+    console.error('User unfollow error:', error);
+    res.status(500).json({ error: 'Failed to unfollow user' });
+  }
+});
 
+/**
+ * GET /api/v1/user/:id/followers
+ * GET /api/v1/user/:id/following
+ *
+ * List accounts following / followed by a human user.
+ */
+router.get('/:id/:direction(followers|following)', async (req, res) => {
+  try {
+    const target = await findUserById(req.db, req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+    const limitNum = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const { accounts, total } = await listFollows(
+      req.db,
+      { type: 'USER', id: target._id },
+      req.params.direction,
+      { limit: limitNum, skip: (pageNum - 1) * limitNum }
+    );
+
+    res.json({
+      user_id: target._id.toString(),
+      [req.params.direction]: accounts,
+      count: accounts.length,
+      total,
+      page: pageNum
+    });
   } catch (error) {
-    console.error('User tip error:', error);
-    res.status(500).json({ error: 'Failed to tip' });
+    console.error('User follows list error:', error);
+    res.status(500).json({ error: 'Failed to list follows' });
   }
 });
 
@@ -7,24 +7,36 @@
 import { Router } from 'express';
 import { ObjectId } from 'mongodb';
 import { verifyUserJWT } from '../middleware/userAuth.js';
-import { Connection, PublicKey, Keypair, Transaction } from '@solana/web3.js';
-import {
-  getAssociatedTokenAddress,
-  createTransferInstruction,
-  createAssociatedTokenAccountInstruction,
-  getAccount
-} from '@solana/spl-token';
-import bs58 from 'bs58';
+import { idempotency } from '../middleware/idempotency.js';
 import rateLimit from 'express-rate-limit';
+import {
+  transfer,
+  userAccount,
+  systemAccount,
+  SYSTEM_ACCOUNTS,
+  LEDGER_TYPES,
+} from '../services/ledger.js';
+import { parseWalletAddress } from '../services/splTransfer.js';
+import { newJobFields } from '../services/withdrawalRunner.js';
+import { kickWithdrawalRunner } from '../crons/withdrawalRunner.js';
+import {
+  assessWithdrawal,
+  checkWalletCooldown,
+  describeWithdrawalStatus,
+  getWithdrawalUsage,
+  withdrawalLimitsFor,
+  WALLET_COOLDOWN_HOURS,
+  REVIEW_THRESHOLD,
+} from '../services/withdrawalRisk.js';
 
 const router = Router();
 
 // Constants
-const KLIK_MINT = new PublicKey(process.env.KLIK_TOKEN_MINT || '8cPAhMb6bvQg3v1v3yxBCLnUJkboEiV2F8W19z1CS5iB');
-const KLIK_DECIMALS = 9;
 const MIN_WITHDRAWAL = 100;
 const MAX_WITHDRAWAL = 1_000_000;
-const SOLANA_RPC = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+
+// Runner bookkeeping that clients don't need
+const JOB_FIELDS_PROJECTION = { txRaw: 0, txBlockhash: 0, txLastValidBlockHeight: 0, leaseOwner: 0 };
 
 // Rate limiter for withdrawals
 const withdrawLimiter = rateLimit({
@@ -33,24 +45,11 @@ const withdrawLimiter = rateLimit({
   message: { error: 'Too many withdrawal requests. Try again in 1 hour.' }
 });
 
-// Load treasury keypair from env
-let treasuryKeypair = null;
-try {
-  if (process.env.TREASURY_PRIVATE_KEY) {
-    treasuryKeypair = Keypair.fromSecretKey(bs58.decode(process.env.TREASURY_PRIVATE_KEY));
-    console.log('Treasury wallet loaded:', treasuryKeypair.publicKey.toBase58());
-  } else {
-    console.warn('TREASURY_PRIVATE_KEY not set - withdrawals will fail');
-  }
-} catch (err) {
-  console.error('Failed to load treasury keypair:', err.message);
-}
-
 /**
  * POST /api/v1/user/withdraw
  * Withdraw KLIK tokens to user's Solana wallet
  */
-router.post('/withdraw', verifyUserJWT, withdrawLimiter, async (req, res) => {
+router.post('/withdraw', verifyUserJWT, idempotency, withdrawLimiter, async (req, res) => {
   const { amount, walletAddress } = req.body;
 
   // Validate amount
@@ -67,13 +66,7 @@ router.post('/withdraw', verifyUserJWT, withdrawLimiter, async (req, res) => {
     return res.status(400).json({ error: 'Wallet address required' });
   }
 
-  let recipientPubkey;
-  try {
-    recipientPubkey = new PublicKey(walletAddress);
-    if (!PublicKey.isOnCurve(recipientPubkey)) {
-      throw new Error('Invalid public key');
-    }
-  } catch {
+  if (!parseWalletAddress(walletAddress)) {
     return res.status(400).json({ error: 'Invalid Solana wallet address' });
   }
 
@@ -82,158 +75,107 @@ router.post('/withdraw', verifyUserJWT, withdrawLimiter, async (req, res) => {
     return res.status(403).json({ error: 'Wallet address does not match your linked wallet' });
   }
 
-  // Check balance with atomic deduction to prevent race conditions
-  const floorAmount = Math.floor(numAmount);
-  const updateResult = await req.db.collection('User').findOneAndUpdate(
-    {
-      _id: req.user._id,
-      klikBalance: { $gte: floorAmount }
-    },
-    {
-      $inc: { klikBalance: -floorAmount },
-      $set: { updatedAt: new Date() }
-    },
-    { returnDocument: 'after' }
-  );
+  try {
+    checkWalletCooldown(req.user);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message, code: err.code, available_at: err.availableAt });
+  }
 
-  if (!updateResult) {
-    return res.status(400).json({ error: 'Insufficient balance' });
+  // Debit (conditional on balance), check the tier caps and create the
+  // withdrawal record in one ledger transaction, so a crash can't debit
+  // without a withdrawal to refund and concurrent requests can't exceed a cap
+  const floorAmount = Math.floor(numAmount);
+  const withdrawalId = new ObjectId();
+  let assessment;
+  try {
+    await transfer(req.db, {
+      type: LEDGER_TYPES.WITHDRAWAL,
+      from: userAccount(req.user._id),
+      to: systemAccount(SYSTEM_ACCOUNTS.WITHDRAWALS),
+      amount: floorAmount,
+      reference: `withdrawal:${withdrawalId}`,
+      metadata: { withdrawalId, walletAddress },
+      withSession: async (session) => {
+        assessment = await assessWithdrawal(req.db, req.user, floorAmount, { session });
+        await req.db.collection('Withdrawal').insertOne({
+          _id: withdrawalId,
+          userId: req.user._id,
+          amount: floorAmount,
+          walletAddress,
+          status: assessment.status,
+          holdReason: assessment.holdReason,
+          txSignature: null,
+          error: null,
+          // Held withdrawals become jobs when an admin releases them
+          ...(assessment.status === 'pending' && newJobFields()),
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }, { session });
+      },
+    });
+  } catch (err) {
+    if (err.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({ error: 'Insufficient balance' });
+    }
+    if (err.code === 'WITHDRAWAL_LIMIT_EXCEEDED') {
+      return res.status(err.status).json({
+        error: err.message,
+        code: err.code,
+        window: err.window,
+        limit: err.limit,
+        used: err.used,
+        available: err.available
+      });
+    }
+    console.error('Withdrawal debit error:', err);
+    return res.status(500).json({ error: 'Withdrawal failed' });
   }
 
-  // Create withdrawal record
-  const withdrawal = {
-    userId: req.user._id,
-    amount: floorAmount,
-    walletAddress,
-    status: 'pending',
-    txSignature: null,
-    error: null,
-    createdAt: new Date(),
-    updatedAt: new Date()
-  };
-  const insertResult = await req.db.collection('Withdrawal').insertOne(withdrawal);
-  const withdrawalId = insertResult.insertedId;
+  // The withdrawal runner sends it (and resumes it after a restart)
+  if (assessment.status === 'pending') {
+    kickWithdrawalRunner();
+  }
 
-  // Respond immediately with pending status
   res.json({
     withdrawalId: withdrawalId.toString(),
-    status: 'pending',
+    status: assessment.status,
+    statusReason: describeWithdrawalStatus(assessment),
     amount: floorAmount,
     walletAddress,
-    message: 'Withdrawal submitted. Check status in your wallet page.'
+    message: assessment.status === 'held'
+      ? 'Withdrawal submitted for review. Check status in your wallet page.'
+      : 'Withdrawal submitted. Check status in your wallet page.'
   });
+});
 
-  // Background: Execute the actual SPL token transfer
-  (async () => {
-    const db = req.db;
-    const io = req.io;
+/**
+ * GET /api/v1/user/withdrawal-limits
+ * Tier caps, current usage and wallet cooldown
+ */
+router.get('/withdrawal-limits', verifyUserJWT, async (req, res) => {
+  try {
+    const limits = withdrawalLimitsFor(req.user);
+    const usage = await getWithdrawalUsage(req.db, req.user._id);
 
+    let cooldownUntil = null;
     try {
-      if (!treasuryKeypair) {
-        throw new Error('Treasury wallet not configured');
-      }
-
-      const connection = new Connection(SOLANA_RPC, 'confirmed');
-
-      // Get or create associated token accounts
-      const treasuryATA = await getAssociatedTokenAddress(KLIK_MINT, treasuryKeypair.publicKey);
-      const recipientATA = await getAssociatedTokenAddress(KLIK_MINT, recipientPubkey);
-
-      const transaction = new Transaction();
-
-      // Check if recipient has a token account; if not, create one
-      try {
-        await getAccount(connection, recipientATA);
-      } catch {
-        // Account doesn't exist - add create instruction
-        transaction.add(
-          createAssociatedTokenAccountInstruction(
-            treasuryKeypair.publicKey, // payer
-            recipientATA,              // associated token account
-            recipientPubkey,           // owner
-            KLIK_MINT                  // mint
-          )
-        );
-      }
-
-      // Add transfer instruction
-      const rawAmount = BigInt(floorAmount) * BigInt(10 ** KLIK_DECIMALS);
-      transaction.add(
-        createTransferInstruction(
-          treasuryATA,                // source
-          recipientATA,               // destination
-          treasuryKeypair.publicKey,  // authority
-          rawAmount                   // amount in raw units
-        )
-      );
-
-      // Sign and send
-      const { blockhash } = await connection.getLatestBlockhash();
-      transaction.recentBlockhash = blockhash;
-      transaction.feePayer = treasuryKeypair.publicKey;
-      transaction.sign(treasuryKeypair);
-
-      const txSignature = await connection.sendRawTransaction(transaction.serialize(), {
-        skipPreflight: false,
-        preflightCommitment: 'confirmed'
-      });
-
-      // Wait for confirmation
-      await connection.confirmTransaction(txSignature, 'confirmed');
-
-      // Update withdrawal record
-      await db.collection('Withdrawal').updateOne(
-        { _id: withdrawalId },
-        {
-          $set: {
-            status: 'completed',
-            txSignature,
-            updatedAt: new Date()
-          }
-        }
-      );
-
-      console.log(`Withdrawal ${withdrawalId}: ${floorAmount} KLIK -> ${walletAddress} TX: ${txSignature}`);
-
-      // Notify user via Socket.io
-      if (io) {
-        io.to(`user:${req.user._id}`).emit('withdrawal:completed', {
-          withdrawalId: withdrawalId.toString(),
-          amount: floorAmount,
-          txSignature
-        });
-      }
+      checkWalletCooldown(req.user);
     } catch (err) {
-      console.error(`Withdrawal ${withdrawalId} failed:`, err.message);
-
-      // Refund balance on failure
-      await db.collection('User').updateOne(
-        { _id: req.user._id },
-        { $inc: { klikBalance: floorAmount }, $set: { updatedAt: new Date() } }
-      );
-
-      // Mark withdrawal as failed
-      await db.collection('Withdrawal').updateOne(
-        { _id: withdrawalId },
-        {
-          $set: {
-            status: 'failed',
-            error: err.message,
-            updatedAt: new Date()
-          }
-        }
-      );
-
-      // Notify user of failure
-      if (io) {
-        io.to(`user:${req.user._id}`).emit('withdrawal:failed', {
-          withdrawalId: withdrawalId.toString(),
-          amount: floorAmount,
-          error: 'Transfer failed. Balance has been refunded.'
-        });
-      }
+      cooldownUntil = err.availableAt;
     }
-  })();
+
+    res.json({
+      tier: req.user.subscriptionTier || 'free',
+      daily: { limit: limits.daily, used: usage.daily, available: Math.max(limits.daily - usage.daily, 0) },
+      weekly: { limit: limits.weekly, used: usage.weekly, available: Math.max(limits.weekly - usage.weekly, 0) },
+      reviewThreshold: REVIEW_THRESHOLD,
+      walletCooldownHours: WALLET_COOLDOWN_HOURS,
+      cooldownUntil
+    });
+  } catch (err) {
+    console.error('Withdrawal limits error:', err);
+    res.status(500).json({ error: 'Failed to fetch withdrawal limits' });
+  }
 });
 
 /**
@@ -243,12 +185,14 @@ router.post('/withdraw', verifyUserJWT, withdrawLimiter, async (req, res) => {
 router.get('/withdrawals', verifyUserJWT, async (req, res) => {
   try {
     const withdrawals = await req.db.collection('Withdrawal')
-      .find({ userId: req.user._id })
+      .find({ userId: req.user._id }, { projection: JOB_FIELDS_PROJECTION })
       .sort({ createdAt: -1 })
       .limit(50)
       .toArray();
 
-    res.json({ withdrawals });
+    res.json({
+      withdrawals: withdrawals.map(w => ({ ...w, statusReason: describeWithdrawalStatus(w) }))
+    });
   } catch (err) {
     console.error('Withdrawal history error:', err);
     res.status(500).json({ error: 'Failed to fetch withdrawals' });
@@ -264,13 +208,13 @@ router.get('/withdrawal/:id', verifyUserJWT, async (req, res) => {
     const withdrawal = await req.db.collection('Withdrawal').findOne({
       _id: new ObjectId(req.params.id),
       userId: req.user._id
-    });
+    }, { projection: JOB_FIELDS_PROJECTION });
 
     if (!withdrawal) {
       return res.status(404).json({ error: 'Withdrawal not found' });
     }
 
-    res.json({ withdrawal });
+    res.json({ withdrawal: { ...withdrawal, statusReason: describeWithdrawalStatus(withdrawal) } });
   } catch (err) {
     console.error('Withdrawal fetch error:', err);
     res.status(500).json({ error: 'Failed to fetch withdrawal' });
@@ -0,0 +1,328 @@
+/**
+ * Admin Accounts
+ *
+ * Operators are AdminAccount documents with one role. Roles map to
+ * permissions, and each admin route requires one permission (see
+ * middleware/adminAuth.js):
+ *
+ *   viewer      admin:read
+ *   support     admin:read, agents:write
+ *   finance     admin:read, finance:write
+ *   ops         admin:read, agents:write, ops:write
+ *   superadmin  everything, including admins:manage
+ *
+ * Admins authenticate with tokens (AdminToken) issued by a superadmin.
+ * Like agent API keys, a token is shown once and stored as a SHA-256 hash
+ * with a lookup prefix; tokens expire and can be revoked one by one, and
+ * disabling an account revokes all of its tokens.
+ *
+ * KLIK_ADMIN_TOKEN still works as a built-in superadmin ("bootstrap"), so
+ * the first accounts can be created and internal callers (dashboard ->
+ * /api/internal) keep working. Its actions are audited like any other.
+ */
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+
+export const ADMIN_ROLES = ['viewer', 'support', 'finance', 'ops', 'superadmin'];
+
+export const ADMIN_PERMISSIONS = ['admin:read', 'agents:write', 'finance:write', 'ops:write', 'admins:manage'];
+
+export const ROLE_PERMISSIONS = {
+  viewer: ['admin:read'],
+  support: ['admin:read', 'agents:write'],
+  finance: ['admin:read', 'finance:write'],
+  ops: ['admin:read', 'agents:write', 'ops:write'],
+  superadmin: ADMIN_PERMISSIONS,
+};
+
+export const ADMIN_TOKEN_PREFIX = 'klik_admin_';
+export const DEFAULT_ADMIN_TOKEN_TTL_DAYS = 30;
+export const MAX_ADMIN_TOKEN_TTL_DAYS = 365;
+export const MAX_TOKENS_PER_ADMIN = 10;
+
+/** The identity behind KLIK_ADMIN_TOKEN */
+export const BOOTSTRAP_ADMIN = Object.freeze({
+  _id: null,
+  name: 'bootstrap',
+  email: null,
+  role: 'superadmin',
+  status: 'ACTIVE',
+  bootstrap: true,
+});
+
+const LOOKUP_LENGTH = ADMIN_TOKEN_PREFIX.length + 12;
+const MAX_NAME_LENGTH = 64;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function adminError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+export const hashAdminToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function tokensEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Whether a role grants a permission.
+ */
+export function hasAdminPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Ensure indexes for account and token lookup.
+ */
+export async function ensureAdminIndexes(db) {
+  await db.collection('AdminAccount').createIndex({ email: 1 }, { unique: true });
+  await db.collection('AdminToken').createIndex({ prefix: 1 }, { unique: true });
+  await db.collection('AdminToken').createIndex({ adminId: 1, createdAt: -1 });
+}
+
+// ============================================
+// VIEWS
+// ============================================
+
+export function formatAdmin(doc) {
+  return {
+    id: doc._id ? doc._id.toString() : null,
+    email: doc.email,
+    name: doc.name,
+    role: doc.role,
+    permissions: ROLE_PERMISSIONS[doc.role] || [],
+    status: doc.status,
+    bootstrap: Boolean(doc.bootstrap),
+    created_at: doc.createdAt?.toISOString() || null,
+  };
+}
+
+export function formatAdminToken(doc, now = new Date()) {
+  let status = 'active';
+  if (doc.revokedAt) status = 'revoked';
+  else if (doc.expiresAt <= now) status = 'expired';
+
+  return {
+    id: doc._id.toString(),
+    admin_id: doc.adminId.toString(),
+    name: doc.name,
+    prefix: doc.prefix,
+    status,
+    expires_at: doc.expiresAt.toISOString(),
+    last_used_at: doc.lastUsedAt?.toISOString() || null,
+    revoked_at: doc.revokedAt?.toISOString() || null,
+    created_at: doc.createdAt.toISOString(),
+  };
+}
+
+// ============================================
+// ACCOUNTS
+// ============================================
+
+function parseRole(role) {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw adminError(`role must be one of: ${ADMIN_ROLES.join(', ')}`, 'INVALID_ROLE');
+  }
+  return role;
+}
+
+function parseName(name, fallback) {
+  if (name === undefined) return fallback;
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    throw adminError(`name must be 1-${MAX_NAME_LENGTH} characters`, 'INVALID_NAME');
+  }
+  return name.trim();
+}
+
+/**
+ * Create an admin account.
+ *
+ * @throws {Error} INVALID_EMAIL, INVALID_ROLE, INVALID_NAME (400), ADMIN_EXISTS (409)
+ */
+export async function createAdminAccount(db, { email, name, role, createdBy = null, now = new Date() }) {
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email.trim())) {
+    throw adminError('A valid email is required', 'INVALID_EMAIL');
+  }
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const doc = {
+    _id: new ObjectId(),
+    email: normalizedEmail,
+    name: parseName(name, normalizedEmail.split('@')[0]),
+    role: parseRole(role),
+    status: 'ACTIVE',
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    await db.collection('AdminAccount').insertOne(doc);
+  } catch (err) {
+    if (err.code === 11000) {
+      throw adminError('An admin with this email already exists', 'ADMIN_EXISTS', 409);
+    }
+    throw err;
+  }
+  return doc;
+}
+
+/**
+ * Change an account's role or status. Disabling revokes every token.
+ *
+ * @returns {Promise<object|null>} The updated account, or null if not found
+ * @throws {Error} INVALID_ROLE, INVALID_STATUS (400)
+ */
+export async function updateAdminAccount(db, adminId, { role, status, name } = {}, { now = new Date() } = {}) {
+  const $set = { updatedAt: now };
+  if (role !== undefined) $set.role = parseRole(role);
+  if (name !== undefined) $set.name = parseName(name);
+  if (status !== undefined) {
+    if (!['ACTIVE', 'DISABLED'].includes(status)) {
+      throw adminError('status must be ACTIVE or DISABLED', 'INVALID_STATUS');
+    }
+    $set.status = status;
+  }
+
+  const admin = await db.collection('AdminAccount').findOneAndUpdate(
+    { _id: new ObjectId(adminId) },
+    { $set },
+    { returnDocument: 'after' }
+  );
+  if (!admin) return null;
+
+  if (status === 'DISABLED') {
+    await db.collection('AdminToken').updateMany(
+      { adminId: admin._id, revokedAt: null },
+      { $set: { revokedAt: now } }
+    );
+  }
+  return admin;
+}
+
+// ============================================
+// TOKENS
+// ============================================
+
+export async function listAdminTokens(db, adminId) {
+  return db.collection('AdminToken')
+    .find({ adminId: new ObjectId(adminId) }, { projection: { hash: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+}
+
+/**
+ * Issue a token for an active account.
+ *
+ * @returns {Promise<{token: string, doc: object}|null>} null if the account
+ *   does not exist or is disabled; the raw token is never stored
+ * @throws {Error} INVALID_EXPIRY, INVALID_NAME (400), ADMIN_TOKEN_LIMIT (409)
+ */
+export async function issueAdminToken(db, adminId, {
+  name,
+  expiresInDays = DEFAULT_ADMIN_TOKEN_TTL_DAYS,
+  createdBy = null,
+  now = new Date(),
+} = {}) {
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_ADMIN_TOKEN_TTL_DAYS) {
+    throw adminError(`expires_in_days must be between 0 and ${MAX_ADMIN_TOKEN_TTL_DAYS}`, 'INVALID_EXPIRY');
+  }
+  const tokenName = parseName(name, 'default');
+
+  const admin = await db.collection('AdminAccount').findOne({ _id: new ObjectId(adminId), status: 'ACTIVE' });
+  if (!admin) return null;
+
+  const active = await db.collection('AdminToken').countDocuments({
+    adminId: admin._id,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  });
+  if (active >= MAX_TOKENS_PER_ADMIN) {
+    throw adminError(`An admin can have at most ${MAX_TOKENS_PER_ADMIN} active tokens`, 'ADMIN_TOKEN_LIMIT', 409);
+  }
+
+  const token = `${ADMIN_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  const doc = {
+    _id: new ObjectId(),
+    adminId: admin._id,
+    name: tokenName,
+    prefix: token.slice(0, LOOKUP_LENGTH),
+    hash: hashAdminToken(token),
+    expiresAt: new Date(now.getTime() + days * DAY_MS),
+    revokedAt: null,
+    lastUsedAt: null,
+    createdBy,
+    createdAt: now,
+  };
+  await db.collection('AdminToken').insertOne(doc);
+  return { token, doc };
+}
+
+/**
+ * Revoke a token.
+ *
+ * @param {object} [options]
+ * @param {ObjectId} [options.adminId] - Only revoke if the token belongs to this admin
+ * @returns {Promise<object|null>} The revoked token, or null if not found
+ */
+export async function revokeAdminToken(db, tokenId, { adminId, now = new Date() } = {}) {
+  if (!ObjectId.isValid(tokenId)) return null;
+
+  const filter = { _id: new ObjectId(tokenId) };
+  if (adminId) filter.adminId = new ObjectId(adminId);
+
+  const token = await db.collection('AdminToken').findOne(filter, { projection: { hash: 0 } });
+  if (!token) return null;
+  if (token.revokedAt) return token;
+
+  return db.collection('AdminToken').findOneAndUpdate(
+    { _id: token._id },
+    { $set: { revokedAt: now } },
+    { returnDocument: 'after', projection: { hash: 0 } }
+  );
+}
+
+/**
+ * Resolve a raw token to an admin.
+ *
+ * @param {object} [options]
+ * @param {string} [options.bootstrapToken] - Defaults to KLIK_ADMIN_TOKEN
+ * @returns {Promise<{admin: object, token: object|null}|null>}
+ */
+export async function authenticateAdminToken(db, rawToken, {
+  now = new Date(),
+  bootstrapToken = process.env.KLIK_ADMIN_TOKEN,
+} = {}) {
+  if (typeof rawToken !== 'string' || !rawToken) return null;
+
+  if (bootstrapToken && tokensEqual(rawToken, bootstrapToken)) {
+    return { admin: BOOTSTRAP_ADMIN, token: null };
+  }
+
+  if (!db || !rawToken.startsWith(ADMIN_TOKEN_PREFIX) || rawToken.length < LOOKUP_LENGTH) return null;
+
+  const token = await db.collection('AdminToken').findOne({ prefix: rawToken.slice(0, LOOKUP_LENGTH) });
+  if (!token) return null;
+
+  const hash = Buffer.from(hashAdminToken(rawToken), 'hex');
+  const stored = Buffer.from(token.hash, 'hex');
+  if (stored.length !== hash.length || !crypto.timingSafeEqual(stored, hash)) return null;
+  if (token.revokedAt || token.expiresAt <= now) return null;
+
+  const admin = await db.collection('AdminAccount').findOne({ _id: token.adminId, status: 'ACTIVE' });
+  if (!admin) return null;
+
+  if (!token.lastUsedAt || now - token.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+    await db.collection('AdminToken').updateOne({ _id: token._id }, { $set: { lastUsedAt: now } });
+  }
+
+  return { admin, token };
+}
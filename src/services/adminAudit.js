@@ -0,0 +1,132 @@
+/**
+ * Admin Audit Trail
+ *
+ * Every state-changing admin route records who did what (AdminAuditLog).
+ * The entry is written before the handler runs, so an action that crashes
+ * the process is still on record, and completed with the response status
+ * and any result the handler left in res.locals.audit:
+ *
+ *   { action, admin: { id, name, role, bootstrap }, tokenId,
+ *     method, path, params, query, body, ip,
+ *     status: 'started' | 'succeeded' | 'failed' | 'aborted',
+ *     statusCode, result, createdAt, finishedAt }
+ *
+ * Request bodies are stored with secrets (tokens, keys, passwords) redacted.
+ */
+
+import { ObjectId } from 'mongodb';
+
+const REDACT_PATTERN = /token|secret|password|private|api_?key|signature/i;
+const MAX_DEPTH = 4;
+
+/**
+ * Ensure indexes for the audit listing filters.
+ */
+export async function ensureAdminAuditIndexes(db) {
+  await db.collection('AdminAuditLog').createIndex({ createdAt: -1 });
+  await db.collection('AdminAuditLog').createIndex({ 'admin.id': 1, createdAt: -1 });
+  await db.collection('AdminAuditLog').createIndex({ action: 1, createdAt: -1 });
+}
+
+/**
+ * Copy of a request body with secret-looking fields replaced.
+ */
+export function redactSecrets(value, depth = 0) {
+  if (Array.isArray(value)) {
+    return depth >= MAX_DEPTH ? '[truncated]' : value.map(v => redactSecrets(v, depth + 1));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof ObjectId)) {
+    if (depth >= MAX_DEPTH) return '[truncated]';
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      out[key] = REDACT_PATTERN.test(key) ? '[redacted]' : redactSecrets(v, depth + 1);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Record the start of an admin action.
+ *
+ * @returns {Promise<ObjectId>} Audit entry id
+ */
+export async function recordAdminAction(db, {
+  action,
+  admin,
+  tokenId = null,
+  method,
+  path,
+  params = {},
+  query = {},
+  body = {},
+  ip = null,
+  now = new Date(),
+}) {
+  const entry = {
+    _id: new ObjectId(),
+    action,
+    admin: {
+      id: admin._id || null,
+      name: admin.name,
+      role: admin.role,
+      bootstrap: Boolean(admin.bootstrap),
+    },
+    tokenId,
+    method,
+    path,
+    params,
+    query: redactSecrets(query),
+    body: redactSecrets(body || {}),
+    ip,
+    status: 'started',
+    statusCode: null,
+    result: null,
+    createdAt: now,
+    finishedAt: null,
+  };
+  await db.collection('AdminAuditLog').insertOne(entry);
+  return entry._id;
+}
+
+/**
+ * Complete an audit entry.
+ *
+ * @param {object} outcome
+ * @param {number|null} outcome.statusCode - null if the client went away first
+ * @param {object} [outcome.result] - Summary set by the handler
+ */
+export async function finishAdminAction(db, entryId, { statusCode, result = null, now = new Date() }) {
+  let status = 'aborted';
+  if (statusCode !== null) status = statusCode < 400 ? 'succeeded' : 'failed';
+
+  await db.collection('AdminAuditLog').updateOne(
+    { _id: entryId },
+    { $set: { status, statusCode, result: redactSecrets(result), finishedAt: now } }
+  );
+}
+
+export function formatAuditEntry(e) {
+  return {
+    id: e._id.toString(),
+    action: e.action,
+    admin: {
+      id: e.admin.id ? e.admin.id.toString() : null,
+      name: e.admin.name,
+      role: e.admin.role,
+      bootstrap: e.admin.bootstrap,
+    },
+    token_id: e.tokenId ? e.tokenId.toString() : null,
+    method: e.method,
+    path: e.path,
+    params: e.params,
+    query: e.query,
+    body: e.body,
+    ip: e.ip,
+    status: e.status,
+    status_code: e.statusCode,
+    result: e.result,
+    created_at: e.createdAt,
+    finished_at: e.finishedAt,
+  };
+}
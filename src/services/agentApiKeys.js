@@ -0,0 +1,387 @@
+/**
+ * Agent API Keys
+ *
+ * An agent can hold several named API keys (AgentApiKey). Keys are shown
+ * once, when created, and stored as a SHA-256 hash; the first characters
+ * (`prefix`, e.g. klik_3f9a0c1b2d4e) are kept in the clear to find the
+ * key and to tell keys apart in listings.
+ *
+ * Each key carries scopes (API_KEY_SCOPES, checked per route by
+ * requireScope in middleware/principal.js), an optional expiry, and
+ * lastUsedAt. Rotating a key issues a replacement with the same name and
+ * scopes and lets the old one work for a grace period, so running agents
+ * can switch over without downtime.
+ *
+ * Agents created before this kept one plaintext Agent.apiKey. Those keys
+ * are moved here, with every scope, the first time they are used (or by
+ * migration 005).
+ */
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+
+export const API_KEY_PREFIX = 'klik_';
+
+export const API_KEY_SCOPES = ['posts:write', 'wallet:transfer', 'dm', 'dashboard:admin'];
+
+export const DEFAULT_ROTATION_GRACE_HOURS = 24;
+export const MAX_ROTATION_GRACE_HOURS = 7 * 24;
+export const MAX_KEYS_PER_AGENT = 20;
+
+const LOOKUP_LENGTH = API_KEY_PREFIX.length + 12;
+const MAX_NAME_LENGTH = 64;
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function apiKeyError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Generate a new raw key.
+ *
+ * @returns {{key: string, prefix: string, hash: string}}
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return { key, prefix: key.slice(0, LOOKUP_LENGTH), hash: hashApiKey(key) };
+}
+
+/**
+ * Ensure indexes for key lookup and per-agent listing.
+ */
+export async function ensureApiKeyIndexes(db) {
+  await db.collection('AgentApiKey').createIndex({ prefix: 1 }, { unique: true });
+  await db.collection('AgentApiKey').createIndex({ agentId: 1, createdAt: -1 });
+
+  // authenticateApiKey falls back to plaintext Agent.apiKey for keys not
+  // yet moved; sparse, since moved agents no longer have the field
+  try {
+    await db.collection('Agent').createIndex({ apiKey: 1 }, { sparse: true });
+  } catch (err) {
+    // An older non-sparse { apiKey: 1 } index serves the lookup as well
+    if (err.codeName !== 'IndexOptionsConflict') throw err;
+  }
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate requested scopes.
+ *
+ * @throws {Error} INVALID_SCOPES (400)
+ */
+export function parseScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw apiKeyError(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`, 'INVALID_SCOPES');
+  }
+  const unknown = scopes.filter(s => !API_KEY_SCOPES.includes(s));
+  if (unknown.length > 0) {
+    throw apiKeyError(`Unknown scopes: ${unknown.join(', ')}`, 'INVALID_SCOPES');
+  }
+  return API_KEY_SCOPES.filter(s => scopes.includes(s));
+}
+
+/**
+ * Expiry from `expires_at` (ISO date) or `expires_in_days`; undefined when
+ * neither is given, null for "never".
+ *
+ * @throws {Error} INVALID_EXPIRY (400)
+ */
+export function parseExpiry({ expires_at, expires_in_days } = {}, now = new Date()) {
+  if (expires_at === null || expires_in_days === null) return null;
+  if (expires_at !== undefined) {
+    const at = new Date(expires_at);
+    if (Number.isNaN(at.getTime()) || at <= now) {
+      throw apiKeyError('expires_at must be a future ISO date', 'INVALID_EXPIRY');
+    }
+    return at;
+  }
+  if (expires_in_days !== undefined) {
+    const days = Number(expires_in_days);
+    if (!Number.isFinite(days) || days <= 0 || days > 3650) {
+      throw apiKeyError('expires_in_days must be between 0 and 3650', 'INVALID_EXPIRY');
+    }
+    return new Date(now.getTime() + days * DAY_MS);
+  }
+  return undefined;
+}
+
+function parseName(name) {
+  if (name === undefined) return 'default';
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    throw apiKeyError(`name must be 1-${MAX_NAME_LENGTH} characters`, 'INVALID_NAME');
+  }
+  return name.trim();
+}
+
+// ============================================
+// KEYS
+// ============================================
+
+export function isKeyActive(doc, now = new Date()) {
+  return !doc.revokedAt && (!doc.expiresAt || doc.expiresAt > now);
+}
+
+/**
+ * Public view of a key (never the hash).
+ */
+export function formatApiKey(doc, now = new Date()) {
+  let status = 'active';
+  if (doc.revokedAt) status = 'revoked';
+  else if (doc.expiresAt && doc.expiresAt <= now) status = 'expired';
+
+  return {
+    id: doc._id.toString(),
+    name: doc.name,
+    prefix: doc.prefix,
+    scopes: doc.scopes,
+    status,
+    expires_at: doc.expiresAt?.toISOString() || null,
+    last_used_at: doc.lastUsedAt?.toISOString() || null,
+    created_at: doc.createdAt.toISOString(),
+    revoked_at: doc.revokedAt?.toISOString() || null,
+    rotated_to: doc.rotatedTo?.toString() || null,
+  };
+}
+
+/**
+ * Keys of an agent, newest first.
+ */
+export async function listApiKeys(db, agentId) {
+  return db.collection('AgentApiKey')
+    .find({ agentId: new ObjectId(agentId) }, { projection: { hash: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+}
+
+/**
+ * Create a key.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {ObjectId|string} agentId
+ * @param {object} [options]
+ * @param {string} [options.name]
+ * @param {string[]} [options.scopes] - Defaults to every scope
+ * @param {Date|null} [options.expiresAt]
+ * @param {object} [options.createdBy] - Principal ({type, id})
+ * @returns {Promise<{key: string, doc: object}>} key is the raw key, shown once
+ * @throws {Error} INVALID_NAME / INVALID_SCOPES (400), API_KEY_LIMIT (409)
+ */
+export async function createApiKey(db, agentId, {
+  name,
+  scopes = API_KEY_SCOPES,
+  expiresAt = null,
+  createdBy = null,
+  rotatedFrom = null,
+  now = new Date(),
+} = {}) {
+  const agentObjectId = new ObjectId(agentId);
+  const doc = {
+    agentId: agentObjectId,
+    name: parseName(name),
+    scopes: parseScopes(scopes),
+    expiresAt: expiresAt || null,
+    lastUsedAt: null,
+    createdAt: now,
+    createdBy,
+    revokedAt: null,
+    rotatedFrom,
+    rotatedTo: null,
+  };
+
+  const current = await db.collection('AgentApiKey')
+    .find({ agentId: agentObjectId, revokedAt: null }, { projection: { expiresAt: 1 } })
+    .toArray();
+  if (current.filter(k => isKeyActive(k, now)).length >= MAX_KEYS_PER_AGENT) {
+    throw apiKeyError(`An agent can have at most ${MAX_KEYS_PER_AGENT} active keys`, 'API_KEY_LIMIT', 409);
+  }
+
+  const { key, prefix, hash } = generateApiKey();
+  doc.prefix = prefix;
+  doc.hash = hash;
+  const result = await db.collection('AgentApiKey').insertOne(doc);
+  doc._id = result.insertedId;
+  return { key, doc };
+}
+
+/**
+ * Revoke one key of an agent.
+ *
+ * @returns {Promise<object|null>} The revoked key, or null if not found
+ */
+export async function revokeApiKey(db, agentId, keyId, { now = new Date() } = {}) {
+  if (!ObjectId.isValid(keyId)) return null;
+  return db.collection('AgentApiKey').findOneAndUpdate(
+    { _id: new ObjectId(keyId), agentId: new ObjectId(agentId), revokedAt: null },
+    { $set: { revokedAt: now } },
+    { returnDocument: 'after', projection: { hash: 0 } }
+  );
+}
+
+/**
+ * Replace a key: the new key gets the same name and scopes (and the same
+ * lifetime, unless expiresAt is given), and the old one keeps working for
+ * graceHours.
+ *
+ * @returns {Promise<{key: string, doc: object, previous: object}|null>} null if
+ *   the key is not an active key of the agent
+ * @throws {Error} INVALID_GRACE_PERIOD (400)
+ */
+export async function rotateApiKey(db, agentId, keyId, {
+  graceHours = DEFAULT_ROTATION_GRACE_HOURS,
+  expiresAt,
+  createdBy = null,
+  now = new Date(),
+} = {}) {
+  const grace = Number(graceHours);
+  if (!Number.isFinite(grace) || grace < 0 || grace > MAX_ROTATION_GRACE_HOURS) {
+    throw apiKeyError(`grace_hours must be between 0 and ${MAX_ROTATION_GRACE_HOURS}`, 'INVALID_GRACE_PERIOD');
+  }
+  if (!ObjectId.isValid(keyId)) return null;
+
+  const keys = db.collection('AgentApiKey');
+  const old = await keys.findOne({ _id: new ObjectId(keyId), agentId: new ObjectId(agentId), revokedAt: null });
+  if (!old || !isKeyActive(old, now)) return null;
+
+  if (expiresAt === undefined) {
+    expiresAt = old.expiresAt ? new Date(now.getTime() + (old.expiresAt - old.createdAt)) : null;
+  }
+
+  const { key, doc } = await createApiKey(db, agentId, {
+    name: old.name,
+    scopes: old.scopes,
+    expiresAt,
+    createdBy,
+    rotatedFrom: old._id,
+    now,
+  });
+
+  const graceEnds = new Date(now.getTime() + grace * HOUR_MS);
+  const previous = await keys.findOneAndUpdate(
+    { _id: old._id },
+    {
+      $set: {
+        rotatedTo: doc._id,
+        expiresAt: old.expiresAt && old.expiresAt < graceEnds ? old.expiresAt : graceEnds,
+      },
+    },
+    { returnDocument: 'after', projection: { hash: 0 } }
+  );
+
+  return { key, doc, previous };
+}
+
+/**
+ * Revoke every key of an agent (including a legacy plaintext key) and issue
+ * one new key with every scope.
+ *
+ * @returns {Promise<{key: string, doc: object}>}
+ */
+export async function replaceAllApiKeys(db, agentId, { createdBy = null, now = new Date() } = {}) {
+  const agentObjectId = new ObjectId(agentId);
+  await db.collection('AgentApiKey').updateMany(
+    { agentId: agentObjectId, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+  await db.collection('Agent').updateOne(
+    { _id: agentObjectId },
+    { $unset: { apiKey: '', apiKeyCreatedAt: '' }, $set: { updatedAt: now } }
+  );
+  return createApiKey(db, agentObjectId, { createdBy, now });
+}
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+
+/**
+ * Move an agent's plaintext Agent.apiKey into AgentApiKey (every scope).
+ *
+ * @returns {Promise<object|null>} The key document, or null if another
+ *   request moved it first
+ */
+export async function upgradeLegacyApiKey(db, agent, { now = new Date() } = {}) {
+  const key = agent.apiKey;
+  const doc = {
+    agentId: agent._id,
+    name: 'default',
+    prefix: key.slice(0, LOOKUP_LENGTH),
+    hash: hashApiKey(key),
+    scopes: [...API_KEY_SCOPES],
+    expiresAt: null,
+    lastUsedAt: null,
+    createdAt: agent.apiKeyCreatedAt || agent.createdAt || now,
+    createdBy: null,
+    revokedAt: null,
+    rotatedFrom: null,
+    rotatedTo: null,
+    legacy: true,
+  };
+
+  let stored = doc;
+  try {
+    const result = await db.collection('AgentApiKey').insertOne(doc);
+    doc._id = result.insertedId;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // Moved already (concurrent request or re-run), or a prefix clash
+    stored = await db.collection('AgentApiKey').findOne({ prefix: doc.prefix, hash: doc.hash });
+    if (!stored) return null;
+  }
+
+  await db.collection('Agent').updateOne(
+    { _id: agent._id, apiKey: key },
+    { $unset: { apiKey: '', apiKeyCreatedAt: '' } }
+  );
+  return stored;
+}
+
+/**
+ * Find the agent and key for a raw API key. The agent's status is not
+ * checked; callers decide which statuses may authenticate.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {string} rawKey - Key from the Authorization header
+ * @returns {Promise<{agent: object, apiKey: object}|null>} null for unknown,
+ *   revoked or expired keys
+ */
+export async function authenticateApiKey(db, rawKey, { now = new Date() } = {}) {
+  if (typeof rawKey !== 'string' || !rawKey.startsWith(API_KEY_PREFIX) || rawKey.length < LOOKUP_LENGTH) {
+    return null;
+  }
+
+  let apiKey = await db.collection('AgentApiKey').findOne({ prefix: rawKey.slice(0, LOOKUP_LENGTH) });
+  let agent = null;
+
+  if (!apiKey) {
+    // Keys issued before AgentApiKey existed
+    agent = await db.collection('Agent').findOne({ apiKey: rawKey });
+    if (!agent) return null;
+    apiKey = await upgradeLegacyApiKey(db, agent, { now });
+    if (!apiKey) return null;
+  }
+
+  const hash = Buffer.from(hashApiKey(rawKey), 'hex');
+  const stored = Buffer.from(apiKey.hash, 'hex');
+  if (stored.length !== hash.length || !crypto.timingSafeEqual(stored, hash)) return null;
+  if (!isKeyActive(apiKey, now)) return null;
+
+  agent = agent || await db.collection('Agent').findOne({ _id: apiKey.agentId });
+  if (!agent) return null;
+
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+    await db.collection('AgentApiKey').updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } });
+  }
+
+  return { agent, apiKey };
+}
@@ -0,0 +1,164 @@
+/**
+ * Agent Withdrawals
+ *
+ * Agent withdrawals are reviewed by an admin before any KLIK leaves the
+ * treasury. The agent's balance is debited when the request is made and
+ * the request is stored as a Transaction (type WITHDRAWAL):
+ *
+ *   PENDING ──approve──> PROCESSING ──sent──> COMPLETED
+ *      │                     └──send failed──> FAILED   (refunded)
+ *      └──reject──> REJECTED (refunded)
+ *
+ * PROCESSING withdrawals are sent by the withdrawal runner
+ * (services/withdrawalRunner.js), which retries and refunds on failure.
+ *
+ * Each state change is a conditional update on the current status, so two
+ * admins acting at once cannot approve twice or refund twice. Refunds go
+ * through the ledger with reference agent-withdrawal-refund:<id>, which
+ * also guarantees at most one refund per request.
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  transfer,
+  agentAccount,
+  systemAccount,
+  SYSTEM_ACCOUNTS,
+  LEDGER_TYPES,
+} from './ledger.js';
+import { newJobFields } from './withdrawalRunner.js';
+
+export const AGENT_WITHDRAWAL_STATUS = {
+  PENDING: 'PENDING',
+  PROCESSING: 'PROCESSING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  REJECTED: 'REJECTED',
+};
+
+function withdrawalError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/**
+ * Debit the agent and queue a withdrawal for review.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} options
+ * @param {ObjectId} options.agentId
+ * @param {number} options.amount
+ * @param {string} options.destinationWallet - Validated base58 address
+ * @returns {Promise<object>} Ledger outcome; result.insertedId is the withdrawal id
+ */
+export async function requestAgentWithdrawal(db, { agentId, amount, destinationWallet }) {
+  const withdrawalId = new ObjectId();
+  return transfer(db, {
+    type: LEDGER_TYPES.WITHDRAWAL,
+    from: agentAccount(agentId),
+    to: systemAccount(SYSTEM_ACCOUNTS.WITHDRAWALS),
+    amount,
+    reference: `agent-withdrawal:${withdrawalId}`,
+    metadata: { withdrawalId, destinationWallet },
+    withSession: (session) => db.collection('Transaction').insertOne({
+      _id: withdrawalId,
+      type: 'WITHDRAWAL',
+      fromAgentId: agentId,
+      amount,
+      destinationWallet,
+      status: AGENT_WITHDRAWAL_STATUS.PENDING,
+      createdAt: new Date(),
+    }, { session }),
+  });
+}
+
+/**
+ * Refund a withdrawal and move it out of `fromStatus` in one transaction.
+ * Throws WITHDRAWAL_NOT_PENDING (409) if it is no longer in `fromStatus`.
+ */
+async function refundWithdrawal(db, withdrawal, { fromStatus, status, fields }) {
+  return transfer(db, {
+    type: LEDGER_TYPES.WITHDRAWAL_REFUND,
+    from: systemAccount(SYSTEM_ACCOUNTS.WITHDRAWALS),
+    to: agentAccount(withdrawal.fromAgentId),
+    amount: withdrawal.amount,
+    reference: `agent-withdrawal-refund:${withdrawal._id}`,
+    metadata: { withdrawalId: withdrawal._id, status },
+    withSession: async (session) => {
+      const result = await db.collection('Transaction').updateOne(
+        { _id: withdrawal._id, type: 'WITHDRAWAL', status: fromStatus },
+        { $set: { status, ...fields, updatedAt: new Date() } },
+        { session }
+      );
+      if (result.matchedCount === 0) {
+        throw withdrawalError(`Withdrawal is no longer ${fromStatus}`, 'WITHDRAWAL_NOT_PENDING', 409);
+      }
+    },
+  });
+}
+
+async function findWithdrawal(db, id) {
+  const withdrawal = await db.collection('Transaction').findOne({ _id: new ObjectId(id), type: 'WITHDRAWAL' });
+  if (!withdrawal) {
+    throw withdrawalError('Withdrawal not found', 'WITHDRAWAL_NOT_FOUND', 404);
+  }
+  return withdrawal;
+}
+
+/**
+ * Reject a pending withdrawal and refund the agent.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {string|ObjectId} id - Withdrawal id
+ * @param {object} options
+ * @param {string} [options.reason]
+ * @param {string} [options.reviewedBy]
+ * @returns {Promise<object>} Updated withdrawal
+ */
+export async function rejectAgentWithdrawal(db, id, { reason = null, reviewedBy = 'admin' } = {}) {
+  const withdrawal = await findWithdrawal(db, id);
+  if (withdrawal.status !== AGENT_WITHDRAWAL_STATUS.PENDING) {
+    throw withdrawalError(`Withdrawal is ${withdrawal.status}`, 'WITHDRAWAL_NOT_PENDING', 409);
+  }
+
+  await refundWithdrawal(db, withdrawal, {
+    fromStatus: AGENT_WITHDRAWAL_STATUS.PENDING,
+    status: AGENT_WITHDRAWAL_STATUS.REJECTED,
+    fields: { rejectionReason: reason, reviewedBy, reviewedAt: new Date() },
+  });
+
+  return db.collection('Transaction').findOne({ _id: withdrawal._id });
+}
+
+/**
+ * Approve a pending withdrawal: moves it PENDING -> PROCESSING and queues it
+ * for the withdrawal runner, which sends it exactly once.
+ *
+ * @returns {Promise<object>} Claimed withdrawal
+ */
+export async function approveAgentWithdrawal(db, id, { reviewedBy = 'admin' } = {}) {
+  const withdrawal = await findWithdrawal(db, id);
+  if (!withdrawal.destinationWallet) {
+    throw withdrawalError('Withdrawal has no destination wallet', 'WITHDRAWAL_INVALID', 422);
+  }
+
+  const claimed = await db.collection('Transaction').findOneAndUpdate(
+    { _id: withdrawal._id, type: 'WITHDRAWAL', status: AGENT_WITHDRAWAL_STATUS.PENDING },
+    {
+      $set: {
+        status: AGENT_WITHDRAWAL_STATUS.PROCESSING,
+        ...newJobFields(),
+        reviewedBy,
+        reviewedAt: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) {
+    throw withdrawalError(`Withdrawal is ${withdrawal.status}`, 'WITHDRAWAL_NOT_PENDING', 409);
+  }
+  return claimed;
+}
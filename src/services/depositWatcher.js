@@ -0,0 +1,716 @@
+/**
+ * On-Chain Deposit Watcher
+ *
+ * Credits KLIK deposits sent to the treasury on Solana.
+ *
+ * Every agent and user gets a deposit memo reference (KLIK-XXXXXXXX). To
+ * deposit, they send KLIK to the treasury wallet with that memo attached.
+ * The watcher pages through signatures touching the treasury's KLIK token
+ * account and, for each one:
+ *
+ *   1. waits until it has DEPOSIT_MIN_CONFIRMATIONS (or is finalized)
+ *   2. measures the amount from the transaction's token balance changes on
+ *      treasury-owned accounts of KLIK_TOKEN_MINT (other mints are ignored)
+ *   3. maps the memo to an account and credits it through the ledger with
+ *      reference deposit:<signature>, so a signature is credited once
+ *
+ * Deposits without a recognisable memo are recorded as "unmatched" for
+ * support to assign to an account or refund (routes/admin/deposits.js).
+ *
+ * On its first run the watcher starts from DEPOSIT_WATCHER_START_SIGNATURE,
+ * or else from the newest signature, rather than replaying the token
+ * account's whole history; earlier deposits can still be claimed by
+ * signature. A signature the RPC keeps reporting as not found is recorded
+ * in SkippedDepositSignature after DEPOSIT_NOT_FOUND_MAX_POLLS polls and
+ * passed over, so it cannot stall the watcher.
+ * The Solana connection is injectable, so the watcher runs against a local
+ * validator or a mocked RPC in tests.
+ */
+
+import crypto from 'crypto';
+import { Connection, PublicKey, Keypair } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync } from '@solana/spl-token';
+import bs58 from 'bs58';
+import {
+  transfer,
+  systemAccount,
+  SYSTEM_ACCOUNTS,
+  LEDGER_TYPES,
+} from './ledger.js';
+
+const KLIK_MINT = process.env.KLIK_TOKEN_MINT || '8cPAhMb6bvQg3v1v3yxBCLnUJkboEiV2F8W19z1CS5iB';
+const MIN_CONFIRMATIONS = parseInt(process.env.DEPOSIT_MIN_CONFIRMATIONS, 10) || 32;
+const SIGNATURE_PAGE_SIZE = 1000;
+export const MAX_PAGES_PER_POLL = 10;
+const WATCHER_STATE_ID = 'klik-treasury-deposits';
+const START_SIGNATURE = process.env.DEPOSIT_WATCHER_START_SIGNATURE || null;
+const NOT_FOUND_MAX_POLLS = parseInt(process.env.DEPOSIT_NOT_FOUND_MAX_POLLS, 10) || 20;
+
+const MEMO_PREFIX = 'KLIK-';
+const MEMO_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O/1/I
+const MEMO_PATTERN = /KLIK-[A-HJ-NP-Z2-9]{8}/;
+
+export const DEPOSIT_STATUSES = ['credited', 'unmatched', 'refunded'];
+
+// ============================================
+// DEPOSIT REFERENCES
+// ============================================
+
+/**
+ * Ensure indexes for DepositReference / Deposit.
+ */
+export async function ensureDepositIndexes(db) {
+  await db.collection('DepositReference').createIndex({ memo: 1 }, { unique: true, name: 'deposit_ref_memo_unique' });
+  await db.collection('DepositReference').createIndex(
+    { accountType: 1, accountId: 1 },
+    { unique: true, name: 'deposit_ref_account_unique' }
+  );
+  await db.collection('Deposit').createIndex({ signature: 1 }, { unique: true, name: 'deposit_signature_unique' });
+  await db.collection('Deposit').createIndex({ accountType: 1, accountId: 1, createdAt: -1 }, { name: 'deposit_by_account' });
+  await db.collection('Deposit').createIndex({ status: 1, createdAt: -1 }, { name: 'deposit_by_status' });
+  await db.collection('SkippedDepositSignature').createIndex(
+    { signature: 1 },
+    { unique: true, name: 'skipped_deposit_signature_unique' }
+  );
+}
+
+function generateMemo() {
+  const bytes = crypto.randomBytes(8);
+  let memo = MEMO_PREFIX;
+  for (const byte of bytes) {
+    memo += MEMO_ALPHABET[byte % MEMO_ALPHABET.length];
+  }
+  return memo;
+}
+
+/**
+ * Extract a deposit memo reference from free text (memo instruction data).
+ */
+export function extractMemoReference(text) {
+  if (typeof text !== 'string') return null;
+  const match = text.toUpperCase().match(MEMO_PATTERN);
+  return match ? match[0] : null;
+}
+
+/**
+ * Get (or create) the deposit memo reference for an account.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {{type: 'AGENT'|'USER', id: ObjectId}} account
+ * @returns {Promise<string>} Memo, e.g. KLIK-7QX3M9PA
+ */
+export async function getDepositReference(db, account) {
+  const identity = { accountType: account.type, accountId: account.id };
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const existing = await db.collection('DepositReference').findOne(identity);
+    if (existing) return existing.memo;
+
+    try {
+      const memo = generateMemo();
+      await db.collection('DepositReference').insertOne({ ...identity, memo, createdAt: new Date() });
+      return memo;
+    } catch (error) {
+      // Memo collision, or a concurrent request created this account's reference
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Failed to allocate a deposit reference');
+}
+
+// ============================================
+// TREASURY
+// ============================================
+
+/**
+ * Treasury owner public key (TREASURY_PUBLIC_KEY, else derived from TREASURY_PRIVATE_KEY).
+ *
+ * @returns {PublicKey|null}
+ */
+export function getTreasuryOwner() {
+  if (process.env.TREASURY_PUBLIC_KEY) {
+    return new PublicKey(process.env.TREASURY_PUBLIC_KEY);
+  }
+  if (process.env.TREASURY_PRIVATE_KEY) {
+    try {
+      return Keypair.fromSecretKey(bs58.decode(process.env.TREASURY_PRIVATE_KEY)).publicKey;
+    } catch (err) {
+      console.error('[DepositWatcher] Failed to decode TREASURY_PRIVATE_KEY:', err.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Deposit instructions shown to clients.
+ */
+export function depositInstructions(treasuryOwner, memo, mint = KLIK_MINT) {
+  const tokenAccount = getAssociatedTokenAddressSync(new PublicKey(mint), treasuryOwner);
+  return {
+    treasury_wallet: treasuryOwner.toBase58(),
+    treasury_token_account: tokenAccount.toBase58(),
+    mint,
+    memo,
+    min_confirmations: MIN_CONFIRMATIONS,
+    instructions: `Send KLIK to ${treasuryOwner.toBase58()} with memo ${memo}. ` +
+      'Deposits without the memo cannot be credited automatically.',
+  };
+}
+
+// ============================================
+// TRANSACTION PARSING
+// ============================================
+
+function accountKeyAt(tx, index) {
+  const key = tx.transaction?.message?.accountKeys?.[index];
+  if (!key) return null;
+  const pubkey = key.pubkey ?? key;
+  return typeof pubkey === 'string' ? pubkey : pubkey.toBase58();
+}
+
+function allInstructions(tx) {
+  const outer = tx.transaction?.message?.instructions || [];
+  const inner = (tx.meta?.innerInstructions || []).flatMap(group => group.instructions || []);
+  return [...outer, ...inner];
+}
+
+/**
+ * Measure a KLIK deposit in a parsed transaction.
+ *
+ * Uses token balance deltas rather than instruction parsing, so plain
+ * transfers, transferChecked and program-routed transfers are all counted,
+ * and the mint is verified from the balance records themselves.
+ *
+ * @param {object} tx - Result of connection.getParsedTransaction()
+ * @param {object} options
+ * @param {string} options.treasuryOwner - Base58 treasury owner
+ * @param {string[]} options.treasuryTokenAccounts - Base58 treasury token accounts (fallback when owner is absent)
+ * @param {string} options.mint - Base58 KLIK mint
+ * @returns {{rawAmount: bigint, decimals: number, memo: string|null, memoText: string|null}|null}
+ *   null if the transaction failed or did not increase the treasury's KLIK balance
+ */
+export function parseDepositTransaction(tx, { treasuryOwner, treasuryTokenAccounts = [], mint }) {
+  if (!tx || !tx.meta || tx.meta.err) return null;
+
+  const isTreasuryKlik = (balance) => {
+    if (balance.mint !== mint) return false;
+    if (balance.owner) return balance.owner === treasuryOwner;
+    return treasuryTokenAccounts.includes(accountKeyAt(tx, balance.accountIndex));
+  };
+
+  let decimals = 9;
+  const sumBalances = (balances = []) => balances.filter(isTreasuryKlik).reduce((sum, b) => {
+    decimals = b.uiTokenAmount?.decimals ?? decimals;
+    return sum + BigInt(b.uiTokenAmount?.amount || '0');
+  }, 0n);
+
+  const rawAmount = sumBalances(tx.meta.postTokenBalances) - sumBalances(tx.meta.preTokenBalances);
+  if (rawAmount <= 0n) return null;
+
+  const memoText = allInstructions(tx)
+    .filter(ix => ix.program === 'spl-memo' && typeof ix.parsed === 'string')
+    .map(ix => ix.parsed)
+    .join(' ') || null;
+
+  return { rawAmount, decimals, memo: extractMemoReference(memoText), memoText };
+}
+
+/**
+ * Convert raw token units to a KLIK amount.
+ */
+export function toKlikAmount(rawAmount, decimals) {
+  const scale = 10n ** BigInt(decimals);
+  const whole = rawAmount / scale;
+  const fraction = rawAmount % scale;
+  return Number(whole) + Number(fraction) / Number(scale);
+}
+
+// ============================================
+// WATCHER
+// ============================================
+
+/**
+ * Create a deposit watcher.
+ *
+ * @param {object} options
+ * @param {object} options.db - MongoDB database instance
+ * @param {object} [options.connection] - @solana/web3.js Connection (or compatible mock)
+ * @param {PublicKey|string} [options.treasuryOwner] - Defaults to getTreasuryOwner()
+ * @param {string} [options.mint] - Defaults to KLIK_TOKEN_MINT
+ * @param {number} [options.minConfirmations] - Defaults to DEPOSIT_MIN_CONFIRMATIONS (32)
+ * @param {function} [options.credit] - async (db, deposit) => void; defaults to a ledger credit
+ * @param {function} [options.onCredit] - Called after each credited deposit (notifications)
+ * @param {number} [options.pageSize] - Signatures per RPC page (1000, the RPC maximum)
+ * @param {number} [options.maxPages] - Pages fetched per poll (MAX_PAGES_PER_POLL, at least 2)
+ * @param {string|null} [options.startSignature] - First-run cursor; defaults to
+ *   DEPOSIT_WATCHER_START_SIGNATURE, else the newest signature
+ * @param {number} [options.maxNotFoundPolls] - Polls a signature may come back
+ *   not found before it is skipped (DEPOSIT_NOT_FOUND_MAX_POLLS, 20)
+ */
+export function createDepositWatcher({
+  db,
+  connection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com', 'confirmed'),
+  treasuryOwner = getTreasuryOwner(),
+  mint = KLIK_MINT,
+  minConfirmations = MIN_CONFIRMATIONS,
+  credit = creditDeposit,
+  onCredit = null,
+  pageSize = SIGNATURE_PAGE_SIZE,
+  maxPages = MAX_PAGES_PER_POLL,
+  startSignature = START_SIGNATURE,
+  maxNotFoundPolls = NOT_FOUND_MAX_POLLS,
+}) {
+  if (!treasuryOwner) {
+    throw new Error('Treasury wallet not configured (TREASURY_PUBLIC_KEY or TREASURY_PRIVATE_KEY)');
+  }
+
+  const owner = new PublicKey(treasuryOwner);
+  const mintKey = new PublicKey(mint);
+  const tokenAccount = getAssociatedTokenAddressSync(mintKey, owner);
+  const parseOptions = {
+    treasuryOwner: owner.toBase58(),
+    treasuryTokenAccounts: [tokenAccount.toBase58()],
+    mint: mintKey.toBase58(),
+  };
+
+  function isConfirmed(status) {
+    if (!status) return false;
+    if (status.confirmationStatus === 'finalized' || status.confirmations === null) return true;
+    return (status.confirmations || 0) >= minConfirmations;
+  }
+
+  /**
+   * Check one signature and credit it if it is a valid deposit.
+   *
+   * @param {string} signature
+   * @returns {Promise<{status: string, deposit?: object}>}
+   *   status: credited | duplicate | unmatched | not_deposit | pending | not_found
+   */
+  async function processSignature(signature) {
+    const already = await db.collection('Deposit').findOne({ signature });
+    if (already) {
+      return { status: already.status === 'credited' ? 'duplicate' : already.status, deposit: already };
+    }
+
+    const { value: [status] } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+    if (!status) return { status: 'not_found' };
+    if (status.err) return { status: 'not_deposit' };
+    if (!isConfirmed(status)) return { status: 'pending', confirmations: status.confirmations || 0 };
+
+    const tx = await connection.getParsedTransaction(signature, {
+      maxSupportedTransactionVersion: 0,
+      commitment: 'confirmed',
+    });
+    if (!tx) return { status: 'not_found' };
+
+    const parsed = parseDepositTransaction(tx, parseOptions);
+    if (!parsed) return { status: 'not_deposit' };
+
+    const deposit = {
+      signature,
+      mint: parseOptions.mint,
+      rawAmount: parsed.rawAmount.toString(),
+      decimals: parsed.decimals,
+      amount: toKlikAmount(parsed.rawAmount, parsed.decimals),
+      memo: parsed.memo,
+      memoText: parsed.memoText,
+      slot: tx.slot ?? status.slot ?? null,
+      blockTime: tx.blockTime ? new Date(tx.blockTime * 1000) : null,
+      createdAt: new Date(),
+    };
+
+    const reference = parsed.memo
+      ? await db.collection('DepositReference').findOne({ memo: parsed.memo })
+      : null;
+
+    if (!reference) {
+      try {
+        await db.collection('Deposit').insertOne({ ...deposit, status: 'unmatched', accountType: null, accountId: null });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+      return { status: 'unmatched', deposit };
+    }
+
+    const credited = { ...deposit, status: 'credited', accountType: reference.accountType, accountId: reference.accountId };
+    try {
+      await credit(db, credited);
+    } catch (error) {
+      if (error.code === 'DUPLICATE_LEDGER_REFERENCE' || error.code === 11000) {
+        return { status: 'duplicate', deposit: credited };
+      }
+      throw error;
+    }
+
+    if (onCredit) {
+      Promise.resolve(onCredit(credited)).catch(err => {
+        console.error('[DepositWatcher] onCredit failed:', err.message);
+      });
+    }
+    return { status: 'credited', deposit: credited };
+  }
+
+  /**
+   * Fetch signatures newer than the stored cursor, oldest first.
+   *
+   * getSignaturesForAddress pages from the newest signature backwards. When
+   * more than maxPages pages are new, the scan stops short of the cursor:
+   * `complete` is false and `resumeBefore` is where the last page started
+   * (`before` is exclusive), so the next poll walks back from that page.
+   * Only a complete scan is processed, so the oldest deposits are never
+   * skipped.
+   *
+   * @param {string|null} until - Newest fully handled signature
+   * @param {string|null} resumeBefore - Where an unfinished scan stopped
+   * @returns {Promise<{signatures: object[], complete: boolean, resumeBefore: string|null}>}
+   */
+  async function fetchNewSignatures(until, resumeBefore) {
+    const collected = [];
+    let before = resumeBefore || undefined;
+    let lastPageBefore = before;
+
+    for (let page = 0; page < Math.max(maxPages, 2); page++) {
+      lastPageBefore = before;
+      const batch = await connection.getSignaturesForAddress(
+        tokenAccount,
+        { until: until || undefined, before, limit: pageSize },
+        'confirmed'
+      );
+      collected.push(...batch);
+      if (batch.length < pageSize) {
+        return { signatures: collected.reverse(), complete: true, resumeBefore: null };
+      }
+      before = batch[batch.length - 1].signature;
+    }
+
+    return { signatures: [], complete: false, resumeBefore: lastPageBefore };
+  }
+
+  /**
+   * Create the watcher state on first run, with the cursor at
+   * startSignature or the newest signature (null if there are none yet).
+   */
+  async function seedState() {
+    let lastSignature = startSignature;
+    if (!lastSignature) {
+      const [newest] = await connection.getSignaturesForAddress(tokenAccount, { limit: 1 }, 'confirmed');
+      lastSignature = newest?.signature || null;
+    }
+
+    const now = new Date();
+    // $setOnInsert: a concurrent first run may have seeded it already
+    await db.collection('DepositWatcherState').updateOne(
+      { _id: WATCHER_STATE_ID },
+      { $setOnInsert: { lastSignature, resumeBefore: null, seededAt: now, updatedAt: now } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Record a signature the RPC kept reporting as not found, so the cursor
+   * can move past it. It can still be claimed by signature later.
+   */
+  async function skipSignature(signature, polls) {
+    try {
+      await db.collection('SkippedDepositSignature').insertOne({
+        signature,
+        reason: 'not_found',
+        polls,
+        createdAt: new Date(),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+    console.error(`[DepositWatcher] Skipped ${signature}: not found after ${polls} polls`);
+  }
+
+  /**
+   * Process every new signature once. The cursor only advances past
+   * signatures that are fully handled, so an unconfirmed deposit is
+   * retried on the next poll. A signature that is still not found after
+   * maxNotFoundPolls polls (state.notFound) is skipped.
+   *
+   * A backlog deeper than one poll's page budget is walked back over
+   * several polls (state.resumeBefore) before anything is processed; the
+   * oldest slice is then handled and the following polls catch up.
+   *
+   * The first poll only seeds the state (see seedState).
+   *
+   * @returns {Promise<{scanned: number, credited: number, unmatched: number, pending: number, skipped: number, backlog: boolean, seeded: boolean}>}
+   */
+  async function pollOnce() {
+    const summary = { scanned: 0, credited: 0, unmatched: 0, pending: 0, skipped: 0, backlog: false, seeded: false };
+    const state = await db.collection('DepositWatcherState').findOne({ _id: WATCHER_STATE_ID });
+    if (!state) {
+      await seedState();
+      summary.seeded = true;
+      return summary;
+    }
+
+    const { signatures, complete, resumeBefore } = await fetchNewSignatures(
+      state.lastSignature,
+      state.resumeBefore
+    );
+    summary.backlog = !complete;
+
+    if (!complete) {
+      await db.collection('DepositWatcherState').updateOne(
+        { _id: WATCHER_STATE_ID },
+        { $set: { resumeBefore, updatedAt: new Date() } },
+        { upsert: true }
+      );
+      return summary;
+    }
+
+    let cursor = state.lastSignature || null;
+    let notFound = null;
+    for (const sig of signatures) {
+      summary.scanned++;
+      const result = sig.err ? { status: 'not_deposit' } : await processSignature(sig.signature);
+
+      if (result.status === 'not_found') {
+        const polls = state.notFound?.signature === sig.signature ? state.notFound.polls + 1 : 1;
+        if (polls < maxNotFoundPolls) {
+          notFound = { signature: sig.signature, polls };
+          summary.pending++;
+          break;
+        }
+        await skipSignature(sig.signature, polls);
+        summary.skipped++;
+        cursor = sig.signature;
+        continue;
+      }
+      if (result.status === 'pending') {
+        summary.pending++;
+        break;
+      }
+      if (result.status === 'credited') summary.credited++;
+      if (result.status === 'unmatched') summary.unmatched++;
+      cursor = sig.signature;
+    }
+
+    const changes = {};
+    if (cursor !== (state.lastSignature || null) || state.resumeBefore) {
+      Object.assign(changes, { lastSignature: cursor, resumeBefore: null });
+    }
+    if (notFound || state.notFound) changes.notFound = notFound;
+    if (Object.keys(changes).length > 0) {
+      await db.collection('DepositWatcherState').updateOne(
+        { _id: WATCHER_STATE_ID },
+        { $set: { ...changes, updatedAt: new Date() } }
+      );
+    }
+
+    return summary;
+  }
+
+  return { tokenAccount, processSignature, pollOnce };
+}
+
+let sharedWatcher = null;
+
+/**
+ * Process-wide watcher using the configured RPC and treasury. Throws if the
+ * treasury wallet is not configured.
+ */
+export function getDepositWatcher(db) {
+  if (!sharedWatcher) {
+    sharedWatcher = createDepositWatcher({ db });
+  }
+  return sharedWatcher;
+}
+
+const SIGNATURE_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{64,90}$/;
+
+/**
+ * Whether a string looks like a base58 transaction signature.
+ */
+export function isValidSignature(signature) {
+  return typeof signature === 'string' && SIGNATURE_PATTERN.test(signature);
+}
+
+/**
+ * Send the outcome of processSignature() to a client claiming a deposit.
+ *
+ * @param {object} res - Express response
+ * @param {object} result - Result of watcher.processSignature()
+ * @param {{type: string, id: ObjectId}} account - Account of the caller
+ */
+export function sendDepositResult(res, result, account) {
+  const { status, deposit } = result;
+
+  if (status === 'pending') {
+    return res.status(202).json({
+      status,
+      confirmations: result.confirmations,
+      required_confirmations: MIN_CONFIRMATIONS,
+      message: 'Transaction found but not yet confirmed; it will be credited automatically',
+    });
+  }
+  if (status === 'not_found') {
+    return res.status(404).json({ error: 'Transaction not found on-chain', code: 'DEPOSIT_NOT_FOUND' });
+  }
+  if (status === 'not_deposit') {
+    return res.status(422).json({
+      error: 'Transaction did not transfer KLIK to the treasury',
+      code: 'NOT_A_DEPOSIT',
+    });
+  }
+  if (status === 'unmatched') {
+    return res.status(422).json({
+      error: 'Deposit has no valid memo reference; contact support to have it assigned',
+      code: 'DEPOSIT_MEMO_MISSING',
+      amount: deposit.amount,
+    });
+  }
+
+  const ownDeposit = deposit.accountType === account.type && String(deposit.accountId) === String(account.id);
+  if (!ownDeposit) {
+    return res.status(403).json({ error: 'Deposit belongs to another account', code: 'DEPOSIT_OTHER_ACCOUNT' });
+  }
+
+  res.json({
+    success: true,
+    status,
+    signature: deposit.signature,
+    deposited: deposit.amount,
+    already_credited: status === 'duplicate',
+  });
+}
+
+/**
+ * Default credit: ledger transfer from the deposits system account, with the
+ * Deposit record written in the same transaction.
+ */
+export async function creditDeposit(db, deposit) {
+  return transfer(db, {
+    type: LEDGER_TYPES.DEPOSIT,
+    from: systemAccount(SYSTEM_ACCOUNTS.DEPOSITS),
+    to: { type: deposit.accountType, id: deposit.accountId },
+    amount: deposit.amount,
+    reference: `deposit:${deposit.signature}`,
+    metadata: { signature: deposit.signature, memo: deposit.memo, mint: deposit.mint },
+    withSession: async (session) => {
+      await db.collection('Deposit').insertOne(deposit, { session });
+      await recordAgentDeposit(db, deposit, session);
+    },
+  });
+}
+
+// Agent wallet history reads Transaction
+async function recordAgentDeposit(db, deposit, session) {
+  if (deposit.accountType !== 'AGENT') return;
+  await db.collection('Transaction').insertOne({
+    type: 'DEPOSIT',
+    toAgentId: deposit.accountId,
+    amount: deposit.amount,
+    txHash: deposit.signature,
+    createdAt: deposit.createdAt,
+  }, { session });
+}
+
+// ============================================
+// UNMATCHED DEPOSITS (support)
+// ============================================
+
+function depositError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+async function findUnmatchedDeposit(db, signature) {
+  const deposit = await db.collection('Deposit').findOne({ signature });
+  if (!deposit) throw depositError('Deposit not found', 'DEPOSIT_NOT_FOUND', 404);
+  if (deposit.status !== 'unmatched') {
+    throw depositError(`Deposit is already ${deposit.status}`, 'DEPOSIT_NOT_UNMATCHED', 409);
+  }
+  return deposit;
+}
+
+/**
+ * Credit an unmatched deposit to an account chosen by support. The ledger
+ * credit and the status change commit together, under the same
+ * deposit:<signature> reference the watcher uses, so it is credited once.
+ *
+ * @param {object} db
+ * @param {string} signature
+ * @param {{type: string, id: ObjectId}} account - AGENT or USER
+ * @param {{email?: string, name?: string}} admin - Assigning admin
+ * @returns {Promise<object>} The credited deposit
+ */
+export async function assignDeposit(db, signature, account, admin) {
+  const deposit = await findUnmatchedDeposit(db, signature);
+  const assigned = {
+    ...deposit,
+    status: 'credited',
+    accountType: account.type,
+    accountId: account.id,
+    assignedBy: admin.email || admin.name,
+    assignedAt: new Date(),
+  };
+
+  await transfer(db, {
+    type: LEDGER_TYPES.DEPOSIT,
+    from: systemAccount(SYSTEM_ACCOUNTS.DEPOSITS),
+    to: account,
+    amount: deposit.amount,
+    reference: `deposit:${signature}`,
+    metadata: { signature, memo: deposit.memo, mint: deposit.mint, assignedBy: assigned.assignedBy },
+    withSession: async (session) => {
+      const { matchedCount } = await db.collection('Deposit').updateOne(
+        { signature, status: 'unmatched' },
+        { $set: {
+          status: assigned.status,
+          accountType: assigned.accountType,
+          accountId: assigned.accountId,
+          assignedBy: assigned.assignedBy,
+          assignedAt: assigned.assignedAt,
+        } },
+        { session }
+      );
+      if (!matchedCount) {
+        throw depositError('Deposit was resolved concurrently', 'DEPOSIT_NOT_UNMATCHED', 409);
+      }
+      await recordAgentDeposit(db, assigned, session);
+    },
+  });
+
+  return assigned;
+}
+
+/**
+ * Mark an unmatched deposit as refunded. Support returns the KLIK from the
+ * treasury wallet and records that transaction's signature here; the
+ * deposit was never credited, so the ledger is unchanged.
+ *
+ * @param {object} db
+ * @param {string} signature
+ * @param {{refundSignature: string, reason?: string, admin: object}} options
+ * @returns {Promise<object>} The refunded deposit
+ */
+export async function refundDeposit(db, signature, { refundSignature, reason = null, admin }) {
+  if (!isValidSignature(refundSignature)) {
+    throw depositError('refund_signature must be a transaction signature', 'INVALID_SIGNATURE', 400);
+  }
+  await findUnmatchedDeposit(db, signature);
+
+  const update = {
+    status: 'refunded',
+    refundSignature,
+    refundReason: reason,
+    refundedBy: admin.email || admin.name,
+    refundedAt: new Date(),
+  };
+  const refunded = await db.collection('Deposit').findOneAndUpdate(
+    { signature, status: 'unmatched' },
+    { $set: update },
+    { returnDocument: 'after' }
+  );
+  if (!refunded) {
+    throw depositError('Deposit was resolved concurrently', 'DEPOSIT_NOT_UNMATCHED', 409);
+  }
+  return refunded;
+}
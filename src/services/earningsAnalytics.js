@@ -0,0 +1,408 @@
+/**
+ * Earnings Analytics
+ *
+ * Time series and breakdowns of tips received by one or more agents, from
+ * the Transaction collection (TIP from agents, USER_TIP from humans), with
+ * USD values from the KLIK price history (services/priceFeed.js).
+ *
+ * Used by GET /api/v1/dashboard/earnings/analytics (one agent, API key)
+ * and GET /api/v1/user/earnings/analytics (a user's agents, JWT).
+ *
+ * Query parameters:
+ *   from, to      ISO dates; `to` is exclusive (default: the last 30 days)
+ *   granularity   day | week | month, UTC buckets (weeks start Monday)
+ *   group_by      comma-separated: agent, post, content_type, tipper_type
+ *   format        json | csv
+ *
+ * USD values use the average price of each bucket, carried forward over
+ * buckets without samples; they are null before the first recorded price.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getAveragePrices } from './priceFeed.js';
+import { roundAmount } from './ledger.js';
+
+export const EARNING_TYPES = ['TIP', 'USER_TIP'];
+export const GRANULARITIES = ['day', 'week', 'month'];
+export const DIMENSIONS = ['agent', 'post', 'content_type', 'tipper_type'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 1000;
+const BREAKDOWN_LIMIT = 100;
+
+function analyticsError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_ANALYTICS_QUERY';
+  err.status = 400;
+  return err;
+}
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
+
+// ============================================
+// BUCKETS
+// ============================================
+
+/**
+ * Start of the UTC bucket containing `date` (matches $dateTrunc with
+ * startOfWeek: 'monday').
+ *
+ * @returns {number} ms timestamp
+ */
+export function bucketStart(date, unit) {
+  const d = new Date(date);
+  const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  if (unit === 'week') return day - ((d.getUTCDay() + 6) % 7) * DAY_MS;
+  if (unit === 'month') return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+  return day;
+}
+
+function nextBucket(start, unit) {
+  if (unit === 'week') return start + 7 * DAY_MS;
+  if (unit === 'month') {
+    const d = new Date(start);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  }
+  return start + DAY_MS;
+}
+
+/**
+ * Every bucket start overlapping [from, to).
+ */
+export function enumerateBuckets(from, to, unit, max = Infinity) {
+  const buckets = [];
+  for (let t = bucketStart(from, unit); t < to.getTime(); t = nextBucket(t, unit)) {
+    buckets.push(t);
+    if (buckets.length > max) break;
+  }
+  return buckets;
+}
+
+// ============================================
+// QUERY
+// ============================================
+
+/**
+ * Validate analytics query parameters.
+ *
+ * @returns {{from: Date, to: Date, granularity: string, groupBy: string[], format: 'json'|'csv'}}
+ * @throws {Error} code INVALID_ANALYTICS_QUERY (400)
+ */
+export function parseAnalyticsQuery(query = {}, now = new Date()) {
+  const granularity = query.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) {
+    throw analyticsError(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw analyticsError('from and to must be ISO dates');
+  }
+  if (from >= to) {
+    throw analyticsError('from must be before to');
+  }
+  if (enumerateBuckets(from, to, granularity, MAX_BUCKETS).length > MAX_BUCKETS) {
+    throw analyticsError(`Range too long for ${granularity} granularity (max ${MAX_BUCKETS} buckets)`);
+  }
+
+  const groupBy = [...new Set(String(query.group_by || '').split(',').map(s => s.trim()).filter(Boolean))];
+  const unknown = groupBy.filter(d => !DIMENSIONS.includes(d));
+  if (unknown.length > 0) {
+    throw analyticsError(`group_by must be any of: ${DIMENSIONS.join(', ')}`);
+  }
+
+  const format = query.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    throw analyticsError('format must be json or csv');
+  }
+
+  return { from, to, granularity, groupBy, format };
+}
+
+// ============================================
+// AGGREGATION
+// ============================================
+
+const DIMENSION_KEYS = {
+  agent: '$toAgentId',
+  post: '$postId',
+  content_type: { $ifNull: ['$post.contentType', 'TEXT'] },
+  tipper_type: { $cond: [{ $eq: ['$type', 'USER_TIP'] }, 'human', 'agent'] },
+};
+
+/**
+ * Pipeline grouping earnings by bucket (and a dimension, if given).
+ */
+export function buildEarningsPipeline({ agentIds, from, to, granularity, dimension = null }) {
+  const pipeline = [
+    {
+      $match: {
+        type: { $in: EARNING_TYPES },
+        toAgentId: { $in: agentIds },
+        createdAt: { $gte: from, $lt: to },
+      },
+    },
+  ];
+
+  if (dimension === 'content_type') {
+    pipeline.push(
+      {
+        $lookup: {
+          from: 'Post',
+          localField: 'postId',
+          foreignField: '_id',
+          pipeline: [{ $project: { contentType: 1 } }],
+          as: 'post',
+        },
+      },
+      { $unwind: { path: '$post', preserveNullAndEmptyArrays: true } }
+    );
+  }
+
+  pipeline.push({
+    $group: {
+      _id: {
+        period: { $dateTrunc: { date: '$createdAt', unit: granularity, startOfWeek: 'monday' } },
+        key: dimension ? DIMENSION_KEYS[dimension] : null,
+      },
+      amount: { $sum: '$amount' },
+      // Shares are recorded from the ledger rollout on; older tips split 80/20
+      agentShare: { $sum: { $ifNull: ['$agentShare', { $multiply: ['$amount', 0.8] }] } },
+      ownerShare: { $sum: { $ifNull: ['$ownerShare', { $multiply: ['$amount', 0.2] }] } },
+      count: { $sum: 1 },
+    },
+  });
+
+  return pipeline;
+}
+
+/**
+ * Price per bucket, carrying the last known price forward.
+ *
+ * @param {number[]} buckets - Bucket starts (ascending)
+ * @param {{buckets: Map<number, number>, before: number|null}} prices - From getAveragePrices()
+ * @returns {Map<number, number|null>}
+ */
+export function priceBuckets(buckets, prices) {
+  const priced = new Map();
+  let last = prices.before;
+  for (const bucket of buckets) {
+    if (prices.buckets.has(bucket)) last = prices.buckets.get(bucket);
+    priced.set(bucket, last);
+  }
+  return priced;
+}
+
+/**
+ * Attach bucket price and USD value to aggregated rows.
+ */
+export function priceRows(rows, bucketPrices) {
+  return rows.map(row => {
+    const period = new Date(row._id.period).getTime();
+    const klikUsd = bucketPrices.get(period) ?? null;
+    return {
+      period,
+      key: row._id.key ?? null,
+      amount: row.amount,
+      agentShare: row.agentShare,
+      ownerShare: row.ownerShare,
+      count: row.count,
+      klikUsd,
+      usd: klikUsd === null ? null : row.amount * klikUsd,
+    };
+  });
+}
+
+async function resolveLabels(db, dimension, keys) {
+  const ids = keys.filter(key => key instanceof ObjectId);
+  if (dimension === 'agent') {
+    const agents = await db.collection('Agent')
+      .find({ _id: { $in: ids } }, { projection: { name: 1, displayName: 1 } })
+      .toArray();
+    return new Map(agents.map(a => [a._id.toString(), a.displayName || a.name]));
+  }
+  if (dimension === 'post') {
+    const posts = await db.collection('Post')
+      .find({ _id: { $in: ids } }, { projection: { content: 1 } })
+      .toArray();
+    return new Map(posts.map(p => [p._id.toString(), (p.content || '').replace(/\s+/g, ' ').slice(0, 80)]));
+  }
+  return new Map();
+}
+
+/**
+ * Load earnings for a set of agents.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} params
+ * @param {ObjectId[]} params.agentIds
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @param {string} params.granularity
+ * @param {string[]} [params.groupBy]
+ * @returns {Promise<object>} Input for formatEarningsReport / formatEarningsCsv
+ */
+export async function getEarningsAnalytics(db, { agentIds, from, to, granularity, groupBy = [] }) {
+  const aggregate = (dimension) => db.collection('Transaction')
+    .aggregate(buildEarningsPipeline({ agentIds, from, to, granularity, dimension }))
+    .toArray();
+
+  const buckets = enumerateBuckets(from, to, granularity);
+  const [seriesRows, prices, ...dimensionRows] = await Promise.all([
+    aggregate(null),
+    getAveragePrices(db, { from: new Date(buckets[0]), to, unit: granularity }),
+    ...groupBy.map(aggregate),
+  ]);
+  const bucketPrices = priceBuckets(buckets, prices);
+
+  const breakdowns = {};
+  const labels = {};
+  for (const [i, dimension] of groupBy.entries()) {
+    breakdowns[dimension] = priceRows(dimensionRows[i], bucketPrices);
+    labels[dimension] = await resolveLabels(db, dimension, [...new Set(dimensionRows[i].map(r => r._id.key))]);
+  }
+
+  return {
+    from,
+    to,
+    granularity,
+    buckets,
+    bucketPrices,
+    series: priceRows(seriesRows, bucketPrices),
+    breakdowns,
+    labels,
+  };
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+function sumRows(rows) {
+  const total = { tips: 0, amount: 0, agent_share: 0, owner_share: 0, usd: 0 };
+  for (const row of rows) {
+    total.tips += row.count;
+    total.amount += row.amount;
+    total.agent_share += row.agentShare;
+    total.owner_share += row.ownerShare;
+    // Unpriced earnings make the USD total unknown
+    total.usd = total.usd === null || (row.usd === null && row.amount > 0) ? null : total.usd + (row.usd || 0);
+  }
+  return {
+    tips: total.tips,
+    amount: roundAmount(total.amount),
+    agent_share: roundAmount(total.agent_share),
+    owner_share: roundAmount(total.owner_share),
+    usd: total.usd === null ? null : roundUsd(total.usd),
+  };
+}
+
+/**
+ * JSON report: totals, a gap-free series and breakdowns (largest first).
+ */
+export function formatEarningsReport(analytics) {
+  const byPeriod = new Map(analytics.series.map(row => [row.period, row]));
+
+  const series = analytics.buckets.map(period => {
+    const row = byPeriod.get(period);
+    return {
+      period_start: new Date(period).toISOString(),
+      klik_usd: analytics.bucketPrices.get(period) ?? null,
+      ...sumRows(row ? [row] : []),
+    };
+  });
+
+  const breakdowns = {};
+  for (const [dimension, rows] of Object.entries(analytics.breakdowns)) {
+    const byKey = new Map();
+    for (const row of rows) {
+      const key = row.key === null ? null : String(row.key);
+      byKey.set(key, [...(byKey.get(key) || []), row]);
+    }
+    breakdowns[dimension] = [...byKey.entries()]
+      .map(([key, keyRows]) => ({
+        key,
+        label: analytics.labels[dimension]?.get(key) ?? key,
+        ...sumRows(keyRows),
+      }))
+      .sort((a, b) => b.amount - a.amount)
+      .slice(0, BREAKDOWN_LIMIT);
+  }
+
+  return {
+    from: analytics.from.toISOString(),
+    to: analytics.to.toISOString(),
+    granularity: analytics.granularity,
+    currency: 'USD',
+    totals: sumRows(analytics.series),
+    series,
+    breakdowns,
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating post text as a formula
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export: one row per bucket, or per bucket and key of the first
+ * group_by dimension.
+ */
+export function formatEarningsCsv(analytics) {
+  const [dimension] = Object.keys(analytics.breakdowns);
+  const header = ['period_start'];
+  if (dimension) header.push(dimension, 'label');
+  header.push('tips', 'amount_klik', 'agent_share_klik', 'owner_share_klik', 'klik_usd', 'amount_usd');
+
+  const rows = dimension ? analytics.breakdowns[dimension] : analytics.series;
+  const sorted = [...rows].sort((a, b) => a.period - b.period || b.amount - a.amount);
+
+  const lines = [header.join(',')];
+  for (const row of sorted) {
+    const cells = [new Date(row.period).toISOString()];
+    if (dimension) {
+      const key = row.key === null ? null : String(row.key);
+      cells.push(key, analytics.labels[dimension]?.get(key) ?? key);
+    }
+    cells.push(
+      row.count,
+      roundAmount(row.amount),
+      roundAmount(row.agentShare),
+      roundAmount(row.ownerShare),
+      row.klikUsd,
+      row.usd === null ? null : roundUsd(row.usd)
+    );
+    lines.push(cells.map(csvCell).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse the request query, run the analytics for `agentIds` and send JSON
+ * or a CSV attachment.
+ */
+export async function sendEarningsAnalytics(req, res, agentIds) {
+  let query;
+  try {
+    query = parseAnalyticsQuery(req.query);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+
+  const analytics = await getEarningsAnalytics(req.db, { agentIds, ...query });
+
+  res.set('Cache-Control', 'private, max-age=30');
+  if (query.format === 'csv') {
+    const day = (date) => date.toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="klik-earnings-${day(query.from)}-${day(query.to)}.csv"`);
+    return res.send(formatEarningsCsv(analytics));
+  }
+  res.json(formatEarningsReport(analytics));
+}
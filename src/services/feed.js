@@ -0,0 +1,187 @@
+/**
+ * Feed Query Service
+ *
+ * Shared post-feed pipeline used by GET /posts, GET /feed and the
+ * per-submolt feeds: sort resolution, cursor pagination, author lookup,
+ * user_has_liked and base64 media/avatar stripping so feed JSON stays small.
+ */
+
+import { withTiebreaker, decodeCursor, buildCursorFilter, paginate } from '../utils/cursor.js';
+import { topWindowStart, TOP_WINDOWS } from './ranking.js';
+import { isMediaUrl } from './mediaStorage.js';
+
+export const FEED_SORTS = ['new', 'hot', 'top', 'following'];
+
+/**
+ * Normalize the `t` query param for top feeds (defaults to all time).
+ */
+export function resolveTopWindow(t) {
+  return Object.prototype.hasOwnProperty.call(TOP_WINDOWS, t) ? t : 'all';
+}
+
+/**
+ * Map a feed sort name to a MongoDB sort spec (always ending in _id so
+ * cursor pagination has a unique position for every post). `hot` uses the
+ * time-decayed Post.hotScore maintained by services/ranking.js.
+ *
+ * @param {string} sort - new | hot | top | following
+ * @returns {object} MongoDB sort
+ */
+export function resolveSortOrder(sort) {
+  if (sort === 'hot') return withTiebreaker({ hotScore: -1, createdAt: -1 });
+  if (sort === 'top') return withTiebreaker({ upvotes: -1 });
+  return withTiebreaker({ createdAt: -1 });
+}
+
+// Sort keys renamed by the feed $project stage
+const PROJECTED_SORT_KEYS = { createdAt: 'created_at', hotScore: 'hot_score' };
+
+const readSortKey = (post, key) => post[PROJECTED_SORT_KEYS[key] || key];
+
+/**
+ * Strip base64 payloads from a projected feed post and point the client
+ * at the binary endpoints instead.
+ *
+ * @param {object} post - Projected post from the feed pipeline
+ * @param {Set<string>} userVotes - Post ids the current user has liked
+ * @returns {object} Post safe to return in JSON
+ */
+export function presentFeedPost(post, userVotes = new Set()) {
+  const result = { ...post };
+
+  // Add user_has_liked for authenticated users
+  result.user_has_liked = userVotes.has((post._id || post.id).toString());
+
+  // Handle base64 post media
+  if (result.media_url && result.media_url.startsWith('data:')) {
+    const mimeMatch = result.media_url.match(/^data:([^;]+);base64,/);
+    result.media_url = null;
+    result.has_media = true;
+    result.media_mime = mimeMatch ? mimeMatch[1] : 'image/png';
+    result.media_preview_url = `/api/v1/posts/${result.id || result._id}/media`;
+  }
+
+  // Human users' avatars are plain URLs; the avatar endpoint is agent-only
+  if (result.author?.type === 'USER') {
+    result.author.avatar_url = result.author.avatar || null;
+    result.author.has_avatar_image = !!result.author.avatar;
+    return result;
+  }
+
+  // Handle avatar: if it's a base64 data URI, serve via avatar endpoint instead
+  // This prevents bloating JSON feed with massive base64 strings per post
+  if (result.author?.avatar && result.author.avatar.startsWith('data:')) {
+    result.author.avatar_url = `/api/v1/agents/${encodeURIComponent(result.author.name)}/avatar`;
+    result.author.has_avatar_image = true;
+    result.author.avatar = null; // Don't send base64 in feed JSON
+  } else if (result.author?.avatar && (result.author.avatar.startsWith('http://') || result.author.avatar.startsWith('https://') || isMediaUrl(result.author.avatar))) {
+    // It's already a URL (external or media store)
+    result.author.avatar_url = result.author.avatar;
+    result.author.has_avatar_image = true;
+  } else {
+    // Avatar is emoji or null — provide avatar endpoint as fallback
+    // The endpoint checks AgentMemory.soul.avatar for legacy agents
+    result.author.avatar_url = result.author?.name
+      ? `/api/v1/agents/${encodeURIComponent(result.author.name)}/avatar`
+      : null;
+    result.author.has_avatar_image = !!result.author?.name; // Optimistic
+  }
+
+  return result;
+}
+
+/**
+ * Run the feed aggregation and return one page of presentation-ready posts.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} options
+ * @param {object} options.query - Post $match filter
+ * @param {string} options.sort - new | hot | top | following
+ * @param {number} options.limit - Page size
+ * @param {string} [options.cursor] - next_cursor from the previous page
+ * @param {string} [options.window] - Top window: day | week | month | all (sort=top only)
+ * @param {object} [options.user] - Authenticated user (for user_has_liked)
+ * @param {boolean} [options.includeUserPosts] - Keep posts by human users (authorType USER);
+ *   the following feed mixes them in, the public feeds stay agent-only
+ * @returns {Promise<{posts: object[], nextCursor: string|null}>}
+ * @throws {Error} code INVALID_CURSOR when the cursor is malformed or for another sort/window
+ */
+export async function fetchFeedPage(db, { query, sort, limit, cursor, window = 'all', user = null, includeUserPosts = false }) {
+  const sortOrder = resolveSortOrder(sort);
+  const scope = sort === 'top' ? `feed:top:${window}` : `feed:${sort}`;
+  const position = decodeCursor(cursor, scope);
+
+  const filters = [query];
+  const windowStart = sort === 'top' ? topWindowStart(window) : null;
+  if (windowStart) {
+    filters.push({ createdAt: { $gte: windowStart } });
+  }
+  if (position) {
+    filters.push(buildCursorFilter(sortOrder, position));
+  }
+  const match = filters.length > 1 ? { $and: filters } : query;
+
+  const rows = await db.collection('Post').aggregate([
+    { $match: match },
+    { $sort: sortOrder },
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: 'Agent',
+        localField: 'authorId',
+        foreignField: '_id',
+        as: 'author'
+      }
+    },
+    // Keep authorless rows until the page boundary is computed, so a
+    // missing author can't make the page look like the last one
+    { $unwind: { path: '$author', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        id: { $toString: '$_id' },
+        content: 1,
+        content_type: '$contentType',
+        media_url: '$mediaUrl',
+        submolt_id: '$submoltId',
+        upvotes: 1,
+        downvotes: 1,
+        score: 1,
+        hot_score: '$hotScore',
+        comment_count: '$commentCount',
+        tip_amount: '$tipAmount',
+        created_at: '$createdAt',
+        author: {
+          $cond: [
+            { $eq: ['$authorType', 'USER'] },
+            { type: 'USER', name: '$userName', avatar: '$userAvatar' },
+            {
+              type: 'AGENT',
+              name: '$author.name',
+              display_name: '$author.displayName',
+              avatar: '$author.avatar',
+              verified: '$author.verified'
+            }
+          ]
+        }
+      }
+    }
+  ]).toArray();
+
+  const { items, nextCursor } = paginate(rows, limit, sortOrder, scope, readSortKey);
+  const posts = items.filter(p => p.author?.name && (includeUserPosts || p.author.type !== 'USER'));
+
+  // Lookup user votes if authenticated
+  let userVotes = new Set();
+  if (user) {
+    const votes = await db.collection('PostVote').find({
+      user_id: user._id,
+      post_id: { $in: posts.map(p => p._id) }
+    }).toArray();
+    userVotes = new Set(votes.map(v => v.post_id.toString()));
+  }
+
+  return {
+    posts: posts.map(p => presentFeedPost(p, userVotes)),
+    nextCursor,
+  };
+}
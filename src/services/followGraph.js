@@ -0,0 +1,301 @@
+/**
+ * Follow Graph Service
+ *
+ * Agents and human users can follow agents and users. Each edge lives in the
+ * Follow collection (unique on follower + followee) and the denormalized
+ * followerCount / followingCount fields on Agent and User are adjusted in
+ * the same transaction, only when an edge is actually inserted or removed,
+ * so retries, double-clicks and crashes never drift the counters.
+ */
+
+export const ACCOUNT_TYPES = ['AGENT', 'USER'];
+
+const COLLECTION_BY_TYPE = {
+  AGENT: 'Agent',
+  USER: 'User',
+};
+
+/**
+ * Ensure indexes for the Follow collection.
+ *
+ * @param {object} db - MongoDB database instance
+ */
+export async function ensureFollowIndexes(db) {
+  await db.collection('Follow').createIndex(
+    { followerType: 1, followerId: 1, followeeType: 1, followeeId: 1 },
+    { unique: true, name: 'follow_edge_unique' }
+  );
+  await db.collection('Follow').createIndex(
+    { followeeType: 1, followeeId: 1, createdAt: -1 },
+    { name: 'follow_followee_recent' }
+  );
+  await db.collection('Follow').createIndex(
+    { followerType: 1, followerId: 1, createdAt: -1 },
+    { name: 'follow_follower_recent' }
+  );
+}
+
+/**
+ * Create a follow edge and bump both counters, in one transaction.
+ *
+ * @param {object} db - MongoDB database instance (db.client must be set)
+ * @param {{type: string, id: ObjectId}} follower
+ * @param {{type: string, id: ObjectId}} followee
+ * @returns {Promise<{followed: boolean, alreadyFollowing: boolean}>}
+ */
+export async function follow(db, follower, followee) {
+  if (follower.type === followee.type && follower.id.equals(followee.id)) {
+    const err = new Error('Cannot follow yourself');
+    err.code = 'SELF_FOLLOW';
+    throw err;
+  }
+
+  const session = db.client.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await db.collection('Follow').insertOne({
+        followerType: follower.type,
+        followerId: follower.id,
+        followeeType: followee.type,
+        followeeId: followee.id,
+        createdAt: new Date(),
+      }, { session });
+
+      // Sequential: operations in one session must not run concurrently
+      await db.collection(COLLECTION_BY_TYPE[followee.type]).updateOne(
+        { _id: followee.id },
+        { $inc: { followerCount: 1 } },
+        { session }
+      );
+      await db.collection(COLLECTION_BY_TYPE[follower.type]).updateOne(
+        { _id: follower.id },
+        { $inc: { followingCount: 1 } },
+        { session }
+      );
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { followed: false, alreadyFollowing: true };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return { followed: true, alreadyFollowing: false };
+}
+
+/**
+ * Remove a follow edge and decrement both counters, in one transaction.
+ *
+ * @param {object} db - MongoDB database instance (db.client must be set)
+ * @param {{type: string, id: ObjectId}} follower
+ * @param {{type: string, id: ObjectId}} followee
+ * @returns {Promise<{unfollowed: boolean}>}
+ */
+export async function unfollow(db, follower, followee) {
+  const session = db.client.startSession();
+  let unfollowed = false;
+
+  try {
+    await session.withTransaction(async () => {
+      const result = await db.collection('Follow').deleteOne({
+        followerType: follower.type,
+        followerId: follower.id,
+        followeeType: followee.type,
+        followeeId: followee.id,
+      }, { session });
+
+      unfollowed = result.deletedCount > 0;
+      if (!unfollowed) return;
+
+      // Guard against going negative if counters were already out of sync
+      await db.collection(COLLECTION_BY_TYPE[followee.type]).updateOne(
+        { _id: followee.id, followerCount: { $gt: 0 } },
+        { $inc: { followerCount: -1 } },
+        { session }
+      );
+      await db.collection(COLLECTION_BY_TYPE[follower.type]).updateOne(
+        { _id: follower.id, followingCount: { $gt: 0 } },
+        { $inc: { followingCount: -1 } },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return { unfollowed };
+}
+
+/**
+ * Check whether a follow edge exists.
+ */
+export async function isFollowing(db, follower, followee) {
+  const edge = await db.collection('Follow').findOne(
+    {
+      followerType: follower.type,
+      followerId: follower.id,
+      followeeType: followee.type,
+      followeeId: followee.id,
+    },
+    { projection: { _id: 1 } }
+  );
+  return !!edge;
+}
+
+/**
+ * Get the ids of every account a follower follows, grouped by type.
+ * Used to build the personalized "following" feed.
+ *
+ * @returns {Promise<{agentIds: ObjectId[], userIds: ObjectId[]}>}
+ */
+export async function getFollowingIds(db, follower) {
+  const edges = await db.collection('Follow')
+    .find(
+      { followerType: follower.type, followerId: follower.id },
+      { projection: { followeeType: 1, followeeId: 1 } }
+    )
+    .toArray();
+
+  return {
+    agentIds: edges.filter(e => e.followeeType === 'AGENT').map(e => e.followeeId),
+    userIds: edges.filter(e => e.followeeType === 'USER').map(e => e.followeeId),
+  };
+}
+
+/**
+ * List one side of an account's follow graph, newest first, with basic
+ * profile fields resolved for each account.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {{type: string, id: ObjectId}} account
+ * @param {'followers'|'following'} direction
+ * @param {{limit?: number, skip?: number}} options
+ * @returns {Promise<{accounts: object[], total: number}>}
+ */
+export async function listFollows(db, account, direction, { limit = 50, skip = 0 } = {}) {
+  const isFollowers = direction === 'followers';
+  const query = isFollowers
+    ? { followeeType: account.type, followeeId: account.id }
+    : { followerType: account.type, followerId: account.id };
+
+  const [edges, total] = await Promise.all([
+    db.collection('Follow')
+      .find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray(),
+    db.collection('Follow').countDocuments(query),
+  ]);
+
+  const typeField = isFollowers ? 'followerType' : 'followeeType';
+  const idField = isFollowers ? 'followerId' : 'followeeId';
+
+  const agentIds = edges.filter(e => e[typeField] === 'AGENT').map(e => e[idField]);
+  const userIds = edges.filter(e => e[typeField] === 'USER').map(e => e[idField]);
+
+  const [agents, users] = await Promise.all([
+    agentIds.length
+      ? db.collection('Agent')
+        .find({ _id: { $in: agentIds } }, { projection: { name: 1, displayName: 1, avatar: 1, verified: 1, followerCount: 1 } })
+        .toArray()
+      : [],
+    userIds.length
+      ? db.collection('User')
+        .find({ _id: { $in: userIds } }, { projection: { name: 1, email: 1, avatarUrl: 1, followerCount: 1 } })
+        .toArray()
+      : [],
+  ]);
+
+  const agentMap = new Map(agents.map(a => [a._id.toString(), a]));
+  const userMap = new Map(users.map(u => [u._id.toString(), u]));
+
+  const accounts = edges.map(edge => {
+    const type = edge[typeField];
+    const id = edge[idField].toString();
+
+    if (type === 'AGENT') {
+      const agent = agentMap.get(id);
+      return {
+        type,
+        id,
+        name: agent?.name || null,
+        display_name: agent?.displayName || null,
+        avatar: agent?.avatar && !agent.avatar.startsWith('data:') ? agent.avatar : null,
+        verified: agent?.verified || false,
+        follower_count: agent?.followerCount || 0,
+        followed_at: edge.createdAt,
+      };
+    }
+
+    const user = userMap.get(id);
+    return {
+      type,
+      id,
+      name: user?.name || user?.email?.split('@')[0] || 'Anonymous',
+      avatar: user?.avatarUrl || null,
+      follower_count: user?.followerCount || 0,
+      followed_at: edge.createdAt,
+    };
+  });
+
+  return { accounts, total };
+}
+
+/**
+ * Recompute followerCount / followingCount from the Follow collection.
+ * Repairs drift left by interrupted writes.
+ *
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<{agentsFixed: number, usersFixed: number}>}
+ */
+export async function reconcileFollowCounts(db) {
+  const summary = { agentsFixed: 0, usersFixed: 0 };
+
+  const [followerCounts, followingCounts] = await Promise.all([
+    db.collection('Follow').aggregate([
+      { $group: { _id: { type: '$followeeType', id: '$followeeId' }, count: { $sum: 1 } } },
+    ]).toArray(),
+    db.collection('Follow').aggregate([
+      { $group: { _id: { type: '$followerType', id: '$followerId' }, count: { $sum: 1 } } },
+    ]).toArray(),
+  ]);
+
+  for (const type of ACCOUNT_TYPES) {
+    const collection = db.collection(COLLECTION_BY_TYPE[type]);
+    const ofType = counts => counts.filter(c => c._id.type === type);
+    const followers = new Map(ofType(followerCounts).map(c => [c._id.id.toString(), c.count]));
+    const following = new Map(ofType(followingCounts).map(c => [c._id.id.toString(), c.count]));
+    const edgeIds = [...ofType(followerCounts), ...ofType(followingCounts)].map(c => c._id.id);
+
+    const cursor = collection.find(
+      {
+        $or: [
+          { followerCount: { $gt: 0 } },
+          { followingCount: { $gt: 0 } },
+          { _id: { $in: edgeIds } },
+        ],
+      },
+      { projection: { followerCount: 1, followingCount: 1 } }
+    );
+
+    for await (const doc of cursor) {
+      const id = doc._id.toString();
+      const expectedFollowers = followers.get(id) || 0;
+      const expectedFollowing = following.get(id) || 0;
+
+      if ((doc.followerCount || 0) !== expectedFollowers || (doc.followingCount || 0) !== expectedFollowing) {
+        await collection.updateOne(
+          { _id: doc._id },
+          { $set: { followerCount: expectedFollowers, followingCount: expectedFollowing } }
+        );
+        if (type === 'AGENT') summary.agentsFixed++;
+        else summary.usersFixed++;
+      }
+    }
+  }
+
+  return summary;
+}
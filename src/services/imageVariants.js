@@ -0,0 +1,223 @@
+/**
+ * Image Variants Service
+ *
+ * Resized renditions of stored images so feeds and avatars don't ship the
+ * multi-megabyte original to every client:
+ *
+ *   thumb - 160px bounding box (avatars, list rows)
+ *   feed  - 720px bounding box (feed cards)
+ *   full  - the original bytes, untouched
+ *
+ * Variants are generated on first request with sharp, encoded as WebP and
+ * cached on disk (MEDIA_VARIANT_DIR, default ./data/media-variants) keyed by
+ * the sha256 of the original, so a variant is built once per unique image
+ * no matter how many posts or agents reference it.
+ *
+ * Animated GIFs, videos and audio are always served as the original.
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { createLocalDriver } from './storage/localDriver.js';
+
+export const IMAGE_VARIANTS = {
+  thumb: { size: 160, quality: 70 },
+  feed: { size: 720, quality: 80 },
+  full: null,
+};
+
+export const DEFAULT_VARIANT = 'full';
+
+const VARIANT_MIME = 'image/webp';
+const RESIZABLE_MIMES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+
+let cacheDriver = null;
+
+function getCacheDriver() {
+  if (!cacheDriver) {
+    cacheDriver = createLocalDriver({
+      rootDir: process.env.MEDIA_VARIANT_DIR || './data/media-variants',
+    });
+  }
+  return cacheDriver;
+}
+
+/**
+ * Replace the variant cache backend (tests).
+ */
+export function setVariantCache(driver) {
+  cacheDriver = driver;
+}
+
+/**
+ * Validate the ?variant= query parameter.
+ *
+ * @param {string} [value]
+ * @returns {string} Variant name (defaults to "full")
+ * @throws {Error} code INVALID_VARIANT (status 400)
+ */
+export function parseVariant(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_VARIANT;
+  }
+  if (!Object.prototype.hasOwnProperty.call(IMAGE_VARIANTS, value)) {
+    const err = new Error(`variant must be one of: ${Object.keys(IMAGE_VARIANTS).join(', ')}`);
+    err.code = 'INVALID_VARIANT';
+    err.status = 400;
+    throw err;
+  }
+  return value;
+}
+
+/**
+ * Whether a variant other than "full" can be produced for this MIME type.
+ */
+export function isResizable(mime) {
+  return RESIZABLE_MIMES.has(mime);
+}
+
+/**
+ * Strong ETag for a given original + variant.
+ */
+export function variantEtag(sha256, variant = DEFAULT_VARIANT) {
+  return variant === DEFAULT_VARIANT ? `"${sha256}"` : `"${sha256}-${variant}"`;
+}
+
+/**
+ * RFC 7232 If-None-Match check (handles lists, weak validators and "*").
+ */
+export function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  if (ifNoneMatch.trim() === '*') return true;
+  return ifNoneMatch
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+/**
+ * Append ?variant= to a redirect target that understands it.
+ */
+export function withVariant(url, variant) {
+  if (!variant || variant === DEFAULT_VARIANT) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}variant=${variant}`;
+}
+
+/**
+ * sha256 of an in-memory buffer (legacy inline data: URIs have no Media doc).
+ */
+export function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Resize an image buffer to a variant spec.
+ */
+export async function renderVariant(buffer, variant) {
+  const spec = IMAGE_VARIANTS[variant];
+  return sharp(buffer)
+    .rotate() // honour EXIF orientation before it is stripped
+    .resize({ width: spec.size, height: spec.size, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: spec.quality })
+    .toBuffer();
+}
+
+// Concurrent requests for the same uncached variant share one render
+const inflight = new Map();
+
+async function readCached(driver, key) {
+  if (!(await driver.exists(key))) return null;
+  const chunks = [];
+  for await (const chunk of driver.createReadStream(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Get (and cache) a resized variant of an image.
+ *
+ * @param {object} source
+ * @param {string} source.sha256 - Hash of the original bytes (cache key)
+ * @param {function} source.loadOriginal - async () => Buffer of the original
+ * @param {string} variant - thumb | feed
+ * @returns {Promise<{buffer: Buffer, mime: string}>}
+ */
+export async function getImageVariant({ sha256, loadOriginal }, variant) {
+  const driver = getCacheDriver();
+  const key = `${sha256.slice(0, 2)}/${sha256}/${variant}.webp`;
+
+  const cached = await readCached(driver, key);
+  if (cached) {
+    return { buffer: cached, mime: VARIANT_MIME };
+  }
+
+  if (!inflight.has(key)) {
+    const job = (async () => {
+      const rendered = await renderVariant(await loadOriginal(), variant);
+      await driver.put(key, rendered, { contentType: VARIANT_MIME });
+      return rendered;
+    })().finally(() => inflight.delete(key));
+    inflight.set(key, job);
+  }
+
+  return { buffer: await inflight.get(key), mime: VARIANT_MIME };
+}
+
+/**
+ * Send a buffer with validators, answering 304 when the client copy is current.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} body
+ * @param {Buffer} body.buffer
+ * @param {string} body.mime
+ * @param {string} body.etag
+ * @param {string} body.cacheControl
+ */
+export function sendWithEtag(req, res, { buffer, mime, etag, cacheControl }) {
+  res.set('ETag', etag);
+  res.set('Cache-Control', cacheControl);
+  res.set('Vary', 'Accept-Encoding');
+
+  if (etagMatches(req.headers['if-none-match'], etag)) {
+    return res.status(304).end();
+  }
+
+  res.set('Content-Type', mime);
+  return res.send(buffer);
+}
+
+/**
+ * Serve a legacy inline data: URI image, resized to the requested variant.
+ * Non-resizable content (GIF, video) is sent as-is.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {{mime: string, buffer: Buffer}} parsed - Output of parseDataUri()
+ * @param {string} variant
+ * @param {number} maxAge - Cache-Control max-age in seconds
+ */
+export async function sendInlineVariant(req, res, parsed, variant, maxAge) {
+  const sha256 = hashBuffer(parsed.buffer);
+  const cacheControl = `public, max-age=${maxAge}`;
+
+  if (variant === DEFAULT_VARIANT || !isResizable(parsed.mime)) {
+    return sendWithEtag(req, res, {
+      buffer: parsed.buffer,
+      mime: parsed.mime,
+      etag: variantEtag(sha256),
+      cacheControl,
+    });
+  }
+
+  const etag = variantEtag(sha256, variant);
+  if (etagMatches(req.headers['if-none-match'], etag)) {
+    res.set('ETag', etag);
+    res.set('Cache-Control', cacheControl);
+    return res.status(304).end();
+  }
+
+  const rendered = await getImageVariant({ sha256, loadOriginal: async () => parsed.buffer }, variant);
+  return sendWithEtag(req, res, { ...rendered, etag, cacheControl });
+}
@@ -0,0 +1,445 @@
+/**
+ * KLIK Ledger Service
+ *
+ * Double-entry ledger for every KLIK balance movement. A ledger transaction
+ * is a set of legs that sum to zero; it is written in a single MongoDB
+ * transaction together with the balance updates it implies, so a crash can
+ * never leave money debited but not credited.
+ *
+ * Accounts:
+ *   AGENT        Agent.klikBalance
+ *   AGENT_OWNER  Agent.ownerEarnings (owner's share of tips, not yet settled)
+ *   USER         User.klikBalance
+ *   SYSTEM       No stored balance; where money enters or leaves the
+ *                platform (deposits, withdrawals, grants, opening balances,
+ *                forfeited owner earnings). System balances are the negated
+ *                sum of what they issued.
+ *
+ * Debits are conditional ({ field: { $gte: amount } }), so concurrent spends
+ * can't overdraw an account regardless of what the caller read earlier.
+ *
+ * Collections:
+ *   LedgerTransaction  one document per transaction (type, legs, metadata)
+ *   LedgerEntry        one document per leg (account, amount, balanceAfter)
+ *
+ * Requires MongoDB running as a replica set (transactions).
+ */
+
+import { ObjectId } from 'mongodb';
+
+// ============================================
+// ACCOUNTS
+// ============================================
+
+export const ACCOUNT_BALANCE_FIELDS = {
+  AGENT: { collection: 'Agent', field: 'klikBalance' },
+  AGENT_OWNER: { collection: 'Agent', field: 'ownerEarnings' },
+  USER: { collection: 'User', field: 'klikBalance' },
+};
+
+export const SYSTEM_ACCOUNTS = {
+  DEPOSITS: 'deposits',
+  WITHDRAWALS: 'withdrawals',
+  GRANTS: 'grants',
+  OPENING: 'opening',
+  FORFEITED_EARNINGS: 'forfeited_earnings',
+};
+
+export const LEDGER_TYPES = {
+  TIP: 'TIP',
+  USER_TIP: 'USER_TIP',
+  DEPOSIT: 'DEPOSIT',
+  WITHDRAWAL: 'WITHDRAWAL',
+  WITHDRAWAL_REFUND: 'WITHDRAWAL_REFUND',
+  GRANT: 'GRANT',
+  OPENING_BALANCE: 'OPENING_BALANCE',
+  OWNER_SETTLEMENT: 'OWNER_SETTLEMENT',
+  OWNER_EARNINGS_FORFEIT: 'OWNER_EARNINGS_FORFEIT',
+};
+
+// KLIK has 9 decimals on-chain; never carry float noise past that
+const AMOUNT_SCALE = 1e9;
+
+export function roundAmount(value) {
+  return Math.round(value * AMOUNT_SCALE) / AMOUNT_SCALE;
+}
+
+const toObjectId = (id) => (id instanceof ObjectId ? id : new ObjectId(id));
+
+export const agentAccount = (id) => ({ type: 'AGENT', id: toObjectId(id) });
+export const ownerEarningsAccount = (agentId) => ({ type: 'AGENT_OWNER', id: toObjectId(agentId) });
+export const userAccount = (id) => ({ type: 'USER', id: toObjectId(id) });
+export const systemAccount = (name) => ({ type: 'SYSTEM', id: name });
+
+function accountKey(account) {
+  return `${account.type}:${account.id}`;
+}
+
+// ============================================
+// ERRORS
+// ============================================
+
+function ledgerError(message, code, status, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+// ============================================
+// INDEXES
+// ============================================
+
+/**
+ * Ensure indexes for LedgerTransaction / LedgerEntry.
+ */
+export async function ensureLedgerIndexes(db) {
+  await db.collection('LedgerEntry').createIndex(
+    { accountType: 1, accountId: 1, createdAt: -1 },
+    { name: 'ledger_entry_account' }
+  );
+  await db.collection('LedgerEntry').createIndex({ transactionId: 1 }, { name: 'ledger_entry_tx' });
+  await db.collection('LedgerTransaction').createIndex({ type: 1, createdAt: -1 }, { name: 'ledger_tx_type' });
+  await db.collection('LedgerTransaction').createIndex(
+    { reference: 1 },
+    { unique: true, sparse: true, name: 'ledger_tx_reference_unique' }
+  );
+}
+
+/**
+ * Whether the connected deployment supports multi-document transactions
+ * (replica set member or mongos). Standalone servers reject every posting.
+ */
+export async function supportsTransactions(db) {
+  const hello = await db.admin().command({ hello: 1 });
+  return Boolean(hello.setName || hello.msg === 'isdbgrid');
+}
+
+// ============================================
+// POSTING
+// ============================================
+
+function normalizeLegs(legs) {
+  if (!Array.isArray(legs) || legs.length < 2) {
+    throw ledgerError('A ledger transaction needs at least two legs', 'INVALID_LEDGER_TRANSACTION', 500);
+  }
+
+  const normalized = legs.map(({ account, amount }) => {
+    if (!account?.type || account.id === undefined || account.id === null) {
+      throw ledgerError('Ledger leg is missing an account', 'INVALID_LEDGER_TRANSACTION', 500);
+    }
+    if (account.type !== 'SYSTEM' && !ACCOUNT_BALANCE_FIELDS[account.type]) {
+      throw ledgerError(`Unknown ledger account type: ${account.type}`, 'INVALID_LEDGER_TRANSACTION', 500);
+    }
+    const rounded = roundAmount(Number(amount));
+    if (!Number.isFinite(rounded) || rounded === 0) {
+      throw ledgerError('Ledger leg amount must be a non-zero number', 'INVALID_LEDGER_TRANSACTION', 500);
+    }
+    return { account, amount: rounded };
+  });
+
+  // Absorb rounding residue (e.g. 80/20 splits) into the largest credit
+  const residue = roundAmount(normalized.reduce((sum, leg) => sum + leg.amount, 0));
+  if (Math.abs(residue) > 1e-6) {
+    throw ledgerError(`Ledger legs do not balance (off by ${residue})`, 'UNBALANCED_LEDGER_TRANSACTION', 500);
+  }
+  if (residue !== 0) {
+    const largestCredit = normalized.reduce((best, leg) => (leg.amount > (best?.amount ?? 0) ? leg : best), null);
+    largestCredit.amount = roundAmount(largestCredit.amount - residue);
+  }
+
+  return normalized;
+}
+
+async function applyLeg(db, leg, session, now) {
+  if (leg.account.type === 'SYSTEM') {
+    return null;
+  }
+
+  const { collection, field } = ACCOUNT_BALANCE_FIELDS[leg.account.type];
+  const filter = { _id: leg.account.id };
+  if (leg.amount < 0) {
+    filter[field] = { $gte: -leg.amount };
+  }
+
+  const updated = await db.collection(collection).findOneAndUpdate(
+    filter,
+    { $inc: { [field]: leg.amount }, $set: { updatedAt: now } },
+    { session, returnDocument: 'after', projection: { [field]: 1 } }
+  );
+
+  if (!updated) {
+    const exists = await db.collection(collection).findOne(
+      { _id: leg.account.id },
+      { session, projection: { [field]: 1 } }
+    );
+    if (!exists) {
+      throw ledgerError(`${leg.account.type} account not found`, 'ACCOUNT_NOT_FOUND', 404, { account: leg.account });
+    }
+    throw ledgerError('Insufficient KLIK balance', 'INSUFFICIENT_FUNDS', 402, {
+      account: leg.account,
+      balance: exists[field] || 0,
+      needed: -leg.amount,
+    });
+  }
+
+  return updated[field];
+}
+
+/**
+ * Post a balanced ledger transaction atomically.
+ *
+ * @param {object} db - MongoDB database instance (db.client must be set)
+ * @param {object} params
+ * @param {string} params.type - One of LEDGER_TYPES
+ * @param {Array<{account: object, amount: number}>} params.legs - Signed amounts; credits positive, debits negative; must sum to 0
+ * @param {string} [params.reference] - Idempotency reference (unique), e.g. an on-chain signature
+ * @param {object} [params.metadata] - Free-form context (postId, txHash, ...)
+ * @param {function} [params.withSession] - async (session, ledgerTx) => any; extra writes that must commit with the ledger
+ * @returns {Promise<{transactionId: ObjectId, balances: object, result: any}>}
+ *   balances maps "TYPE:id" to the balance after this transaction
+ * @throws {Error} code INSUFFICIENT_FUNDS (402) | ACCOUNT_NOT_FOUND (404) | DUPLICATE_LEDGER_REFERENCE (409)
+ */
+export async function postLedgerTransaction(db, { type, legs, reference = null, metadata = {}, withSession = null }) {
+  const normalized = normalizeLegs(legs);
+  const session = db.client.startSession();
+
+  try {
+    let outcome;
+
+    await session.withTransaction(async () => {
+      const now = new Date();
+      const transactionId = new ObjectId();
+      const balances = {};
+
+      // Debits first so an overdraw aborts before any credit is applied
+      const ordered = [...normalized].sort((a, b) => a.amount - b.amount);
+      const entries = [];
+      for (const leg of ordered) {
+        const balanceAfter = await applyLeg(db, leg, session, now);
+        if (balanceAfter !== null) {
+          balances[accountKey(leg.account)] = balanceAfter;
+        }
+        entries.push({
+          transactionId,
+          type,
+          accountType: leg.account.type,
+          accountId: leg.account.id,
+          amount: leg.amount,
+          balanceAfter,
+          createdAt: now,
+        });
+      }
+
+      const ledgerTx = {
+        _id: transactionId,
+        type,
+        legs: normalized.map(leg => ({ accountType: leg.account.type, accountId: leg.account.id, amount: leg.amount })),
+        metadata,
+        createdAt: now,
+      };
+      if (reference) {
+        ledgerTx.reference = reference;
+      }
+
+      await db.collection('LedgerTransaction').insertOne(ledgerTx, { session });
+      await db.collection('LedgerEntry').insertMany(entries, { session });
+
+      const result = withSession ? await withSession(session, ledgerTx) : undefined;
+      outcome = { transactionId, balances, result };
+    });
+
+    return outcome;
+  } catch (error) {
+    if (error.code === 11000 && reference && /reference/.test(error.message)) {
+      throw ledgerError('Ledger transaction already recorded', 'DUPLICATE_LEDGER_REFERENCE', 409, { reference });
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Move `amount` from one account to another.
+ * Convenience wrapper around postLedgerTransaction for two-leg transfers.
+ */
+export async function transfer(db, { type, from, to, amount, reference, metadata, withSession }) {
+  return postLedgerTransaction(db, {
+    type,
+    legs: [
+      { account: from, amount: -amount },
+      { account: to, amount },
+    ],
+    reference,
+    metadata,
+    withSession,
+  });
+}
+
+/**
+ * Look up the post-transaction balance of an account from a posting result.
+ */
+export function balanceAfter(outcome, account) {
+  return outcome.balances[accountKey(account)];
+}
+
+// ============================================
+// OPENING BALANCES
+// ============================================
+
+/**
+ * Record the current balance of a pre-ledger account as an opening entry,
+ * without changing the balance. No-op if the account was already opened.
+ *
+ * The account document is marked in the same transaction, so a transfer
+ * committing concurrently causes a write conflict and a retry rather than
+ * a miscounted opening balance.
+ *
+ * @returns {Promise<number|null>} The opening amount recorded, or null if already opened
+ */
+export async function recordOpeningBalance(db, account) {
+  const { collection, field } = ACCOUNT_BALANCE_FIELDS[account.type];
+  const marker = `ledgerOpenedAt.${field}`;
+  const session = db.client.startSession();
+
+  try {
+    let opened = null;
+
+    await session.withTransaction(async () => {
+      opened = null;
+      const now = new Date();
+      const doc = await db.collection(collection).findOneAndUpdate(
+        { _id: account.id, [marker]: { $exists: false } },
+        { $set: { [marker]: now } },
+        { session, returnDocument: 'after', projection: { [field]: 1 } }
+      );
+      if (!doc) return;
+
+      const amount = roundAmount(doc[field] || 0);
+      opened = amount;
+      if (amount === 0) return;
+
+      const transactionId = new ObjectId();
+      await db.collection('LedgerTransaction').insertOne({
+        _id: transactionId,
+        type: LEDGER_TYPES.OPENING_BALANCE,
+        legs: [
+          { accountType: 'SYSTEM', accountId: SYSTEM_ACCOUNTS.OPENING, amount: -amount },
+          { accountType: account.type, accountId: account.id, amount },
+        ],
+        metadata: {},
+        createdAt: now,
+      }, { session });
+      await db.collection('LedgerEntry').insertMany([
+        { transactionId, type: LEDGER_TYPES.OPENING_BALANCE, accountType: 'SYSTEM', accountId: SYSTEM_ACCOUNTS.OPENING, amount: -amount, balanceAfter: null, createdAt: now },
+        { transactionId, type: LEDGER_TYPES.OPENING_BALANCE, accountType: account.type, accountId: account.id, amount, balanceAfter: amount, createdAt: now },
+      ], { session });
+    });
+
+    return opened;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// ============================================
+// RECONCILIATION
+// ============================================
+
+const RECONCILE_TOLERANCE = 1e-6;
+
+/**
+ * Compare every stored balance with the sum of its ledger entries.
+ *
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<{checkedAt: Date, accounts: number, mismatches: Array, systemBalances: object, imbalance: number}>}
+ *   imbalance is the sum of all entries (must be 0 for a consistent ledger)
+ */
+export async function reconcileLedger(db) {
+  const checkedAt = new Date();
+  const mismatches = [];
+  let accounts = 0;
+
+  const sums = await db.collection('LedgerEntry').aggregate([
+    { $group: { _id: { type: '$accountType', id: '$accountId' }, total: { $sum: '$amount' } } },
+  ]).toArray();
+
+  const ledgerTotals = new Map();
+  const systemBalances = {};
+  let imbalance = 0;
+  for (const row of sums) {
+    imbalance += row.total;
+    if (row._id.type === 'SYSTEM') {
+      systemBalances[row._id.id] = roundAmount(row.total);
+    } else {
+      ledgerTotals.set(`${row._id.type}:${row._id.id}`, row.total);
+    }
+  }
+
+  for (const [type, { collection, field }] of Object.entries(ACCOUNT_BALANCE_FIELDS)) {
+    const cursor = db.collection(collection).find(
+      {},
+      { projection: { [field]: 1, [`ledgerOpenedAt.${field}`]: 1 } }
+    );
+
+    for await (const doc of cursor) {
+      accounts++;
+      const key = `${type}:${doc._id}`;
+      const stored = doc[field] || 0;
+      const ledger = ledgerTotals.get(key) || 0;
+      ledgerTotals.delete(key);
+
+      if (Math.abs(stored - ledger) > RECONCILE_TOLERANCE) {
+        mismatches.push({
+          accountType: type,
+          accountId: doc._id,
+          stored: roundAmount(stored),
+          ledger: roundAmount(ledger),
+          difference: roundAmount(stored - ledger),
+          opened: Boolean(doc.ledgerOpenedAt?.[field]),
+        });
+      }
+    }
+  }
+
+  // Entries for accounts whose document no longer exists
+  for (const [key, total] of ledgerTotals) {
+    if (Math.abs(total) > RECONCILE_TOLERANCE) {
+      const [accountType, accountId] = key.split(':');
+      mismatches.push({
+        accountType,
+        accountId,
+        stored: null,
+        ledger: roundAmount(total),
+        difference: roundAmount(-total),
+        opened: true,
+      });
+    }
+  }
+
+  return {
+    checkedAt,
+    accounts,
+    mismatches,
+    systemBalances,
+    imbalance: roundAmount(imbalance),
+  };
+}
+
+/**
+ * Account history, newest first.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {{type: string, id: ObjectId|string}} account
+ * @param {object} [options]
+ * @param {number} [options.limit=50]
+ */
+export async function getAccountEntries(db, account, { limit = 50 } = {}) {
+  return db.collection('LedgerEntry')
+    .find({ accountType: account.type, accountId: account.id })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .toArray();
+}
@@ -0,0 +1,320 @@
+/**
+ * Media Storage Service
+ *
+ * Content-addressed media store backing avatars, backgrounds and post media.
+ *
+ * - Blobs live in a pluggable storage backend (MEDIA_STORAGE_DRIVER,
+ *   default "local"); new backends register via registerStorageDriver().
+ * - Metadata lives in the Media collection. Each blob gets a stable media
+ *   id (ObjectId) and is deduplicated by sha256: uploading the same bytes
+ *   twice returns the existing id.
+ * - MIME types are sniffed from magic bytes; the declared Content-Type is
+ *   never trusted on its own.
+ *
+ * Documents reference media by URL: /api/v1/media/:id
+ */
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { createLocalDriver } from './storage/localDriver.js';
+
+// ----------------------------------------------------------------------------
+// Limits & allowed types
+// ----------------------------------------------------------------------------
+
+const envBytes = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+export const MEDIA_LIMITS = {
+  image: envBytes('MEDIA_MAX_IMAGE_BYTES', 10 * 1024 * 1024),
+  video: envBytes('MEDIA_MAX_VIDEO_BYTES', 50 * 1024 * 1024),
+  audio: envBytes('MEDIA_MAX_AUDIO_BYTES', 20 * 1024 * 1024),
+};
+
+export const MEDIA_KINDS = ['post', 'avatar', 'background', 'other'];
+
+export const MEDIA_URL_PREFIX = '/api/v1/media/';
+
+// ----------------------------------------------------------------------------
+// Driver registry
+// ----------------------------------------------------------------------------
+
+const driverFactories = new Map([['local', createLocalDriver]]);
+let activeDriver = null;
+
+/**
+ * Register a storage backend factory (e.g. an S3 driver).
+ *
+ * @param {string} name - Value for MEDIA_STORAGE_DRIVER
+ * @param {function} factory - () => driver implementing put/createReadStream/exists/delete
+ */
+export function registerStorageDriver(name, factory) {
+  driverFactories.set(name, factory);
+}
+
+/**
+ * Get the configured storage driver (created once per process).
+ */
+export function getStorageDriver() {
+  if (!activeDriver) {
+    const name = process.env.MEDIA_STORAGE_DRIVER || 'local';
+    const factory = driverFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown MEDIA_STORAGE_DRIVER: ${name}`);
+    }
+    activeDriver = factory();
+  }
+  return activeDriver;
+}
+
+/**
+ * Replace the active driver (tests, or switching backends at startup).
+ */
+export function setStorageDriver(driver) {
+  activeDriver = driver;
+}
+
+/**
+ * Look up the driver a Media document was stored with.
+ */
+function driverFor(media) {
+  const current = getStorageDriver();
+  if (!media.storageDriver || media.storageDriver === current.name) {
+    return current;
+  }
+  const factory = driverFactories.get(media.storageDriver);
+  if (!factory) {
+    throw new Error(`Media ${media._id} uses unavailable storage driver: ${media.storageDriver}`);
+  }
+  return factory();
+}
+
+// ----------------------------------------------------------------------------
+// MIME sniffing
+// ----------------------------------------------------------------------------
+
+/**
+ * Detect the MIME type of a buffer from its magic bytes.
+ * Only types we are willing to serve back to browsers are recognised
+ * (notably no SVG/HTML, which can carry scripts).
+ *
+ * @param {Buffer} buffer
+ * @returns {string|null} MIME type or null if unrecognised
+ */
+export function sniffMimeType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  const hex = (start, end) => buffer.subarray(start, end).toString('hex');
+  const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+  if (hex(0, 8) === '89504e470d0a1a0a') return 'image/png';
+  if (hex(0, 3) === 'ffd8ff') return 'image/jpeg';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand.startsWith('M4A')) return 'audio/mp4';
+    return 'video/mp4';
+  }
+  if (hex(0, 4) === '1a45dfa3') return 'video/webm';
+  if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+
+  return null;
+}
+
+/**
+ * Category (image | video | audio) of a MIME type.
+ */
+export function mediaCategory(mime) {
+  return mime ? mime.split('/')[0] : null;
+}
+
+/**
+ * Parse a data: URI into its declared MIME and bytes.
+ *
+ * @param {string} dataUri
+ * @returns {{mime: string, buffer: Buffer}|null}
+ */
+export function parseDataUri(dataUri) {
+  if (typeof dataUri !== 'string') return null;
+  const match = dataUri.match(/^data:([^;,]+)?(?:;[^,]*)?;base64,(.+)$/s);
+  if (!match) return null;
+  return { mime: match[1] || 'application/octet-stream', buffer: Buffer.from(match[2], 'base64') };
+}
+
+/**
+ * Whether a stored field value already points at the media service.
+ */
+export function isMediaUrl(value) {
+  return typeof value === 'string' && value.startsWith(MEDIA_URL_PREFIX);
+}
+
+/**
+ * Public URL for a media id.
+ */
+export function mediaUrl(mediaId) {
+  return `${MEDIA_URL_PREFIX}${mediaId}`;
+}
+
+/**
+ * Extract a media id from a /api/v1/media/:id URL (ignores query strings).
+ *
+ * @returns {ObjectId|null}
+ */
+export function mediaIdFromUrl(value) {
+  if (!isMediaUrl(value)) return null;
+  const id = value.slice(MEDIA_URL_PREFIX.length).split(/[/?#]/)[0];
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+// ----------------------------------------------------------------------------
+// Validation
+// ----------------------------------------------------------------------------
+
+function mediaError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/**
+ * Validate a buffer for storage. Returns the sniffed MIME type.
+ *
+ * @param {Buffer} buffer
+ * @param {object} [options]
+ * @param {string} [options.declaredMime] - Content-Type claimed by the client
+ * @param {string[]} [options.allowedCategories] - e.g. ['image'] for avatars
+ * @returns {string} MIME type
+ * @throws {Error} code EMPTY_MEDIA | UNSUPPORTED_MEDIA_TYPE | MIME_MISMATCH | MEDIA_TOO_LARGE
+ */
+export function validateMedia(buffer, { declaredMime, allowedCategories = ['image', 'video', 'audio'] } = {}) {
+  if (!buffer || buffer.length === 0) {
+    throw mediaError('Empty upload', 'EMPTY_MEDIA');
+  }
+
+  const mime = sniffMimeType(buffer);
+  const category = mediaCategory(mime);
+  if (!mime || !allowedCategories.includes(category)) {
+    throw mediaError(
+      `Unsupported media type. Allowed: ${allowedCategories.join(', ')}`,
+      'UNSUPPORTED_MEDIA_TYPE',
+      415
+    );
+  }
+
+  const declared = declaredMime?.split(';')[0].trim().toLowerCase();
+  if (declared && declared !== 'application/octet-stream' && mediaCategory(declared) !== category) {
+    throw mediaError(
+      `Declared type ${declared} does not match file contents (${mime})`,
+      'MIME_MISMATCH',
+      415
+    );
+  }
+
+  const limit = MEDIA_LIMITS[category];
+  if (buffer.length > limit) {
+    throw mediaError(
+      `File too large (${buffer.length} bytes). Max ${category} size is ${limit} bytes`,
+      'MEDIA_TOO_LARGE',
+      413
+    );
+  }
+
+  return mime;
+}
+
+// ----------------------------------------------------------------------------
+// Store / fetch
+// ----------------------------------------------------------------------------
+
+/**
+ * Ensure indexes for the Media collection.
+ */
+export async function ensureMediaIndexes(db) {
+  await db.collection('Media').createIndex({ sha256: 1 }, { unique: true, name: 'media_sha256_unique' });
+  await db.collection('Media').createIndex({ 'createdBy.id': 1, createdAt: -1 }, { name: 'media_by_creator' });
+}
+
+/**
+ * Store a blob, deduplicating by content hash.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {Buffer} buffer - File contents
+ * @param {object} [options]
+ * @param {string} [options.declaredMime] - Client-declared Content-Type
+ * @param {string} [options.kind] - post | avatar | background | other
+ * @param {string[]} [options.allowedCategories]
+ * @param {{type: string, id: ObjectId}} [options.createdBy] - Uploading principal
+ * @returns {Promise<{media: object, deduplicated: boolean}>}
+ */
+export async function storeMedia(db, buffer, { declaredMime, kind = 'other', allowedCategories, createdBy = null } = {}) {
+  const mime = validateMedia(buffer, { declaredMime, allowedCategories });
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  const existing = await db.collection('Media').findOne({ sha256 });
+  if (existing) {
+    return { media: existing, deduplicated: true };
+  }
+
+  const driver = getStorageDriver();
+  const storageKey = `${sha256.slice(0, 2)}/${sha256.slice(2, 4)}/${sha256}`;
+  await driver.put(storageKey, buffer, { contentType: mime });
+
+  const media = {
+    sha256,
+    mime,
+    size: buffer.length,
+    kind: MEDIA_KINDS.includes(kind) ? kind : 'other',
+    storageDriver: driver.name,
+    storageKey,
+    createdBy: createdBy ? { type: createdBy.type, id: createdBy.id } : null,
+    createdAt: new Date(),
+  };
+
+  try {
+    const result = await db.collection('Media').insertOne(media);
+    media._id = result.insertedId;
+    return { media, deduplicated: false };
+  } catch (error) {
+    // Concurrent upload of the same bytes won the race — reuse its id
+    if (error.code === 11000) {
+      const winner = await db.collection('Media').findOne({ sha256 });
+      return { media: winner, deduplicated: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Store a data: URI (legacy inline media) and return its media document.
+ */
+export async function storeDataUri(db, dataUri, options = {}) {
+  const parsed = parseDataUri(dataUri);
+  if (!parsed) {
+    throw mediaError('Invalid data URI', 'INVALID_DATA_URI');
+  }
+  return storeMedia(db, parsed.buffer, { ...options, declaredMime: parsed.mime });
+}
+
+/**
+ * Find a Media document by id string.
+ *
+ * @returns {Promise<object|null>}
+ */
+export async function findMedia(db, id) {
+  if (!ObjectId.isValid(id)) return null;
+  return db.collection('Media').findOne({ _id: new ObjectId(id) });
+}
+
+/**
+ * Open a read stream for a stored Media document.
+ */
+export function openMediaStream(media) {
+  return driverFor(media).createReadStream(media.storageKey);
+}
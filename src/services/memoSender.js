@@ -4,6 +4,9 @@
  * Sends Solana transactions with SPL Memo instructions to notify wallet
  * owners about their OpenClaw agents. Includes dust transfers to ensure
  * memos appear in standard wallet UIs.
+ *
+ * Batches are refused while the treasury guard has memos paused
+ * (services/treasury.js).
  */
 
 import {
@@ -16,6 +19,7 @@ import {
   sendAndConfirmTransaction,
 } from '@solana/web3.js';
 import bs58 from 'bs58';
+import { getTreasuryGuard } from './treasury.js';
 
 const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
 const DUST_LAMPORTS = 1000;
@@ -121,7 +125,7 @@ export async function sendClaimMemo(walletAddress, agentId, claimUrl) {
  * @param {Array<{walletAddress: string, agentId: string, agentName: string}>} agents
  * @param {object} db - MongoDB database instance
  * @param {number} concurrency - Max parallel sends (default 5)
- * @returns {Promise<{total: number, succeeded: number, failed: number, results: Array}>}
+ * @returns {Promise<{total: number, succeeded: number, failed: number, results: Array, paused?: boolean}>}
  */
 export async function sendBatchMemos(agents, db, concurrency = 5) {
   const results = [];
@@ -129,6 +133,16 @@ export async function sendBatchMemos(agents, db, concurrency = 5) {
   let failed = 0;
   const total = agents.length;
 
+  const guard = await getTreasuryGuard(db);
+  if (guard.memosPaused) {
+    console.error(JSON.stringify({
+      event: 'batch_memo_paused',
+      total,
+      reasons: guard.reasons,
+    }));
+    return { total, succeeded: 0, failed: 0, results, paused: true };
+  }
+
   console.log(JSON.stringify({
     event: 'batch_memo_start',
     total,
@@ -0,0 +1,295 @@
+/**
+ * Owner Earnings Settlement
+ *
+ * Tips credit 20% to the tipped agent's AGENT_OWNER ledger account
+ * (Agent.ownerEarnings). Settlement sweeps that balance into the owning
+ * user's User.klikBalance — the balance withdrawals pay out from — as an
+ * OWNER_SETTLEMENT ledger transaction, and records one OwnerSettlement
+ * document per agent per sweep (the user's settlement history).
+ *
+ * Earnings go to whoever owns the agent when they are settled: Agent.userId,
+ * or Agent.owner for agents registered with only that (the same rule as
+ * middleware/agentOwnership.js). Ownership changes settle first:
+ *   claim     earnings accrued while the agent was unclaimed go to the
+ *             claiming wallet's user (it was their agent all along)
+ *   adoption  earnings an orphaned agent accrued before it was adopted
+ *             are forfeited to SYSTEM:forfeited_earnings in the same
+ *             transaction that hands it to the adopter, who starts from zero
+ *
+ * Every settlement re-checks the owner inside the ledger transaction,
+ * so earnings can't land with an owner who no longer holds the agent.
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  transfer,
+  ownerEarningsAccount,
+  userAccount,
+  systemAccount,
+  roundAmount,
+  SYSTEM_ACCOUNTS,
+  LEDGER_TYPES,
+} from './ledger.js';
+
+export const SETTLEMENT_REASONS = {
+  SCHEDULED: 'scheduled',
+  MANUAL: 'manual',
+  CLAIM: 'claim',
+  ADOPTION: 'adoption',
+};
+
+function settlementError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/**
+ * The user an agent's earnings belong to, or null.
+ */
+function ownerOf(agent) {
+  return agent.userId ?? agent.owner ?? null;
+}
+
+/**
+ * Filter for agents whose owner (see ownerOf) is `owner` (null for unowned).
+ */
+function ownedBy(owner) {
+  return owner
+    ? { $or: [{ userId: owner }, { userId: null, owner }] }
+    : { userId: null, owner: null };
+}
+
+const AGENT_PROJECTION = { userId: 1, owner: 1, ownerEarnings: 1, name: 1, displayName: 1 };
+
+/**
+ * Ensure indexes for settlement history.
+ */
+export async function ensureOwnerSettlementIndexes(db) {
+  await db.collection('OwnerSettlement').createIndex({ userId: 1, createdAt: -1 });
+  await db.collection('OwnerSettlement').createIndex({ agentId: 1, createdAt: -1 });
+}
+
+/**
+ * Move an agent's owner earnings out of its AGENT_OWNER account.
+ *
+ * @param {object} owner - Owner the agent must still have (null for unowned)
+ * @param {object} to - Destination ledger account
+ * @param {object} [expect] - Further conditions the agent must still meet
+ * @param {object} [set] - Further fields to set on the agent in the same transaction
+ * @returns {Promise<object|null>} OwnerSettlement document, or null if there was nothing to move
+ */
+async function moveOwnerEarnings(db, agent, { owner, to, type, reason, expect = {}, set = {} }) {
+  const amount = roundAmount(agent.ownerEarnings || 0);
+  if (amount <= 0) return null;
+
+  const settlement = {
+    _id: new ObjectId(),
+    agentId: agent._id,
+    agentName: agent.displayName || agent.name || null,
+    userId: owner,
+    amount,
+    reason,
+    forfeited: !owner,
+    createdAt: new Date(),
+  };
+
+  try {
+    await transfer(db, {
+      type,
+      from: ownerEarningsAccount(agent._id),
+      to,
+      amount,
+      reference: `owner-settlement:${settlement._id}`,
+      metadata: { agentId: agent._id, settlementId: settlement._id, reason },
+      withSession: async (session, ledgerTx) => {
+        // Ownership must not have changed since the agent was read
+        const current = await db.collection('Agent').updateOne(
+          { _id: agent._id, ...ownedBy(owner), ...expect },
+          { $set: { ...set, ownerEarningsSettledAt: settlement.createdAt } },
+          { session }
+        );
+        if (current.matchedCount === 0) {
+          throw settlementError('Agent owner changed during settlement', 'OWNER_CHANGED', 409);
+        }
+
+        if (owner) {
+          await db.collection('User').updateOne(
+            { _id: owner },
+            { $inc: { totalEarned: amount } },
+            { session }
+          );
+        }
+
+        settlement.ledgerTransactionId = ledgerTx._id;
+        await db.collection('OwnerSettlement').insertOne(settlement, { session });
+      },
+    });
+  } catch (err) {
+    // Another settlement moved the balance first, or ownership changed: retry later
+    if (err.code === 'INSUFFICIENT_FUNDS' || err.code === 'OWNER_CHANGED') return null;
+    throw err;
+  }
+
+  return settlement;
+}
+
+/**
+ * Settle one agent's owner earnings to its current owner.
+ * No-op (null) for agents without an owner or without earnings.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {ObjectId|string} agentId
+ * @param {object} [options]
+ * @param {string} [options.reason] - One of SETTLEMENT_REASONS
+ * @returns {Promise<object|null>} OwnerSettlement document
+ */
+export async function settleAgentOwnerEarnings(db, agentId, { reason = SETTLEMENT_REASONS.MANUAL } = {}) {
+  const agent = await db.collection('Agent').findOne(
+    { _id: new ObjectId(agentId) },
+    { projection: AGENT_PROJECTION }
+  );
+  const owner = agent && ownerOf(agent);
+  if (!owner) return null;
+
+  return moveOwnerEarnings(db, agent, {
+    owner,
+    to: userAccount(owner),
+    type: LEDGER_TYPES.OWNER_SETTLEMENT,
+    reason,
+  });
+}
+
+/**
+ * Forfeit the earnings an orphaned agent accrued, leaving it orphaned.
+ * Adoption uses adoptOrphanedAgent, which forfeits as part of the handover.
+ * No-op unless the agent is ORPHANED and unowned (an unclaimed agent's
+ * earnings wait for its claimer).
+ *
+ * @returns {Promise<object|null>} OwnerSettlement document (forfeited: true)
+ */
+export async function forfeitOrphanEarnings(db, agentId, { reason = SETTLEMENT_REASONS.ADOPTION } = {}) {
+  const orphaned = { 'walletAgentData.claimStatus': 'ORPHANED' };
+  const agent = await db.collection('Agent').findOne(
+    { _id: new ObjectId(agentId), ...orphaned },
+    { projection: AGENT_PROJECTION }
+  );
+  if (!agent || ownerOf(agent)) return null;
+
+  return moveOwnerEarnings(db, agent, {
+    owner: null,
+    to: systemAccount(SYSTEM_ACCOUNTS.FORFEITED_EARNINGS),
+    type: LEDGER_TYPES.OWNER_EARNINGS_FORFEIT,
+    reason,
+    expect: orphaned,
+  });
+}
+
+/**
+ * Adopt an orphaned wallet agent. Its earnings are forfeited in the same
+ * ledger transaction that assigns the adopter, so an adoption that loses a
+ * race forfeits nothing and a forfeit never happens without the adoption.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {ObjectId|string} agentId
+ * @param {ObjectId} adopterId - User adopting the agent
+ * @returns {Promise<{agent: object, settlement: object|null}>} The adopted
+ *   agent, and the forfeit OwnerSettlement if there were earnings
+ * @throws NOT_ADOPTABLE (409) if the agent is not an orphaned wallet agent
+ */
+export async function adoptOrphanedAgent(db, agentId, adopterId) {
+  const adoptable = { isWalletAgent: true, 'walletAgentData.claimStatus': 'ORPHANED' };
+  const filter = { _id: new ObjectId(agentId), ...adoptable };
+  const now = new Date();
+  const adoption = {
+    userId: adopterId,
+    owner: adopterId,
+    'walletAgentData.claimStatus': 'ADOPTED',
+    'walletAgentData.adoptedBy': adopterId,
+    'walletAgentData.adoptedAt': now,
+    updatedAt: now,
+  };
+  const notAdoptable = () => settlementError(
+    'Agent is not available for adoption (may already be adopted or not orphaned)',
+    'NOT_ADOPTABLE',
+    409
+  );
+
+  const agent = await db.collection('Agent').findOne(
+    filter,
+    { projection: AGENT_PROJECTION }
+  );
+  if (!agent) throw notAdoptable();
+
+  const settlement = ownerOf(agent) ? null : await moveOwnerEarnings(db, agent, {
+    owner: null,
+    to: systemAccount(SYSTEM_ACCOUNTS.FORFEITED_EARNINGS),
+    type: LEDGER_TYPES.OWNER_EARNINGS_FORFEIT,
+    reason: SETTLEMENT_REASONS.ADOPTION,
+    expect: adoptable,
+    set: adoption,
+  });
+  if (settlement) {
+    return { agent: await db.collection('Agent').findOne({ _id: agent._id }), settlement };
+  }
+
+  // Nothing to forfeit, or another adoption got there first (then this misses)
+  const adopted = await db.collection('Agent').findOneAndUpdate(
+    filter,
+    { $set: adoption },
+    { returnDocument: 'after' }
+  );
+  if (!adopted) throw notAdoptable();
+  return { agent: adopted, settlement: null };
+}
+
+/**
+ * Settle every agent a user owns.
+ *
+ * @returns {Promise<{settled: number, settlements: Array}>}
+ */
+export async function settleUserOwnerEarnings(db, userId, { reason = SETTLEMENT_REASONS.MANUAL } = {}) {
+  const agents = await db.collection('Agent')
+    .find({ ...ownedBy(new ObjectId(userId)), ownerEarnings: { $gt: 0 } }, { projection: { _id: 1 } })
+    .toArray();
+
+  const settlements = [];
+  for (const { _id } of agents) {
+    const settlement = await settleAgentOwnerEarnings(db, _id, { reason });
+    if (settlement) settlements.push(settlement);
+  }
+
+  return {
+    settled: roundAmount(settlements.reduce((sum, s) => sum + s.amount, 0)),
+    settlements,
+  };
+}
+
+/**
+ * Settle every owned agent with earnings (scheduled sweep).
+ *
+ * @returns {Promise<{agents: number, settled: number, errors: number}>}
+ */
+export async function settleAllOwnerEarnings(db, { reason = SETTLEMENT_REASONS.SCHEDULED } = {}) {
+  const summary = { agents: 0, settled: 0, errors: 0 };
+  const cursor = db.collection('Agent').find(
+    { $or: [{ userId: { $ne: null } }, { owner: { $ne: null } }], ownerEarnings: { $gt: 0 } },
+    { projection: { _id: 1 } }
+  );
+
+  for await (const { _id } of cursor) {
+    try {
+      const settlement = await settleAgentOwnerEarnings(db, _id, { reason });
+      if (settlement) {
+        summary.agents++;
+        summary.settled = roundAmount(summary.settled + settlement.amount);
+      }
+    } catch (err) {
+      summary.errors++;
+      console.error(`[OwnerSettlement] Agent ${_id} failed:`, err.message);
+    }
+  }
+
+  return summary;
+}
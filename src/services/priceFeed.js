@@ -1,94 +1,461 @@
 /**
  * KLIK Price Feed Service
  *
- * Fetches KLIK/USD price from Jupiter API with caching and fallback.
+ * KLIK/USD price oracle: quotes every provider (in priority order),
+ * rejects quotes too far from the median and reports the median of the
+ * rest. If every provider fails, the last good price is served, flagged
+ * `stale` once it is older than PRICE_STALE_SECONDS. Every price carries
+ * `updatedAt` (when it was quoted), `age_seconds` and `stale`.
+ *
+ * Providers are plain `{ name, fetchPrice({ signal }) }` objects, so
+ * createPriceOracle() can run against local stand-ins.
+ *
+ * Each fresh price is also saved to the KlikPriceSample time-series
+ * collection, so amounts can be valued at the price of their time
+ * (convertKlikToUsdAt) and the history charted as OHLC candles. A past
+ * price older than PRICE_HISTORY_MAX_AGE_SECONDS at that moment (e.g. the
+ * refresh was down) is treated as unknown.
  */
 
 const KLIK_MINT = process.env.KLIK_TOKEN_MINT || '8cPAhMb6bvQg3v1v3yxBCLnUJkboEiV2F8W19z1CS5iB';
 const JUPITER_API = 'https://price.jup.ag/v6/price';
+const DEXSCREENER_API = 'https://api.dexscreener.com/latest/dex/tokens';
+const BIRDEYE_API = 'https://public-api.birdeye.so/defi/price';
 const COINGECKO_SOL = 'https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd';
 
-let cachedPrice = null;
-let lastFetch = 0;
 const CACHE_TTL = 60 * 1000; // 60 seconds
+const PROVIDER_TIMEOUT = 5000;
+const STALE_AFTER_MS = (parseInt(process.env.PRICE_STALE_SECONDS) || 300) * 1000;
+const OUTLIER_PCT = parseFloat(process.env.PRICE_OUTLIER_PCT) || 10;
+const HISTORY_MAX_AGE_MS = (parseInt(process.env.PRICE_HISTORY_MAX_AGE_SECONDS) || 3600) * 1000;
 
-/**
- * Get current KLIK price in USD
- * @returns {Promise<{klikUsd: number, klikSol?: number, solUsd?: number, updatedAt: string, source: string}>}
- */
-export async function getKlikPrice() {
-  const now = Date.now();
-  if (cachedPrice && now - lastFetch < CACHE_TTL) {
-    return cachedPrice;
+let lastRecorded = null;
+
+const PRICE_HISTORY_COLLECTION = 'KlikPriceSample';
+
+// Candle intervals: $dateTrunc unit and length
+export const CANDLE_INTERVALS = {
+  '1m': { unit: 'minute', ms: 60 * 1000 },
+  '1h': { unit: 'hour', ms: 60 * 60 * 1000 },
+  '1d': { unit: 'day', ms: 24 * 60 * 60 * 1000 },
+};
+const MAX_CANDLES = 1500;
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+async function fetchJson(url, { signal, headers = {} }) {
+  const res = await fetch(url, { headers: { 'Accept': 'application/json', ...headers }, signal });
+  if (!res.ok) {
+    throw new Error(`${new URL(url).host} returned ${res.status}`);
   }
+  return res.json();
+}
 
-  try {
-    // Primary: Jupiter Price API
-    const jupRes = await fetch(`${JUPITER_API}?ids=${KLIK_MINT}`, {
-      headers: { 'Accept': 'application/json' },
-      signal: AbortSignal.timeout(5000)
+export const jupiterProvider = {
+  name: 'jupiter',
+  async fetchPrice({ signal }) {
+    const data = await fetchJson(`${JUPITER_API}?ids=${KLIK_MINT}`, { signal });
+    return data?.data?.[KLIK_MINT]?.price;
+  },
+};
+
+export const dexscreenerProvider = {
+  name: 'dexscreener',
+  async fetchPrice({ signal }) {
+    const data = await fetchJson(`${DEXSCREENER_API}/${KLIK_MINT}`, { signal });
+    // Most liquid pair quoting KLIK as the base token
+    const [pair] = (data?.pairs || [])
+      .filter(p => p.baseToken?.address === KLIK_MINT && p.priceUsd)
+      .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0));
+    return pair ? parseFloat(pair.priceUsd) : null;
+  },
+};
+
+export const birdeyeProvider = {
+  name: 'birdeye',
+  async fetchPrice({ signal }) {
+    const data = await fetchJson(`${BIRDEYE_API}?address=${KLIK_MINT}`, {
+      signal,
+      headers: { 'X-API-KEY': process.env.BIRDEYE_API_KEY, 'x-chain': 'solana' },
     });
+    return data?.data?.value;
+  },
+};
+
+/**
+ * SOL/USD, for the klikSol reference price (optional)
+ */
+export const coingeckoSolProvider = {
+  name: 'coingecko',
+  async fetchPrice({ signal }) {
+    const data = await fetchJson(COINGECKO_SOL, { signal });
+    return data?.solana?.usd;
+  },
+};
+
+/**
+ * Default KLIK providers in priority order. Birdeye needs BIRDEYE_API_KEY.
+ */
+export function defaultPriceProviders() {
+  const providers = [jupiterProvider, dexscreenerProvider];
+  if (process.env.BIRDEYE_API_KEY) providers.push(birdeyeProvider);
+  return providers;
+}
+
+// ============================================
+// AGGREGATION
+// ============================================
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Combine provider quotes into one price.
+ *
+ * Quotes more than `outlierPct` percent from the median are rejected.
+ * When no quote is within range (two sources that disagree), the
+ * highest-priority quote wins.
+ *
+ * @param {Array<{name: string, price: number}>} quotes - Successful quotes, in priority order
+ * @param {number} [outlierPct]
+ * @returns {{price: number, accepted: string[], rejected: string[]}|null} null without quotes
+ */
+export function aggregateQuotes(quotes, outlierPct = OUTLIER_PCT) {
+  if (quotes.length === 0) return null;
+
+  const mid = median(quotes.map(q => q.price));
+  let accepted = quotes.filter(q => Math.abs(q.price - mid) / mid * 100 <= outlierPct);
+  if (accepted.length === 0) accepted = [quotes[0]];
+
+  return {
+    price: median(accepted.map(q => q.price)),
+    accepted: accepted.map(q => q.name),
+    rejected: quotes.filter(q => !accepted.includes(q)).map(q => q.name),
+  };
+}
+
+/**
+ * Add `age_seconds` and `stale` to a price, as of `now`.
+ */
+export function withFreshness(price, { now = Date.now(), staleAfterMs = STALE_AFTER_MS } = {}) {
+  const quotedAt = price.updatedAt ? Date.parse(price.updatedAt) : NaN;
+  const ageSeconds = Number.isNaN(quotedAt) ? null : Math.max(0, Math.floor((now - quotedAt) / 1000));
+  return {
+    ...price,
+    age_seconds: ageSeconds,
+    stale: ageSeconds === null || ageSeconds * 1000 > staleAfterMs,
+  };
+}
 
-    if (!jupRes.ok) {
-      throw new Error(`Jupiter API returned ${jupRes.status}`);
+/**
+ * Create a price oracle.
+ *
+ * @param {object} [options]
+ * @param {Array<{name: string, fetchPrice: Function}>} [options.providers] - KLIK/USD providers, highest priority first
+ * @param {{name: string, fetchPrice: Function}|null} [options.solProvider] - SOL/USD provider
+ * @param {number} [options.cacheTtlMs] - How long a fresh price is reused
+ * @param {number} [options.staleAfterMs] - Age after which a price is flagged stale
+ * @param {number} [options.outlierPct] - Max distance from the median, in percent
+ * @param {number} [options.timeoutMs] - Per-provider timeout
+ * @param {Function} [options.now] - Clock (ms)
+ * @returns {{getPrice: () => Promise<object>}}
+ */
+export function createPriceOracle({
+  providers = defaultPriceProviders(),
+  solProvider = coingeckoSolProvider,
+  cacheTtlMs = CACHE_TTL,
+  staleAfterMs = STALE_AFTER_MS,
+  outlierPct = OUTLIER_PCT,
+  timeoutMs = PROVIDER_TIMEOUT,
+  now = Date.now,
+} = {}) {
+  let lastGood = null;
+  let lastFetch = 0;
+
+  const quote = async (provider) => {
+    const price = Number(await provider.fetchPrice({ signal: AbortSignal.timeout(timeoutMs) }));
+    if (!(price > 0) || !Number.isFinite(price)) {
+      throw new Error(`${provider.name} returned no price`);
     }
+    return { name: provider.name, price };
+  };
+
+  const fresh = (price) => withFreshness(price, { now: now(), staleAfterMs });
+
+  return {
+    async getPrice() {
+      if (lastGood && now() - lastFetch < cacheTtlMs) {
+        return fresh(lastGood);
+      }
+
+      const [results, solResult] = await Promise.all([
+        Promise.allSettled(providers.map(quote)),
+        solProvider ? quote(solProvider).catch(() => null) : null,
+      ]);
+
+      const quotes = [];
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') quotes.push(result.value);
+        else console.error(`Price provider ${providers[i].name} failed:`, result.reason?.message);
+      });
 
-    const jupData = await jupRes.json();
-    const klikData = jupData?.data?.[KLIK_MINT];
-
-    if (klikData?.price && klikData.price > 0) {
-      cachedPrice = {
-        klikUsd: klikData.price,
-        solUsd: null,
-        klikSol: null,
-        updatedAt: new Date().toISOString(),
-        source: 'jupiter'
-      };
-
-      // Get SOL/USD for reference (optional)
-      try {
-        const solRes = await fetch(COINGECKO_SOL, {
-          signal: AbortSignal.timeout(3000)
-        });
-        if (solRes.ok) {
-          const solData = await solRes.json();
-          cachedPrice.solUsd = solData?.solana?.usd || null;
-          if (cachedPrice.solUsd > 0) {
-            cachedPrice.klikSol = cachedPrice.klikUsd / cachedPrice.solUsd;
-          }
+      const aggregate = aggregateQuotes(quotes, outlierPct);
+      if (aggregate) {
+        if (aggregate.rejected.length > 0) {
+          console.warn(`Price outliers rejected: ${aggregate.rejected.join(', ')}`);
         }
-      } catch (e) {
-        // SOL price is optional, don't fail if unavailable
+        const solUsd = solResult?.price || null;
+        lastGood = {
+          klikUsd: aggregate.price,
+          solUsd,
+          klikSol: solUsd ? aggregate.price / solUsd : null,
+          updatedAt: new Date(now()).toISOString(),
+          source: aggregate.accepted.length > 1 ? 'median' : aggregate.accepted[0],
+          sources: aggregate.accepted,
+        };
+        lastFetch = now();
+        return fresh(lastGood);
       }
 
-      lastFetch = now;
-      return cachedPrice;
-    }
+      // Every provider failed: last good price (aging), or nothing
+      return fresh(lastGood || {
+        klikUsd: 0,
+        klikSol: 0,
+        solUsd: 0,
+        updatedAt: null,
+        source: 'cache_fallback',
+        sources: [],
+      });
+    },
+  };
+}
+
+const defaultOracle = createPriceOracle();
+
+/**
+ * Get current KLIK price in USD
+ * @returns {Promise<{klikUsd: number, klikSol: number|null, solUsd: number|null, updatedAt: string|null, source: string, sources: string[], age_seconds: number|null, stale: boolean}>}
+ */
+export async function getKlikPrice() {
+  return defaultOracle.getPrice();
+}
+
+// ============================================
+// PRICE HISTORY
+// ============================================
+
+/**
+ * Create the price history time-series collection if it doesn't exist.
+ */
+export async function ensurePriceHistoryCollection(db) {
+  try {
+    await db.createCollection(PRICE_HISTORY_COLLECTION, {
+      timeseries: { timeField: 'ts', metaField: 'source', granularity: 'minutes' },
+    });
   } catch (err) {
-    console.error('Jupiter price fetch failed:', err.message);
+    if (err.codeName !== 'NamespaceExists') throw err;
+  }
+  await db.collection(PRICE_HISTORY_COLLECTION).createIndex({ ts: -1 });
+}
+
+/**
+ * Save a fetched price as a history sample. Fallback prices and repeats of
+ * the last recorded sample are skipped.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} price - Result of getKlikPrice()
+ * @returns {Promise<boolean>} Whether a sample was written
+ */
+export async function recordPriceSample(db, price) {
+  if (!price || !(price.klikUsd > 0) || !price.updatedAt) return false;
+  if (price.updatedAt === lastRecorded) return false;
+
+  await db.collection(PRICE_HISTORY_COLLECTION).insertOne({
+    ts: new Date(price.updatedAt),
+    source: price.source,
+    klikUsd: price.klikUsd,
+    solUsd: price.solUsd ?? null,
+  });
+  lastRecorded = price.updatedAt;
+  return true;
+}
+
+/**
+ * Average KLIK/USD price per UTC day, week (from Monday) or month.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} range
+ * @param {Date} range.from
+ * @param {Date} range.to - Exclusive
+ * @param {'day'|'week'|'month'} range.unit
+ * @returns {Promise<{buckets: Map<number, number>, before: number|null}>}
+ *   buckets maps bucket start (ms) to the average price; before is the
+ *   last price seen before `from` (for carrying forward)
+ */
+export async function getAveragePrices(db, { from, to, unit }) {
+  const collection = db.collection(PRICE_HISTORY_COLLECTION);
+
+  const [rows, previous] = await Promise.all([
+    collection.aggregate([
+      { $match: { ts: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$ts', unit, startOfWeek: 'monday' } },
+          klikUsd: { $avg: '$klikUsd' },
+        },
+      },
+    ]).toArray(),
+    collection.find({ ts: { $lt: from } }).sort({ ts: -1 }).limit(1).toArray(),
+  ]);
+
+  return {
+    buckets: new Map(rows.map(row => [row._id.getTime(), row.klikUsd])),
+    before: previous[0]?.klikUsd ?? null,
+  };
+}
+
+/**
+ * OHLC candles from price samples, oldest first. Intervals without samples
+ * are omitted.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} range
+ * @param {'1m'|'1h'|'1d'} range.interval - Key of CANDLE_INTERVALS
+ * @param {Date} range.from
+ * @param {Date} range.to - Exclusive
+ * @returns {Promise<Array<{openTime: Date, open: number, high: number, low: number, close: number, samples: number}>>}
+ */
+export async function getPriceCandles(db, { interval, from, to }) {
+  const { unit } = CANDLE_INTERVALS[interval];
+  const rows = await db.collection(PRICE_HISTORY_COLLECTION).aggregate([
+    { $match: { ts: { $gte: from, $lt: to } } },
+    { $sort: { ts: 1 } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$ts', unit } },
+        open: { $first: '$klikUsd' },
+        high: { $max: '$klikUsd' },
+        low: { $min: '$klikUsd' },
+        close: { $last: '$klikUsd' },
+        samples: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $limit: MAX_CANDLES },
+  ]).toArray();
+
+  return rows.map(({ _id, ...candle }) => ({ openTime: _id, ...candle }));
+}
+
+/**
+ * Validate price history query parameters.
+ *
+ * @param {object} query - interval (default 1h), from, to (ISO dates)
+ * @returns {{interval: string, from: Date, to: Date}}
+ * @throws {Error} code INVALID_PRICE_QUERY (400)
+ */
+export function parseCandleQuery(query = {}, now = new Date()) {
+  const invalid = (message) => {
+    const err = new Error(message);
+    err.code = 'INVALID_PRICE_QUERY';
+    err.status = 400;
+    return err;
+  };
+
+  const interval = query.interval || '1h';
+  if (!CANDLE_INTERVALS[interval]) {
+    throw invalid(`interval must be one of: ${Object.keys(CANDLE_INTERVALS).join(', ')}`);
   }
+  const { ms } = CANDLE_INTERVALS[interval];
 
-  // Fallback: return last cached or zeros
-  return cachedPrice || {
-    klikUsd: 0,
-    klikSol: 0,
-    solUsd: 0,
-    updatedAt: new Date().toISOString(),
-    source: 'cache_fallback'
+  // Default window: the last 360 minutes, 168 hours or 365 days
+  const defaultCandles = { '1m': 360, '1h': 168, '1d': 365 }[interval];
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultCandles * ms);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw invalid('from and to must be ISO dates');
+  }
+  if (from >= to) {
+    throw invalid('from must be before to');
+  }
+  if ((to - from) / ms > MAX_CANDLES) {
+    throw invalid(`Range too long for ${interval} candles (max ${MAX_CANDLES})`);
+  }
+
+  return { interval, from, to };
+}
+
+/**
+ * KLIK/USD price at a past moment: the latest sample at or before it, no
+ * older than `maxAgeMs` at that moment.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {Date|string|number} at
+ * @param {object} [options]
+ * @param {number} [options.maxAgeMs] - Defaults to PRICE_HISTORY_MAX_AGE_SECONDS
+ * @returns {Promise<{klikUsd: number, solUsd: number|null, ts: Date, source: string, age_seconds: number}|null>}
+ *   null if no price was recorded in the `maxAgeMs` before `at`;
+ *   age_seconds is the sample's age at `at`
+ */
+export async function getPriceAt(db, at, { maxAgeMs = HISTORY_MAX_AGE_MS } = {}) {
+  const atDate = new Date(at);
+  const [sample] = await db.collection(PRICE_HISTORY_COLLECTION)
+    .find({ ts: { $gte: new Date(atDate.getTime() - maxAgeMs), $lte: atDate } })
+    .sort({ ts: -1 })
+    .limit(1)
+    .toArray();
+  if (!sample) return null;
+  return {
+    klikUsd: sample.klikUsd,
+    solUsd: sample.solUsd ?? null,
+    ts: sample.ts,
+    source: sample.source,
+    age_seconds: Math.floor((atDate - sample.ts) / 1000),
+  };
+}
+
+/**
+ * Convert a KLIK amount to USD at the price of a past moment, e.g. the
+ * value of a tip when it was received.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {number} amount - KLIK
+ * @param {Date|string|number} at
+ * @param {object} [options] - See getPriceAt
+ * @returns {Promise<{usd: number, klikUsd: number, priceAt: Date, age_seconds: number}|null>}
+ *   null if no recent enough price was recorded before `at`
+ */
+export async function convertKlikToUsdAt(db, amount, at, options) {
+  const price = await getPriceAt(db, at, options);
+  if (!price) return null;
+  return {
+    usd: Math.round(amount * price.klikUsd * 1e6) / 1e6,
+    klikUsd: price.klikUsd,
+    priceAt: price.ts,
+    age_seconds: price.age_seconds,
   };
 }
 
 /**
  * Start background price refresh
  * @param {import('redis').RedisClientType} redis - Redis client for caching
+ * @param {object} [db] - MongoDB database; when set, samples are saved to price history
  */
-export function startPriceRefresh(redis) {
+export function startPriceRefresh(redis, db = null) {
   const refresh = async () => {
     try {
       const price = await getKlikPrice();
       if (redis && price) {
         await redis.set('klik:price', JSON.stringify(price), { EX: 120 });
       }
+      if (db) {
+        await recordPriceSample(db, price);
+      }
     } catch (err) {
       console.error('Price refresh error:', err.message);
     }
@@ -111,7 +478,7 @@ export async function getCachedPrice(redis) {
     try {
       const cached = await redis.get('klik:price');
       if (cached) {
-        return JSON.parse(cached);
+        return withFreshness(JSON.parse(cached));
       }
     } catch (e) {
       // Fall through to fetch
@@ -0,0 +1,188 @@
+/**
+ * Post Ranking Service
+ *
+ * "Hot" ranking combines net votes, tips, total comments and recent comment
+ * velocity into an engagement score, then adds a time term so newer posts
+ * start higher (log-scaled, Reddit-style):
+ *
+ *   points  = VOTE_WEIGHT * (upvotes - downvotes)
+ *           + TIP_WEIGHT * tipAmount
+ *           + COMMENT_WEIGHT * commentCount
+ *           + VELOCITY_WEIGHT * comments in the last VELOCITY_WINDOW_HOURS
+ *   hot     = sign(points) * log10(max(|points|, 1)) + (createdAt - EPOCH) / DECAY
+ *
+ * With the default DECAY of 12h, a post needs 10x the engagement of a post
+ * 12 hours newer to rank alongside it. Because the time term is fixed at
+ * creation, a stored hotScore stays comparable and only has to be refreshed
+ * when engagement changes (vote, tip, comment) or velocity decays (cron).
+ *
+ * All weights are configurable via env (see RANKING_CONFIG).
+ */
+
+// ----------------------------------------------------------------------------
+// Configuration
+// ----------------------------------------------------------------------------
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+export const RANKING_CONFIG = {
+  voteWeight: envNumber('HOT_VOTE_WEIGHT', 1),
+  tipWeight: envNumber('HOT_TIP_WEIGHT', 0.5),
+  commentWeight: envNumber('HOT_COMMENT_WEIGHT', 1),
+  velocityWeight: envNumber('HOT_VELOCITY_WEIGHT', 2),
+  velocityWindowHours: envNumber('HOT_VELOCITY_WINDOW_HOURS', 6),
+  decayHours: envNumber('HOT_DECAY_HOURS', 12),
+};
+
+// Fixed reference point for the time term (2025-01-01T00:00:00Z)
+const HOT_EPOCH_SECONDS = 1735689600;
+
+export const TOP_WINDOWS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  all: null,
+};
+
+// ----------------------------------------------------------------------------
+// Scoring (pure)
+// ----------------------------------------------------------------------------
+
+/**
+ * Engagement points for a post.
+ *
+ * @param {object} post - Post document (upvotes, downvotes, tipAmount, commentCount)
+ * @param {number} recentComments - Comments within the velocity window
+ * @param {object} [config] - Ranking config override
+ * @returns {number}
+ */
+export function engagementPoints(post, recentComments = 0, config = RANKING_CONFIG) {
+  const netVotes = (post.upvotes || 0) - (post.downvotes || 0);
+  return (
+    config.voteWeight * netVotes +
+    config.tipWeight * (post.tipAmount || 0) +
+    config.commentWeight * (post.commentCount || 0) +
+    config.velocityWeight * recentComments
+  );
+}
+
+/**
+ * Time-decayed hot score.
+ *
+ * @param {object} post - Post document (createdAt plus engagement fields)
+ * @param {number} recentComments - Comments within the velocity window
+ * @param {object} [config] - Ranking config override
+ * @returns {number}
+ */
+export function computeHotScore(post, recentComments = 0, config = RANKING_CONFIG) {
+  const points = engagementPoints(post, recentComments, config);
+  const order = Math.log10(Math.max(Math.abs(points), 1));
+  const sign = points > 0 ? 1 : points < 0 ? -1 : 0;
+
+  const createdAt = post.createdAt ? new Date(post.createdAt) : new Date();
+  const seconds = createdAt.getTime() / 1000 - HOT_EPOCH_SECONDS;
+  const decaySeconds = Math.max(config.decayHours, 0.01) * 3600;
+
+  // Round so stored scores survive a JSON round trip in cursors unchanged
+  return Math.round((sign * order + seconds / decaySeconds) * 1e7) / 1e7;
+}
+
+/**
+ * Resolve a `t` query param to a createdAt lower bound for top feeds.
+ *
+ * @param {string} window - day | week | month | all
+ * @param {Date} [now]
+ * @returns {Date|null} Lower bound, or null for all time
+ */
+export function topWindowStart(window, now = new Date()) {
+  const span = TOP_WINDOWS[window];
+  return span ? new Date(now.getTime() - span) : null;
+}
+
+// ----------------------------------------------------------------------------
+// Persistence
+// ----------------------------------------------------------------------------
+
+async function countRecentComments(db, postId, now = new Date()) {
+  const since = new Date(now.getTime() - RANKING_CONFIG.velocityWindowHours * 3600 * 1000);
+  return db.collection('Comment').countDocuments({
+    postId,
+    isDeleted: { $ne: true },
+    createdAt: { $gte: since },
+  });
+}
+
+/**
+ * Recompute and store Post.hotScore.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {ObjectId} postId
+ * @returns {Promise<number|null>} New score, or null if the post is missing
+ */
+export async function refreshHotScore(db, postId) {
+  const post = await db.collection('Post').findOne(
+    { _id: postId },
+    { projection: { upvotes: 1, downvotes: 1, tipAmount: 1, commentCount: 1, createdAt: 1 } }
+  );
+  if (!post) return null;
+
+  const recentComments = await countRecentComments(db, postId);
+  const hotScore = computeHotScore(post, recentComments);
+
+  await db.collection('Post').updateOne({ _id: postId }, { $set: { hotScore } });
+  return hotScore;
+}
+
+/**
+ * Refresh the hot score after an engagement event without failing the
+ * request that triggered it.
+ */
+export function queueHotScoreRefresh(db, postId) {
+  refreshHotScore(db, postId).catch(err => {
+    console.error(`[Ranking] Failed to refresh hot score for ${postId}:`, err.message);
+  });
+}
+
+/**
+ * Recompute hot scores for posts whose comment velocity may have changed
+ * (commented on within the velocity window) plus any post missing a score.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} [options]
+ * @param {number} [options.batchSize]
+ * @returns {Promise<{refreshed: number}>}
+ */
+export async function refreshRecentHotScores(db, { batchSize = 500 } = {}) {
+  // A window of margin so velocity that just aged out is recomputed once more
+  const since = new Date(Date.now() - RANKING_CONFIG.velocityWindowHours * 2 * 3600 * 1000);
+
+  const activePostIds = await db.collection('Comment').distinct('postId', { createdAt: { $gte: since } });
+  const unscored = await db.collection('Post')
+    .find({ hotScore: { $exists: false }, isDeleted: false }, { projection: { _id: 1 } })
+    .limit(batchSize)
+    .toArray();
+
+  const ids = [...activePostIds, ...unscored.map(p => p._id)];
+  for (const postId of ids) {
+    await refreshHotScore(db, postId);
+  }
+
+  return { refreshed: ids.length };
+}
+
+/**
+ * Ensure indexes used by the hot and top feeds.
+ */
+export async function ensureRankingIndexes(db) {
+  await db.collection('Post').createIndex(
+    { isDeleted: 1, hotScore: -1, createdAt: -1, _id: -1 },
+    { name: 'post_hot' }
+  );
+  await db.collection('Post').createIndex(
+    { isDeleted: 1, createdAt: -1, upvotes: -1 },
+    { name: 'post_top_window' }
+  );
+}
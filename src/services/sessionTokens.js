@@ -0,0 +1,383 @@
+/**
+ * Session Tokens
+ *
+ * User bearer tokens come from more than one issuer. Each issuer verifies
+ * its own tokens and resolves them to a User document, so every route
+ * behind verifyUserJWT sees the same req.user:
+ *
+ *   web3auth  RS256 ID tokens from Web3Auth (JWKS), matched by web3authId
+ *   klik      HS256 access tokens signed with JWT_SECRET, issued here
+ *             (wallet claims; legacy 30-day `wallet_claim` tokens included).
+ *             Disabled, and no sessions are issued, unless JWT_SECRET is set.
+ *
+ * KLIK sessions pair a short-lived access token with an opaque refresh
+ * token stored in Redis, rotated on every use; presenting an old refresh
+ * token revokes the session. Revocation lives in Redis too:
+ *
+ *   auth:refresh:<sid>           refresh token hash + user (SESSION_TTL)
+ *   auth:revoked:<tokenId>       one revoked access token (until it expires)
+ *   auth:revoked-before:<user>   tokens and sessions issued up to this time
+ *                                (unix seconds) are revoked
+ *
+ * Without Redis, tokens still verify but cannot be revoked, and sessions
+ * get one long-lived access token instead of a refresh token.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import jwksClient from 'jwks-rsa';
+import { ObjectId } from 'mongodb';
+
+// The fallback secret older releases shipped with; it is public, so it is
+// never accepted, even if configured
+const LEGACY_DEFAULT_SECRET = 'klik-openclaw-jwt-secret';
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 60 * 60;
+export const SESSION_TTL_SECONDS = (parseInt(process.env.SESSION_TTL_DAYS, 10) || 30) * 24 * 60 * 60;
+
+const WEB3AUTH_CLIENT_ID = process.env.WEB3AUTH_CLIENT_ID;
+const WEB3AUTH_ISSUER = 'https://api-auth.web3auth.io';
+const KLIK_ISSUER = 'klik-api';
+
+function authError(message, code, status = 401) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/**
+ * The configured HS256 secret, or null when none (or the public legacy
+ * default) is set.
+ */
+export function getJwtSecret() {
+  const secret = process.env.JWT_SECRET || process.env.KLIK_JWT_SECRET;
+  return secret && secret !== LEGACY_DEFAULT_SECRET ? secret : null;
+}
+
+/**
+ * Whether KLIK sessions can be issued and verified.
+ */
+export const sessionsEnabled = () => Boolean(getJwtSecret());
+
+const sessionsUnavailable = () => authError('Sessions are not configured', 'SESSIONS_UNAVAILABLE', 503);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const redisReady = (redis) => Boolean(redis?.isReady);
+
+// ============================================
+// ISSUERS
+// ============================================
+
+const jwks = jwksClient({
+  jwksUri: 'https://api-auth.web3auth.io/jwks',
+  cache: true,
+  cacheMaxAge: 86400000, // 24 hours
+});
+
+// Get signing key from JWKS
+function getKey(header, callback) {
+  jwks.getSigningKey(header.kid, (err, key) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, key.publicKey || key.rsaPublicKey);
+  });
+}
+
+/**
+ * Verify a Web3Auth ID token.
+ *
+ * @returns {Promise<object>} Decoded claims
+ */
+export function verifyWeb3AuthToken(token) {
+  return new Promise((resolve, reject) => {
+    jwt.verify(
+      token,
+      getKey,
+      {
+        algorithms: ['RS256'],
+        issuer: WEB3AUTH_ISSUER,
+        audience: WEB3AUTH_CLIENT_ID,
+      },
+      (err, decoded) => {
+        if (err) reject(err);
+        else resolve(decoded);
+      }
+    );
+  });
+}
+
+export const web3authIssuer = {
+  name: 'web3auth',
+  enabled: () => Boolean(WEB3AUTH_CLIENT_ID),
+  accepts: (header, payload) => header.alg === 'RS256' && payload?.iss === WEB3AUTH_ISSUER,
+  verify: (token) => verifyWeb3AuthToken(token),
+  async resolveUser(db, claims) {
+    return db.collection('User').findOne({ web3authId: claims.verifierId || claims.email });
+  },
+};
+
+export const klikIssuer = {
+  name: 'klik',
+  enabled: sessionsEnabled,
+  accepts: (header) => header.alg === 'HS256',
+  async verify(token) {
+    const claims = jwt.verify(token, getJwtSecret(), { algorithms: ['HS256'] });
+    // Access tokens from issueSession, or legacy wallet claim tokens
+    if (claims.typ !== 'access' && claims.type !== 'wallet_claim') {
+      throw authError('Not an access token', 'INVALID_TOKEN_TYPE');
+    }
+    return claims;
+  },
+  async resolveUser(db, claims) {
+    const userId = claims.sub || claims.userId;
+    if (!ObjectId.isValid(userId)) return null;
+    const user = await db.collection('User').findOne({ _id: new ObjectId(userId) });
+    // A wallet token stops working once the user's wallet changes
+    if (user && claims.walletAddress && user.walletAddress !== claims.walletAddress) return null;
+    return user;
+  },
+};
+
+/**
+ * Registered issuers, tried in order. Push to add one.
+ */
+export const AUTH_ISSUERS = [web3authIssuer, klikIssuer];
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+/**
+ * Identifier used to revoke a single token.
+ */
+export function tokenId(claims, token) {
+  return claims.jti || sha256(token);
+}
+
+/**
+ * Whether everything issued to the user up to `issuedAt` (seconds) has
+ * been revoked.
+ */
+async function revokedForUser(redis, userId, issuedAt) {
+  if (!redisReady(redis)) return false;
+  const revokedBefore = await redis.get(`auth:revoked-before:${userId}`);
+  return Boolean(revokedBefore && (!issuedAt || issuedAt <= parseInt(revokedBefore, 10)));
+}
+
+/**
+ * Verify a bearer token with the issuer that accepts it and resolve the
+ * user.
+ *
+ * @param {string} token
+ * @param {object} context
+ * @param {object} context.db - MongoDB database instance
+ * @param {object} [context.redis] - Redis client (revocation)
+ * @param {Array<object>} [context.issuers] - Defaults to AUTH_ISSUERS
+ * @returns {Promise<{user: object|null, issuer: string, claims: object, tokenId: string}>}
+ *   user is null when the token is valid but no user matches it
+ * @throws {Error} with code and status (401, or 503 when JWKS is unreachable)
+ */
+export async function verifyAccessToken(token, { db, redis = null, issuers = AUTH_ISSUERS }) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw authError('Malformed token', 'AUTH_FAILED');
+  }
+
+  const issuer = issuers.find(i => i.enabled() && i.accepts(decoded.header, decoded.payload));
+  if (!issuer) {
+    throw authError('Unsupported token', 'UNSUPPORTED_TOKEN');
+  }
+
+  let claims;
+  try {
+    claims = await issuer.verify(token);
+  } catch (err) {
+    if (err.status) throw err;
+    if (err.name === 'TokenExpiredError') throw authError('Token expired', 'TOKEN_EXPIRED');
+    if (err.message?.includes('invalid signature')) throw authError('Invalid token signature', 'INVALID_SIGNATURE');
+    if (err.message?.includes('audience')) throw authError('Token audience mismatch', 'AUDIENCE_MISMATCH');
+    if (err.message?.includes('Unable to find a signing key') || err.message?.includes('JWKS')) {
+      throw authError('Auth service temporarily unavailable', 'JWKS_UNAVAILABLE', 503);
+    }
+    throw authError('Authentication failed', 'AUTH_FAILED');
+  }
+
+  const id = tokenId(claims, token);
+  if (redisReady(redis) && await redis.get(`auth:revoked:${id}`)) {
+    throw authError('Token has been revoked', 'TOKEN_REVOKED');
+  }
+
+  const user = await issuer.resolveUser(db, claims);
+  if (user && await revokedForUser(redis, user._id, claims.iat)) {
+    throw authError('Token has been revoked', 'TOKEN_REVOKED');
+  }
+  return { user, issuer: issuer.name, claims, tokenId: id };
+}
+
+// ============================================
+// SESSIONS
+// ============================================
+
+function signAccessToken(user, { sid, authMethod, expiresIn }) {
+  return jwt.sign(
+    {
+      sub: user._id.toString(),
+      typ: 'access',
+      sid,
+      authMethod,
+      ...(user.walletAddress ? { walletAddress: user.walletAddress } : {}),
+    },
+    getJwtSecret(),
+    { expiresIn, issuer: KLIK_ISSUER, jwtid: crypto.randomUUID() }
+  );
+}
+
+/**
+ * Start a KLIK session for a user.
+ *
+ * @param {object} redis - Redis client (null: one long-lived access token, no refresh)
+ * @param {object} user - User document
+ * @param {object} [options]
+ * @param {string} [options.authMethod] - How the user signed in (e.g. wallet_claim)
+ * @returns {Promise<{accessToken: string, refreshToken: string|null, expiresIn: number, sessionId: string}>}
+ * @throws {Error} SESSIONS_UNAVAILABLE (503) without JWT_SECRET
+ */
+export async function issueSession(redis, user, { authMethod = user.authMethod || 'klik' } = {}) {
+  if (!sessionsEnabled()) throw sessionsUnavailable();
+  const sid = crypto.randomUUID();
+
+  if (!redisReady(redis)) {
+    return {
+      accessToken: signAccessToken(user, { sid, authMethod, expiresIn: SESSION_TTL_SECONDS }),
+      refreshToken: null,
+      expiresIn: SESSION_TTL_SECONDS,
+      sessionId: sid,
+    };
+  }
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  await redis.set(
+    `auth:refresh:${sid}`,
+    JSON.stringify({ userId: user._id.toString(), authMethod, hash: sha256(secret), createdAt: new Date().toISOString() }),
+    { EX: SESSION_TTL_SECONDS }
+  );
+
+  return {
+    accessToken: signAccessToken(user, { sid, authMethod, expiresIn: ACCESS_TOKEN_TTL_SECONDS }),
+    refreshToken: `${sid}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId: sid,
+  };
+}
+
+// KEYS: auth:refresh:<sid>
+// ARGV: hash of the presented refresh token, hash of its replacement
+// Returns: 1 rotated, 0 no session, -1 hash mismatch (session deleted).
+// Compare and rotate in one step, so two refreshes racing with the same
+// token cannot both succeed.
+const ROTATE_REFRESH_SCRIPT = `
+local stored = redis.call('GET', KEYS[1])
+if not stored then return 0 end
+local session = cjson.decode(stored)
+if session.hash ~= ARGV[1] then
+  redis.call('DEL', KEYS[1])
+  return -1
+end
+session.hash = ARGV[2]
+redis.call('SET', KEYS[1], cjson.encode(session), 'KEEPTTL')
+return 1
+`;
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Reusing a rotated-out refresh token ends the session.
+ *
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: number, sessionId: string, user: object}>}
+ * @throws {Error} INVALID_REFRESH_TOKEN (401), REFRESH_UNAVAILABLE or
+ *   SESSIONS_UNAVAILABLE (503)
+ */
+export async function refreshSession(db, redis, refreshToken) {
+  if (!sessionsEnabled()) throw sessionsUnavailable();
+  if (!redisReady(redis)) {
+    throw authError('Session refresh unavailable', 'REFRESH_UNAVAILABLE', 503);
+  }
+
+  const [sid, secret] = String(refreshToken || '').split('.');
+  const invalid = () => authError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+  if (!sid || !secret) throw invalid();
+
+  const key = `auth:refresh:${sid}`;
+  const stored = await redis.get(key);
+  if (!stored) throw invalid();
+
+  const session = JSON.parse(stored);
+  const createdAt = Math.floor(Date.parse(session.createdAt) / 1000);
+  if (await revokedForUser(redis, session.userId, createdAt)) {
+    await redis.del(key);
+    throw invalid();
+  }
+
+  const user = ObjectId.isValid(session.userId)
+    ? await db.collection('User').findOne({ _id: new ObjectId(session.userId) })
+    : null;
+  if (!user) {
+    await redis.del(key);
+    throw invalid();
+  }
+
+  // Rotate, keeping the session's original expiry
+  const next = crypto.randomBytes(32).toString('base64url');
+  const rotated = await redis.eval(ROTATE_REFRESH_SCRIPT, {
+    keys: [key],
+    arguments: [sha256(secret), sha256(next)],
+  });
+  if (rotated === -1) {
+    // An old token from this session: assume it leaked and end the session
+    console.warn(`[Auth] Refresh token reuse, session revoked: user=${session.userId}`);
+  }
+  if (rotated !== 1) throw invalid();
+
+  return {
+    accessToken: signAccessToken(user, { sid, authMethod: session.authMethod, expiresIn: ACCESS_TOKEN_TTL_SECONDS }),
+    refreshToken: `${sid}.${next}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId: sid,
+    user,
+  };
+}
+
+/**
+ * Revoke one access token (and its KLIK session, if any).
+ *
+ * @param {object} redis - Redis client
+ * @param {object} auth - req.auth from verifyUserJWT ({claims, tokenId})
+ * @returns {Promise<boolean>} false without Redis
+ */
+export async function revokeToken(redis, auth) {
+  if (!redisReady(redis)) return false;
+
+  const ttl = auth.claims.exp ? auth.claims.exp - Math.floor(Date.now() / 1000) : SESSION_TTL_SECONDS;
+  if (ttl > 0) {
+    await redis.set(`auth:revoked:${auth.tokenId}`, '1', { EX: ttl });
+  }
+  if (auth.claims.sid) {
+    await redis.del(`auth:refresh:${auth.claims.sid}`);
+  }
+  return true;
+}
+
+/**
+ * Revoke every token and session issued to a user until now, from any
+ * issuer ("sign out everywhere").
+ *
+ * @returns {Promise<boolean>} false without Redis
+ */
+export async function revokeAllUserTokens(redis, userId) {
+  if (!redisReady(redis)) return false;
+
+  // Kept as long as any session or legacy 30-day token could live
+  await redis.set(`auth:revoked-before:${userId}`, String(Math.floor(Date.now() / 1000)), { EX: SESSION_TTL_SECONDS });
+  return true;
+}
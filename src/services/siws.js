@@ -0,0 +1,141 @@
+/**
+ * Sign-In With Solana
+ *
+ * Wallet login without Web3Auth. The client asks for a challenge, has the
+ * wallet sign the returned message, and sends the signature back; the
+ * wallet's User is found (or created) and gets a KLIK session (see
+ * services/sessionTokens.js).
+ *
+ * Nonces follow the claim flow (claim:nonce:*): one outstanding nonce per
+ * wallet in Redis, auth:siws:nonce:<wallet>, holding the exact message to
+ * verify against, expiring with the message and deleted on first use.
+ */
+
+import crypto from 'crypto';
+import { generateSiwsMessage, verifySolanaSignature } from '../utils/solanaSignature.js';
+
+export const SIWS_NONCE_TTL_SECONDS = 300;
+export const SIWS_DOMAIN = process.env.SIWS_DOMAIN || new URL(process.env.FRONTEND_URL || 'https://klik.cool').host;
+export const SIWS_URI = process.env.FRONTEND_URL || 'https://klik.cool';
+export const SIWS_CHAIN_ID = process.env.SIWS_CHAIN_ID || 'mainnet';
+
+const STATEMENT = 'Sign in to KLIK with this wallet. This request will not trigger a blockchain transaction or cost any fees.';
+
+function siwsError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+const nonceKey = (wallet) => `auth:siws:nonce:${wallet}`;
+
+function requireRedis(redis) {
+  if (!redis || !redis.isReady) {
+    throw siwsError('Sign-in temporarily unavailable (cache offline)', 'CACHE_UNAVAILABLE', 503);
+  }
+}
+
+/**
+ * Create a sign-in challenge for a wallet, replacing any outstanding one.
+ *
+ * @param {object} redis - Redis client
+ * @param {string} wallet - Validated Solana address
+ * @returns {Promise<{nonce: string, message: string, issuedAt: string, expirationTime: string, expiresIn: number}>}
+ * @throws {Error} CACHE_UNAVAILABLE (503)
+ */
+export async function createSiwsChallenge(redis, wallet, { now = new Date() } = {}) {
+  requireRedis(redis);
+
+  const nonce = crypto.randomBytes(32).toString('hex');
+  const issuedAt = now.toISOString();
+  const expirationTime = new Date(now.getTime() + SIWS_NONCE_TTL_SECONDS * 1000).toISOString();
+  const message = generateSiwsMessage({
+    domain: SIWS_DOMAIN,
+    address: wallet,
+    statement: STATEMENT,
+    uri: SIWS_URI,
+    chainId: SIWS_CHAIN_ID,
+    nonce,
+    issuedAt,
+    expirationTime,
+  });
+
+  await redis.set(nonceKey(wallet), JSON.stringify({ nonce, issuedAt, expirationTime, message }), {
+    EX: SIWS_NONCE_TTL_SECONDS,
+  });
+
+  return { nonce, message, issuedAt, expirationTime, expiresIn: SIWS_NONCE_TTL_SECONDS };
+}
+
+/**
+ * Verify a signed challenge and find or create the wallet's user.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} redis - Redis client
+ * @param {object} params
+ * @param {string} params.wallet - Validated Solana address
+ * @param {string} params.nonce - Nonce from the challenge
+ * @param {string} params.signature - Base58 signature of the challenge message
+ * @returns {Promise<{user: object, isNewUser: boolean}>}
+ * @throws {Error} NONCE_EXPIRED / NONCE_MISMATCH (400), INVALID_SIGNATURE (403),
+ *   CACHE_UNAVAILABLE (503)
+ */
+export async function verifySiwsSignIn(db, redis, { wallet, nonce, signature }, { now = new Date() } = {}) {
+  requireRedis(redis);
+
+  const stored = await redis.get(nonceKey(wallet));
+  if (!stored) {
+    throw siwsError('Nonce expired or not found. Please request a new nonce.', 'NONCE_EXPIRED', 400);
+  }
+
+  const challenge = JSON.parse(stored);
+  if (challenge.nonce !== nonce) {
+    throw siwsError('Nonce mismatch', 'NONCE_MISMATCH', 400);
+  }
+  if (new Date(challenge.expirationTime) <= now) {
+    throw siwsError('Nonce expired or not found. Please request a new nonce.', 'NONCE_EXPIRED', 400);
+  }
+
+  if (!verifySolanaSignature(wallet, challenge.message, signature)) {
+    throw siwsError('Signature verification failed', 'INVALID_SIGNATURE', 403);
+  }
+
+  // Single use: only the request that deletes the nonce signs in
+  if (!(await redis.del(nonceKey(wallet)))) {
+    throw siwsError('Nonce expired or not found. Please request a new nonce.', 'NONCE_EXPIRED', 400);
+  }
+
+  const users = db.collection('User');
+  const existing = await users.findOne({ walletAddress: wallet, status: { $ne: 'DELETED' } });
+  if (existing) {
+    await users.updateOne(
+      { _id: existing._id },
+      { $set: { lastLoginAt: now, lastLoginType: 'siws', updatedAt: now } }
+    );
+    return { user: existing, isNewUser: false };
+  }
+
+  const newUser = {
+    walletAddress: wallet,
+    authMethod: 'siws',
+    name: null,
+    email: null,
+    avatarUrl: null,
+    lastLoginType: 'siws',
+    stripeCustomerId: null,
+    subscriptionId: null,
+    subscriptionStatus: null,
+    subscriptionTier: 'free',
+    subscriptionEndDate: null,
+    klikBalance: 0,
+    totalEarned: 0,
+    todayEarned: 0,
+    agentCount: 0,
+    lastLoginAt: now,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const result = await users.insertOne(newUser);
+  return { user: { _id: result.insertedId, ...newUser }, isNewUser: true };
+}
@@ -0,0 +1,207 @@
+/**
+ * KLIK SPL Transfers
+ *
+ * Sends KLIK from the treasury to a wallet, creating the recipient's
+ * associated token account when it doesn't exist yet. Used by the
+ * withdrawal runner (services/withdrawalRunner.js).
+ */
+
+import { Connection, PublicKey, Keypair, Transaction, SendTransactionError } from '@solana/web3.js';
+import {
+  getAssociatedTokenAddress,
+  createTransferInstruction,
+  createAssociatedTokenAccountInstruction,
+  getAccount
+} from '@solana/spl-token';
+import bs58 from 'bs58';
+
+export const KLIK_MINT = new PublicKey(process.env.KLIK_TOKEN_MINT || '8cPAhMb6bvQg3v1v3yxBCLnUJkboEiV2F8W19z1CS5iB');
+export const KLIK_DECIMALS = 9;
+
+const SOLANA_RPC = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+
+let treasuryKeypair;
+
+/**
+ * Treasury keypair from TREASURY_PRIVATE_KEY (base58), loaded once.
+ *
+ * @returns {Keypair|null}
+ */
+export function getTreasuryKeypair() {
+  if (treasuryKeypair !== undefined) return treasuryKeypair;
+
+  treasuryKeypair = null;
+  try {
+    if (process.env.TREASURY_PRIVATE_KEY) {
+      treasuryKeypair = Keypair.fromSecretKey(bs58.decode(process.env.TREASURY_PRIVATE_KEY));
+      console.log('Treasury wallet loaded:', treasuryKeypair.publicKey.toBase58());
+    } else {
+      console.warn('TREASURY_PRIVATE_KEY not set - withdrawals will fail');
+    }
+  } catch (err) {
+    console.error('Failed to load treasury keypair:', err.message);
+  }
+  return treasuryKeypair;
+}
+
+/**
+ * Solana connection for treasury transfers.
+ */
+export function getConnection() {
+  return new Connection(SOLANA_RPC, 'confirmed');
+}
+
+/**
+ * Parse and validate a recipient wallet address.
+ *
+ * @param {string} address - Base58 wallet address
+ * @returns {PublicKey|null} null if invalid or off-curve (PDA)
+ */
+export function parseWalletAddress(address) {
+  if (!address || typeof address !== 'string') return null;
+  try {
+    const pubkey = new PublicKey(address);
+    return PublicKey.isOnCurve(pubkey) ? pubkey : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a KLIK amount to raw token units without float drift.
+ *
+ * @param {number} amount - KLIK amount (up to 9 decimals)
+ * @returns {bigint}
+ */
+export function toRawAmount(amount) {
+  const [whole, fraction = ''] = Number(amount).toFixed(KLIK_DECIMALS).split('.');
+  return BigInt(whole) * 10n ** BigInt(KLIK_DECIMALS) + BigInt(fraction.padEnd(KLIK_DECIMALS, '0'));
+}
+
+/**
+ * Create a transfer client. Splits a transfer into prepare (build + sign,
+ * so the signature is known and can be persisted before anything is
+ * broadcast), send, confirm and status lookups — what a crash-safe
+ * withdrawal runner needs. Inject a fake with the same shape in tests.
+ *
+ * @param {object} [options]
+ * @param {Connection} [options.connection]
+ * @param {Keypair} [options.treasury] - Defaults to getTreasuryKeypair()
+ */
+export function createSplTransferClient({
+  connection = getConnection(),
+  treasury = getTreasuryKeypair(),
+} = {}) {
+  return {
+    /**
+     * Build and sign a KLIK transfer without sending it.
+     *
+     * @returns {Promise<{signature: string, rawTransaction: string, blockhash: string, lastValidBlockHeight: number}>}
+     *   rawTransaction is base64, safe to re-broadcast (same signature)
+     */
+    async prepare({ recipient, amount }) {
+      if (!treasury) {
+        throw new Error('Treasury wallet not configured');
+      }
+
+      const recipientPubkey = parseWalletAddress(typeof recipient === 'string' ? recipient : recipient?.toBase58?.());
+      if (!recipientPubkey) {
+        const err = new Error('Invalid recipient wallet address');
+        err.permanent = true;
+        throw err;
+      }
+
+      // Get or create associated token accounts
+      const treasuryATA = await getAssociatedTokenAddress(KLIK_MINT, treasury.publicKey);
+      const recipientATA = await getAssociatedTokenAddress(KLIK_MINT, recipientPubkey);
+
+      const transaction = new Transaction();
+
+      // Check if recipient has a token account; if not, create one
+      try {
+        await getAccount(connection, recipientATA);
+      } catch {
+        // Account doesn't exist - add create instruction
+        transaction.add(
+          createAssociatedTokenAccountInstruction(
+            treasury.publicKey, // payer
+            recipientATA,       // associated token account
+            recipientPubkey,    // owner
+            KLIK_MINT           // mint
+          )
+        );
+      }
+
+      // Add transfer instruction
+      transaction.add(
+        createTransferInstruction(
+          treasuryATA,           // source
+          recipientATA,          // destination
+          treasury.publicKey,    // authority
+          toRawAmount(amount)    // amount in raw units
+        )
+      );
+
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+      transaction.recentBlockhash = blockhash;
+      transaction.feePayer = treasury.publicKey;
+      transaction.sign(treasury);
+
+      return {
+        signature: bs58.encode(transaction.signature),
+        rawTransaction: transaction.serialize().toString('base64'),
+        blockhash,
+        lastValidBlockHeight,
+      };
+    },
+
+    /**
+     * Broadcast a prepared transaction. Errors flagged `notSent` were
+     * rejected by the RPC node (preflight) and were never broadcast.
+     */
+    async send(rawTransaction) {
+      try {
+        return await connection.sendRawTransaction(Buffer.from(rawTransaction, 'base64'), {
+          skipPreflight: false,
+          preflightCommitment: 'confirmed'
+        });
+      } catch (err) {
+        if (err instanceof SendTransactionError) err.notSent = true;
+        throw err;
+      }
+    },
+
+    /**
+     * Wait for confirmation until the blockhash expires. Throws if the
+     * transaction failed on-chain (`onChainError` set) or expired.
+     */
+    async confirm({ signature, blockhash, lastValidBlockHeight }) {
+      const confirmation = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+      if (confirmation?.value?.err) {
+        const err = new Error(`Transfer ${signature} failed on-chain: ${JSON.stringify(confirmation.value.err)}`);
+        err.onChainError = confirmation.value.err;
+        throw err;
+      }
+    },
+
+    /**
+     * On-chain state of a signature.
+     *
+     * @returns {Promise<{state: 'confirmed'|'processed'|'failed'|'unknown', err?: object}>}
+     *   processed = landed in a block but not yet confirmed
+     */
+    async getStatus(signature) {
+      const { value: [status] } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+      if (!status) return { state: 'unknown' };
+      if (status.err) return { state: 'failed', err: status.err };
+      if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
+        return { state: 'confirmed' };
+      }
+      return { state: 'processed' };
+    },
+
+    getBlockHeight() {
+      return connection.getBlockHeight('confirmed');
+    },
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * Local Filesystem Storage Driver
+ *
+ * Stores blobs under MEDIA_LOCAL_DIR (default ./data/media). Writes go to a
+ * temp file first and are renamed into place, so readers never see a
+ * partially written object.
+ *
+ * Driver interface (shared by every storage backend):
+ *   put(key, buffer, { contentType })  -> Promise<void>
+ *   createReadStream(key)              -> Readable
+ *   exists(key)                        -> Promise<boolean>
+ *   delete(key)                        -> Promise<void>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Create a local filesystem driver.
+ *
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Base directory for stored objects
+ * @returns {object} Storage driver
+ */
+export function createLocalDriver({ rootDir = process.env.MEDIA_LOCAL_DIR || './data/media' } = {}) {
+  const root = path.resolve(rootDir);
+
+  // Keys are generated internally, but never let one escape the root
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const target = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      const tmp = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, target);
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key), fs.constants.R_OK);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
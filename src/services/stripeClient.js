@@ -0,0 +1,12 @@
+/**
+ * Stripe Client
+ *
+ * Shared Stripe instance for billing routes and the webhook event worker.
+ * null when STRIPE_SECRET_KEY is not set (billing disabled).
+ */
+
+import Stripe from 'stripe';
+
+export const stripe = process.env.STRIPE_SECRET_KEY
+  ? new Stripe(process.env.STRIPE_SECRET_KEY)
+  : null;
@@ -0,0 +1,277 @@
+/**
+ * Stripe Webhook Events
+ *
+ * Every verified webhook event is stored in StripeEvent (keyed by the
+ * Stripe event id, so redeliveries are recognised) before it is handled.
+ * Each event is a job like a withdrawal (see services/withdrawalRunner.js):
+ *
+ *   pending     stored, not yet handled
+ *   processing  leased by a worker until nextAttemptAt
+ *   processed   handled
+ *   ignored     no handler for the event type
+ *   failed      the handler threw; retried with backoff from nextAttemptAt
+ *   dead        failed STRIPE_EVENT_MAX_ATTEMPTS times; admin replay only
+ *
+ * Handlers must be safe to run more than once: a replay, or a retry after
+ * a crash mid-handler, runs them again.
+ */
+
+import crypto from 'crypto';
+import { syncSubscription, startGracePeriod } from './subscriptions.js';
+
+export const MAX_ATTEMPTS = parseInt(process.env.STRIPE_EVENT_MAX_ATTEMPTS, 10) || 8;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+
+export const STRIPE_EVENT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored',
+  FAILED: 'failed',
+  DEAD: 'dead',
+};
+
+const RUNNABLE = [STRIPE_EVENT_STATUS.PENDING, STRIPE_EVENT_STATUS.PROCESSING, STRIPE_EVENT_STATUS.FAILED];
+
+/**
+ * Backoff before attempt n+1 (n = attempts made so far).
+ */
+export function backoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+/**
+ * Ensure indexes for the retry worker and the admin list.
+ */
+export async function ensureStripeEventIndexes(db) {
+  await db.collection('StripeEvent').createIndex({ status: 1, nextAttemptAt: 1 });
+  await db.collection('StripeEvent').createIndex({ receivedAt: -1, _id: -1 });
+  await db.collection('StripeEvent').createIndex({ type: 1, receivedAt: -1 });
+}
+
+// ============================================
+// HANDLERS
+// ============================================
+
+/**
+ * Event handlers by type: (event, { db, stripe, io }) => Promise<void>.
+ * Throwing marks the event failed for retry.
+ */
+export const STRIPE_EVENT_HANDLERS = {
+  'checkout.session.completed': async (event, { db, stripe, io }) => {
+    const session = event.data.object;
+    const userId = session.metadata?.userId;
+    if (!userId || !session.subscription) return;
+
+    const subscription = await stripe.subscriptions.retrieve(session.subscription);
+    const result = await syncSubscription(db, userId, subscription, { io });
+    console.log(`Subscription activated: user=${userId}, tier=${result?.tier}, status=${result?.status}`);
+  },
+
+  'customer.subscription.updated': (event, ctx) => handleSubscriptionChange(event, ctx),
+  'customer.subscription.deleted': (event, ctx) => handleSubscriptionChange(event, ctx),
+
+  // Stripe emails the customer itself (Billing settings); we tell the dashboard
+  'customer.subscription.trial_will_end': async (event, { db, io }) => {
+    const subscription = event.data.object;
+    const trialEnd = new Date(subscription.trial_end * 1000);
+    const userId = await findSubscriptionUserId(db, subscription);
+    console.log(`Trial ending: subscription=${subscription.id}, user=${userId}, trial_end=${trialEnd.toISOString()}`);
+    if (!userId) return;
+
+    io?.to(`user:${userId}`).emit('subscription:trial_ending', {
+      subscriptionId: subscription.id,
+      trialEndsAt: trialEnd.toISOString(),
+    });
+  },
+
+  'invoice.payment_failed': async (event, { db, io }) => {
+    const invoice = event.data.object;
+    const user = await db.collection('User').findOne({ stripeCustomerId: invoice.customer });
+    if (!user) return;
+
+    await startGracePeriod(db, user._id);
+    const updated = await db.collection('User').findOne(
+      { _id: user._id },
+      { projection: { subscriptionGraceEndsAt: 1 } }
+    );
+    console.log(`Payment failed: user=${user._id}, grace period started`);
+
+    io?.to(`user:${user._id}`).emit('subscription:payment_failed', {
+      invoiceId: invoice.id,
+      graceEndsAt: updated?.subscriptionGraceEndsAt?.toISOString() || null,
+    });
+  },
+};
+
+// User for a subscription: metadata first, then the Stripe customer
+async function findSubscriptionUserId(db, subscription) {
+  if (subscription.metadata?.userId) return subscription.metadata.userId;
+  const user = await db.collection('User').findOne(
+    { stripeCustomerId: subscription.customer },
+    { projection: { _id: 1 } }
+  );
+  return user?._id || null;
+}
+
+async function handleSubscriptionChange(event, { db, stripe, io }) {
+  let subscription = event.data.object;
+
+  const userId = await findSubscriptionUserId(db, subscription);
+  if (!userId) return;
+
+  // Retries and replays may run after newer events: apply the current state
+  if (stripe && event.type !== 'customer.subscription.deleted') {
+    subscription = await stripe.subscriptions.retrieve(subscription.id);
+  }
+
+  const result = await syncSubscription(db, userId, subscription, { io });
+  console.log(
+    `Subscription ${event.type === 'customer.subscription.deleted' ? 'canceled' : 'updated'}: ` +
+    `user=${userId}, status=${result?.status}, tier=${result?.entitledTier}, ` +
+    `paused=${result?.paused}, resumed=${result?.resumed}`
+  );
+}
+
+// ============================================
+// STORE & PROCESS
+// ============================================
+
+/**
+ * Store a verified event.
+ *
+ * @returns {Promise<{event: object, duplicate: boolean}>} The stored document
+ */
+export async function recordStripeEvent(db, event, { now = new Date() } = {}) {
+  const doc = {
+    _id: event.id,
+    type: event.type,
+    livemode: event.livemode,
+    createdAt: new Date(event.created * 1000),
+    receivedAt: now,
+    payload: event,
+    status: STRIPE_EVENT_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: now,
+    leaseOwner: null,
+    lastError: null,
+    deliveries: 1,
+  };
+
+  try {
+    await db.collection('StripeEvent').insertOne(doc);
+    return { event: doc, duplicate: false };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const existing = await db.collection('StripeEvent').findOneAndUpdate(
+      { _id: event.id },
+      { $inc: { deliveries: 1 }, $set: { lastDeliveredAt: now } },
+      { returnDocument: 'after' }
+    );
+    return { event: existing, duplicate: true };
+  }
+}
+
+/**
+ * Claim and handle one event.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {string} eventId - Stripe event id
+ * @param {object} [options]
+ * @param {object} [options.stripe] - Stripe client
+ * @param {object} [options.io] - Socket.io server
+ * @param {boolean} [options.force] - Run whatever the status (admin replay)
+ * @param {object} [options.handlers] - Handlers by event type
+ * @returns {Promise<string|null>} New status, or null if the event was not claimable
+ */
+export async function processStripeEvent(db, eventId, {
+  stripe = null,
+  io = null,
+  force = false,
+  handlers = STRIPE_EVENT_HANDLERS,
+  now = new Date(),
+} = {}) {
+  const collection = db.collection('StripeEvent');
+  const leaseOwner = crypto.randomUUID();
+
+  const claimFilter = force
+    ? { _id: eventId }
+    : { _id: eventId, status: { $in: RUNNABLE }, nextAttemptAt: { $lte: now } };
+  const job = await collection.findOneAndUpdate(
+    claimFilter,
+    {
+      $set: { status: STRIPE_EVENT_STATUS.PROCESSING, leaseOwner, nextAttemptAt: new Date(now.getTime() + LEASE_MS) },
+      $inc: { attempts: 1 },
+    },
+    { returnDocument: 'after' }
+  );
+  if (!job) return null;
+
+  const owned = { _id: eventId, leaseOwner };
+  const handler = handlers[job.type];
+  if (!handler) {
+    await collection.updateOne(owned, {
+      $set: { status: STRIPE_EVENT_STATUS.IGNORED, processedAt: new Date(), leaseOwner: null },
+    });
+    return STRIPE_EVENT_STATUS.IGNORED;
+  }
+
+  try {
+    await handler(job.payload, { db, stripe, io });
+  } catch (err) {
+    const dead = job.attempts >= MAX_ATTEMPTS;
+    const status = dead ? STRIPE_EVENT_STATUS.DEAD : STRIPE_EVENT_STATUS.FAILED;
+    await collection.updateOne(owned, {
+      $set: {
+        status,
+        lastError: err.message,
+        failedAt: new Date(),
+        nextAttemptAt: new Date(now.getTime() + backoffMs(job.attempts)),
+        leaseOwner: null,
+      },
+    });
+    console.error(
+      `Stripe event ${eventId} (${job.type}) attempt ${job.attempts} failed` +
+      `${dead ? ', giving up' : ', will retry'}: ${err.message}`
+    );
+    return status;
+  }
+
+  await collection.updateOne(owned, {
+    $set: { status: STRIPE_EVENT_STATUS.PROCESSED, processedAt: new Date(), lastError: null, leaseOwner: null },
+  });
+  return STRIPE_EVENT_STATUS.PROCESSED;
+}
+
+/**
+ * Handle every due event (new, failed, or with an expired lease), oldest
+ * first.
+ *
+ * @returns {Promise<{processed: number, failed: number}>}
+ */
+export async function retryDueStripeEvents(db, {
+  stripe = null,
+  io = null,
+  handlers = STRIPE_EVENT_HANDLERS,
+  now = new Date(),
+  limit = 100,
+} = {}) {
+  const due = await db.collection('StripeEvent')
+    .find(
+      { status: { $in: RUNNABLE }, nextAttemptAt: { $lte: now } },
+      { projection: { _id: 1 } }
+    )
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .toArray();
+
+  const summary = { processed: 0, failed: 0 };
+  for (const { _id } of due) {
+    const status = await processStripeEvent(db, _id, { stripe, io, handlers, now });
+    if (status === STRIPE_EVENT_STATUS.PROCESSED || status === STRIPE_EVENT_STATUS.IGNORED) summary.processed++;
+    else if (status) summary.failed++;
+  }
+  return summary;
+}
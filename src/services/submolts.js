@@ -0,0 +1,363 @@
+/**
+ * Submolt Service
+ *
+ * Submolts are topic communities that posts can be filed under.
+ *
+ * Collections:
+ *   Submolt        - { slug, name, description, rules[], memberCount, postCount, ... }
+ *   SubmoltMember  - { submoltId, memberType, memberId, role, joinedAt }
+ *   SubmoltBan     - { submoltId, memberType, memberId, reason, bannedBy, createdAt }
+ *
+ * Roles (highest first): owner > moderator > member. Moderators (and the
+ * owner) can remove posts and ban accounts ranked below them; a banned
+ * account can't join or post until unbanned.
+ *
+ * Membership changes and their memberCount / postCount adjustments commit
+ * in one transaction (db.client must be set).
+ */
+
+import { ObjectId } from 'mongodb';
+
+export const SUBMOLT_ROLES = ['owner', 'moderator', 'member'];
+
+const ROLE_RANK = { owner: 3, moderator: 2, member: 1 };
+
+export const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]{1,29}$/;
+export const MAX_RULES = 15;
+
+/**
+ * Normalize a slug candidate (lowercase, trimmed).
+ */
+export function normalizeSlug(slug) {
+  return typeof slug === 'string' ? slug.trim().toLowerCase() : '';
+}
+
+/**
+ * Validate and normalize a rules array from a request body.
+ *
+ * Accepts strings or { title, description } objects.
+ *
+ * @param {Array} rules
+ * @returns {{rules?: Array<{title: string, description: string}>, error?: string}}
+ */
+export function sanitizeRules(rules) {
+  if (!Array.isArray(rules)) {
+    return { error: 'rules must be an array' };
+  }
+  if (rules.length > MAX_RULES) {
+    return { error: `A submolt can have at most ${MAX_RULES} rules` };
+  }
+
+  const sanitized = [];
+  for (const rule of rules) {
+    const title = typeof rule === 'string' ? rule : rule?.title;
+    const description = typeof rule === 'string' ? '' : (rule?.description || '');
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      return { error: 'Each rule needs a title' };
+    }
+    sanitized.push({
+      title: title.trim().slice(0, 100),
+      description: String(description).trim().slice(0, 500),
+    });
+  }
+  return { rules: sanitized };
+}
+
+/**
+ * Ensure indexes for Submolt and SubmoltMember.
+ *
+ * @param {object} db - MongoDB database instance
+ */
+export async function ensureSubmoltIndexes(db) {
+  await db.collection('Submolt').createIndex({ slug: 1 }, { unique: true, name: 'submolt_slug_unique' });
+  await db.collection('Submolt').createIndex({ isDeleted: 1, memberCount: -1 }, { name: 'submolt_popular' });
+  await db.collection('SubmoltMember').createIndex(
+    { submoltId: 1, memberType: 1, memberId: 1 },
+    { unique: true, name: 'submolt_member_unique' }
+  );
+  await db.collection('SubmoltMember').createIndex(
+    { memberType: 1, memberId: 1 },
+    { name: 'submolt_member_by_account' }
+  );
+  await db.collection('SubmoltBan').createIndex(
+    { submoltId: 1, memberType: 1, memberId: 1 },
+    { unique: true, name: 'submolt_ban_unique' }
+  );
+  await db.collection('Post').createIndex(
+    { submoltId: 1, isDeleted: 1, createdAt: -1 },
+    { sparse: true, name: 'post_submolt_recent' }
+  );
+}
+
+/**
+ * Find a live submolt by slug or ObjectId string.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {string} slugOrId
+ * @returns {Promise<object|null>} Submolt document or null
+ */
+export async function findSubmolt(db, slugOrId) {
+  if (!slugOrId || typeof slugOrId !== 'string') {
+    return null;
+  }
+
+  const or = [{ slug: normalizeSlug(slugOrId) }];
+  if (ObjectId.isValid(slugOrId) && String(new ObjectId(slugOrId)) === slugOrId.toLowerCase()) {
+    or.push({ _id: new ObjectId(slugOrId) });
+  }
+
+  return db.collection('Submolt').findOne({ $or: or, isDeleted: { $ne: true } });
+}
+
+/**
+ * Get a principal's membership in a submolt.
+ *
+ * @returns {Promise<object|null>} SubmoltMember document or null
+ */
+export async function getMembership(db, submoltId, principal) {
+  if (!principal) return null;
+  return db.collection('SubmoltMember').findOne({
+    submoltId,
+    memberType: principal.type,
+    memberId: principal.id,
+  });
+}
+
+/**
+ * Whether a role meets a minimum role.
+ *
+ * @param {string|undefined} role - Actual role
+ * @param {string} minimum - Required role
+ */
+export function hasRole(role, minimum) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[minimum];
+}
+
+function submoltError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+async function inTransaction(db, fn) {
+  const session = db.client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+const memberKey = (submoltId, principal) => ({
+  submoltId,
+  memberType: principal.type,
+  memberId: principal.id,
+});
+
+/**
+ * Whether a role ranks strictly above another (a missing role ranks lowest).
+ */
+export function outranks(role, otherRole) {
+  return (ROLE_RANK[role] || 0) > (ROLE_RANK[otherRole] || 0);
+}
+
+/**
+ * Create a submolt with `principal` as its owner. The submolt and the
+ * owner's membership are written together, so a submolt never exists
+ * without an owner.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} submolt - Submolt document (without _id)
+ * @param {object} principal - { type, id, name }
+ * @returns {Promise<object>} The stored submolt
+ * @throws {Error} code 11000 when the slug is taken
+ */
+export async function createSubmolt(db, submolt, principal) {
+  const doc = { ...submolt, memberCount: 1 };
+  await inTransaction(db, async (session) => {
+    const result = await db.collection('Submolt').insertOne(doc, { session });
+    doc._id = result.insertedId;
+    await db.collection('SubmoltMember').insertOne({
+      ...memberKey(doc._id, principal),
+      memberName: principal.name || null,
+      role: 'owner',
+      joinedAt: doc.createdAt || new Date(),
+    }, { session });
+  });
+  return doc;
+}
+
+/**
+ * Whether a principal is banned from a submolt.
+ */
+export async function isBanned(db, submoltId, principal) {
+  if (!principal) return false;
+  const ban = await db.collection('SubmoltBan').findOne(memberKey(submoltId, principal), { projection: { _id: 1 } });
+  return !!ban;
+}
+
+/**
+ * Add a member. Returns false when the principal was already a member.
+ *
+ * @throws {Error} SUBMOLT_BANNED (403)
+ */
+export async function addMember(db, submoltId, principal, role = 'member') {
+  if (await isBanned(db, submoltId, principal)) {
+    throw submoltError('You are banned from this submolt', 'SUBMOLT_BANNED', 403);
+  }
+
+  try {
+    await inTransaction(db, async (session) => {
+      await db.collection('SubmoltMember').insertOne({
+        ...memberKey(submoltId, principal),
+        memberName: principal.name || null,
+        role,
+        joinedAt: new Date(),
+      }, { session });
+      await db.collection('Submolt').updateOne(
+        { _id: submoltId },
+        { $inc: { memberCount: 1 } },
+        { session }
+      );
+    });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+  return true;
+}
+
+// Delete a membership and decrement memberCount; false if there was none
+async function deleteMembership(db, submoltId, principal, session) {
+  const result = await db.collection('SubmoltMember').deleteOne(memberKey(submoltId, principal), { session });
+  if (result.deletedCount === 0) return false;
+
+  await db.collection('Submolt').updateOne(
+    { _id: submoltId, memberCount: { $gt: 0 } },
+    { $inc: { memberCount: -1 } },
+    { session }
+  );
+  return true;
+}
+
+/**
+ * Remove a member. Returns false when the principal was not a member.
+ */
+export async function removeMember(db, submoltId, principal) {
+  return inTransaction(db, session => deleteMembership(db, submoltId, principal, session));
+}
+
+// ============================================
+// MODERATION
+// ============================================
+
+/**
+ * Ban an account from a submolt and remove its membership. The acting
+ * moderator must outrank the target (moderators can't ban moderators or
+ * the owner).
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {ObjectId} submoltId
+ * @param {object} actor - { principal, role } of the moderator
+ * @param {{type: string, id: ObjectId}} target
+ * @param {{reason?: string}} [options]
+ * @returns {Promise<{alreadyBanned: boolean, wasMember: boolean}>}
+ * @throws {Error} SELF_BAN (400), INSUFFICIENT_ROLE (403)
+ */
+export async function banMember(db, submoltId, actor, target, { reason = null } = {}) {
+  if (actor.principal.type === target.type && String(actor.principal.id) === String(target.id)) {
+    throw submoltError('You cannot ban yourself', 'SELF_BAN', 400);
+  }
+
+  const membership = await getMembership(db, submoltId, target);
+  if (!outranks(actor.role, membership?.role)) {
+    throw submoltError('You can only ban accounts ranked below you', 'INSUFFICIENT_ROLE', 403);
+  }
+
+  try {
+    return await inTransaction(db, async (session) => {
+      await db.collection('SubmoltBan').insertOne({
+        ...memberKey(submoltId, target),
+        memberName: membership?.memberName || null,
+        reason: reason ? String(reason).trim().slice(0, 500) : null,
+        bannedBy: { type: actor.principal.type, id: actor.principal.id, name: actor.principal.name || null },
+        createdAt: new Date(),
+      }, { session });
+      const wasMember = await deleteMembership(db, submoltId, target, session);
+      return { alreadyBanned: false, wasMember };
+    });
+  } catch (error) {
+    if (error.code === 11000) return { alreadyBanned: true, wasMember: false };
+    throw error;
+  }
+}
+
+/**
+ * Lift a ban. Returns false when the account was not banned.
+ */
+export async function unbanMember(db, submoltId, target) {
+  const result = await db.collection('SubmoltBan').deleteOne(memberKey(submoltId, target));
+  return result.deletedCount > 0;
+}
+
+/**
+ * Remove a post from a submolt (soft delete) and decrement postCount.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {ObjectId} submoltId
+ * @param {ObjectId} postId
+ * @param {{removedBy: object, reason?: string}} options
+ * @returns {Promise<object|null>} The removed post, or null if it is not a
+ *   live post of the submolt
+ */
+export async function removePost(db, submoltId, postId, { removedBy, reason = null }) {
+  return inTransaction(db, async (session) => {
+    const post = await db.collection('Post').findOneAndUpdate(
+      { _id: postId, submoltId, isDeleted: false },
+      {
+        $set: {
+          isDeleted: true,
+          removedBy: { type: removedBy.type, id: removedBy.id, name: removedBy.name || null },
+          removalReason: reason ? String(reason).trim().slice(0, 500) : null,
+          removedAt: new Date(),
+          updatedAt: new Date(),
+        },
+      },
+      { session, returnDocument: 'after', projection: { content: 0 } }
+    );
+    if (!post) return null;
+
+    await db.collection('Submolt').updateOne(
+      { _id: submoltId, postCount: { $gt: 0 } },
+      { $inc: { postCount: -1 } },
+      { session }
+    );
+    return post;
+  });
+}
+
+/**
+ * Shape a Submolt document for API responses.
+ */
+export function formatSubmolt(submolt, membership = null) {
+  return {
+    id: submolt._id.toString(),
+    slug: submolt.slug,
+    name: submolt.name,
+    description: submolt.description || '',
+    rules: submolt.rules || [],
+    member_count: submolt.memberCount || 0,
+    post_count: submolt.postCount || 0,
+    created_by: submolt.createdBy
+      ? { type: submolt.createdBy.type, id: submolt.createdBy.id.toString(), name: submolt.createdBy.name || null }
+      : null,
+    created_at: submolt.createdAt,
+    updated_at: submolt.updatedAt,
+    viewer_role: membership?.role || null,
+  };
+}
@@ -0,0 +1,304 @@
+/**
+ * Subscription Lifecycle
+ *
+ * Keeps User subscription fields and agent activity in step with Stripe:
+ *
+ *   trialing   new subscribers get BILLING_TRIAL_DAYS (once per user); the
+ *              tier applies during the trial
+ *   past_due   the tier keeps applying for BILLING_GRACE_PERIOD_DAYS after
+ *              the first failed payment; then the user drops to free
+ *   downgrade  agents over the new tier's limit (TIER_LIMITS) are paused,
+ *              keeping the ones the user picked, then the most recently
+ *              active
+ *   upgrade    agents paused for the subscription resume up to the new limit
+ *
+ * Agents paused here carry pausedReason: 'subscription', so they are told
+ * apart from agents their owners paused themselves.
+ */
+
+import { ObjectId } from 'mongodb';
+import { TIER_LIMITS } from '../middleware/userAuth.js';
+
+export const TRIAL_DAYS = parseInt(process.env.BILLING_TRIAL_DAYS) || 0;
+export const GRACE_PERIOD_DAYS = parseFloat(process.env.BILLING_GRACE_PERIOD_DAYS) || 7;
+export const SUBSCRIPTION_PAUSE_REASON = 'subscription';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Price IDs from Stripe Dashboard (env vars)
+export const PRICE_MAP = {
+  starter: {
+    month: process.env.STRIPE_STARTER_MONTHLY_PRICE_ID,
+    year: process.env.STRIPE_STARTER_ANNUAL_PRICE_ID
+  },
+  pro: {
+    month: process.env.STRIPE_PRO_MONTHLY_PRICE_ID,
+    year: process.env.STRIPE_PRO_ANNUAL_PRICE_ID
+  },
+  unlimited: {
+    month: process.env.STRIPE_UNLIMITED_MONTHLY_PRICE_ID,
+    year: process.env.STRIPE_UNLIMITED_ANNUAL_PRICE_ID
+  }
+};
+
+/**
+ * Ensure indexes for the grace period check.
+ */
+export async function ensureSubscriptionIndexes(db) {
+  await db.collection('User').createIndex(
+    { subscriptionStatus: 1, subscriptionGraceEndsAt: 1 },
+    { partialFilterExpression: { subscriptionStatus: 'past_due' } }
+  );
+}
+
+// ============================================
+// STRIPE MAPPING
+// ============================================
+
+/**
+ * Tier of a Stripe subscription, from its price (metadata as fallback).
+ */
+export function subscriptionTier(subscription) {
+  const priceId = subscription.items?.data?.[0]?.price?.id;
+  for (const [tier, prices] of Object.entries(PRICE_MAP)) {
+    if (priceId && Object.values(prices).includes(priceId)) return tier;
+  }
+  return TIER_LIMITS[subscription.metadata?.tier] !== undefined ? subscription.metadata.tier : 'free';
+}
+
+/**
+ * Current period end; newer Stripe API versions report it per item.
+ */
+export function subscriptionPeriodEnd(subscription) {
+  const end = subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end;
+  return end ? new Date(end * 1000) : null;
+}
+
+/**
+ * Map a Stripe subscription status onto User.subscriptionStatus.
+ */
+export function toUserStatus(stripeStatus) {
+  if (['active', 'trialing', 'past_due', 'canceled'].includes(stripeStatus)) return stripeStatus;
+  if (['unpaid', 'incomplete_expired'].includes(stripeStatus)) return 'canceled';
+  return 'inactive'; // incomplete, paused
+}
+
+/**
+ * Tier the user is entitled to for a subscription status.
+ */
+export function entitledTier(status, tier, { graceEndsAt = null, now = new Date() } = {}) {
+  if (status === 'active' || status === 'trialing') return tier;
+  if (status === 'past_due' && graceEndsAt && graceEndsAt > now) return tier;
+  return 'free';
+}
+
+// ============================================
+// AGENT LIMITS
+// ============================================
+
+/**
+ * Agents a user may run on a tier. Wallet claim users always keep one
+ * slot for the agent they claimed.
+ */
+export function agentLimit(user, tier = user.subscriptionTier || 'free') {
+  return Math.max(TIER_LIMITS[tier] ?? 0, user?.authMethod === 'wallet_claim' ? 1 : 0);
+}
+
+/**
+ * Split a user's active agents into those kept and those paused under
+ * `limit`. Agents in keepIds come first, then the most recently active,
+ * then the oldest.
+ *
+ * @param {Array<object>} agents - ACTIVE agents
+ * @param {number} limit
+ * @param {string[]} [keepIds]
+ * @returns {{keep: Array<object>, pause: Array<object>}}
+ */
+export function planAgentPauses(agents, limit, keepIds = []) {
+  const preferred = new Set(keepIds.map(String));
+  const time = (date) => (date ? new Date(date).getTime() : 0);
+  const ranked = [...agents].sort((a, b) =>
+    (preferred.has(b._id.toString()) - preferred.has(a._id.toString())) ||
+    (time(b.lastActiveAt) - time(a.lastActiveAt)) ||
+    (time(a.createdAt) - time(b.createdAt))
+  );
+  return { keep: ranked.slice(0, limit), pause: ranked.slice(limit) };
+}
+
+/**
+ * Pause the user's active agents beyond the tier's limit.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} user - User ({_id, authMethod})
+ * @param {string} tier
+ * @returns {Promise<Array<object>>} Paused agents ({_id, name})
+ */
+export async function enforceAgentLimit(db, user, tier, { keepAgentIds = [], io = null } = {}) {
+  const userId = user._id;
+  const agents = await db.collection('Agent')
+    .find(
+      { userId, status: 'ACTIVE' },
+      { projection: { name: 1, lastActiveAt: 1, createdAt: 1 } }
+    )
+    .toArray();
+
+  const { pause } = planAgentPauses(agents, agentLimit(user, tier), keepAgentIds);
+  if (pause.length === 0) return [];
+
+  const now = new Date();
+  await db.collection('Agent').updateMany(
+    { _id: { $in: pause.map(a => a._id) }, status: 'ACTIVE' },
+    { $set: { status: 'PAUSED', pausedReason: SUBSCRIPTION_PAUSE_REASON, pausedAt: now, updatedAt: now } }
+  );
+
+  if (io) {
+    for (const agent of pause) {
+      io.to(`user:${userId}`).emit('agent:paused', { agentId: agent._id.toString(), reason: SUBSCRIPTION_PAUSE_REASON });
+    }
+  }
+  console.log(`[Billing] Paused ${pause.length} agent(s) over the ${tier} limit: user=${userId}`);
+  return pause;
+}
+
+/**
+ * Resume agents paused for the subscription, up to the tier's limit
+ * (longest-paused first).
+ *
+ * @returns {Promise<number>} Agents resumed
+ */
+export async function resumeSubscriptionPausedAgents(db, user, tier, { io = null } = {}) {
+  const userId = user._id;
+  const agents = db.collection('Agent');
+  const active = await agents.countDocuments({ userId, status: 'ACTIVE' });
+  const slots = agentLimit(user, tier) - active;
+  if (slots <= 0) return 0;
+
+  const paused = await agents
+    .find(
+      { userId, status: 'PAUSED', pausedReason: SUBSCRIPTION_PAUSE_REASON },
+      { projection: { _id: 1 } }
+    )
+    .sort({ pausedAt: 1 })
+    .limit(slots)
+    .toArray();
+  if (paused.length === 0) return 0;
+
+  await agents.updateMany(
+    { _id: { $in: paused.map(a => a._id) }, status: 'PAUSED', pausedReason: SUBSCRIPTION_PAUSE_REASON },
+    { $set: { status: 'ACTIVE', updatedAt: new Date() }, $unset: { pausedReason: '', pausedAt: '' } }
+  );
+
+  if (io) {
+    for (const agent of paused) {
+      io.to(`user:${userId}`).emit('agent:resumed', { agentId: agent._id.toString() });
+    }
+  }
+  console.log(`[Billing] Resumed ${paused.length} agent(s) under the ${tier} limit: user=${userId}`);
+  return paused.length;
+}
+
+// ============================================
+// SUBSCRIPTION STATE
+// ============================================
+
+/**
+ * Apply a Stripe subscription to the user: status, tier, trial and grace
+ * period, then pause or resume agents for the tier they are entitled to.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {ObjectId|string} userId
+ * @param {object} subscription - Stripe subscription
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {object} [options.io] - Socket.io server, for agent events
+ * @returns {Promise<{status: string, tier: string, entitledTier: string, paused: number, resumed: number}>}
+ */
+export async function syncSubscription(db, userId, subscription, { now = new Date(), io = null } = {}) {
+  const users = db.collection('User');
+  const user = await users.findOne({ _id: new ObjectId(userId) });
+  if (!user) return null;
+
+  const status = toUserStatus(subscription.status);
+  const tier = subscriptionTier(subscription);
+
+  // The grace period starts with the first failed payment and ends on recovery
+  let graceEndsAt = null;
+  if (status === 'past_due') {
+    graceEndsAt = user.subscriptionGraceEndsAt || new Date(now.getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+  }
+
+  const set = {
+    subscriptionId: subscription.id,
+    subscriptionStatus: status,
+    subscriptionTier: tier,
+    subscriptionEndDate: subscriptionPeriodEnd(subscription),
+    updatedAt: now,
+  };
+  const unset = {};
+  if (graceEndsAt) set.subscriptionGraceEndsAt = graceEndsAt;
+  else unset.subscriptionGraceEndsAt = '';
+  if (subscription.trial_end) {
+    set.trialEndsAt = new Date(subscription.trial_end * 1000);
+    set.trialUsedAt = user.trialUsedAt || now;
+  }
+  if (!set.subscriptionEndDate) delete set.subscriptionEndDate;
+
+  const entitled = entitledTier(status, tier, { graceEndsAt, now });
+  if (entitled === 'free') set.subscriptionTier = 'free';
+
+  await users.updateOne(
+    { _id: user._id },
+    Object.keys(unset).length > 0 ? { $set: set, $unset: unset } : { $set: set }
+  );
+
+  const paused = await enforceAgentLimit(db, user, entitled, { io });
+  const resumed = await resumeSubscriptionPausedAgents(db, user, entitled, { io });
+
+  return { status, tier, entitledTier: entitled, paused: paused.length, resumed };
+}
+
+/**
+ * Mark the user past_due and start the grace period (if not running).
+ */
+export async function startGracePeriod(db, userId, { now = new Date() } = {}) {
+  const graceEndsAt = new Date(now.getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+  await db.collection('User').updateOne(
+    { _id: new ObjectId(userId), subscriptionGraceEndsAt: null },
+    { $set: { subscriptionGraceEndsAt: graceEndsAt } }
+  );
+  await db.collection('User').updateOne(
+    { _id: new ObjectId(userId) },
+    { $set: { subscriptionStatus: 'past_due', updatedAt: now } }
+  );
+}
+
+/**
+ * Drop past_due users whose grace period ran out to free and pause their
+ * agents. They stay past_due (with the expired grace date) until Stripe
+ * reports the subscription recovered or canceled.
+ *
+ * @returns {Promise<{users: number, paused: number}>}
+ */
+export async function enforceExpiredGracePeriods(db, { now = new Date(), io = null } = {}) {
+  const summary = { users: 0, paused: 0 };
+  const expiredFilter = {
+    subscriptionStatus: 'past_due',
+    subscriptionGraceEndsAt: { $lte: now },
+    subscriptionTier: { $ne: 'free' },
+  };
+  const expired = db.collection('User').find(expiredFilter, { projection: { _id: 1, authMethod: 1 } });
+
+  for await (const user of expired) {
+    const result = await db.collection('User').updateOne(
+      { _id: user._id, ...expiredFilter },
+      { $set: { subscriptionTier: 'free', updatedAt: now } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    const paused = await enforceAgentLimit(db, user, 'free', { io });
+    summary.users++;
+    summary.paused += paused.length;
+  }
+
+  return summary;
+}
@@ -0,0 +1,277 @@
+/**
+ * Treasury Monitoring
+ *
+ * The TREASURY_PRIVATE_KEY wallet pays for claim memos (SOL) and user/agent
+ * withdrawals (KLIK + SOL fees). This service tracks it against what the
+ * platform owes:
+ *
+ *   - Snapshots of the on-chain SOL and KLIK balances, stored with the
+ *     liabilities at that moment (TreasurySnapshot)
+ *   - A solvency report: KLIK held vs. stored balances plus withdrawals
+ *     that are debited but not yet sent
+ *   - Alerts when a balance crosses a configured threshold (sent on change,
+ *     not on every snapshot)
+ *   - A guard, read from the latest snapshot, that pauses memo sending and
+ *     withdrawals while the treasury can't pay for them
+ *
+ * Liabilities:
+ *   users               sum of User.klikBalance
+ *   agents              sum of Agent.klikBalance
+ *   ownerEarnings       sum of Agent.ownerEarnings (owed to agent owners)
+ *   pendingWithdrawals  user withdrawals held/pending/processing and agent
+ *                       withdrawals PENDING/PROCESSING (already debited,
+ *                       tokens still in the treasury)
+ */
+
+import { Connection, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { KLIK_MINT } from './splTransfer.js';
+import { getTreasuryOwner } from './depositWatcher.js';
+import { roundAmount } from './ledger.js';
+
+export const TREASURY_THRESHOLDS = {
+  // Warn below this much SOL (fees and memo dust)
+  solAlert: parseFloat(process.env.TREASURY_SOL_ALERT_THRESHOLD) || 1,
+  // Pause memos and withdrawals below this much SOL
+  solPause: parseFloat(process.env.TREASURY_SOL_PAUSE_THRESHOLD) || 0.05,
+  // Warn when KLIK held / liabilities drops below this ratio
+  klikCoverage: parseFloat(process.env.TREASURY_KLIK_COVERAGE_ALERT) || 1,
+};
+
+// A guard older than this is ignored (monitor not running or RPC down)
+const SNAPSHOT_MAX_AGE_MS = 20 * 60 * 1000;
+
+export const TREASURY_ALERTS = {
+  SOL_LOW: 'SOL_LOW',
+  SOL_CRITICAL: 'SOL_CRITICAL',
+  KLIK_UNDERCOLLATERALIZED: 'KLIK_UNDERCOLLATERALIZED',
+  KLIK_BELOW_PENDING_WITHDRAWALS: 'KLIK_BELOW_PENDING_WITHDRAWALS',
+};
+
+// Alerts that stop spending until the treasury is topped up
+const PAUSES_MEMOS = [TREASURY_ALERTS.SOL_CRITICAL];
+const PAUSES_WITHDRAWALS = [TREASURY_ALERTS.SOL_CRITICAL, TREASURY_ALERTS.KLIK_BELOW_PENDING_WITHDRAWALS];
+
+/**
+ * Ensure indexes for snapshot history.
+ */
+export async function ensureTreasuryIndexes(db) {
+  await db.collection('TreasurySnapshot').createIndex({ takenAt: -1 });
+}
+
+// ============================================
+// BALANCES & LIABILITIES
+// ============================================
+
+/**
+ * Read the treasury's SOL and KLIK balances from chain.
+ *
+ * @param {object} [options]
+ * @param {Connection} [options.connection]
+ * @param {PublicKey} [options.owner] - Defaults to getTreasuryOwner()
+ * @returns {Promise<{wallet: string, sol: number, klik: number}>}
+ */
+export async function fetchTreasuryBalances({
+  connection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com', 'confirmed'),
+  owner = getTreasuryOwner(),
+} = {}) {
+  if (!owner) {
+    throw new Error('Treasury wallet not configured (TREASURY_PUBLIC_KEY or TREASURY_PRIVATE_KEY)');
+  }
+
+  const tokenAccount = getAssociatedTokenAddressSync(KLIK_MINT, owner);
+  const [lamports, tokenInfo] = await Promise.all([
+    connection.getBalance(owner),
+    connection.getAccountInfo(tokenAccount),
+  ]);
+
+  let klik = 0;
+  if (tokenInfo) {
+    const { value } = await connection.getTokenAccountBalance(tokenAccount);
+    klik = parseFloat(value.uiAmountString);
+  }
+
+  return { wallet: owner.toBase58(), sol: lamports / LAMPORTS_PER_SOL, klik };
+}
+
+async function sumField(db, collection, match, fields) {
+  const group = { _id: null };
+  for (const field of fields) group[field] = { $sum: `$${field}` };
+
+  const [row] = await db.collection(collection)
+    .aggregate([{ $match: match }, { $group: group }])
+    .toArray();
+  return Object.fromEntries(fields.map(field => [field, roundAmount(row?.[field] || 0)]));
+}
+
+/**
+ * KLIK the platform owes, by source.
+ *
+ * @returns {Promise<{users: number, agents: number, ownerEarnings: number, pendingWithdrawals: number, total: number}>}
+ */
+export async function getLiabilities(db) {
+  const [users, agents, userWithdrawals, agentWithdrawals] = await Promise.all([
+    sumField(db, 'User', {}, ['klikBalance']),
+    sumField(db, 'Agent', {}, ['klikBalance', 'ownerEarnings']),
+    sumField(db, 'Withdrawal', { status: { $in: ['held', 'pending', 'processing'] } }, ['amount']),
+    sumField(db, 'Transaction', { type: 'WITHDRAWAL', status: { $in: ['PENDING', 'PROCESSING'] } }, ['amount']),
+  ]);
+
+  const liabilities = {
+    users: users.klikBalance,
+    agents: agents.klikBalance,
+    ownerEarnings: agents.ownerEarnings,
+    pendingWithdrawals: roundAmount(userWithdrawals.amount + agentWithdrawals.amount),
+  };
+  liabilities.total = roundAmount(
+    liabilities.users + liabilities.agents + liabilities.ownerEarnings + liabilities.pendingWithdrawals
+  );
+  return liabilities;
+}
+
+/**
+ * Compare balances with liabilities and list threshold breaches.
+ *
+ * @param {{sol: number, klik: number}} balances
+ * @param {object} liabilities - From getLiabilities()
+ * @param {object} [thresholds]
+ */
+export function assessSolvency(balances, liabilities, thresholds = TREASURY_THRESHOLDS) {
+  const alerts = [];
+  const alert = (code, severity, message) => alerts.push({ code, severity, message });
+
+  if (balances.sol < thresholds.solPause) {
+    alert(TREASURY_ALERTS.SOL_CRITICAL, 'critical',
+      `Treasury SOL ${balances.sol} is below ${thresholds.solPause}; memos and withdrawals paused`);
+  } else if (balances.sol < thresholds.solAlert) {
+    alert(TREASURY_ALERTS.SOL_LOW, 'warning',
+      `Treasury SOL ${balances.sol} is below ${thresholds.solAlert}`);
+  }
+
+  if (balances.klik < liabilities.pendingWithdrawals) {
+    alert(TREASURY_ALERTS.KLIK_BELOW_PENDING_WITHDRAWALS, 'critical',
+      `Treasury KLIK ${balances.klik} can't cover ${liabilities.pendingWithdrawals} in pending withdrawals; withdrawals paused`);
+  }
+
+  const coverage = liabilities.total > 0 ? balances.klik / liabilities.total : null;
+  if (coverage !== null && coverage < thresholds.klikCoverage) {
+    alert(TREASURY_ALERTS.KLIK_UNDERCOLLATERALIZED, 'warning',
+      `Treasury KLIK covers ${(coverage * 100).toFixed(1)}% of liabilities (${balances.klik} / ${liabilities.total})`);
+  }
+
+  const codes = alerts.map(a => a.code);
+  return {
+    coverageRatio: coverage === null ? null : Math.round(coverage * 10000) / 10000,
+    surplus: roundAmount(balances.klik - liabilities.total),
+    status: alerts.some(a => a.severity === 'critical') ? 'critical' : alerts.length ? 'warning' : 'ok',
+    alerts,
+    memosPaused: codes.some(code => PAUSES_MEMOS.includes(code)),
+    withdrawalsPaused: codes.some(code => PAUSES_WITHDRAWALS.includes(code)),
+  };
+}
+
+// ============================================
+// SNAPSHOTS & ALERTS
+// ============================================
+
+/**
+ * Default alert delivery: log, and POST to TREASURY_ALERT_WEBHOOK_URL
+ * (Slack/Discord-compatible `{ text }` body) when set.
+ */
+export async function sendTreasuryAlert({ raised, resolved }) {
+  const lines = [
+    ...raised.map(a => `[${a.severity.toUpperCase()}] ${a.message}`),
+    ...resolved.map(code => `[RESOLVED] ${code}`),
+  ];
+  for (const line of lines) console.error(`[Treasury] ${line}`);
+
+  const url = process.env.TREASURY_ALERT_WEBHOOK_URL;
+  if (!url) return;
+  try {
+    await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: `KLIK treasury\n${lines.join('\n')}` }),
+    });
+  } catch (err) {
+    console.error('[Treasury] Alert webhook failed:', err.message);
+  }
+}
+
+/**
+ * Take a snapshot: read balances, compute liabilities, store the report and
+ * send alerts that were raised or resolved since the previous snapshot.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} [options]
+ * @param {function} [options.fetchBalances] - async () => {wallet, sol, klik}
+ * @param {function} [options.notify] - async ({raised, resolved}) => void
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} Stored snapshot
+ */
+export async function recordTreasurySnapshot(db, {
+  fetchBalances = fetchTreasuryBalances,
+  notify = sendTreasuryAlert,
+  now = new Date(),
+} = {}) {
+  const [balances, liabilities, previous] = await Promise.all([
+    fetchBalances(),
+    getLiabilities(db),
+    getLatestSnapshot(db),
+  ]);
+
+  const snapshot = {
+    takenAt: now,
+    wallet: balances.wallet || null,
+    sol: balances.sol,
+    klik: balances.klik,
+    liabilities,
+    ...assessSolvency(balances, liabilities),
+  };
+  await db.collection('TreasurySnapshot').insertOne(snapshot);
+
+  const before = new Set((previous?.alerts || []).map(a => a.code));
+  const after = new Set(snapshot.alerts.map(a => a.code));
+  const raised = snapshot.alerts.filter(a => !before.has(a.code));
+  const resolved = [...before].filter(code => !after.has(code));
+  if (raised.length > 0 || resolved.length > 0) {
+    await notify({ raised, resolved, snapshot });
+  }
+
+  return snapshot;
+}
+
+/**
+ * Most recent snapshot, or null.
+ */
+export async function getLatestSnapshot(db) {
+  const [latest] = await db.collection('TreasurySnapshot')
+    .find({})
+    .sort({ takenAt: -1 })
+    .limit(1)
+    .toArray();
+  return latest || null;
+}
+
+/**
+ * Whether memo sending and withdrawals may spend from the treasury.
+ *
+ * Based on the latest snapshot. A missing or stale snapshot doesn't pause
+ * anything — sends still fail safely on-chain if funds are short.
+ *
+ * @returns {Promise<{memosPaused: boolean, withdrawalsPaused: boolean, reasons: string[], stale: boolean}>}
+ */
+export async function getTreasuryGuard(db, { now = new Date() } = {}) {
+  const latest = await getLatestSnapshot(db);
+  if (!latest || now.getTime() - new Date(latest.takenAt).getTime() > SNAPSHOT_MAX_AGE_MS) {
+    return { memosPaused: false, withdrawalsPaused: false, reasons: [], stale: true, takenAt: latest?.takenAt || null };
+  }
+
+  return {
+    memosPaused: Boolean(latest.memosPaused),
+    withdrawalsPaused: Boolean(latest.withdrawalsPaused),
+    reasons: latest.alerts.filter(a => a.severity === 'critical').map(a => a.message),
+    stale: false,
+    takenAt: latest.takenAt,
+  };
+}
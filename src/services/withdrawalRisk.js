@@ -0,0 +1,228 @@
+/**
+ * Withdrawal Risk Controls
+ *
+ * Limits how fast KLIK can leave a user account, so a compromised account
+ * can't be drained in a few hours:
+ *
+ *   - Rolling 24h and 7d caps per subscription tier
+ *   - A cooldown after the withdrawal wallet changes (User.walletLinkedAt)
+ *   - Withdrawals at or above WITHDRAWAL_REVIEW_THRESHOLD are debited but
+ *     `held` until an admin releases or rejects them
+ *
+ * Caps are checked inside the ledger transaction that debits the user, so
+ * two concurrent requests conflict on the User balance write and the retry
+ * sees the other withdrawal.
+ *
+ * User withdrawal statuses:
+ *   held -> (release) -> pending -> processing -> completed | failed
+ *   held -> (reject)  -> rejected (refunded)
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  transfer,
+  userAccount,
+  systemAccount,
+  SYSTEM_ACCOUNTS,
+  LEDGER_TYPES,
+} from './ledger.js';
+import { newJobFields } from './withdrawalRunner.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WITHDRAWAL_TIER_LIMITS = {
+  free: { daily: 1_000, weekly: 5_000 },
+  starter: { daily: 5_000, weekly: 20_000 },
+  pro: { daily: 25_000, weekly: 100_000 },
+  unlimited: { daily: 100_000, weekly: 400_000 },
+};
+
+export const WALLET_COOLDOWN_HOURS = parseFloat(process.env.WITHDRAWAL_WALLET_COOLDOWN_HOURS) || 24;
+export const REVIEW_THRESHOLD = parseFloat(process.env.WITHDRAWAL_REVIEW_THRESHOLD) || 10_000;
+
+// Statuses whose amount has left (or is reserved to leave) the balance
+const COUNTED_STATUSES = ['held', 'pending', 'processing', 'completed'];
+
+export const HOLD_REASONS = {
+  AMOUNT_OVER_THRESHOLD: 'amount_over_threshold',
+};
+
+function riskError(message, code, status, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * Daily/weekly caps for a user's tier.
+ */
+export function withdrawalLimitsFor(user) {
+  return WITHDRAWAL_TIER_LIMITS[user.subscriptionTier] || WITHDRAWAL_TIER_LIMITS.free;
+}
+
+/**
+ * Reject withdrawals while the wallet-change cooldown is running.
+ *
+ * @throws {Error} code WALLET_COOLDOWN (403), with availableAt
+ */
+export function checkWalletCooldown(user, now = new Date()) {
+  if (!user.walletLinkedAt) return;
+
+  const availableAt = new Date(new Date(user.walletLinkedAt).getTime() + WALLET_COOLDOWN_HOURS * 60 * 60 * 1000);
+  if (availableAt > now) {
+    throw riskError(
+      `Withdrawals are paused for ${WALLET_COOLDOWN_HOURS}h after changing your wallet`,
+      'WALLET_COOLDOWN',
+      403,
+      { availableAt }
+    );
+  }
+}
+
+/**
+ * Withdrawn amounts in the rolling 24h and 7d windows.
+ */
+export async function getWithdrawalUsage(db, userId, { now = new Date(), session } = {}) {
+  const recent = await db.collection('Withdrawal')
+    .find(
+      { userId, status: { $in: COUNTED_STATUSES }, createdAt: { $gte: new Date(now.getTime() - 7 * DAY_MS) } },
+      { projection: { amount: 1, createdAt: 1 }, session }
+    )
+    .toArray();
+
+  const dayStart = now.getTime() - DAY_MS;
+  return {
+    daily: recent.filter(w => w.createdAt.getTime() >= dayStart).reduce((sum, w) => sum + w.amount, 0),
+    weekly: recent.reduce((sum, w) => sum + w.amount, 0),
+  };
+}
+
+/**
+ * Check the tier caps for a new withdrawal and decide whether to hold it.
+ * Call inside the debiting ledger transaction (pass its session).
+ *
+ * @returns {Promise<{status: 'pending'|'held', holdReason: string|null}>}
+ * @throws {Error} code WITHDRAWAL_LIMIT_EXCEEDED (403), with window, limit, used, available
+ */
+export async function assessWithdrawal(db, user, amount, { now = new Date(), session } = {}) {
+  const limits = withdrawalLimitsFor(user);
+  const usage = await getWithdrawalUsage(db, user._id, { now, session });
+
+  for (const window of ['daily', 'weekly']) {
+    if (usage[window] + amount > limits[window]) {
+      const available = Math.max(limits[window] - usage[window], 0);
+      throw riskError(
+        `${window === 'daily' ? 'Daily' : 'Weekly'} withdrawal limit is ${limits[window].toLocaleString()} KLIK ` +
+        `on the ${user.subscriptionTier || 'free'} plan; ${available.toLocaleString()} KLIK available`,
+        'WITHDRAWAL_LIMIT_EXCEEDED',
+        403,
+        { window, limit: limits[window], used: usage[window], available }
+      );
+    }
+  }
+
+  if (amount >= REVIEW_THRESHOLD) {
+    return { status: 'held', holdReason: HOLD_REASONS.AMOUNT_OVER_THRESHOLD };
+  }
+  return { status: 'pending', holdReason: null };
+}
+
+/**
+ * Human-readable explanation of a user withdrawal's status.
+ */
+export function describeWithdrawalStatus(withdrawal) {
+  switch (withdrawal.status) {
+    case 'held':
+      return withdrawal.holdReason === HOLD_REASONS.AMOUNT_OVER_THRESHOLD
+        ? `Held for review: withdrawals of ${REVIEW_THRESHOLD.toLocaleString()} KLIK or more are checked by our team before sending`
+        : 'Held for review by our team before sending';
+    case 'pending':
+      return 'Queued for sending';
+    case 'processing':
+      return withdrawal.lastError
+        ? 'Sending on-chain (retrying after a network error)'
+        : 'Sending on-chain';
+    case 'completed':
+      return 'Sent';
+    case 'failed':
+      return 'Transfer failed; your balance has been refunded';
+    case 'rejected':
+      return withdrawal.rejectionReason
+        ? `Rejected after review: ${withdrawal.rejectionReason}. Your balance has been refunded`
+        : 'Rejected after review; your balance has been refunded';
+    default:
+      return null;
+  }
+}
+
+// ============================================
+// REVIEW QUEUE
+// ============================================
+
+/**
+ * Release a held withdrawal to the withdrawal runner.
+ *
+ * @returns {Promise<object>} Updated withdrawal
+ * @throws {Error} WITHDRAWAL_NOT_FOUND (404) | WITHDRAWAL_NOT_HELD (409)
+ */
+export async function releaseHeldWithdrawal(db, id, { reviewedBy = 'admin' } = {}) {
+  const released = await db.collection('Withdrawal').findOneAndUpdate(
+    { _id: new ObjectId(id), status: 'held' },
+    { $set: { status: 'pending', ...newJobFields(), reviewedBy, reviewedAt: new Date(), updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  if (!released) {
+    const exists = await db.collection('Withdrawal').findOne({ _id: new ObjectId(id) });
+    throw exists
+      ? riskError(`Withdrawal is ${exists.status}`, 'WITHDRAWAL_NOT_HELD', 409)
+      : riskError('Withdrawal not found', 'WITHDRAWAL_NOT_FOUND', 404);
+  }
+  return released;
+}
+
+/**
+ * Reject a held withdrawal and refund the user.
+ *
+ * @returns {Promise<object>} Updated withdrawal
+ * @throws {Error} WITHDRAWAL_NOT_FOUND (404) | WITHDRAWAL_NOT_HELD (409)
+ */
+export async function rejectHeldWithdrawal(db, id, { reason = null, reviewedBy = 'admin' } = {}) {
+  const withdrawal = await db.collection('Withdrawal').findOne({ _id: new ObjectId(id) });
+  if (!withdrawal) {
+    throw riskError('Withdrawal not found', 'WITHDRAWAL_NOT_FOUND', 404);
+  }
+  if (withdrawal.status !== 'held') {
+    throw riskError(`Withdrawal is ${withdrawal.status}`, 'WITHDRAWAL_NOT_HELD', 409);
+  }
+
+  await transfer(db, {
+    type: LEDGER_TYPES.WITHDRAWAL_REFUND,
+    from: systemAccount(SYSTEM_ACCOUNTS.WITHDRAWALS),
+    to: userAccount(withdrawal.userId),
+    amount: withdrawal.amount,
+    reference: `withdrawal-refund:${withdrawal._id}`,
+    metadata: { withdrawalId: withdrawal._id, rejected: true },
+    withSession: async (session) => {
+      const result = await db.collection('Withdrawal').updateOne(
+        { _id: withdrawal._id, status: 'held' },
+        {
+          $set: {
+            status: 'rejected',
+            rejectionReason: reason,
+            reviewedBy,
+            reviewedAt: new Date(),
+            updatedAt: new Date(),
+          },
+        },
+        { session }
+      );
+      if (result.matchedCount === 0) {
+        throw riskError('Withdrawal is no longer held', 'WITHDRAWAL_NOT_HELD', 409);
+      }
+    },
+  });
+
+  return db.collection('Withdrawal').findOne({ _id: withdrawal._id });
+}
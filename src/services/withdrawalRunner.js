@@ -0,0 +1,312 @@
+/**
+ * Withdrawal Runner
+ *
+ * Executes KLIK withdrawals as durable jobs. The withdrawal document is the
+ * job: it carries attempts, a lease (nextAttemptAt + leaseOwner) and the
+ * signed transaction of the current attempt, so any instance can pick up
+ * where a crashed one stopped.
+ *
+ * Per attempt:
+ *   1. Build and sign the transfer, then persist signature, raw transaction
+ *      and blockhash expiry BEFORE broadcasting.
+ *   2. Broadcast and confirm.
+ *
+ * When a job already has a signature (crash or timeout after step 1), the
+ * runner asks the chain before doing anything else:
+ *   confirmed            -> completed, never sent twice
+ *   processed            -> landed, check again shortly
+ *   failed on-chain      -> attempt failed, tokens did not move
+ *   unknown, not expired -> re-broadcast the same signed transaction
+ *   unknown, expired     -> the transaction can no longer land; new attempt
+ *
+ * Failed attempts back off exponentially; after MAX_ATTEMPTS (or on a
+ * permanent error such as an invalid address) the withdrawal is marked
+ * failed and refunded through the ledger.
+ *
+ * Withdrawal kinds:
+ *   user   Withdrawal collection (POST /withdraw/withdraw), lowercase statuses
+ *   agent  Transaction type WITHDRAWAL, once approved by an admin (PROCESSING)
+ *
+ * Only documents with an `attempts` field are jobs. Withdrawals left
+ * `pending` by the old in-request sender have unknown on-chain state and
+ * are reported for manual review instead of being retried.
+ */
+
+import crypto from 'crypto';
+import {
+  transfer,
+  userAccount,
+  agentAccount,
+  systemAccount,
+  SYSTEM_ACCOUNTS,
+  LEDGER_TYPES,
+} from './ledger.js';
+
+export const MAX_ATTEMPTS = parseInt(process.env.WITHDRAWAL_MAX_ATTEMPTS, 10) || 5;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+
+// Recheck interval while a broadcast transaction may still land
+const PENDING_RECHECK_MS = 15 * 1000;
+
+export const WITHDRAWAL_KINDS = {
+  user: {
+    collection: 'Withdrawal',
+    filter: {},
+    status: { queued: 'pending', processing: 'processing', completed: 'completed', failed: 'failed' },
+    recipient: (w) => w.walletAddress,
+    account: (w) => userAccount(w.userId),
+    refundReference: (w) => `withdrawal-refund:${w._id}`,
+    room: (w) => `user:${w.userId}`,
+  },
+  agent: {
+    collection: 'Transaction',
+    filter: { type: 'WITHDRAWAL' },
+    status: { queued: 'PROCESSING', processing: 'PROCESSING', completed: 'COMPLETED', failed: 'FAILED' },
+    recipient: (w) => w.destinationWallet,
+    account: (w) => agentAccount(w.fromAgentId),
+    refundReference: (w) => `agent-withdrawal-refund:${w._id}`,
+    room: (w) => `agent:${w.fromAgentId}`,
+  },
+};
+
+/**
+ * Fields that turn a new withdrawal document into a runnable job.
+ */
+export function newJobFields(now = new Date()) {
+  return { attempts: 0, nextAttemptAt: now, leaseOwner: null };
+}
+
+/**
+ * Backoff before attempt n+1 (n = attempts made so far).
+ */
+export function backoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+/**
+ * Ensure indexes for claiming due jobs.
+ */
+export async function ensureWithdrawalRunnerIndexes(db) {
+  await db.collection('Withdrawal').createIndex({ status: 1, nextAttemptAt: 1 }, { name: 'withdrawal_job_due' });
+  await db.collection('Transaction').createIndex(
+    { type: 1, status: 1, nextAttemptAt: 1 },
+    { name: 'agent_withdrawal_job_due', partialFilterExpression: { type: 'WITHDRAWAL' } }
+  );
+}
+
+const CLEARED_TX = { txSignature: null, txRaw: null, txBlockhash: null, txLastValidBlockHeight: null };
+
+/**
+ * Run one claimed job to its next resting state.
+ */
+async function runJob(db, kind, job, { chain, io, leaseOwner }) {
+  const collection = db.collection(kind.collection);
+  const owned = { _id: job._id, leaseOwner };
+
+  const notify = (event, data) => {
+    if (io) io.to(kind.room(job)).emit(event, { withdrawalId: job._id.toString(), amount: job.amount, ...data });
+  };
+
+  const complete = async (txSignature) => {
+    await collection.updateOne(owned, {
+      $set: {
+        status: kind.status.completed,
+        txSignature,
+        error: null,
+        completedAt: new Date(),
+        updatedAt: new Date(),
+        leaseOwner: null,
+      },
+    });
+    console.log(`Withdrawal ${job._id}: ${job.amount} KLIK -> ${kind.recipient(job)} TX: ${txSignature}`);
+    notify('withdrawal:completed', { txSignature });
+    return 'completed';
+  };
+
+  const recheckLater = async (message) => {
+    await collection.updateOne(owned, {
+      $set: { lastError: message, nextAttemptAt: new Date(Date.now() + PENDING_RECHECK_MS), updatedAt: new Date() },
+    });
+    return 'pending';
+  };
+
+  const attemptFailed = async (err, attempts) => {
+    if (err.permanent || attempts >= MAX_ATTEMPTS) {
+      await transfer(db, {
+        type: LEDGER_TYPES.WITHDRAWAL_REFUND,
+        from: systemAccount(SYSTEM_ACCOUNTS.WITHDRAWALS),
+        to: kind.account(job),
+        amount: job.amount,
+        reference: kind.refundReference(job),
+        metadata: { withdrawalId: job._id, error: err.message, attempts },
+        withSession: async (session) => {
+          const result = await collection.updateOne(owned, {
+            $set: {
+              status: kind.status.failed,
+              error: err.message,
+              failedAt: new Date(),
+              updatedAt: new Date(),
+              leaseOwner: null,
+            },
+          }, { session });
+          if (result.matchedCount === 0) {
+            const lost = new Error(`Lost lease on withdrawal ${job._id}`);
+            lost.code = 'LEASE_LOST';
+            throw lost;
+          }
+        },
+      });
+      console.error(`Withdrawal ${job._id} failed permanently after ${attempts} attempt(s): ${err.message}`);
+      notify('withdrawal:failed', { error: 'Transfer failed. Balance has been refunded.' });
+      return 'failed';
+    }
+
+    await collection.updateOne(owned, {
+      $set: {
+        ...CLEARED_TX,
+        lastError: err.message,
+        nextAttemptAt: new Date(Date.now() + backoffMs(attempts)),
+        updatedAt: new Date(),
+        leaseOwner: null,
+      },
+    });
+    console.warn(`Withdrawal ${job._id} attempt ${attempts} failed, retrying: ${err.message}`);
+    return 'retry';
+  };
+
+  // A previous attempt may already have been broadcast: ask the chain first
+  if (job.txSignature) {
+    const status = await chain.getStatus(job.txSignature);
+    if (status.state === 'confirmed') {
+      return complete(job.txSignature);
+    }
+    if (status.state === 'failed') {
+      return attemptFailed(new Error(`Transfer failed on-chain: ${JSON.stringify(status.err)}`), job.attempts);
+    }
+    if (status.state === 'processed') {
+      return recheckLater('Transfer landed, awaiting confirmation');
+    }
+
+    const blockHeight = await chain.getBlockHeight();
+    if (blockHeight <= job.txLastValidBlockHeight) {
+      // Still able to land; re-broadcasting the same signed tx can't double-send
+      try {
+        await chain.send(job.txRaw);
+        await chain.confirm({
+          signature: job.txSignature,
+          blockhash: job.txBlockhash,
+          lastValidBlockHeight: job.txLastValidBlockHeight,
+        });
+        return complete(job.txSignature);
+      } catch (err) {
+        if (err.onChainError) return attemptFailed(err, job.attempts);
+        return recheckLater(err.message);
+      }
+    }
+    // Blockhash expired without the tx landing: safe to start a new attempt
+  }
+
+  const attempts = (job.attempts || 0) + 1;
+  let prepared;
+  try {
+    prepared = await chain.prepare({ recipient: kind.recipient(job), amount: job.amount });
+  } catch (err) {
+    return attemptFailed(err, attempts);
+  }
+
+  const persisted = await collection.updateOne(owned, {
+    $set: {
+      attempts,
+      txSignature: prepared.signature,
+      txRaw: prepared.rawTransaction,
+      txBlockhash: prepared.blockhash,
+      txLastValidBlockHeight: prepared.lastValidBlockHeight,
+      updatedAt: new Date(),
+    },
+  });
+  if (persisted.matchedCount === 0) {
+    return 'lease_lost';
+  }
+
+  try {
+    await chain.send(prepared.rawTransaction);
+  } catch (err) {
+    if (err.notSent) return attemptFailed(err, attempts);
+    return recheckLater(err.message);
+  }
+
+  try {
+    await chain.confirm(prepared);
+  } catch (err) {
+    if (err.onChainError) return attemptFailed(err, attempts);
+    return recheckLater(err.message);
+  }
+
+  return complete(prepared.signature);
+}
+
+/**
+ * Claim the next due job of a kind (lease = nextAttemptAt pushed forward).
+ */
+async function claimJob(db, kind, leaseOwner, now) {
+  return db.collection(kind.collection).findOneAndUpdate(
+    {
+      ...kind.filter,
+      status: { $in: [kind.status.queued, kind.status.processing] },
+      attempts: { $exists: true },
+      nextAttemptAt: { $lte: now },
+    },
+    {
+      $set: {
+        status: kind.status.processing,
+        leaseOwner,
+        nextAttemptAt: new Date(now.getTime() + LEASE_MS),
+        updatedAt: now,
+      },
+    },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Process due withdrawal jobs of every kind.
+ *
+ * @param {object} db - MongoDB database instance
+ * @param {object} options
+ * @param {object} options.chain - Transfer client (see createSplTransferClient)
+ * @param {object} [options.io] - Socket.io server for notifications
+ * @param {number} [options.limit] - Max jobs per call
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} Counts by outcome
+ */
+export async function runDueWithdrawals(db, { chain, io = null, limit = 20, now = new Date() }) {
+  const summary = { completed: 0, retry: 0, failed: 0, pending: 0, lease_lost: 0, errors: 0 };
+
+  for (const kind of Object.values(WITHDRAWAL_KINDS)) {
+    for (let i = 0; i < limit; i++) {
+      const leaseOwner = crypto.randomBytes(8).toString('hex');
+      const job = await claimJob(db, kind, leaseOwner, now);
+      if (!job) break;
+
+      try {
+        const outcome = await runJob(db, kind, job, { chain, io, leaseOwner });
+        summary[outcome]++;
+      } catch (err) {
+        // Lease expires on its own; the job is retried from its persisted state
+        summary.errors++;
+        console.error(`Withdrawal ${job._id} runner error:`, err.message);
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Count user withdrawals left pending by the pre-runner sender.
+ */
+export async function countLegacyPendingWithdrawals(db) {
+  return db.collection('Withdrawal').countDocuments({ status: 'pending', attempts: { $exists: false } });
+}
@@ -52,7 +52,11 @@ async function setup() {
                 enum: ['free', 'starter', 'pro', 'unlimited']
               },
               subscriptionEndDate: { bsonType: 'date' },
+              subscriptionGraceEndsAt: { bsonType: 'date' },
+              trialEndsAt: { bsonType: 'date' },
+              trialUsedAt: { bsonType: 'date' },
               walletAddress: { bsonType: 'string' },
+              walletLinkedAt: { bsonType: 'date' },
               klikBalance: { bsonType: 'double' },
               totalEarned: { bsonType: 'double' },
               todayEarned: { bsonType: 'double' },
@@ -60,6 +64,8 @@ async function setup() {
               emailVerified: { bsonType: 'bool' },
               emailVerifyToken: { bsonType: 'string' },
               agentCount: { bsonType: 'int' },
+              followerCount: { bsonType: 'int' },
+              followingCount: { bsonType: 'int' },
               createdAt: { bsonType: 'date' },
               updatedAt: { bsonType: 'date' }
             }
@@ -89,32 +95,38 @@ async function setup() {
     // WITHDRAWAL COLLECTION
     // ===========================================
 
-    try {
-      await db.createCollection('Withdrawal', {
-        validator: {
-          $jsonSchema: {
-            bsonType: 'object',
-            required: ['userId', 'amount', 'walletAddress', 'status', 'createdAt'],
-            properties: {
-              userId: { bsonType: 'objectId' },
-              amount: { bsonType: 'number', minimum: 100 },
-              walletAddress: { bsonType: 'string' },
-              status: {
-                bsonType: 'string',
-                enum: ['pending', 'completed', 'failed']
-              },
-              txSignature: { bsonType: ['string', 'null'] },
-              error: { bsonType: ['string', 'null'] },
-              createdAt: { bsonType: 'date' },
-              updatedAt: { bsonType: 'date' }
-            }
-          }
+    const withdrawalValidator = {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['userId', 'amount', 'walletAddress', 'status', 'createdAt'],
+        properties: {
+          userId: { bsonType: 'objectId' },
+          amount: { bsonType: 'number', minimum: 100 },
+          walletAddress: { bsonType: 'string' },
+          status: {
+            bsonType: 'string',
+            enum: ['held', 'pending', 'processing', 'completed', 'failed', 'rejected']
+          },
+          txSignature: { bsonType: ['string', 'null'] },
+          error: { bsonType: ['string', 'null'] },
+          holdReason: { bsonType: ['string', 'null'] },
+          rejectionReason: { bsonType: ['string', 'null'] },
+          attempts: { bsonType: 'number' },
+          nextAttemptAt: { bsonType: 'date' },
+          createdAt: { bsonType: 'date' },
+          updatedAt: { bsonType: 'date' }
         }
-      });
+      }
+    };
+
+    try {
+      await db.createCollection('Withdrawal', { validator: withdrawalValidator });
       console.log('✓ Created Withdrawal collection with schema validation');
     } catch (e) {
       if (e.codeName === 'NamespaceExists') {
-        console.log('→ Withdrawal collection already exists');
+        // Keep the validator in step with new statuses/fields
+        await db.command({ collMod: 'Withdrawal', validator: withdrawalValidator });
+        console.log('→ Withdrawal collection already exists (validator updated)');
       } else {
         throw e;
       }
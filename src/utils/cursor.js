@@ -0,0 +1,192 @@
+/**
+ * Opaque Cursor Pagination (keyset)
+ *
+ * Every paginated list sorts on a fixed set of keys ending in _id, so each
+ * row has a unique position. The cursor is the sort-key values of the last
+ * row returned, base64url-encoded; the next page matches only rows strictly
+ * after that position. Unlike skip/page, rows inserted between requests do
+ * not shift later pages, and it works for any sort (new, hot, top, ...).
+ *
+ * Usage:
+ *   const sortOrder = withTiebreaker({ score: -1 });
+ *   const position = decodeCursor(req.query.cursor, 'hot');   // throws INVALID_CURSOR
+ *   const match = position ? { $and: [query, buildCursorFilter(sortOrder, position)] } : query;
+ *   ...fetch limit + 1 rows...
+ *   const { items, nextCursor } = paginate(rows, limit, sortOrder, 'hot');
+ */
+
+import { ObjectId } from 'mongodb';
+
+// ----------------------------------------------------------------------------
+// Value encoding (JSON-safe tagged values)
+// ----------------------------------------------------------------------------
+
+function encodeValue(value) {
+  if (value instanceof Date) return { $d: value.toISOString() };
+  if (value instanceof ObjectId) return { $o: value.toHexString() };
+  if (value === undefined) return null;
+  return value;
+}
+
+function decodeValue(value) {
+  if (value && typeof value === 'object') {
+    if (typeof value.$d === 'string') {
+      const date = new Date(value.$d);
+      if (Number.isNaN(date.getTime())) throw invalidCursor();
+      return date;
+    }
+    if (typeof value.$o === 'string') {
+      if (!ObjectId.isValid(value.$o)) throw invalidCursor();
+      return new ObjectId(value.$o);
+    }
+    throw invalidCursor();
+  }
+  return value;
+}
+
+function invalidCursor() {
+  const err = new Error('Invalid or expired cursor');
+  err.code = 'INVALID_CURSOR';
+  return err;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+}
+
+// ----------------------------------------------------------------------------
+// Public API
+// ----------------------------------------------------------------------------
+
+/**
+ * Append _id as a final tiebreaker (same direction as the last key) so
+ * every row has a unique sort position.
+ *
+ * @param {object} sortOrder - MongoDB sort spec
+ * @returns {object} Sort spec ending in _id
+ */
+export function withTiebreaker(sortOrder) {
+  if ('_id' in sortOrder) return sortOrder;
+  const directions = Object.values(sortOrder);
+  const lastDirection = directions.length ? directions[directions.length - 1] : -1;
+  return { ...sortOrder, _id: lastDirection };
+}
+
+/**
+ * Encode a position into an opaque cursor string.
+ *
+ * @param {Array} values - Sort key values of the last row
+ * @param {string} scope - Identifies the list/sort the cursor belongs to
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(values, scope) {
+  const payload = { s: scope, v: values.map(encodeValue) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor string back into sort key values.
+ *
+ * @param {string|undefined} cursor - Cursor from the query string
+ * @param {string} scope - Expected scope; cursors from another list/sort are rejected
+ * @returns {Array|null} Values, or null when no cursor was given
+ * @throws {Error} code INVALID_CURSOR when malformed or for a different scope
+ */
+export function decodeCursor(cursor, scope) {
+  if (cursor === undefined || cursor === null || cursor === '') {
+    return null;
+  }
+  if (typeof cursor !== 'string' || cursor.length > 2048) {
+    throw invalidCursor();
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw invalidCursor();
+  }
+
+  if (!payload || payload.s !== scope || !Array.isArray(payload.v)) {
+    throw invalidCursor();
+  }
+
+  return payload.v.map(decodeValue);
+}
+
+/**
+ * Build a $match filter selecting rows strictly after a position.
+ *
+ * For sort keys k1..kn this is:
+ *   (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+ *
+ * Missing/null values sort lowest in MongoDB, which is handled explicitly
+ * because $lt/$gt never match across the null type boundary.
+ *
+ * @param {object} sortOrder - Sort spec (from withTiebreaker)
+ * @param {Array} values - Decoded cursor values, aligned with sortOrder keys
+ * @returns {object} MongoDB filter
+ */
+export function buildCursorFilter(sortOrder, values) {
+  const keys = Object.keys(sortOrder);
+  if (values.length !== keys.length) {
+    throw invalidCursor();
+  }
+
+  const branches = [];
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    const value = values[i];
+    const ascending = sortOrder[key] === 1;
+
+    let after;
+    if (value === null) {
+      // Nothing sorts below null; everything non-null sorts above it
+      after = ascending ? { [key]: { $ne: null } } : null;
+    } else if (ascending) {
+      after = { [key]: { $gt: value } };
+    } else {
+      // Descending: smaller values and null/missing come next
+      after = { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+    }
+
+    if (after) {
+      const equalities = keys.slice(0, i).map((k, j) => ({ [k]: values[j] }));
+      branches.push(equalities.length ? { $and: [...equalities, after] } : after);
+    }
+  }
+
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+}
+
+/**
+ * Trim a limit+1 result set to one page and compute next_cursor.
+ *
+ * @param {Array} rows - Rows fetched with limit + 1
+ * @param {number} limit - Page size
+ * @param {object} sortOrder - Sort spec used for the query
+ * @param {string} scope - Cursor scope
+ * @param {function} [getValue] - Reads a sort key from a row (defaults to dotted path lookup)
+ * @returns {{items: Array, nextCursor: string|null}}
+ */
+export function paginate(rows, limit, sortOrder, scope, getValue = getPath) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  let nextCursor = null;
+  if (hasMore && items.length > 0) {
+    const last = items[items.length - 1];
+    nextCursor = encodeCursor(Object.keys(sortOrder).map(key => getValue(last, key) ?? null), scope);
+  }
+
+  return { items, nextCursor };
+}
+
+/**
+ * Parse a page size from the query string.
+ */
+export function parseLimit(value, defaultLimit, maxLimit) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) return defaultLimit;
+  return Math.min(parsed, maxLimit);
+}
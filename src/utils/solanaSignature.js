@@ -1,7 +1,8 @@
 /**
  * Solana Signature Verification Utilities
  *
- * Ed25519 signature verification for OpenClaw wallet agent claims.
+ * Ed25519 signature verification for OpenClaw wallet agent claims and
+ * Sign-In With Solana.
  * Validates wallet ownership by verifying signed messages against
  * Solana public keys using tweetnacl.
  */
@@ -100,3 +101,49 @@ export function generateOptOutMessage(walletAddress, nonce, timestamp) {
     'Domain: klik.cool',
   ].join('\n');
 }
+
+/**
+ * Generate a Sign-In With Solana message (the EIP-4361 layout used by
+ * SIWS wallets), which the wallet owner signs to log in.
+ *
+ * @param {object} fields
+ * @param {string} fields.domain - Domain requesting the sign-in (e.g. klik.cool)
+ * @param {string} fields.address - The Solana wallet address
+ * @param {string} [fields.statement] - Human-readable line shown to the user
+ * @param {string} fields.uri - URI of the app
+ * @param {string} fields.chainId - Solana cluster (mainnet, devnet, ...)
+ * @param {string} fields.nonce - Alphanumeric nonce, at least 8 characters
+ * @param {string} fields.issuedAt - ISO-8601 timestamp
+ * @param {string} [fields.expirationTime] - ISO-8601 timestamp
+ * @returns {string} The formatted sign-in message
+ */
+export function generateSiwsMessage({
+  domain,
+  address,
+  statement,
+  uri,
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+}) {
+  const lines = [
+    `${domain} wants you to sign in with your Solana account:`,
+    address,
+    '',
+  ];
+  if (statement) {
+    lines.push(statement, '');
+  }
+  lines.push(
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+  );
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,175 @@
+/**
+ * Tests for src/services/stripeEvents.js
+ *
+ * Covers: dedupe of redelivered events, failed handlers retried with
+ * backoff until they give up, interrupted handlers picked up after the
+ * lease, admin replay, unhandled event types, and the trial ending /
+ * payment failed notifications
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  STRIPE_EVENT_HANDLERS,
+  recordStripeEvent,
+  processStripeEvent,
+  retryDueStripeEvents,
+  backoffMs,
+  MAX_ATTEMPTS,
+} from '../../src/services/stripeEvents.js';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+const later = (ms) => new Date(NOW.getTime() + ms);
+
+const stripeEvent = (id, type = 'checkout.session.completed') => ({
+  id,
+  type,
+  livemode: false,
+  created: Math.floor(NOW.getTime() / 1000),
+  data: { object: { id: 'cs_1' } },
+});
+
+function setup() {
+  const db = createFakeDb();
+  const calls = [];
+  let failures = 0;
+  const handlers = {
+    'checkout.session.completed': async (event) => {
+      calls.push(event.id);
+      if (failures > 0) {
+        failures--;
+        throw new Error('Mongo write failed');
+      }
+    },
+  };
+  const stored = (id) => db.docs('StripeEvent').find(e => e._id === id);
+  return { db, calls, handlers, stored, failNext: (n) => { failures = n; } };
+}
+
+describe('recordStripeEvent', () => {
+  test('stores an event once and counts redeliveries', async () => {
+    const { db, stored } = setup();
+    const event = stripeEvent('evt_1');
+
+    expect(await recordStripeEvent(db, event, { now: NOW })).toMatchObject({ duplicate: false });
+    const again = await recordStripeEvent(db, event, { now: later(1000) });
+    expect(again).toMatchObject({ duplicate: true, event: { _id: 'evt_1', status: 'pending', deliveries: 2 } });
+
+    expect(db.docs('StripeEvent')).toHaveLength(1);
+    expect(stored('evt_1')).toMatchObject({ type: 'checkout.session.completed', payload: event, attempts: 0 });
+  });
+});
+
+describe('processStripeEvent', () => {
+  test('handles an event once', async () => {
+    const { db, calls, handlers, stored } = setup();
+    await recordStripeEvent(db, stripeEvent('evt_1'), { now: NOW });
+
+    expect(await processStripeEvent(db, 'evt_1', { handlers, now: NOW })).toBe('processed');
+    expect(await processStripeEvent(db, 'evt_1', { handlers, now: NOW })).toBeNull();
+    expect(calls).toEqual(['evt_1']);
+    expect(stored('evt_1')).toMatchObject({ status: 'processed', attempts: 1, leaseOwner: null });
+  });
+
+  test('failed handlers are retried after backoff, then given up on', async () => {
+    const { db, calls, handlers, stored, failNext } = setup();
+    await recordStripeEvent(db, stripeEvent('evt_1'), { now: NOW });
+    failNext(1);
+
+    expect(await processStripeEvent(db, 'evt_1', { handlers, now: NOW })).toBe('failed');
+    expect(stored('evt_1')).toMatchObject({ status: 'failed', lastError: 'Mongo write failed', attempts: 1 });
+
+    // Not due yet
+    expect(await retryDueStripeEvents(db, { handlers, now: NOW })).toEqual({ processed: 0, failed: 0 });
+
+    const due = new Date(stored('evt_1').nextAttemptAt.getTime() + 1);
+    expect(await retryDueStripeEvents(db, { handlers, now: due })).toEqual({ processed: 1, failed: 0 });
+    expect(stored('evt_1')).toMatchObject({ status: 'processed', attempts: 2, lastError: null });
+    expect(calls).toEqual(['evt_1', 'evt_1']);
+
+    failNext(MAX_ATTEMPTS);
+    await recordStripeEvent(db, stripeEvent('evt_2'), { now: NOW });
+    let status;
+    for (let i = 1; i <= MAX_ATTEMPTS; i++) {
+      // Each attempt once the previous backoff has passed
+      status = await processStripeEvent(db, 'evt_2', { handlers, now: later(i * 24 * 3600 * 1000) });
+    }
+    expect(status).toBe('dead');
+    expect(await processStripeEvent(db, 'evt_2', { handlers, now: later(365 * 24 * 3600 * 1000) })).toBeNull();
+  });
+
+  test('an event left processing by a crashed worker is picked up after its lease', async () => {
+    const { db, calls, handlers, stored } = setup();
+    await recordStripeEvent(db, stripeEvent('evt_1'), { now: NOW });
+    Object.assign(stored('evt_1'), { status: 'processing', leaseOwner: 'crashed', nextAttemptAt: later(2 * 60 * 1000) });
+
+    expect(await processStripeEvent(db, 'evt_1', { handlers, now: later(60 * 1000) })).toBeNull();
+    expect(await processStripeEvent(db, 'evt_1', { handlers, now: later(3 * 60 * 1000) })).toBe('processed');
+    expect(calls).toEqual(['evt_1']);
+  });
+
+  test('replay runs the handler again whatever the status', async () => {
+    const { db, calls, handlers } = setup();
+    await recordStripeEvent(db, stripeEvent('evt_1'), { now: NOW });
+    await processStripeEvent(db, 'evt_1', { handlers, now: NOW });
+
+    expect(await processStripeEvent(db, 'evt_1', { handlers, now: NOW, force: true })).toBe('processed');
+    expect(calls).toEqual(['evt_1', 'evt_1']);
+  });
+
+  test('events without a handler are marked ignored', async () => {
+    const { db, handlers, stored } = setup();
+    await recordStripeEvent(db, stripeEvent('evt_1', 'charge.refunded'), { now: NOW });
+
+    expect(await processStripeEvent(db, 'evt_1', { handlers, now: NOW })).toBe('ignored');
+    expect(stored('evt_1').status).toBe('ignored');
+  });
+});
+
+test('backoff doubles up to six hours', () => {
+  expect(backoffMs(1)).toBe(60 * 1000);
+  expect(backoffMs(3)).toBe(4 * 60 * 1000);
+  expect(backoffMs(20)).toBe(6 * 60 * 60 * 1000);
+});
+
+describe('billing notifications', () => {
+  function fakeIo() {
+    const sent = [];
+    return { sent, to: (room) => ({ emit: (name, payload) => sent.push({ room, name, payload }) }) };
+  }
+
+  test('trial_will_end tells the subscriber when the trial ends', async () => {
+    const db = createFakeDb();
+    const user = { _id: new ObjectId(), stripeCustomerId: 'cus_1' };
+    db.docs('User').push(user);
+    const io = fakeIo();
+    const trialEnd = Math.floor(later(3 * 24 * 60 * 60 * 1000).getTime() / 1000);
+
+    await STRIPE_EVENT_HANDLERS['customer.subscription.trial_will_end'](
+      { data: { object: { id: 'sub_1', customer: 'cus_1', trial_end: trialEnd } } },
+      { db, io }
+    );
+    expect(io.sent).toEqual([{
+      room: `user:${user._id}`,
+      name: 'subscription:trial_ending',
+      payload: { subscriptionId: 'sub_1', trialEndsAt: new Date(trialEnd * 1000).toISOString() },
+    }]);
+  });
+
+  test('invoice.payment_failed starts the grace period and warns the subscriber', async () => {
+    const db = createFakeDb();
+    const user = { _id: new ObjectId(), stripeCustomerId: 'cus_1', subscriptionStatus: 'active', subscriptionGraceEndsAt: null };
+    db.docs('User').push(user);
+    const io = fakeIo();
+
+    await STRIPE_EVENT_HANDLERS['invoice.payment_failed']({ data: { object: { id: 'in_1', customer: 'cus_1' } } }, { db, io });
+
+    const stored = db.docs('User')[0];
+    expect(stored.subscriptionStatus).toBe('past_due');
+    expect(io.sent).toEqual([{
+      room: `user:${user._id}`,
+      name: 'subscription:payment_failed',
+      payload: { invoiceId: 'in_1', graceEndsAt: stored.subscriptionGraceEndsAt.toISOString() },
+    }]);
+  });
+});
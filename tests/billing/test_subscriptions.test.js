@@ -0,0 +1,172 @@
+/**
+ * Tests for src/services/subscriptions.js
+ *
+ * Covers: which agents a downgrade pauses, resuming on upgrade, trials,
+ * the past_due grace period, cancellation, and the requireSubscription gate
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  planAgentPauses,
+  syncSubscription,
+  startGracePeriod,
+  enforceExpiredGracePeriods,
+  toUserStatus,
+  GRACE_PERIOD_DAYS,
+} from '../../src/services/subscriptions.js';
+import { requireSubscription } from '../../src/middleware/userAuth.js';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-15T12:00:00Z');
+
+const stripeSub = (tier, status = 'active', extra = {}) => ({
+  id: 'sub_123',
+  customer: 'cus_123',
+  status,
+  metadata: { tier },
+  items: { data: [{ price: { id: `price_${tier}` }, current_period_end: 1775000000 }] },
+  ...extra,
+});
+
+function setup(userFields = {}) {
+  const db = createFakeDb();
+  const user = { _id: new ObjectId(), subscriptionStatus: 'active', subscriptionTier: 'pro', ...userFields };
+  db.docs('User').push(user);
+
+  const addAgent = (fields = {}) => {
+    const agent = { _id: new ObjectId(), name: `agent${db.docs('Agent').length}`, userId: user._id, status: 'ACTIVE', ...fields };
+    db.docs('Agent').push(agent);
+    return agent;
+  };
+  const agent = (id) => db.docs('Agent').find(a => a._id.equals(id));
+  const current = () => db.docs('User').find(u => u._id.equals(user._id));
+  return { db, user, addAgent, agent, current };
+}
+
+describe('planAgentPauses', () => {
+  test('keeps picked agents first, then the most recently active, then the oldest', () => {
+    const a = { _id: new ObjectId(), lastActiveAt: new Date('2026-03-01'), createdAt: new Date('2026-01-01') };
+    const b = { _id: new ObjectId(), lastActiveAt: new Date('2026-03-10'), createdAt: new Date('2026-01-02') };
+    const c = { _id: new ObjectId(), createdAt: new Date('2026-01-03') };
+    const d = { _id: new ObjectId(), createdAt: new Date('2025-12-01') };
+
+    expect(planAgentPauses([a, b, c, d], 2).keep).toEqual([b, a]);
+    expect(planAgentPauses([a, b, c, d], 2, [c._id.toString()]).keep).toEqual([c, b]);
+    expect(planAgentPauses([a, b, c, d], 3).pause).toEqual([c]);
+  });
+});
+
+describe('syncSubscription', () => {
+  test('a downgrade pauses agents over the limit; an upgrade resumes them', async () => {
+    const { db, user, addAgent, agent, current } = setup();
+    const busy = addAgent({ lastActiveAt: new Date('2026-03-14') });
+    const quiet = addAgent({ lastActiveAt: new Date('2026-03-01') });
+    const ownerPaused = addAgent({ status: 'PAUSED' });
+
+    const down = await syncSubscription(db, user._id, stripeSub('starter'), { now: NOW });
+    expect(down).toMatchObject({ status: 'active', entitledTier: 'starter', paused: 1, resumed: 0 });
+    expect(agent(busy._id).status).toBe('ACTIVE');
+    expect(agent(quiet._id)).toMatchObject({ status: 'PAUSED', pausedReason: 'subscription' });
+    expect(current()).toMatchObject({ subscriptionTier: 'starter', subscriptionId: 'sub_123' });
+
+    const up = await syncSubscription(db, user._id, stripeSub('pro'), { now: NOW });
+    expect(up).toMatchObject({ entitledTier: 'pro', paused: 0, resumed: 1 });
+    expect(agent(quiet._id).status).toBe('ACTIVE');
+    expect(agent(quiet._id).pausedReason).toBeUndefined();
+    // Agents the owner paused stay paused
+    expect(agent(ownerPaused._id).status).toBe('PAUSED');
+  });
+
+  test('trials grant the tier and are remembered', async () => {
+    const { db, user, addAgent, current } = setup({ subscriptionStatus: null, subscriptionTier: 'free' });
+    addAgent();
+
+    const trialEnd = Math.floor(NOW.getTime() / 1000) + 14 * 86400;
+    const result = await syncSubscription(db, user._id, stripeSub('starter', 'trialing', { trial_end: trialEnd }), { now: NOW });
+    expect(result).toMatchObject({ status: 'trialing', entitledTier: 'starter', paused: 0 });
+    expect(current()).toMatchObject({
+      subscriptionStatus: 'trialing',
+      trialEndsAt: new Date(trialEnd * 1000),
+      trialUsedAt: NOW,
+    });
+  });
+
+  test('cancellation drops to free; wallet claim users keep one agent', async () => {
+    const { db, user, addAgent, agent, current } = setup({ authMethod: 'wallet_claim' });
+    const kept = addAgent({ lastActiveAt: NOW });
+    const other = addAgent();
+
+    await syncSubscription(db, user._id, stripeSub('pro', 'canceled'), { now: NOW });
+    expect(current()).toMatchObject({ subscriptionStatus: 'canceled', subscriptionTier: 'free' });
+    expect(agent(kept._id).status).toBe('ACTIVE');
+    expect(agent(other._id).status).toBe('PAUSED');
+  });
+
+  test('maps Stripe statuses the User schema does not allow', () => {
+    expect(toUserStatus('unpaid')).toBe('canceled');
+    expect(toUserStatus('incomplete')).toBe('inactive');
+    expect(toUserStatus('trialing')).toBe('trialing');
+  });
+});
+
+describe('past_due grace period', () => {
+  test('agents keep running during the grace period and pause once it ends', async () => {
+    const { db, user, addAgent, agent, current } = setup();
+    const a = addAgent();
+
+    await startGracePeriod(db, user._id, { now: NOW });
+    const graceEndsAt = new Date(NOW.getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+    expect(current()).toMatchObject({ subscriptionStatus: 'past_due', subscriptionGraceEndsAt: graceEndsAt });
+
+    // Stripe's retries don't extend the grace period
+    const later = new Date(NOW.getTime() + DAY_MS);
+    await startGracePeriod(db, user._id, { now: later });
+    const synced = await syncSubscription(db, user._id, stripeSub('pro', 'past_due'), { now: later });
+    expect(synced.entitledTier).toBe('pro');
+    expect(current().subscriptionGraceEndsAt).toEqual(graceEndsAt);
+    expect(agent(a._id).status).toBe('ACTIVE');
+
+    expect(await enforceExpiredGracePeriods(db, { now: later })).toEqual({ users: 0, paused: 0 });
+
+    const expired = new Date(graceEndsAt.getTime() + 1000);
+    expect(await enforceExpiredGracePeriods(db, { now: expired })).toEqual({ users: 1, paused: 1 });
+    expect(current()).toMatchObject({ subscriptionStatus: 'past_due', subscriptionTier: 'free' });
+    expect(agent(a._id)).toMatchObject({ status: 'PAUSED', pausedReason: 'subscription' });
+    expect(await enforceExpiredGracePeriods(db, { now: expired })).toEqual({ users: 0, paused: 0 });
+
+    // Payment recovers: tier and agents come back, grace period cleared
+    const recovered = await syncSubscription(db, user._id, stripeSub('pro', 'active'), { now: expired });
+    expect(recovered).toMatchObject({ entitledTier: 'pro', resumed: 1 });
+    expect(current().subscriptionGraceEndsAt).toBeUndefined();
+    expect(agent(a._id).status).toBe('ACTIVE');
+  });
+});
+
+describe('requireSubscription', () => {
+  async function gate(user) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    let nexted = false;
+    await requireSubscription({ user }, res, () => { nexted = true; });
+    return { nexted, res };
+  }
+
+  test('lets past_due users through during the grace period only', async () => {
+    const inGrace = new Date(Date.now() + DAY_MS);
+    const expired = new Date(Date.now() - DAY_MS);
+
+    expect((await gate({ subscriptionStatus: 'active', subscriptionTier: 'pro' })).nexted).toBe(true);
+    expect((await gate({ subscriptionStatus: 'trialing', subscriptionTier: 'starter' })).nexted).toBe(true);
+    expect((await gate({ subscriptionStatus: 'past_due', subscriptionTier: 'pro', subscriptionGraceEndsAt: inGrace })).nexted).toBe(true);
+
+    const lapsed = await gate({ subscriptionStatus: 'past_due', subscriptionTier: 'pro', subscriptionGraceEndsAt: expired });
+    expect(lapsed.nexted).toBe(false);
+    expect(lapsed.res).toMatchObject({ statusCode: 403, body: { code: 'SUBSCRIPTION_REQUIRED', currentStatus: 'past_due' } });
+    expect((await gate({ subscriptionStatus: 'canceled', subscriptionTier: 'pro' })).nexted).toBe(false);
+  });
+});
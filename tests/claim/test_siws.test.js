@@ -0,0 +1,136 @@
+/**
+ * Tests for src/services/siws.js
+ *
+ * Covers: challenge stored per wallet, signature verification against the
+ * stored message, single-use nonces, expiry, and finding or creating the
+ * wallet's user
+ */
+
+import nacl from 'tweetnacl';
+import bs58 from 'bs58';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+import { createSiwsChallenge, verifySiwsSignIn } from '../../src/services/siws.js';
+
+function createFakeRedis() {
+  const store = new Map();
+  return {
+    isReady: true,
+    store,
+    async get(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+    async set(key, value) {
+      store.set(key, value);
+      return 'OK';
+    },
+    async del(key) {
+      return store.delete(key) ? 1 : 0;
+    },
+  };
+}
+
+function wallet() {
+  const keys = nacl.sign.keyPair();
+  return {
+    address: bs58.encode(keys.publicKey),
+    sign: (message) => bs58.encode(nacl.sign.detached(new TextEncoder().encode(message), keys.secretKey)),
+  };
+}
+
+const NOW = new Date('2026-03-01T00:00:00Z');
+
+describe('createSiwsChallenge', () => {
+  test('stores one challenge per wallet with the message to sign', async () => {
+    const redis = createFakeRedis();
+    const { address } = wallet();
+
+    const first = await createSiwsChallenge(redis, address, { now: NOW });
+    expect(first.message).toContain(`wants you to sign in with your Solana account:\n${address}`);
+    expect(first.message).toContain(`Nonce: ${first.nonce}`);
+    expect(first.expirationTime).toBe('2026-03-01T00:05:00.000Z');
+
+    const second = await createSiwsChallenge(redis, address, { now: NOW });
+    expect(JSON.parse(redis.store.get(`auth:siws:nonce:${address}`)).nonce).toBe(second.nonce);
+  });
+
+  test('needs Redis', async () => {
+    await expect(createSiwsChallenge(null, wallet().address)).rejects.toMatchObject({ code: 'CACHE_UNAVAILABLE', status: 503 });
+  });
+});
+
+describe('verifySiwsSignIn', () => {
+  test('creates the user on first sign-in and finds it afterwards', async () => {
+    const db = createFakeDb();
+    const redis = createFakeRedis();
+    const w = wallet();
+
+    const challenge = await createSiwsChallenge(redis, w.address, { now: NOW });
+    const first = await verifySiwsSignIn(db, redis, {
+      wallet: w.address, nonce: challenge.nonce, signature: w.sign(challenge.message),
+    }, { now: NOW });
+    expect(first.isNewUser).toBe(true);
+    expect(first.user).toMatchObject({ walletAddress: w.address, authMethod: 'siws', subscriptionTier: 'free' });
+
+    const again = await createSiwsChallenge(redis, w.address, { now: NOW });
+    const second = await verifySiwsSignIn(db, redis, {
+      wallet: w.address, nonce: again.nonce, signature: w.sign(again.message),
+    }, { now: NOW });
+    expect(second.isNewUser).toBe(false);
+    expect(second.user._id.equals(first.user._id)).toBe(true);
+    expect(await db.collection('User').countDocuments({ walletAddress: w.address })).toBe(1);
+  });
+
+  test('nonces are single use', async () => {
+    const db = createFakeDb();
+    const redis = createFakeRedis();
+    const w = wallet();
+    const challenge = await createSiwsChallenge(redis, w.address, { now: NOW });
+    const params = { wallet: w.address, nonce: challenge.nonce, signature: w.sign(challenge.message) };
+
+    await verifySiwsSignIn(db, redis, params, { now: NOW });
+    await expect(verifySiwsSignIn(db, redis, params, { now: NOW })).rejects.toMatchObject({ code: 'NONCE_EXPIRED' });
+  });
+
+  test('rejects other wallets, other messages, wrong nonces and expired challenges', async () => {
+    const db = createFakeDb();
+    const redis = createFakeRedis();
+    const w = wallet();
+    const challenge = await createSiwsChallenge(redis, w.address, { now: NOW });
+
+    await expect(verifySiwsSignIn(db, redis, {
+      wallet: w.address, nonce: challenge.nonce, signature: wallet().sign(challenge.message),
+    }, { now: NOW })).rejects.toMatchObject({ code: 'INVALID_SIGNATURE', status: 403 });
+
+    await expect(verifySiwsSignIn(db, redis, {
+      wallet: w.address, nonce: challenge.nonce, signature: w.sign(`${challenge.message}\nResources:`),
+    }, { now: NOW })).rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+
+    await expect(verifySiwsSignIn(db, redis, {
+      wallet: w.address, nonce: 'other', signature: w.sign(challenge.message),
+    }, { now: NOW })).rejects.toMatchObject({ code: 'NONCE_MISMATCH', status: 400 });
+
+    await expect(verifySiwsSignIn(db, redis, {
+      wallet: w.address, nonce: challenge.nonce, signature: w.sign(challenge.message),
+    }, { now: new Date(challenge.expirationTime) })).rejects.toMatchObject({ code: 'NONCE_EXPIRED' });
+
+    // Failures leave the challenge usable
+    const ok = await verifySiwsSignIn(db, redis, {
+      wallet: w.address, nonce: challenge.nonce, signature: w.sign(challenge.message),
+    }, { now: NOW });
+    expect(ok.isNewUser).toBe(true);
+  });
+
+  test('a deleted account is not signed back in', async () => {
+    const db = createFakeDb();
+    const redis = createFakeRedis();
+    const w = wallet();
+    await db.collection('User').insertOne({ walletAddress: w.address, status: 'DELETED' });
+
+    const challenge = await createSiwsChallenge(redis, w.address, { now: NOW });
+    const { user, isNewUser } = await verifySiwsSignIn(db, redis, {
+      wallet: w.address, nonce: challenge.nonce, signature: w.sign(challenge.message),
+    }, { now: NOW });
+    expect(isNewUser).toBe(true);
+    expect(user.status).toBeUndefined();
+  });
+});
@@ -1,13 +1,15 @@
 /**
  * Tests for src/utils/solanaSignature.js
  *
- * Covers: isValidSolanaAddress, generateClaimMessage, generateOptOutMessage
+ * Covers: isValidSolanaAddress, generateClaimMessage, generateOptOutMessage,
+ * generateSiwsMessage
  */
 
 import {
   isValidSolanaAddress,
   generateClaimMessage,
   generateOptOutMessage,
+  generateSiwsMessage,
 } from '../../src/utils/solanaSignature.js';
 
 // ---------------------------------------------------------------------------
@@ -154,3 +156,47 @@ describe('generateOptOutMessage', () => {
     expect(msg).toContain(`Timestamp: ${timestamp}`);
   });
 });
+
+// ---------------------------------------------------------------------------
+// generateSiwsMessage
+// ---------------------------------------------------------------------------
+
+describe('generateSiwsMessage', () => {
+  const fields = {
+    domain: 'klik.cool',
+    address: 'GaTjJs756Urcsjs7ia8HYm3eiBNbBAHFAS7fLsSNVxus',
+    statement: 'Sign in to KLIK',
+    uri: 'https://klik.cool',
+    chainId: 'mainnet',
+    nonce: 'a1b2c3d4e5f6',
+    issuedAt: '2026-03-01T00:00:00.000Z',
+    expirationTime: '2026-03-01T00:05:00.000Z',
+  };
+
+  test('follows the SIWS layout', () => {
+    expect(generateSiwsMessage(fields)).toBe([
+      'klik.cool wants you to sign in with your Solana account:',
+      'GaTjJs756Urcsjs7ia8HYm3eiBNbBAHFAS7fLsSNVxus',
+      '',
+      'Sign in to KLIK',
+      '',
+      'URI: https://klik.cool',
+      'Version: 1',
+      'Chain ID: mainnet',
+      'Nonce: a1b2c3d4e5f6',
+      'Issued At: 2026-03-01T00:00:00.000Z',
+      'Expiration Time: 2026-03-01T00:05:00.000Z',
+    ].join('\n'));
+  });
+
+  test('omits the statement and expiry when not given', () => {
+    const msg = generateSiwsMessage({ ...fields, statement: undefined, expirationTime: undefined });
+    expect(msg.split('\n').slice(0, 4)).toEqual([
+      'klik.cool wants you to sign in with your Solana account:',
+      fields.address,
+      '',
+      'URI: https://klik.cool',
+    ]);
+    expect(msg).not.toContain('Expiration Time');
+  });
+});
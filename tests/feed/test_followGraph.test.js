@@ -0,0 +1,121 @@
+/**
+ * Tests for src/services/followGraph.js
+ *
+ * Covers: follow/unfollow idempotency, follower/following counters, edges
+ * and counters committing together, self-follows, following ids for the
+ * following feed, and listing followers/following
+ *
+ * Uses the in-memory MongoDB stand-in from tests/helpers.
+ */
+
+import { ObjectId } from 'mongodb';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+import {
+  follow,
+  unfollow,
+  isFollowing,
+  getFollowingIds,
+  listFollows,
+} from '../../src/services/followGraph.js';
+
+const EDGE_KEY = ['followerType', 'followerId', 'followeeType', 'followeeId'];
+
+function setup() {
+  const db = createFakeDb({ unique: { Follow: [EDGE_KEY] } });
+  const alice = { _id: new ObjectId(), name: 'alice', displayName: 'Alice', followerCount: 0, followingCount: 0 };
+  const bob = { _id: new ObjectId(), name: 'bob', followerCount: 0, followingCount: 0 };
+  const user = { _id: new ObjectId(), email: 'carol@klik.cool', followerCount: 0, followingCount: 0 };
+  db.docs('Agent').push(alice, bob);
+  db.docs('User').push(user);
+  return {
+    db,
+    alice: { type: 'AGENT', id: alice._id },
+    bob: { type: 'AGENT', id: bob._id },
+    carol: { type: 'USER', id: user._id },
+  };
+}
+
+const counts = (db, account) => {
+  const doc = db.docs(account.type === 'AGENT' ? 'Agent' : 'User').find(d => d._id.equals(account.id));
+  return { followers: doc.followerCount, following: doc.followingCount };
+};
+
+describe('follow / unfollow', () => {
+  test('are idempotent and move both counters once', async () => {
+    const { db, alice, carol } = setup();
+
+    expect(await follow(db, carol, alice)).toEqual({ followed: true, alreadyFollowing: false });
+    expect(await follow(db, carol, alice)).toEqual({ followed: false, alreadyFollowing: true });
+    expect(db.docs('Follow')).toHaveLength(1);
+    expect(counts(db, alice)).toEqual({ followers: 1, following: 0 });
+    expect(counts(db, carol)).toEqual({ followers: 0, following: 1 });
+    expect(await isFollowing(db, carol, alice)).toBe(true);
+
+    expect(await unfollow(db, carol, alice)).toEqual({ unfollowed: true });
+    expect(await unfollow(db, carol, alice)).toEqual({ unfollowed: false });
+    expect(db.docs('Follow')).toHaveLength(0);
+    expect(counts(db, alice)).toEqual({ followers: 0, following: 0 });
+    expect(counts(db, carol)).toEqual({ followers: 0, following: 0 });
+  });
+
+  test('never decrement counters below zero', async () => {
+    const { db, alice, bob } = setup();
+    await follow(db, alice, bob);
+    db.docs('Agent').find(a => a._id.equals(bob.id)).followerCount = 0;
+
+    await unfollow(db, alice, bob);
+    expect(counts(db, bob).followers).toBe(0);
+    expect(counts(db, alice).following).toBe(0);
+  });
+
+  test('roll back the edge when a counter update fails', async () => {
+    const { db, alice, carol } = setup();
+    const failing = {
+      ...db,
+      collection: (name) => (name === 'User'
+        ? { ...db.collection(name), updateOne: async () => { throw new Error('write failed'); } }
+        : db.collection(name)),
+    };
+
+    await expect(follow(failing, carol, alice)).rejects.toThrow('write failed');
+    expect(db.docs('Follow')).toHaveLength(0);
+    expect(counts(db, alice).followers).toBe(0);
+  });
+
+  test('reject following yourself', async () => {
+    const { db, alice } = setup();
+    await expect(follow(db, alice, { type: 'AGENT', id: new ObjectId(alice.id.toString()) }))
+      .rejects.toMatchObject({ code: 'SELF_FOLLOW' });
+  });
+});
+
+describe('following graph reads', () => {
+  test('getFollowingIds groups followed agents and users', async () => {
+    const { db, alice, bob, carol } = setup();
+    await follow(db, alice, bob);
+    await follow(db, alice, carol);
+
+    const { agentIds, userIds } = await getFollowingIds(db, alice);
+    expect(agentIds.map(String)).toEqual([bob.id.toString()]);
+    expect(userIds.map(String)).toEqual([carol.id.toString()]);
+  });
+
+  test('listFollows resolves profiles on both sides, newest first', async () => {
+    const { db, alice, bob, carol } = setup();
+    await follow(db, carol, alice);
+    await follow(db, bob, alice);
+    db.docs('Follow')[0].createdAt = new Date(Date.now() - 60_000);
+
+    const followers = await listFollows(db, alice, 'followers');
+    expect(followers.total).toBe(2);
+    expect(followers.accounts.map(a => [a.type, a.name])).toEqual([['AGENT', 'bob'], ['USER', 'carol']]);
+
+    const page = await listFollows(db, alice, 'followers', { limit: 1, skip: 1 });
+    expect(page.accounts.map(a => a.name)).toEqual(['carol']);
+
+    const following = await listFollows(db, carol, 'following');
+    expect(following.accounts).toEqual([
+      expect.objectContaining({ type: 'AGENT', id: alice.id.toString(), display_name: 'Alice', follower_count: 2 }),
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for src/services/ranking.js
+ *
+ * Covers: engagementPoints, computeHotScore (decay, tips, velocity),
+ * topWindowStart (pure functions, no DB)
+ */
+
+import {
+  engagementPoints,
+  computeHotScore,
+  topWindowStart,
+} from '../../src/services/ranking.js';
+
+const CONFIG = {
+  voteWeight: 1,
+  tipWeight: 0.5,
+  commentWeight: 1,
+  velocityWeight: 2,
+  velocityWindowHours: 6,
+  decayHours: 12,
+};
+
+const HOUR = 60 * 60 * 1000;
+const base = new Date('2026-03-01T12:00:00Z');
+
+// ---------------------------------------------------------------------------
+// engagementPoints
+// ---------------------------------------------------------------------------
+
+describe('engagementPoints', () => {
+  test('combines net votes, tips, comments and velocity', () => {
+    const post = { upvotes: 10, downvotes: 2, tipAmount: 20, commentCount: 3 };
+    // 8 + 10 + 3 + 2*4
+    expect(engagementPoints(post, 4, CONFIG)).toBe(29);
+  });
+
+  test('treats missing fields as zero', () => {
+    expect(engagementPoints({}, 0, CONFIG)).toBe(0);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// computeHotScore
+// ---------------------------------------------------------------------------
+
+describe('computeHotScore', () => {
+  test('a newer post with equal engagement ranks higher', () => {
+    const older = { upvotes: 5, createdAt: base };
+    const newer = { upvotes: 5, createdAt: new Date(base.getTime() + HOUR) };
+    expect(computeHotScore(newer, 0, CONFIG)).toBeGreaterThan(computeHotScore(older, 0, CONFIG));
+  });
+
+  test('10x engagement offsets exactly one decay period', () => {
+    const older = { upvotes: 100, createdAt: base };
+    const newer = { upvotes: 10, createdAt: new Date(base.getTime() + 12 * HOUR) };
+    expect(computeHotScore(older, 0, CONFIG)).toBeCloseTo(computeHotScore(newer, 0, CONFIG), 5);
+  });
+
+  test('early upvotes do not keep a post on top forever', () => {
+    const earlyHit = { upvotes: 50, createdAt: base };
+    const dayLater = { upvotes: 5, createdAt: new Date(base.getTime() + 36 * HOUR) };
+    expect(computeHotScore(dayLater, 0, CONFIG)).toBeGreaterThan(computeHotScore(earlyHit, 0, CONFIG));
+  });
+
+  test('tips and comment velocity raise the score', () => {
+    const plain = { upvotes: 2, createdAt: base };
+    const tipped = { ...plain, tipAmount: 40 };
+    expect(computeHotScore(tipped, 0, CONFIG)).toBeGreaterThan(computeHotScore(plain, 0, CONFIG));
+    expect(computeHotScore(plain, 5, CONFIG)).toBeGreaterThan(computeHotScore(plain, 0, CONFIG));
+  });
+
+  test('net-negative posts score below neutral posts of the same age', () => {
+    const neutral = { createdAt: base };
+    const buried = { downvotes: 20, createdAt: base };
+    expect(computeHotScore(buried, 0, CONFIG)).toBeLessThan(computeHotScore(neutral, 0, CONFIG));
+  });
+
+  test('a shorter decay favours recency more strongly', () => {
+    const fast = { ...CONFIG, decayHours: 1 };
+    const older = { upvotes: 100, createdAt: base };
+    const newer = { upvotes: 10, createdAt: new Date(base.getTime() + 2 * HOUR) };
+    expect(computeHotScore(older, 0, CONFIG)).toBeGreaterThan(computeHotScore(newer, 0, CONFIG));
+    expect(computeHotScore(newer, 0, fast)).toBeGreaterThan(computeHotScore(older, 0, fast));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// topWindowStart
+// ---------------------------------------------------------------------------
+
+describe('topWindowStart', () => {
+  test('returns the start of day/week/month windows', () => {
+    expect(topWindowStart('day', base).getTime()).toBe(base.getTime() - 24 * HOUR);
+    expect(topWindowStart('week', base).getTime()).toBe(base.getTime() - 7 * 24 * HOUR);
+    expect(topWindowStart('month', base).getTime()).toBe(base.getTime() - 30 * 24 * HOUR);
+  });
+
+  test('returns null for all time or unknown windows', () => {
+    expect(topWindowStart('all', base)).toBeNull();
+    expect(topWindowStart('decade', base)).toBeNull();
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests for src/services/submolts.js
+ *
+ * Covers: creating a submolt together with its owner, join/leave and
+ * memberCount, role checks, bans (rank rules, membership removal, no
+ * rejoining) and moderator post removal
+ *
+ * Uses the in-memory MongoDB stand-in from tests/helpers.
+ */
+
+import { ObjectId } from 'mongodb';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+import {
+  createSubmolt,
+  addMember,
+  removeMember,
+  getMembership,
+  hasRole,
+  outranks,
+  banMember,
+  unbanMember,
+  isBanned,
+  removePost,
+} from '../../src/services/submolts.js';
+
+const MEMBER_KEY = ['submoltId', 'memberType', 'memberId'];
+
+const agent = (name) => ({ type: 'AGENT', id: new ObjectId(), name });
+const user = (name) => ({ type: 'USER', id: new ObjectId(), name });
+
+function setup() {
+  return createFakeDb({
+    unique: { Submolt: ['slug'], SubmoltMember: [MEMBER_KEY], SubmoltBan: [MEMBER_KEY] },
+  });
+}
+
+async function withSubmolt() {
+  const db = setup();
+  const owner = agent('founder');
+  const submolt = await createSubmolt(db, { slug: 'memes', name: 'Memes', postCount: 0, createdAt: new Date() }, owner);
+  const submoltDoc = () => db.docs('Submolt').find(s => s._id.equals(submolt._id));
+  return { db, owner, submolt, submoltDoc };
+}
+
+describe('createSubmolt', () => {
+  test('stores the submolt with its owner as the first member', async () => {
+    const { db, owner, submolt, submoltDoc } = await withSubmolt();
+
+    expect(submolt.memberCount).toBe(1);
+    expect(submoltDoc().memberCount).toBe(1);
+    expect((await getMembership(db, submolt._id, owner)).role).toBe('owner');
+  });
+
+  test('rejects a taken slug without leaving a member behind', async () => {
+    const { db } = await withSubmolt();
+
+    await expect(createSubmolt(db, { slug: 'memes', name: 'Again' }, agent('copycat')))
+      .rejects.toMatchObject({ code: 11000 });
+    expect(db.docs('Submolt')).toHaveLength(1);
+    expect(db.docs('SubmoltMember')).toHaveLength(1);
+  });
+
+  test('leaves no ownerless submolt when the owner membership fails', async () => {
+    const db = setup();
+    const failing = {
+      ...db,
+      collection: (name) => (name === 'SubmoltMember'
+        ? { ...db.collection(name), insertOne: async () => { throw new Error('write failed'); } }
+        : db.collection(name)),
+    };
+
+    await expect(createSubmolt(failing, { slug: 'lost', name: 'Lost' }, agent('founder'))).rejects.toThrow('write failed');
+    expect(db.docs('Submolt')).toHaveLength(0);
+  });
+});
+
+describe('membership', () => {
+  test('join and leave are idempotent and keep memberCount in step', async () => {
+    const { db, submolt, submoltDoc } = await withSubmolt();
+    const carol = user('carol');
+
+    expect(await addMember(db, submolt._id, carol)).toBe(true);
+    expect(await addMember(db, submolt._id, carol)).toBe(false);
+    expect(submoltDoc().memberCount).toBe(2);
+    expect((await getMembership(db, submolt._id, carol)).role).toBe('member');
+
+    expect(await removeMember(db, submolt._id, carol)).toBe(true);
+    expect(await removeMember(db, submolt._id, carol)).toBe(false);
+    expect(submoltDoc().memberCount).toBe(1);
+  });
+
+  test('role checks rank owner above moderator above member', () => {
+    expect(hasRole('owner', 'moderator')).toBe(true);
+    expect(hasRole('moderator', 'moderator')).toBe(true);
+    expect(hasRole('member', 'moderator')).toBe(false);
+    expect(hasRole(undefined, 'member')).toBe(false);
+
+    expect(outranks('owner', 'moderator')).toBe(true);
+    expect(outranks('moderator', 'moderator')).toBe(false);
+    expect(outranks('moderator', undefined)).toBe(true);
+  });
+});
+
+describe('moderation', () => {
+  async function withModerator() {
+    const context = await withSubmolt();
+    const mod = agent('mod');
+    await addMember(context.db, context.submolt._id, mod, 'moderator');
+    return { ...context, mod };
+  }
+
+  test('a ban removes the membership and blocks rejoining until lifted', async () => {
+    const { db, submolt, submoltDoc, mod } = await withModerator();
+    const spammer = agent('spammer');
+    await addMember(db, submolt._id, spammer);
+    expect(submoltDoc().memberCount).toBe(3);
+
+    const result = await banMember(db, submolt._id, { principal: mod, role: 'moderator' }, spammer, { reason: 'spam' });
+    expect(result).toEqual({ alreadyBanned: false, wasMember: true });
+    expect(await getMembership(db, submolt._id, spammer)).toBeNull();
+    expect(submoltDoc().memberCount).toBe(2);
+    expect(db.docs('SubmoltBan')[0]).toMatchObject({ reason: 'spam', bannedBy: { type: 'AGENT', name: 'mod' } });
+
+    expect(await banMember(db, submolt._id, { principal: mod, role: 'moderator' }, spammer))
+      .toEqual({ alreadyBanned: true, wasMember: false });
+    await expect(addMember(db, submolt._id, spammer)).rejects.toMatchObject({ code: 'SUBMOLT_BANNED', status: 403 });
+
+    expect(await unbanMember(db, submolt._id, spammer)).toBe(true);
+    expect(await isBanned(db, submolt._id, spammer)).toBe(false);
+    expect(await addMember(db, submolt._id, spammer)).toBe(true);
+  });
+
+  test('moderators can only ban accounts ranked below them', async () => {
+    const { db, owner, submolt, mod } = await withModerator();
+    const otherMod = agent('other-mod');
+    await addMember(db, submolt._id, otherMod, 'moderator');
+
+    await expect(banMember(db, submolt._id, { principal: mod, role: 'moderator' }, otherMod))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_ROLE', status: 403 });
+    await expect(banMember(db, submolt._id, { principal: mod, role: 'moderator' }, owner))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_ROLE' });
+    await expect(banMember(db, submolt._id, { principal: mod, role: 'moderator' }, mod))
+      .rejects.toMatchObject({ code: 'SELF_BAN' });
+
+    const result = await banMember(db, submolt._id, { principal: owner, role: 'owner' }, otherMod);
+    expect(result.wasMember).toBe(true);
+  });
+
+  test('removing a post soft-deletes it once and decrements postCount', async () => {
+    const { db, submolt, submoltDoc, mod } = await withModerator();
+    const post = { _id: new ObjectId(), submoltId: submolt._id, content: 'buy now', isDeleted: false };
+    const elsewhere = { _id: new ObjectId(), submoltId: new ObjectId(), content: 'hi', isDeleted: false };
+    db.docs('Post').push(post, elsewhere);
+    submoltDoc().postCount = 1;
+
+    const removed = await removePost(db, submolt._id, post._id, { removedBy: mod, reason: 'spam' });
+    expect(removed).toMatchObject({ isDeleted: true, removalReason: 'spam', removedBy: { type: 'AGENT', name: 'mod' } });
+    expect(submoltDoc().postCount).toBe(0);
+
+    expect(await removePost(db, submolt._id, post._id, { removedBy: mod })).toBeNull();
+    expect(await removePost(db, submolt._id, elsewhere._id, { removedBy: mod })).toBeNull();
+    expect(db.docs('Post')[1].isDeleted).toBe(false);
+  });
+});
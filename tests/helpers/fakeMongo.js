@@ -0,0 +1,222 @@
+/**
+ * In-memory stand-in for the parts of the MongoDB driver the wallet and
+ * follow-graph services use: filters with $gt/$gte/$lt/$in/$ne/$exists/$or,
+ * $set/$inc updates, unique (and compound unique) keys, $sum totals, and
+ * sessions whose withTransaction snapshots state and restores it when the
+ * callback throws.
+ */
+
+import { ObjectId } from 'mongodb';
+
+const getPath = (doc, path) => path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), doc);
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((o, k) => (o[k] = o[k] || {}), doc);
+  target[last] = value;
+};
+
+const same = (a, b) => (a instanceof ObjectId ? a.equals?.(b) ?? false : b instanceof ObjectId ? b.equals(a) : a === b);
+
+const OPERATORS = {
+  $gt: (value, arg) => value != null && value > arg,
+  $gte: (value, arg) => (value ?? -Infinity) >= arg,
+  $lt: (value, arg) => value != null && value < arg,
+  $lte: (value, arg) => value != null && value <= arg,
+  $in: (value, arg) => arg.some(c => same(value, c)),
+  $ne: (value, arg) => (arg === null ? value != null : !same(value, arg)),
+  $exists: (value, arg) => (value !== undefined) === arg,
+};
+
+export function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some(f => matches(doc, f));
+    const value = getPath(doc, key);
+    if (cond instanceof ObjectId) return value instanceof ObjectId && value.equals(cond);
+    if (cond === null) return value == null;
+    if (cond && typeof cond === 'object' && !(cond instanceof Date) && Object.keys(cond).some(k => k in OPERATORS)) {
+      return Object.entries(cond).every(([op, arg]) => OPERATORS[op](value, arg));
+    }
+    return same(value, cond);
+  });
+}
+
+function applyUpdate(doc, update) {
+  for (const [path, inc] of Object.entries(update.$inc || {})) {
+    setPath(doc, path, (getPath(doc, path) || 0) + inc);
+  }
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    setPath(doc, path, value);
+  }
+  for (const path of Object.keys(update.$unset || {})) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((o, k) => (o == null ? undefined : o[k]), doc);
+    if (target) delete target[last];
+  }
+}
+
+// structuredClone would strip ObjectId prototypes
+const clone = (value) => {
+  if (value instanceof ObjectId || value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+};
+
+function duplicateKeyError(name, field) {
+  const err = new Error(`E11000 duplicate key error collection: ${name} index: ${field}`);
+  err.code = 11000;
+  return err;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.unique] - { CollectionName: ['field', ['compound', 'key'], ...] }
+ */
+export function createFakeDb({ unique = {} } = {}) {
+  const uniqueFields = { LedgerTransaction: ['reference'], ...unique };
+  let state = {};
+
+  const collection = (name) => {
+    const docs = () => (state[name] = state[name] || []);
+
+    const cursor = (filter = {}) => {
+      let results = docs().filter(d => matches(d, filter));
+      const api = {
+        sort(spec) {
+          results = [...results].sort((a, b) => {
+            for (const [field, dir] of Object.entries(spec)) {
+              const [x, y] = [getPath(a, field), getPath(b, field)];
+              if (x > y) return dir;
+              if (x < y) return -dir;
+            }
+            return 0;
+          });
+          return api;
+        },
+        skip(n) {
+          results = results.slice(n);
+          return api;
+        },
+        limit(n) {
+          results = results.slice(0, n);
+          return api;
+        },
+        project() {
+          return api;
+        },
+        async toArray() {
+          return results.map(d => ({ ...d }));
+        },
+        async *[Symbol.asyncIterator]() {
+          yield* results.map(d => ({ ...d }));
+        },
+      };
+      return api;
+    };
+
+    return {
+      async findOne(filter) {
+        const doc = docs().find(d => matches(d, filter));
+        return doc ? { ...doc } : null;
+      },
+      find: cursor,
+      async findOneAndUpdate(filter, update, options = {}) {
+        const doc = docs().find(d => matches(d, filter));
+        if (!doc) return null;
+        const before = { ...doc };
+        applyUpdate(doc, update);
+        return options.returnDocument === 'before' ? before : { ...doc };
+      },
+      async updateOne(filter, update, options = {}) {
+        let doc = docs().find(d => matches(d, filter));
+        if (!doc && options.upsert) {
+          doc = { _id: new ObjectId(), ...filter };
+          docs().push(doc);
+          applyUpdate(doc, update);
+          return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+        }
+        if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+        applyUpdate(doc, update);
+        return { matchedCount: 1, modifiedCount: 1 };
+      },
+      async updateMany(filter, update) {
+        const hits = docs().filter(d => matches(d, filter));
+        hits.forEach(d => applyUpdate(d, update));
+        return { matchedCount: hits.length, modifiedCount: hits.length };
+      },
+      async insertOne(doc) {
+        for (const key of uniqueFields[name] || []) {
+          const fields = [].concat(key);
+          const values = fields.map(field => getPath(doc, field));
+          if (values.every(v => v != null) && docs().some(d => fields.every((field, i) => same(getPath(d, field), values[i])))) {
+            throw duplicateKeyError(name, fields.join('_'));
+          }
+        }
+        if (doc._id && docs().some(d => same(d._id, doc._id))) {
+          throw duplicateKeyError(name, '_id');
+        }
+        const stored = { _id: new ObjectId(), ...doc };
+        docs().push(stored);
+        return { insertedId: stored._id };
+      },
+      async insertMany(many) {
+        for (const doc of many) await this.insertOne(doc);
+      },
+      async deleteOne(filter) {
+        const i = docs().findIndex(d => matches(d, filter));
+        if (i >= 0) docs().splice(i, 1);
+        return { deletedCount: i >= 0 ? 1 : 0 };
+      },
+      async countDocuments(filter = {}) {
+        return docs().filter(d => matches(d, filter)).length;
+      },
+      aggregate(pipeline = []) {
+        // [$match?, $group { _id: null, field: { $sum: '$field' } }] totals
+        const group = pipeline.find(stage => stage.$group)?.$group;
+        if (group && group._id === null) {
+          const rows = docs().filter(d => matches(d, pipeline.find(stage => stage.$match)?.$match || {}));
+          const row = { _id: null };
+          for (const [field, { $sum }] of Object.entries(group).filter(([key]) => key !== '_id')) {
+            row[field] = rows.reduce((sum, d) => sum + (getPath(d, $sum.slice(1)) || 0), 0);
+          }
+          return { toArray: async () => (rows.length ? [row] : []) };
+        }
+
+        // Otherwise the ledger reconcile $group-by-account pipeline
+        const totals = new Map();
+        for (const e of docs()) {
+          const key = `${e.accountType}:${e.accountId}`;
+          const row = totals.get(key) || { _id: { type: e.accountType, id: e.accountId }, total: 0 };
+          row.total += e.amount;
+          totals.set(key, row);
+        }
+        return { toArray: async () => [...totals.values()] };
+      },
+    };
+  };
+
+  return {
+    collection,
+    client: {
+      startSession() {
+        return {
+          async withTransaction(fn) {
+            const snapshot = clone(state);
+            try {
+              await fn();
+            } catch (err) {
+              state = snapshot;
+              throw err;
+            }
+          },
+          async endSession() {},
+        };
+      },
+    },
+    docs: (name) => (state[name] = state[name] || []),
+  };
+}
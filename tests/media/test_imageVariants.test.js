@@ -0,0 +1,140 @@
+/**
+ * Tests for src/services/imageVariants.js
+ *
+ * Covers: parseVariant, etagMatches, withVariant, getImageVariant resizing
+ * and on-disk caching
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import {
+  parseVariant,
+  variantEtag,
+  etagMatches,
+  withVariant,
+  getImageVariant,
+  setVariantCache,
+  IMAGE_VARIANTS,
+} from '../../src/services/imageVariants.js';
+import { createLocalDriver } from '../../src/services/storage/localDriver.js';
+
+// ---------------------------------------------------------------------------
+// parseVariant
+// ---------------------------------------------------------------------------
+
+describe('parseVariant', () => {
+  test('defaults to full', () => {
+    expect(parseVariant(undefined)).toBe('full');
+    expect(parseVariant('')).toBe('full');
+  });
+
+  test('accepts known variants', () => {
+    expect(parseVariant('thumb')).toBe('thumb');
+    expect(parseVariant('feed')).toBe('feed');
+  });
+
+  test('rejects unknown variants', () => {
+    expect(() => parseVariant('huge')).toThrow(expect.objectContaining({ code: 'INVALID_VARIANT', status: 400 }));
+    expect(() => parseVariant('constructor')).toThrow(expect.objectContaining({ code: 'INVALID_VARIANT' }));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// ETags
+// ---------------------------------------------------------------------------
+
+describe('etagMatches', () => {
+  const etag = variantEtag('abc', 'thumb');
+
+  test('variant etags differ from the original', () => {
+    expect(etag).toBe('"abc-thumb"');
+    expect(variantEtag('abc')).toBe('"abc"');
+  });
+
+  test('matches exact, listed, weak and wildcard validators', () => {
+    expect(etagMatches('"abc-thumb"', etag)).toBe(true);
+    expect(etagMatches('"zzz", "abc-thumb"', etag)).toBe(true);
+    expect(etagMatches('W/"abc-thumb"', etag)).toBe(true);
+    expect(etagMatches('*', etag)).toBe(true);
+  });
+
+  test('does not match other validators', () => {
+    expect(etagMatches(undefined, etag)).toBe(false);
+    expect(etagMatches('"abc"', etag)).toBe(false);
+  });
+});
+
+describe('withVariant', () => {
+  test('appends the variant unless full', () => {
+    expect(withVariant('/api/v1/media/1', 'thumb')).toBe('/api/v1/media/1?variant=thumb');
+    expect(withVariant('/api/v1/media/1?x=1', 'feed')).toBe('/api/v1/media/1?x=1&variant=feed');
+    expect(withVariant('/api/v1/media/1', 'full')).toBe('/api/v1/media/1');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// getImageVariant
+// ---------------------------------------------------------------------------
+
+describe('getImageVariant', () => {
+  let rootDir;
+  let original;
+
+  beforeAll(async () => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'klik-variants-'));
+    setVariantCache(createLocalDriver({ rootDir }));
+    original = await sharp({
+      create: { width: 1600, height: 900, channels: 3, background: { r: 200, g: 40, b: 40 } },
+    }).png().toBuffer();
+  });
+
+  afterAll(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  test('resizes to the variant bounding box as webp', async () => {
+    const { buffer, mime } = await getImageVariant(
+      { sha256: 'a'.repeat(64), loadOriginal: async () => original },
+      'thumb'
+    );
+    const meta = await sharp(buffer).metadata();
+
+    expect(mime).toBe('image/webp');
+    expect(meta.format).toBe('webp');
+    expect(meta.width).toBe(IMAGE_VARIANTS.thumb.size);
+    expect(meta.height).toBe(90);
+    expect(buffer.length).toBeLessThan(original.length);
+  });
+
+  test('renders once and serves later requests from the disk cache', async () => {
+    let loads = 0;
+    const source = {
+      sha256: 'b'.repeat(64),
+      loadOriginal: async () => {
+        loads++;
+        return original;
+      },
+    };
+
+    const [first, second] = await Promise.all([
+      getImageVariant(source, 'feed'),
+      getImageVariant(source, 'feed'),
+    ]);
+    const third = await getImageVariant(source, 'feed');
+
+    expect(loads).toBe(1);
+    expect(second.buffer.equals(first.buffer)).toBe(true);
+    expect(third.buffer.equals(first.buffer)).toBe(true);
+    expect(fs.existsSync(path.join(rootDir, 'bb', 'b'.repeat(64), 'feed.webp'))).toBe(true);
+  });
+
+  test('never enlarges small images', async () => {
+    const small = await sharp({
+      create: { width: 40, height: 40, channels: 3, background: { r: 0, g: 0, b: 0 } },
+    }).png().toBuffer();
+    const { buffer } = await getImageVariant({ sha256: 'c'.repeat(64), loadOriginal: async () => small }, 'feed');
+    expect((await sharp(buffer).metadata()).width).toBe(40);
+  });
+});
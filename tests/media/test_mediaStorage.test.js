@@ -0,0 +1,177 @@
+/**
+ * Tests for src/services/mediaStorage.js
+ *
+ * Covers: sniffMimeType, validateMedia (type/size/mismatch), parseDataUri,
+ * mediaIdFromUrl, storeMedia sha256 dedupe against the local driver
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ObjectId } from 'mongodb';
+import {
+  sniffMimeType,
+  validateMedia,
+  parseDataUri,
+  mediaIdFromUrl,
+  storeMedia,
+  setStorageDriver,
+  openMediaStream,
+  MEDIA_LIMITS,
+} from '../../src/services/mediaStorage.js';
+import { createLocalDriver } from '../../src/services/storage/localDriver.js';
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'), Buffer.alloc(16)]);
+const JPEG = Buffer.concat([Buffer.from('ffd8ffe000104a464946', 'hex'), Buffer.alloc(16)]);
+const WEBP = Buffer.concat([Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1'), Buffer.alloc(16)]);
+const MP4 = Buffer.concat([Buffer.from('00000018', 'hex'), Buffer.from('ftypisom', 'latin1'), Buffer.alloc(16)]);
+const SVG = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+
+// Minimal in-memory stand-in for the Media collection
+function createFakeDb() {
+  const docs = [];
+  return {
+    docs,
+    collection() {
+      return {
+        async findOne(query) {
+          return docs.find(d => (query.sha256 ? d.sha256 === query.sha256 : d._id.equals(query._id))) || null;
+        },
+        async insertOne(doc) {
+          if (docs.some(d => d.sha256 === doc.sha256)) {
+            const err = new Error('duplicate key');
+            err.code = 11000;
+            throw err;
+          }
+          const stored = { ...doc, _id: new ObjectId() };
+          docs.push(stored);
+          return { insertedId: stored._id };
+        },
+      };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// sniffMimeType
+// ---------------------------------------------------------------------------
+
+describe('sniffMimeType', () => {
+  test('detects common image and video formats', () => {
+    expect(sniffMimeType(PNG)).toBe('image/png');
+    expect(sniffMimeType(JPEG)).toBe('image/jpeg');
+    expect(sniffMimeType(WEBP)).toBe('image/webp');
+    expect(sniffMimeType(MP4)).toBe('video/mp4');
+  });
+
+  test('does not recognise SVG or HTML', () => {
+    expect(sniffMimeType(SVG)).toBeNull();
+    expect(sniffMimeType(Buffer.from('<!doctype html><html></html>'))).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// validateMedia
+// ---------------------------------------------------------------------------
+
+describe('validateMedia', () => {
+  test('returns the sniffed type', () => {
+    expect(validateMedia(PNG, { declaredMime: 'image/png' })).toBe('image/png');
+  });
+
+  test('rejects unsupported content with 415', () => {
+    expect(() => validateMedia(SVG)).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_MEDIA_TYPE', status: 415 }));
+  });
+
+  test('rejects a declared type from another category', () => {
+    expect(() => validateMedia(MP4, { declaredMime: 'image/png' })).toThrow(
+      expect.objectContaining({ code: 'MIME_MISMATCH' })
+    );
+  });
+
+  test('restricts categories (avatars are images only)', () => {
+    expect(() => validateMedia(MP4, { allowedCategories: ['image'] })).toThrow(
+      expect.objectContaining({ code: 'UNSUPPORTED_MEDIA_TYPE' })
+    );
+  });
+
+  test('enforces the per-category size limit with 413', () => {
+    const big = Buffer.concat([PNG, Buffer.alloc(MEDIA_LIMITS.image)]);
+    expect(() => validateMedia(big)).toThrow(expect.objectContaining({ code: 'MEDIA_TOO_LARGE', status: 413 }));
+  });
+
+  test('rejects empty uploads', () => {
+    expect(() => validateMedia(Buffer.alloc(0))).toThrow(expect.objectContaining({ code: 'EMPTY_MEDIA' }));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseDataUri / mediaIdFromUrl
+// ---------------------------------------------------------------------------
+
+describe('parseDataUri', () => {
+  test('decodes base64 data URIs', () => {
+    const parsed = parseDataUri(`data:image/png;base64,${PNG.toString('base64')}`);
+    expect(parsed.mime).toBe('image/png');
+    expect(parsed.buffer.equals(PNG)).toBe(true);
+  });
+
+  test('returns null for non data URIs', () => {
+    expect(parseDataUri('https://example.com/a.png')).toBeNull();
+    expect(parseDataUri(null)).toBeNull();
+  });
+});
+
+describe('mediaIdFromUrl', () => {
+  test('extracts the id and ignores query strings', () => {
+    const id = new ObjectId();
+    expect(mediaIdFromUrl(`/api/v1/media/${id}?variant=thumb`).equals(id)).toBe(true);
+  });
+
+  test('returns null for other URLs', () => {
+    expect(mediaIdFromUrl('https://cdn.example.com/x.png')).toBeNull();
+    expect(mediaIdFromUrl('/api/v1/media/not-an-id')).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// storeMedia (local driver)
+// ---------------------------------------------------------------------------
+
+describe('storeMedia', () => {
+  let rootDir;
+
+  beforeAll(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'klik-media-'));
+    setStorageDriver(createLocalDriver({ rootDir }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  test('stores a blob and dedupes identical bytes to the same id', async () => {
+    const db = createFakeDb();
+
+    const first = await storeMedia(db, PNG, { kind: 'avatar' });
+    expect(first.deduplicated).toBe(false);
+    expect(first.media.mime).toBe('image/png');
+    expect(first.media.storageKey).toMatch(new RegExp(`^${first.media.sha256.slice(0, 2)}/`));
+
+    const second = await storeMedia(db, Buffer.from(PNG), { kind: 'post' });
+    expect(second.deduplicated).toBe(true);
+    expect(second.media._id.equals(first.media._id)).toBe(true);
+    expect(db.docs).toHaveLength(1);
+  });
+
+  test('written blob can be streamed back', async () => {
+    const db = createFakeDb();
+    const { media } = await storeMedia(db, JPEG);
+
+    const chunks = [];
+    for await (const chunk of openMediaStream(media)) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).equals(JPEG)).toBe(true);
+  });
+});
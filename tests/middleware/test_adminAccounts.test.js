@@ -0,0 +1,213 @@
+/**
+ * Tests for src/services/adminAccounts.js, src/services/adminAudit.js and
+ * middleware/adminAuth.js
+ *
+ * Covers: role permissions, token issuance, expiry and revocation, account
+ * disabling, the KLIK_ADMIN_TOKEN bootstrap identity, per-route permission
+ * checks, and audit entries for admin actions
+ */
+
+import { EventEmitter } from 'events';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+import {
+  BOOTSTRAP_ADMIN,
+  MAX_TOKENS_PER_ADMIN,
+  authenticateAdminToken,
+  createAdminAccount,
+  hasAdminPermission,
+  issueAdminToken,
+  revokeAdminToken,
+  updateAdminAccount,
+} from '../../src/services/adminAccounts.js';
+import { redactSecrets } from '../../src/services/adminAudit.js';
+import { auditAdminAction, requireAdmin } from '../../src/middleware/adminAuth.js';
+
+const NOW = new Date('2026-03-01T00:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+const at = (ms) => new Date(NOW.getTime() + ms);
+
+function setup() {
+  return createFakeDb({ unique: { AdminAccount: ['email'], AdminToken: ['prefix'] } });
+}
+
+function fakeRes() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    body: null,
+    locals: {},
+    writableFinished: false,
+    status(code) { this.statusCode = code; return this; },
+    json(body) {
+      this.body = body;
+      this.writableFinished = true;
+      this.emit('finish');
+      this.emit('close');
+      return this;
+    },
+  });
+  return res;
+}
+
+async function run(middleware, req) {
+  const res = fakeRes();
+  let nexted = false;
+  await middleware(req, res, () => { nexted = true; });
+  return { res, nexted };
+}
+
+describe('roles', () => {
+  test('map to permissions', () => {
+    expect(hasAdminPermission('viewer', 'admin:read')).toBe(true);
+    expect(hasAdminPermission('viewer', 'ops:write')).toBe(false);
+    expect(hasAdminPermission('support', 'agents:write')).toBe(true);
+    expect(hasAdminPermission('finance', 'finance:write')).toBe(true);
+    expect(hasAdminPermission('finance', 'ops:write')).toBe(false);
+    expect(hasAdminPermission('ops', 'ops:write')).toBe(true);
+    expect(hasAdminPermission('ops', 'admins:manage')).toBe(false);
+    expect(hasAdminPermission('superadmin', 'admins:manage')).toBe(true);
+    expect(hasAdminPermission('root', 'admin:read')).toBe(false);
+  });
+
+  test('accounts validate role and email uniqueness', async () => {
+    const db = setup();
+    await expect(createAdminAccount(db, { email: 'a@klik.cool', role: 'god' })).rejects.toMatchObject({ code: 'INVALID_ROLE' });
+    await expect(createAdminAccount(db, { email: 'nope', role: 'viewer' })).rejects.toMatchObject({ code: 'INVALID_EMAIL' });
+
+    await createAdminAccount(db, { email: 'Ops@Klik.cool', role: 'ops', now: NOW });
+    await expect(createAdminAccount(db, { email: 'ops@klik.cool', role: 'viewer' })).rejects.toMatchObject({ code: 'ADMIN_EXISTS', status: 409 });
+  });
+});
+
+describe('admin tokens', () => {
+  test('stored hashed; work until they expire or are revoked', async () => {
+    const db = setup();
+    const admin = await createAdminAccount(db, { email: 'fin@klik.cool', role: 'finance', now: NOW });
+    const { token, doc } = await issueAdminToken(db, admin._id, { expiresInDays: 7, now: NOW });
+
+    expect(token).toMatch(/^klik_admin_[0-9a-f]{64}$/);
+    expect(JSON.stringify(db.docs('AdminToken'))).not.toContain(token);
+
+    const result = await authenticateAdminToken(db, token, { now: NOW, bootstrapToken: '' });
+    expect(result.admin.role).toBe('finance');
+    expect(result.token._id.equals(doc._id)).toBe(true);
+
+    expect(await authenticateAdminToken(db, `${token.slice(0, 23)}${'0'.repeat(52)}`, { now: NOW, bootstrapToken: '' })).toBeNull();
+    expect(await authenticateAdminToken(db, token, { now: at(7 * DAY), bootstrapToken: '' })).toBeNull();
+
+    await revokeAdminToken(db, doc._id.toString(), { now: NOW });
+    expect(await authenticateAdminToken(db, token, { now: NOW, bootstrapToken: '' })).toBeNull();
+  });
+
+  test('disabling an account revokes its tokens and blocks new ones', async () => {
+    const db = setup();
+    const admin = await createAdminAccount(db, { email: 'sup@klik.cool', role: 'support', now: NOW });
+    const { token } = await issueAdminToken(db, admin._id, { now: NOW });
+
+    await updateAdminAccount(db, admin._id, { status: 'DISABLED' }, { now: NOW });
+    expect(await authenticateAdminToken(db, token, { now: NOW, bootstrapToken: '' })).toBeNull();
+    expect(db.docs('AdminToken')[0].revokedAt).toEqual(NOW);
+    expect(await issueAdminToken(db, admin._id, { now: NOW })).toBeNull();
+  });
+
+  test('caps active tokens and limits revocation to the owner when asked', async () => {
+    const db = setup();
+    const admin = await createAdminAccount(db, { email: 'v@klik.cool', role: 'viewer', now: NOW });
+    const other = await createAdminAccount(db, { email: 'w@klik.cool', role: 'viewer', now: NOW });
+    for (let i = 0; i < MAX_TOKENS_PER_ADMIN; i++) {
+      await issueAdminToken(db, admin._id, { now: NOW });
+    }
+    await expect(issueAdminToken(db, admin._id, { now: NOW })).rejects.toMatchObject({ code: 'ADMIN_TOKEN_LIMIT' });
+    await expect(issueAdminToken(db, other._id, { expiresInDays: 400 })).rejects.toMatchObject({ code: 'INVALID_EXPIRY' });
+
+    const tokenId = db.docs('AdminToken')[0]._id.toString();
+    expect(await revokeAdminToken(db, tokenId, { adminId: other._id, now: NOW })).toBeNull();
+    expect((await revokeAdminToken(db, tokenId, { adminId: admin._id, now: NOW })).revokedAt).toEqual(NOW);
+  });
+
+  test('KLIK_ADMIN_TOKEN is the bootstrap superadmin', async () => {
+    const db = setup();
+    const result = await authenticateAdminToken(db, 'bootstrap-secret', { bootstrapToken: 'bootstrap-secret' });
+    expect(result).toEqual({ admin: BOOTSTRAP_ADMIN, token: null });
+    expect(await authenticateAdminToken(db, 'bootstrap-secreT', { bootstrapToken: 'bootstrap-secret' })).toBeNull();
+  });
+});
+
+describe('requireAdmin', () => {
+  test('401 without a valid token, 403 without the permission', async () => {
+    const db = setup();
+    const admin = await createAdminAccount(db, { email: 'view@klik.cool', role: 'viewer' });
+    const { token } = await issueAdminToken(db, admin._id);
+
+    const missing = await run(requireAdmin('admin:read'), { db, headers: {} });
+    expect(missing.res).toMatchObject({ statusCode: 401, body: { code: 'ADMIN_TOKEN_REQUIRED' } });
+
+    // The query-string token is no longer accepted
+    const query = await run(requireAdmin('admin:read'), { db, headers: {}, query: { admin_token: token } });
+    expect(query.res.statusCode).toBe(401);
+
+    const denied = await run(requireAdmin('ops:write'), { db, headers: { 'x-admin-token': token } });
+    expect(denied.res).toMatchObject({ statusCode: 403, body: { code: 'ADMIN_PERMISSION_REQUIRED', required_permission: 'ops:write', role: 'viewer' } });
+
+    const req = { db, headers: { authorization: `Bearer ${token}` } };
+    const allowed = await run(requireAdmin('admin:read'), req);
+    expect(allowed.nexted).toBe(true);
+    expect(req.admin).toMatchObject({ email: 'view@klik.cool', role: 'viewer', bootstrap: false });
+  });
+
+  test('rejects unknown permissions at definition time', () => {
+    expect(() => requireAdmin('everything')).toThrow('Unknown admin permission');
+  });
+});
+
+describe('auditAdminAction', () => {
+  test('records the action before the handler and its outcome after', async () => {
+    const db = setup();
+    const admin = await createAdminAccount(db, { email: 'ops@klik.cool', role: 'ops' });
+    const req = {
+      db,
+      admin: { id: admin._id, name: admin.name, email: admin.email, role: 'ops', tokenId: null, bootstrap: false },
+      method: 'POST',
+      baseUrl: '/api/v1',
+      path: '/admin/cleanup',
+      params: {},
+      query: {},
+      body: { dry_run: false, hetzner_token: 'abc' },
+      ip: '10.0.0.1',
+    };
+
+    const res = fakeRes();
+    await auditAdminAction('agents.cleanup')(req, res, () => {});
+    const [started] = db.docs('AdminAuditLog');
+    expect(started).toMatchObject({
+      action: 'agents.cleanup',
+      status: 'started',
+      path: '/api/v1/admin/cleanup',
+      body: { dry_run: false, hetzner_token: '[redacted]' },
+    });
+    expect(started.admin.id.equals(admin._id)).toBe(true);
+
+    res.locals.audit = { deleted_short_comments: 3 };
+    res.json({ success: true });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [done] = db.docs('AdminAuditLog');
+    expect(done).toMatchObject({ status: 'succeeded', statusCode: 200, result: { deleted_short_comments: 3 } });
+  });
+
+  test('refuses the request when the audit log cannot be written', async () => {
+    const db = {
+      collection: () => ({ insertOne: async () => { throw new Error('write failed'); } }),
+    };
+    const req = { db, admin: { ...BOOTSTRAP_ADMIN, id: null }, method: 'POST', baseUrl: '', path: '/x', params: {}, query: {}, body: {} };
+
+    const { res, nexted } = await run(auditAdminAction('droplets.auto_scale'), req);
+    expect(nexted).toBe(false);
+    expect(res).toMatchObject({ statusCode: 503, body: { code: 'AUDIT_UNAVAILABLE' } });
+  });
+
+  test('redactSecrets hides tokens, keys and passwords', () => {
+    expect(redactSecrets({ api_key: 'k', nested: { password: 'p', min_balance: 500 } }))
+      .toEqual({ api_key: '[redacted]', nested: { password: '[redacted]', min_balance: 500 } });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for src/services/agentApiKeys.js and requireScope
+ *
+ * Covers: hashed storage and prefix lookup, scopes and expiry validation,
+ * expiry and revocation, rotation grace periods, legacy plaintext key
+ * upgrade, lastUsedAt throttling, and per-route scope checks
+ */
+
+import { ObjectId } from 'mongodb';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+import {
+  API_KEY_SCOPES,
+  MAX_KEYS_PER_AGENT,
+  authenticateApiKey,
+  createApiKey,
+  formatApiKey,
+  hashApiKey,
+  parseExpiry,
+  replaceAllApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+} from '../../src/services/agentApiKeys.js';
+import { requireScope } from '../../src/middleware/principal.js';
+
+const NOW = new Date('2026-03-01T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const at = (ms) => new Date(NOW.getTime() + ms);
+
+async function setup() {
+  const db = createFakeDb({ unique: { AgentApiKey: ['prefix'] } });
+  const agent = { _id: new ObjectId(), name: 'alpha', status: 'ACTIVE' };
+  await db.collection('Agent').insertOne(agent);
+  return { db, agent };
+}
+
+describe('createApiKey', () => {
+  test('stores only the hash and a lookup prefix', async () => {
+    const { db, agent } = await setup();
+    const { key, doc } = await createApiKey(db, agent._id, { name: 'poster', scopes: ['posts:write'], now: NOW });
+
+    expect(key).toMatch(/^klik_[0-9a-f]{64}$/);
+    const [stored] = db.docs('AgentApiKey');
+    expect(stored.hash).toBe(hashApiKey(key));
+    expect(stored.prefix).toBe(key.slice(0, 17));
+    expect(JSON.stringify(stored)).not.toContain(key);
+    expect(formatApiKey(doc, NOW)).toMatchObject({ name: 'poster', scopes: ['posts:write'], status: 'active', expires_at: null });
+  });
+
+  test('validates scopes and caps active keys per agent', async () => {
+    const { db, agent } = await setup();
+    await expect(createApiKey(db, agent._id, { scopes: [] })).rejects.toMatchObject({ code: 'INVALID_SCOPES', status: 400 });
+    await expect(createApiKey(db, agent._id, { scopes: ['posts:write', 'root'] })).rejects.toMatchObject({ code: 'INVALID_SCOPES' });
+
+    for (let i = 0; i < MAX_KEYS_PER_AGENT; i++) {
+      await createApiKey(db, agent._id, { now: NOW });
+    }
+    await expect(createApiKey(db, agent._id, { now: NOW })).rejects.toMatchObject({ code: 'API_KEY_LIMIT', status: 409 });
+  });
+
+  test('parseExpiry takes a date or a number of days', () => {
+    expect(parseExpiry({}, NOW)).toBeUndefined();
+    expect(parseExpiry({ expires_at: null }, NOW)).toBeNull();
+    expect(parseExpiry({ expires_in_days: 30 }, NOW)).toEqual(at(30 * 24 * HOUR));
+    expect(parseExpiry({ expires_at: '2026-04-01T00:00:00Z' }, NOW)).toEqual(new Date('2026-04-01T00:00:00Z'));
+    expect(() => parseExpiry({ expires_at: '2026-02-01' }, NOW)).toThrow(expect.objectContaining({ code: 'INVALID_EXPIRY' }));
+    expect(() => parseExpiry({ expires_in_days: -1 }, NOW)).toThrow(expect.objectContaining({ code: 'INVALID_EXPIRY' }));
+  });
+});
+
+describe('authenticateApiKey', () => {
+  test('finds the agent and key, and refuses wrong, expired and revoked keys', async () => {
+    const { db, agent } = await setup();
+    const { key, doc } = await createApiKey(db, agent._id, { scopes: ['dm'], expiresAt: at(HOUR), now: NOW });
+
+    const result = await authenticateApiKey(db, key, { now: NOW });
+    expect(result.agent._id.equals(agent._id)).toBe(true);
+    expect(result.apiKey.scopes).toEqual(['dm']);
+
+    // Same prefix, different secret
+    expect(await authenticateApiKey(db, `${key.slice(0, 17)}${'0'.repeat(52)}`, { now: NOW })).toBeNull();
+    expect(await authenticateApiKey(db, key, { now: at(HOUR) })).toBeNull();
+
+    await revokeApiKey(db, agent._id, doc._id.toString(), { now: NOW });
+    expect(await authenticateApiKey(db, key, { now: NOW })).toBeNull();
+  });
+
+  test('records lastUsedAt at most once a minute', async () => {
+    const { db, agent } = await setup();
+    const { key } = await createApiKey(db, agent._id, { now: NOW });
+
+    await authenticateApiKey(db, key, { now: NOW });
+    await authenticateApiKey(db, key, { now: at(30 * 1000) });
+    expect(db.docs('AgentApiKey')[0].lastUsedAt).toEqual(NOW);
+
+    await authenticateApiKey(db, key, { now: at(60 * 1000) });
+    expect(db.docs('AgentApiKey')[0].lastUsedAt).toEqual(at(60 * 1000));
+  });
+
+  test('moves a legacy plaintext key into AgentApiKey with every scope', async () => {
+    const { db } = await setup();
+    const legacyKey = `klik_${'ab'.repeat(32)}`;
+    const legacy = { _id: new ObjectId(), name: 'old', status: 'ACTIVE', apiKey: legacyKey };
+    await db.collection('Agent').insertOne(legacy);
+
+    const first = await authenticateApiKey(db, legacyKey, { now: NOW });
+    expect(first.agent._id.equals(legacy._id)).toBe(true);
+    expect(first.apiKey.scopes).toEqual(API_KEY_SCOPES);
+    expect((await db.collection('Agent').findOne({ _id: legacy._id })).apiKey).toBeUndefined();
+
+    const second = await authenticateApiKey(db, legacyKey, { now: NOW });
+    expect(second.agent._id.equals(legacy._id)).toBe(true);
+    expect(db.docs('AgentApiKey')).toHaveLength(1);
+  });
+});
+
+describe('rotation', () => {
+  test('the old key works until the grace period ends; the new one keeps name, scopes and lifetime', async () => {
+    const { db, agent } = await setup();
+    const old = await createApiKey(db, agent._id, { name: 'runtime', scopes: ['posts:write', 'dm'], expiresAt: at(90 * 24 * HOUR), now: NOW });
+
+    const rotatedAt = at(10 * 24 * HOUR);
+    const { key, doc, previous } = await rotateApiKey(db, agent._id, old.doc._id.toString(), { graceHours: 2, now: rotatedAt });
+
+    expect(doc).toMatchObject({ name: 'runtime', scopes: ['posts:write', 'dm'], rotatedFrom: old.doc._id });
+    expect(doc.expiresAt).toEqual(new Date(rotatedAt.getTime() + 90 * 24 * HOUR));
+    expect(previous.rotatedTo).toEqual(doc._id);
+
+    expect(await authenticateApiKey(db, old.key, { now: new Date(rotatedAt.getTime() + HOUR) })).not.toBeNull();
+    expect(await authenticateApiKey(db, old.key, { now: new Date(rotatedAt.getTime() + 2 * HOUR) })).toBeNull();
+    expect(await authenticateApiKey(db, key, { now: new Date(rotatedAt.getTime() + 2 * HOUR) })).not.toBeNull();
+
+    // Only active keys rotate
+    expect(await rotateApiKey(db, agent._id, old.doc._id.toString(), { now: at(100 * 24 * HOUR) })).toBeNull();
+    await expect(rotateApiKey(db, agent._id, doc._id.toString(), { graceHours: 1000 })).rejects.toMatchObject({ code: 'INVALID_GRACE_PERIOD' });
+  });
+
+  test('keys of other agents cannot be rotated or revoked', async () => {
+    const { db, agent } = await setup();
+    const { doc } = await createApiKey(db, agent._id, { now: NOW });
+    const other = new ObjectId();
+
+    expect(await rotateApiKey(db, other, doc._id.toString(), { now: NOW })).toBeNull();
+    expect(await revokeApiKey(db, other, doc._id.toString(), { now: NOW })).toBeNull();
+  });
+
+  test('replaceAllApiKeys revokes every key, legacy included', async () => {
+    const { db } = await setup();
+    const legacyKey = `klik_${'cd'.repeat(32)}`;
+    const agent = { _id: new ObjectId(), name: 'beta', status: 'ACTIVE', apiKey: legacyKey };
+    await db.collection('Agent').insertOne(agent);
+    const scoped = await createApiKey(db, agent._id, { scopes: ['dm'], now: NOW });
+
+    const { key } = await replaceAllApiKeys(db, agent._id, { now: NOW });
+    expect(await authenticateApiKey(db, legacyKey, { now: NOW })).toBeNull();
+    expect(await authenticateApiKey(db, scoped.key, { now: NOW })).toBeNull();
+    expect((await authenticateApiKey(db, key, { now: NOW })).apiKey.scopes).toEqual(API_KEY_SCOPES);
+  });
+});
+
+describe('requireScope', () => {
+  function run(req, scope) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    let nexted = false;
+    requireScope(scope)(req, res, () => { nexted = true; });
+    return { res, nexted };
+  }
+
+  test('checks agent keys and lets users through', () => {
+    expect(run({ apiKey: { scopes: ['posts:write'] } }, 'posts:write').nexted).toBe(true);
+
+    const denied = run({ apiKey: { scopes: ['posts:write'] } }, 'wallet:transfer');
+    expect(denied.nexted).toBe(false);
+    expect(denied.res).toMatchObject({ statusCode: 403, body: { code: 'INSUFFICIENT_SCOPE', required_scope: 'wallet:transfer' } });
+
+    expect(run({ user: { _id: new ObjectId() } }, 'wallet:transfer').nexted).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for src/middleware/agentOwnership.js
+ *
+ * Covers: owner resolution through Agent.userId / Agent.owner and the
+ * agent's own key, delegated editor and collaborator roles, role ordering,
+ * and the requireAgentRole guard
+ */
+
+import { ObjectId } from 'mongodb';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+import {
+  hasAgentRole,
+  requireAgentRole,
+  resolveAgentRole,
+} from '../../src/middleware/agentOwnership.js';
+
+const ownerId = new ObjectId();
+const editorId = new ObjectId();
+const collaboratorId = new ObjectId();
+
+function makeAgent(overrides = {}) {
+  return {
+    _id: new ObjectId(),
+    name: 'alpha',
+    status: 'ACTIVE',
+    userId: ownerId,
+    collaborators: [
+      { userId: editorId, role: 'editor', addedAt: new Date() },
+      { userId: collaboratorId, role: 'collaborator', addedAt: new Date() },
+    ],
+    ...overrides,
+  };
+}
+
+const user = (id) => ({ type: 'USER', id });
+
+describe('resolveAgentRole', () => {
+  test('owner via userId, legacy owner field, or the agent itself', () => {
+    const agent = makeAgent();
+    expect(resolveAgentRole(agent, user(ownerId))).toBe('owner');
+    expect(resolveAgentRole(makeAgent({ userId: undefined, owner: ownerId }), user(ownerId))).toBe('owner');
+    expect(resolveAgentRole(agent, { type: 'AGENT', id: agent._id })).toBe('owner');
+    expect(resolveAgentRole(agent, { type: 'AGENT', id: new ObjectId() })).toBeNull();
+  });
+
+  test('delegated roles come from Agent.collaborators', () => {
+    const agent = makeAgent();
+    expect(resolveAgentRole(agent, user(editorId))).toBe('editor');
+    expect(resolveAgentRole(agent, user(collaboratorId))).toBe('collaborator');
+    expect(resolveAgentRole(agent, user(new ObjectId()))).toBeNull();
+
+    // An agent id never matches a user entry, and unknown roles grant nothing
+    const odd = makeAgent({ collaborators: [{ userId: editorId, role: 'admin' }] });
+    expect(resolveAgentRole(odd, user(editorId))).toBeNull();
+    expect(resolveAgentRole(agent, { type: 'AGENT', id: editorId })).toBeNull();
+  });
+
+  test('hasAgentRole orders collaborator < editor < owner', () => {
+    expect(hasAgentRole('owner', 'editor')).toBe(true);
+    expect(hasAgentRole('editor', 'editor')).toBe(true);
+    expect(hasAgentRole('collaborator', 'editor')).toBe(false);
+    expect(hasAgentRole(null, 'collaborator')).toBe(false);
+  });
+});
+
+describe('requireAgentRole', () => {
+  async function run(minRole, { principal, id, agents = [] }) {
+    const db = createFakeDb();
+    for (const agent of agents) await db.collection('Agent').insertOne(agent);
+
+    const req = { db, principal, params: { id } };
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    let nexted = false;
+    await requireAgentRole(minRole)(req, res, () => { nexted = true; });
+    return { req, res, nexted };
+  }
+
+  test('sets req.targetAgent and req.agentRole for a sufficient role', async () => {
+    const agent = makeAgent();
+    const { req, nexted } = await run('collaborator', { principal: user(editorId), id: agent._id.toString(), agents: [agent] });
+    expect(nexted).toBe(true);
+    expect(req.targetAgent._id.equals(agent._id)).toBe(true);
+    expect(req.agentRole).toBe('editor');
+  });
+
+  test('refuses insufficient roles and strangers with 403', async () => {
+    const agent = makeAgent();
+    const id = agent._id.toString();
+
+    const low = await run('editor', { principal: user(collaboratorId), id, agents: [agent] });
+    expect(low.nexted).toBe(false);
+    expect(low.res).toMatchObject({ statusCode: 403, body: { code: 'AGENT_ROLE_REQUIRED', required_role: 'editor', role: 'collaborator' } });
+
+    const stranger = await run('collaborator', { principal: user(new ObjectId()), id, agents: [agent] });
+    expect(stranger.res).toMatchObject({ statusCode: 403, body: { role: null } });
+  });
+
+  test('404 for missing or deleted agents, 400 for bad ids', async () => {
+    const deleted = makeAgent({ status: 'DELETED' });
+    const gone = await run('collaborator', { principal: user(ownerId), id: deleted._id.toString(), agents: [deleted] });
+    expect(gone.res.statusCode).toBe(404);
+
+    const bad = await run('collaborator', { principal: user(ownerId), id: 'nope' });
+    expect(bad.res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Tests for src/middleware/idempotency.js
+ *
+ * Covers: pass-through without a key, first response stored and replayed,
+ * 422 on body mismatch, 409 while in flight, key released on 5xx/429,
+ * keys scoped per principal, body key order ignored
+ */
+
+import { EventEmitter } from 'events';
+import { ObjectId } from 'mongodb';
+import { idempotency, requestFingerprint } from '../../src/middleware/idempotency.js';
+
+// In-memory IdempotencyKey collection with a unique (principal, key) index
+function createFakeDb() {
+  const docs = [];
+  const same = (doc, filter) => Object.entries(filter).every(([k, v]) => {
+    if (v instanceof ObjectId) return doc[k]?.equals?.(v);
+    if (v && typeof v === 'object' && '$lt' in v) return doc[k] < v.$lt;
+    return doc[k] === v;
+  });
+  const collection = {
+    docs,
+    async insertOne(doc) {
+      if (docs.some(d => d.key === doc.key && d.principalType === doc.principalType && d.principalId.equals(doc.principalId))) {
+        const err = new Error('duplicate key');
+        err.code = 11000;
+        throw err;
+      }
+      docs.push({ ...doc });
+    },
+    async findOne(filter) {
+      return docs.find(d => same(d, filter)) || null;
+    },
+    async findOneAndUpdate(filter, update) {
+      const doc = docs.find(d => same(d, filter));
+      if (!doc) return null;
+      Object.assign(doc, update.$set);
+      return doc;
+    },
+    async updateOne(filter, update) {
+      const doc = docs.find(d => same(d, filter));
+      if (!doc) return {};
+      Object.assign(doc, update.$set);
+      for (const k of Object.keys(update.$unset || {})) delete doc[k];
+      return {};
+    },
+    async deleteOne(filter) {
+      const i = docs.findIndex(d => same(d, filter));
+      if (i >= 0) docs.splice(i, 1);
+    },
+  };
+  return { collection: () => collection, keys: docs };
+}
+
+function mockReq(db, { key, body = { amount: 5 }, agentId = new ObjectId(), path = '/posts/abc/tip' } = {}) {
+  const headers = key ? { 'idempotency-key': key } : {};
+  return {
+    db,
+    method: 'POST',
+    baseUrl: '/api/v1',
+    path,
+    body,
+    agent: { _id: agentId },
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+function mockRes() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.emit('finish'); return this; },
+  });
+  return res;
+}
+
+// Run the middleware; if it calls next(), run `handler` as the route
+async function run(req, handler = (r, res) => res.status(200).json({ ok: true, n: Math.random() })) {
+  const res = mockRes();
+  let handled = false;
+  await idempotency(req, res, () => {
+    handled = true;
+    handler(req, res);
+  });
+  await new Promise(resolve => setImmediate(resolve)); // let the finish handler persist
+  return { res, handled };
+}
+
+describe('idempotency middleware', () => {
+  test('passes through when no key is sent', async () => {
+    const db = createFakeDb();
+    const { handled } = await run(mockReq(db));
+    expect(handled).toBe(true);
+    expect(db.keys).toHaveLength(0);
+  });
+
+  test('replays the first response for a retried request', async () => {
+    const db = createFakeDb();
+    const agentId = new ObjectId();
+
+    const first = await run(mockReq(db, { key: 'k1', agentId }));
+    const second = await run(mockReq(db, { key: 'k1', agentId }));
+
+    expect(first.handled).toBe(true);
+    expect(second.handled).toBe(false);
+    expect(second.res.statusCode).toBe(200);
+    expect(second.res.body).toEqual(first.res.body);
+    expect(second.res.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  test('replays stored 4xx responses too', async () => {
+    const db = createFakeDb();
+    const agentId = new ObjectId();
+    const reject = (r, res) => res.status(402).json({ error: 'Insufficient KLIK balance' });
+
+    await run(mockReq(db, { key: 'k2', agentId }), reject);
+    const retry = await run(mockReq(db, { key: 'k2', agentId }));
+
+    expect(retry.handled).toBe(false);
+    expect(retry.res.statusCode).toBe(402);
+  });
+
+  test('rejects a key reused with a different body', async () => {
+    const db = createFakeDb();
+    const agentId = new ObjectId();
+
+    await run(mockReq(db, { key: 'k3', agentId, body: { amount: 5 } }));
+    const reused = await run(mockReq(db, { key: 'k3', agentId, body: { amount: 50 } }));
+
+    expect(reused.handled).toBe(false);
+    expect(reused.res.statusCode).toBe(422);
+    expect(reused.res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('returns 409 while the first request is still in flight', async () => {
+    const db = createFakeDb();
+    const agentId = new ObjectId();
+
+    // First request never responds
+    await run(mockReq(db, { key: 'k4', agentId }), () => {});
+    const concurrent = await run(mockReq(db, { key: 'k4', agentId }));
+
+    expect(concurrent.handled).toBe(false);
+    expect(concurrent.res.statusCode).toBe(409);
+    expect(concurrent.res.body.code).toBe('IDEMPOTENCY_IN_PROGRESS');
+  });
+
+  test('takes over a lock abandoned by a crashed request', async () => {
+    const db = createFakeDb();
+    const agentId = new ObjectId();
+
+    await run(mockReq(db, { key: 'k5', agentId }), () => {});
+    db.keys[0].lockedAt = new Date(Date.now() - 5 * 60 * 1000);
+
+    const retry = await run(mockReq(db, { key: 'k5', agentId }));
+    expect(retry.handled).toBe(true);
+    expect(db.keys[0].status).toBe('completed');
+  });
+
+  test.each([500, 429])('releases the key after a %i so the client can retry', async (status) => {
+    const db = createFakeDb();
+    const agentId = new ObjectId();
+
+    await run(mockReq(db, { key: 'k6', agentId }), (r, res) => res.status(status).json({ error: 'x' }));
+    expect(db.keys).toHaveLength(0);
+
+    const retry = await run(mockReq(db, { key: 'k6', agentId }));
+    expect(retry.handled).toBe(true);
+  });
+
+  test('keys are scoped per principal', async () => {
+    const db = createFakeDb();
+    await run(mockReq(db, { key: 'shared', agentId: new ObjectId() }));
+    const other = await run(mockReq(db, { key: 'shared', agentId: new ObjectId() }));
+    expect(other.handled).toBe(true);
+  });
+});
+
+describe('requestFingerprint', () => {
+  test('ignores body key order but not values or route', () => {
+    const base = mockReq(null, { body: { amount: 5, note: 'hi' } });
+    const reordered = mockReq(null, { body: { note: 'hi', amount: 5 } });
+    const otherRoute = mockReq(null, { body: { amount: 5, note: 'hi' }, path: '/wallet/deposit' });
+
+    expect(requestFingerprint(reordered)).toBe(requestFingerprint(base));
+    expect(requestFingerprint(otherRoute)).not.toBe(requestFingerprint(base));
+  });
+});
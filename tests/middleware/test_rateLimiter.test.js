@@ -0,0 +1,197 @@
+/**
+ * Tests for src/middleware/rateLimiter.js
+ *
+ * Covers: sliding-window semantics (in-memory fallback), multi-rule
+ * all-or-nothing consumption, RateLimit-* headers, Redis eval wiring,
+ * fallback when Redis errors, and charging from inside a handler
+ */
+
+import {
+  consumeRateLimit,
+  agentRateLimit,
+  chargeAgentRateLimit,
+  resetMemoryRateLimits,
+} from '../../src/middleware/rateLimiter.js';
+
+const T0 = 1_700_000_000_000;
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+beforeEach(() => {
+  resetMemoryRateLimits();
+});
+
+// ---------------------------------------------------------------------------
+// Sliding window (memory backend)
+// ---------------------------------------------------------------------------
+
+describe('consumeRateLimit (memory)', () => {
+  const rules = [{ name: 'burst', count: 3, window: 10_000 }];
+
+  test('allows up to the limit then blocks', async () => {
+    for (let i = 0; i < 3; i++) {
+      const r = await consumeRateLimit(null, 'agent:a', rules, { now: T0 + i });
+      expect(r.allowed).toBe(true);
+      expect(r.remaining).toBe(2 - i);
+      expect(r.backend).toBe('memory');
+    }
+    const blocked = await consumeRateLimit(null, 'agent:a', rules, { now: T0 + 5 });
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.remaining).toBe(0);
+    expect(blocked.retryAfter).toBe(10);
+  });
+
+  test('window slides instead of resetting all at once', async () => {
+    await consumeRateLimit(null, 'agent:b', rules, { now: T0 });
+    await consumeRateLimit(null, 'agent:b', rules, { now: T0 + 6_000 });
+    await consumeRateLimit(null, 'agent:b', rules, { now: T0 + 7_000 });
+
+    // The first hit has aged out, the other two still count
+    const r = await consumeRateLimit(null, 'agent:b', rules, { now: T0 + 10_001 });
+    expect(r.allowed).toBe(true);
+    expect(r.remaining).toBe(0);
+
+    const blocked = await consumeRateLimit(null, 'agent:b', rules, { now: T0 + 10_002 });
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.retryAfter).toBe(Math.ceil((T0 + 6_000 + 10_000 - (T0 + 10_002)) / 1000));
+  });
+
+  test('subjects are independent', async () => {
+    const one = [{ name: 'x', count: 1, window: 1000 }];
+    expect((await consumeRateLimit(null, 'agent:c', one, { now: T0 })).allowed).toBe(true);
+    expect((await consumeRateLimit(null, 'agent:d', one, { now: T0 })).allowed).toBe(true);
+    expect((await consumeRateLimit(null, 'agent:c', one, { now: T0 })).allowed).toBe(false);
+  });
+
+  test('a request blocked by one rule does not count against the others', async () => {
+    const layered = [
+      { name: 'burst', count: 1, window: 1000 },
+      { name: 'daily', count: 3, window: 86_400_000 },
+    ];
+
+    expect((await consumeRateLimit(null, 'agent:e', layered, { now: T0 })).allowed).toBe(true);
+    for (let i = 1; i <= 5; i++) {
+      const r = await consumeRateLimit(null, 'agent:e', layered, { now: T0 + i * 100 });
+      expect(r.allowed).toBe(false);
+      expect(r.rule).toBe('burst');
+    }
+
+    // Rejected attempts did not use up the daily allowance
+    expect((await consumeRateLimit(null, 'agent:e', layered, { now: T0 + 1_001 })).allowed).toBe(true);
+    expect((await consumeRateLimit(null, 'agent:e', layered, { now: T0 + 2_002 })).allowed).toBe(true);
+
+    const blocked = await consumeRateLimit(null, 'agent:e', layered, { now: T0 + 3_003 });
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.rule).toBe('daily');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Redis backend
+// ---------------------------------------------------------------------------
+
+describe('consumeRateLimit (redis)', () => {
+  const rules = [
+    { name: 'comment', count: 1, window: 20_000 },
+    { name: 'daily_comments', count: 50, window: 86_400_000 },
+  ];
+
+  test('passes hash-tagged keys and window/limit pairs to eval', async () => {
+    const calls = [];
+    const redis = {
+      isReady: true,
+      async eval(script, options) {
+        calls.push(options);
+        return [1, 0, String(T0), 4, String(T0 - 1000)];
+      },
+    };
+
+    const r = await consumeRateLimit(redis, 'agent:f', rules, { now: T0 });
+
+    expect(calls[0].keys).toEqual(['ratelimit:{agent:f}:comment', 'ratelimit:{agent:f}:daily_comments']);
+    expect(calls[0].arguments.slice(2)).toEqual(['20000', '1', '86400000', '50']);
+    expect(r.backend).toBe('redis');
+    expect(r.allowed).toBe(true);
+    expect(r.limit).toBe(1);
+    expect(r.remaining).toBe(0);
+    expect(r.resetSeconds).toBe(20);
+  });
+
+  test('reports the blocking rule from the script result', async () => {
+    const redis = {
+      isReady: true,
+      eval: async () => [0, 0, String(T0), 50, String(T0 - 3_600_000)],
+    };
+    const r = await consumeRateLimit(redis, 'agent:g', rules, { now: T0 });
+    expect(r.allowed).toBe(false);
+    expect(r.rule).toBe('daily_comments');
+    expect(r.retryAfter).toBe(86_400 - 3_600);
+  });
+
+  test('falls back to memory when Redis errors', async () => {
+    const redis = { isReady: true, eval: async () => { throw new Error('connection reset'); } };
+    const errorSpy = console.error;
+    console.error = () => {};
+    try {
+      const r = await consumeRateLimit(redis, 'agent:h', rules, { now: T0 });
+      expect(r.backend).toBe('memory');
+      expect(r.allowed).toBe(true);
+    } finally {
+      console.error = errorSpy;
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Middleware
+// ---------------------------------------------------------------------------
+
+describe('agentRateLimit middleware', () => {
+  test('sets RateLimit headers and returns 429 with retry_after', async () => {
+    const middleware = agentRateLimit('post');
+    const req = { agent: { _id: 'agent-i' }, redis: null };
+
+    const okRes = mockRes();
+    let nextCalled = false;
+    await middleware(req, okRes, () => { nextCalled = true; });
+    expect(nextCalled).toBe(true);
+    expect(okRes.headers['RateLimit-Limit']).toBe('1');
+    expect(okRes.headers['RateLimit-Remaining']).toBe('0');
+    expect(okRes.headers['RateLimit-Policy']).toBe('1;w=1800');
+
+    const blockedRes = mockRes();
+    await middleware(req, blockedRes, () => { throw new Error('should not pass'); });
+    expect(blockedRes.statusCode).toBe(429);
+    expect(blockedRes.body).toMatchObject({ code: 'RATE_LIMITED', action: 'post', limit: 'post' });
+    expect(blockedRes.body.retry_after).toBeGreaterThan(0);
+    expect(blockedRes.headers['Retry-After']).toBe(String(blockedRes.body.retry_after));
+  });
+
+  test('chargeAgentRateLimit charges only when called and sends the 429 itself', async () => {
+    const req = { agent: { _id: 'agent-j' }, redis: null };
+
+    const okRes = mockRes();
+    expect(await chargeAgentRateLimit(req, okRes, 'post')).toBe(true);
+    expect(okRes.headers['RateLimit-Remaining']).toBe('0');
+
+    const blockedRes = mockRes();
+    expect(await chargeAgentRateLimit(req, blockedRes, 'post')).toBe(false);
+    expect(blockedRes.statusCode).toBe(429);
+    expect(blockedRes.body).toMatchObject({ code: 'RATE_LIMITED', action: 'post' });
+
+    expect(await chargeAgentRateLimit({ redis: null }, mockRes(), 'post')).toBe(true);
+  });
+
+  test('rejects unknown actions at setup time', () => {
+    expect(() => agentRateLimit('nope')).toThrow('Unknown rate limit action');
+  });
+});
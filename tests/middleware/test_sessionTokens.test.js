@@ -0,0 +1,243 @@
+/**
+ * Tests for src/services/sessionTokens.js and verifyUserJWT
+ *
+ * Covers: issuer selection, legacy wallet claim tokens, wallet mismatch,
+ * refresh rotation and reuse detection, single-token and all-token
+ * revocation, the middleware's req.user / req.auth and error codes
+ */
+
+import jwt from 'jsonwebtoken';
+import { ObjectId } from 'mongodb';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+import {
+  klikIssuer,
+  verifyAccessToken,
+  issueSession,
+  refreshSession,
+  revokeToken,
+  revokeAllUserTokens,
+} from '../../src/services/sessionTokens.js';
+import { verifyUserJWT } from '../../src/middleware/userAuth.js';
+
+// In-memory Redis with the commands sessionTokens uses
+function createFakeRedis() {
+  const store = new Map();
+  return {
+    isReady: true,
+    store,
+    async get(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+    async set(key, value, options = {}) {
+      if (options.XX && !store.has(key)) return null;
+      store.set(key, value);
+      return 'OK';
+    },
+    async del(key) {
+      return store.delete(key) ? 1 : 0;
+    },
+    // The refresh rotation script, the only one sessionTokens runs
+    async eval(script, { keys: [key], arguments: [expected, replacement] }) {
+      if (!store.has(key)) return 0;
+      const session = JSON.parse(store.get(key));
+      if (session.hash !== expected) {
+        store.delete(key);
+        return -1;
+      }
+      store.set(key, JSON.stringify({ ...session, hash: replacement }));
+      return 1;
+    },
+  };
+}
+
+const WALLET = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_SECRET = JWT_SECRET;
+
+async function setup() {
+  const db = createFakeDb();
+  const redis = createFakeRedis();
+  const user = { _id: new ObjectId(), walletAddress: WALLET, authMethod: 'wallet_claim' };
+  await db.collection('User').insertOne(user);
+  return { db, redis, user };
+}
+
+// Stand-in for a third-party issuer (Web3Auth needs its JWKS)
+const partnerIssuer = {
+  name: 'partner',
+  enabled: () => true,
+  accepts: (header, payload) => payload?.iss === 'partner',
+  verify: async (token) => jwt.verify(token, 'partner-secret', { algorithms: ['HS256'] }),
+  resolveUser: (db, claims) => db.collection('User').findOne({ walletAddress: claims.wallet }),
+};
+
+describe('verifyAccessToken', () => {
+  test('picks the issuer that accepts the token and resolves the same user', async () => {
+    const { db, redis, user } = await setup();
+    const issuers = [partnerIssuer, klikIssuer];
+
+    const { accessToken } = await issueSession(redis, user);
+    const klik = await verifyAccessToken(accessToken, { db, redis, issuers });
+    expect(klik.issuer).toBe('klik');
+    expect(klik.user._id.equals(user._id)).toBe(true);
+    expect(klik.claims).toMatchObject({ sub: user._id.toString(), typ: 'access', authMethod: 'wallet_claim' });
+
+    const partnerToken = jwt.sign({ iss: 'partner', wallet: WALLET }, 'partner-secret');
+    const partner = await verifyAccessToken(partnerToken, { db, redis, issuers });
+    expect(partner.issuer).toBe('partner');
+    expect(partner.user._id.equals(user._id)).toBe(true);
+
+    const unknown = jwt.sign({ iss: 'elsewhere' }, 'x', { algorithm: 'HS384' });
+    await expect(verifyAccessToken(unknown, { db, redis, issuers })).rejects.toMatchObject({ code: 'UNSUPPORTED_TOKEN', status: 401 });
+  });
+
+  test('accepts legacy wallet claim tokens until the wallet changes', async () => {
+    const { db, user } = await setup();
+    const legacy = jwt.sign({ userId: user._id.toString(), walletAddress: WALLET, type: 'wallet_claim' }, JWT_SECRET, { expiresIn: '30d' });
+
+    expect((await verifyAccessToken(legacy, { db })).user._id.equals(user._id)).toBe(true);
+
+    await db.collection('User').updateOne({ _id: user._id }, { $set: { walletAddress: 'another' } });
+    expect((await verifyAccessToken(legacy, { db })).user).toBeNull();
+  });
+
+  test('rejects bad signatures, expired tokens and other HS256 token types', async () => {
+    const { db, user } = await setup();
+    const forged = jwt.sign({ sub: user._id.toString(), typ: 'access' }, 'wrong-secret');
+    const expired = jwt.sign({ sub: user._id.toString(), typ: 'access', exp: Math.floor(Date.now() / 1000) - 10 }, JWT_SECRET);
+    const other = jwt.sign({ sub: user._id.toString(), typ: 'refresh' }, JWT_SECRET);
+
+    await expect(verifyAccessToken(forged, { db })).rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+    await expect(verifyAccessToken(expired, { db })).rejects.toMatchObject({ code: 'TOKEN_EXPIRED' });
+    await expect(verifyAccessToken(other, { db })).rejects.toMatchObject({ code: 'INVALID_TOKEN_TYPE' });
+    await expect(verifyAccessToken('not-a-jwt', { db })).rejects.toMatchObject({ code: 'AUTH_FAILED' });
+  });
+
+  test('never accepts tokens signed with the old public default secret', async () => {
+    const { db, redis, user } = await setup();
+    const forged = jwt.sign({ userId: user._id.toString(), type: 'wallet_claim' }, 'klik-openclaw-jwt-secret');
+
+    await expect(verifyAccessToken(forged, { db })).rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+
+    try {
+      // Unset, or set to the old default: the klik issuer is off and no sessions are issued
+      for (const value of [undefined, 'klik-openclaw-jwt-secret']) {
+        if (value === undefined) delete process.env.JWT_SECRET;
+        else process.env.JWT_SECRET = value;
+
+        await expect(verifyAccessToken(forged, { db })).rejects.toMatchObject({ code: 'UNSUPPORTED_TOKEN', status: 401 });
+        await expect(issueSession(redis, user)).rejects.toMatchObject({ code: 'SESSIONS_UNAVAILABLE', status: 503 });
+        await expect(refreshSession(db, redis, 'a.b')).rejects.toMatchObject({ code: 'SESSIONS_UNAVAILABLE' });
+      }
+    } finally {
+      process.env.JWT_SECRET = JWT_SECRET;
+    }
+  });
+});
+
+describe('sessions', () => {
+  test('refresh rotates the token; reusing an old one ends the session', async () => {
+    const { db, redis, user } = await setup();
+    const first = await issueSession(redis, user);
+    expect(first.refreshToken).toMatch(new RegExp(`^${first.sessionId}\\.`));
+
+    const second = await refreshSession(db, redis, first.refreshToken);
+    expect(second.sessionId).toBe(first.sessionId);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect((await verifyAccessToken(second.accessToken, { db, redis })).user._id.equals(user._id)).toBe(true);
+
+    await expect(refreshSession(db, redis, first.refreshToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    // The reuse revoked the session, so the current token is gone too
+    await expect(refreshSession(db, redis, second.refreshToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  test('concurrent refreshes with the same token: one wins, the session ends', async () => {
+    const { db, redis, user } = await setup();
+    const { refreshToken } = await issueSession(redis, user);
+
+    const results = await Promise.allSettled([
+      refreshSession(db, redis, refreshToken),
+      refreshSession(db, redis, refreshToken),
+    ]);
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(r => r.status === 'rejected').reason).toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+
+    const winner = results.find(r => r.status === 'fulfilled').value;
+    await expect(refreshSession(db, redis, winner.refreshToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  test('without Redis: one long-lived token, no refresh', async () => {
+    const { db, user } = await setup();
+    const session = await issueSession(null, user);
+    expect(session.refreshToken).toBeNull();
+    expect((await verifyAccessToken(session.accessToken, { db })).user).not.toBeNull();
+    await expect(refreshSession(db, null, 'a.b')).rejects.toMatchObject({ code: 'REFRESH_UNAVAILABLE', status: 503 });
+  });
+
+  test('revokeToken revokes the access token and its session', async () => {
+    const { db, redis, user } = await setup();
+    const session = await issueSession(redis, user);
+    const auth = await verifyAccessToken(session.accessToken, { db, redis });
+
+    expect(await revokeToken(redis, auth)).toBe(true);
+    await expect(verifyAccessToken(session.accessToken, { db, redis })).rejects.toMatchObject({ code: 'TOKEN_REVOKED' });
+    await expect(refreshSession(db, redis, session.refreshToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  test('revokeAllUserTokens revokes every token and session issued so far', async () => {
+    const { db, redis, user } = await setup();
+    const session = await issueSession(redis, user);
+    const legacy = jwt.sign({ userId: user._id.toString(), walletAddress: WALLET, type: 'wallet_claim' }, JWT_SECRET);
+
+    await revokeAllUserTokens(redis, user._id);
+    await expect(verifyAccessToken(session.accessToken, { db, redis })).rejects.toMatchObject({ code: 'TOKEN_REVOKED' });
+    await expect(verifyAccessToken(legacy, { db, redis })).rejects.toMatchObject({ code: 'TOKEN_REVOKED' });
+    await expect(refreshSession(db, redis, session.refreshToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+
+    // Sessions started after a later second are unaffected
+    const revokedAt = parseInt(redis.store.get(`auth:revoked-before:${user._id}`), 10);
+    redis.store.set(`auth:revoked-before:${user._id}`, String(revokedAt - 5));
+    const fresh = await issueSession(redis, user);
+    expect((await verifyAccessToken(fresh.accessToken, { db, redis })).user).not.toBeNull();
+  });
+});
+
+describe('verifyUserJWT', () => {
+  function run(req) {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    let nexted = false;
+    return verifyUserJWT(req, res, () => { nexted = true; }).then(() => ({ res, nexted }));
+  }
+
+  test('sets req.user and req.auth for a wallet claim session', async () => {
+    const { db, redis, user } = await setup();
+    const { accessToken } = await issueSession(redis, user, { authMethod: 'wallet_claim' });
+    const req = { db, redis, headers: { authorization: `Bearer ${accessToken}` } };
+
+    const { nexted } = await run(req);
+    expect(nexted).toBe(true);
+    expect(req.user._id.equals(user._id)).toBe(true);
+    expect(req.auth).toMatchObject({ issuer: 'klik', claims: { authMethod: 'wallet_claim' } });
+  });
+
+  test('answers 401 with the error code, or when no user matches', async () => {
+    const { db, redis } = await setup();
+
+    const missing = await run({ db, redis, headers: {} });
+    expect(missing.res.statusCode).toBe(401);
+
+    const expired = jwt.sign({ sub: new ObjectId().toString(), typ: 'access', exp: 1 }, JWT_SECRET);
+    const { res } = await run({ db, redis, headers: { authorization: `Bearer ${expired}` } });
+    expect(res).toMatchObject({ statusCode: 401, body: { code: 'TOKEN_EXPIRED' } });
+
+    const orphan = jwt.sign({ sub: new ObjectId().toString(), typ: 'access' }, JWT_SECRET);
+    const noUser = await run({ db, redis, headers: { authorization: `Bearer ${orphan}` } });
+    expect(noUser.res.statusCode).toBe(401);
+    expect(noUser.nexted).toBe(false);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests for src/utils/cursor.js
+ *
+ * Covers: encode/decode round trip, scope checks, keyset filter shape,
+ * paginate() page trimming and next_cursor, parseLimit
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  withTiebreaker,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  paginate,
+  parseLimit,
+} from '../../src/utils/cursor.js';
+
+// ---------------------------------------------------------------------------
+// encodeCursor / decodeCursor
+// ---------------------------------------------------------------------------
+
+describe('encodeCursor / decodeCursor', () => {
+  test('round-trips dates, ObjectIds, numbers and null', () => {
+    const date = new Date('2026-01-02T03:04:05.678Z');
+    const id = new ObjectId();
+    const cursor = encodeCursor([12.5, date, null, id], 'feed:hot');
+
+    const values = decodeCursor(cursor, 'feed:hot');
+    expect(values[0]).toBe(12.5);
+    expect(values[1]).toBeInstanceOf(Date);
+    expect(values[1].getTime()).toBe(date.getTime());
+    expect(values[2]).toBeNull();
+    expect(values[3]).toBeInstanceOf(ObjectId);
+    expect(values[3].equals(id)).toBe(true);
+  });
+
+  test('cursor is URL-safe', () => {
+    const cursor = encodeCursor([new Date(), new ObjectId()], 'feed:new');
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  test('returns null when no cursor is given', () => {
+    expect(decodeCursor(undefined, 'feed:new')).toBeNull();
+    expect(decodeCursor('', 'feed:new')).toBeNull();
+  });
+
+  test('rejects a cursor from a different scope', () => {
+    const cursor = encodeCursor([1, new ObjectId()], 'feed:top');
+    expect(() => decodeCursor(cursor, 'feed:hot')).toThrow(
+      expect.objectContaining({ code: 'INVALID_CURSOR' })
+    );
+  });
+
+  test('rejects garbage', () => {
+    expect(() => decodeCursor('not-a-cursor', 'feed:new')).toThrow(
+      expect.objectContaining({ code: 'INVALID_CURSOR' })
+    );
+  });
+
+  test('rejects unknown tagged values', () => {
+    const forged = Buffer.from(JSON.stringify({ s: 'feed:new', v: [{ $where: '1' }] })).toString('base64url');
+    expect(() => decodeCursor(forged, 'feed:new')).toThrow(
+      expect.objectContaining({ code: 'INVALID_CURSOR' })
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// withTiebreaker / buildCursorFilter
+// ---------------------------------------------------------------------------
+
+describe('withTiebreaker', () => {
+  test('appends _id in the direction of the last key', () => {
+    expect(withTiebreaker({ createdAt: -1 })).toEqual({ createdAt: -1, _id: -1 });
+    expect(withTiebreaker({ createdAt: 1 })).toEqual({ createdAt: 1, _id: 1 });
+  });
+
+  test('leaves an existing _id key alone', () => {
+    expect(withTiebreaker({ score: -1, _id: 1 })).toEqual({ score: -1, _id: 1 });
+  });
+});
+
+describe('buildCursorFilter', () => {
+  const id = new ObjectId();
+  const date = new Date('2026-01-01T00:00:00Z');
+
+  test('descending keys include lower values and nulls', () => {
+    const filter = buildCursorFilter({ createdAt: -1, _id: -1 }, [date, id]);
+    expect(filter).toEqual({
+      $or: [
+        { $or: [{ createdAt: { $lt: date } }, { createdAt: null }] },
+        { $and: [{ createdAt: date }, { $or: [{ _id: { $lt: id } }, { _id: null }] }] },
+      ],
+    });
+  });
+
+  test('ascending keys use $gt', () => {
+    const filter = buildCursorFilter({ createdAt: 1, _id: 1 }, [date, id]);
+    expect(filter.$or[0]).toEqual({ createdAt: { $gt: date } });
+    expect(filter.$or[1]).toEqual({ $and: [{ createdAt: date }, { _id: { $gt: id } }] });
+  });
+
+  test('a null descending value only continues on ties', () => {
+    const filter = buildCursorFilter({ upvotes: -1, _id: -1 }, [null, id]);
+    expect(filter.$or).toHaveLength(1);
+    expect(filter.$or[0].$and[0]).toEqual({ upvotes: null });
+  });
+
+  test('throws when values do not match the sort keys', () => {
+    expect(() => buildCursorFilter({ score: -1, _id: -1 }, [1])).toThrow(
+      expect.objectContaining({ code: 'INVALID_CURSOR' })
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// paginate
+// ---------------------------------------------------------------------------
+
+describe('paginate', () => {
+  const sortOrder = { score: -1, _id: -1 };
+  const rows = [5, 4, 3].map(score => ({ score, _id: new ObjectId() }));
+
+  test('returns next_cursor pointing at the last row of the page', () => {
+    const { items, nextCursor } = paginate(rows, 2, sortOrder, 'feed:top');
+    expect(items).toHaveLength(2);
+
+    const values = decodeCursor(nextCursor, 'feed:top');
+    expect(values[0]).toBe(4);
+    expect(values[1].equals(rows[1]._id)).toBe(true);
+  });
+
+  test('returns null next_cursor on the last page', () => {
+    const { items, nextCursor } = paginate(rows, 3, sortOrder, 'feed:top');
+    expect(items).toHaveLength(3);
+    expect(nextCursor).toBeNull();
+  });
+
+  test('supports dotted sort keys', () => {
+    const inbox = [
+      { _id: new ObjectId(), lastMessage: { createdAt: new Date(2) } },
+      { _id: new ObjectId(), lastMessage: { createdAt: new Date(1) } },
+    ];
+    const { nextCursor } = paginate(inbox, 1, { 'lastMessage.createdAt': -1, _id: -1 }, 'dm:inbox');
+    expect(decodeCursor(nextCursor, 'dm:inbox')[0].getTime()).toBe(2);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseLimit
+// ---------------------------------------------------------------------------
+
+describe('parseLimit', () => {
+  test('falls back to the default for missing or invalid values', () => {
+    expect(parseLimit(undefined, 25, 100)).toBe(25);
+    expect(parseLimit('abc', 25, 100)).toBe(25);
+    expect(parseLimit('0', 25, 100)).toBe(25);
+  });
+
+  test('caps at the maximum', () => {
+    expect(parseLimit('500', 25, 100)).toBe(100);
+    expect(parseLimit('10', 25, 100)).toBe(10);
+  });
+});
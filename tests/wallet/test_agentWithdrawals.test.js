@@ -0,0 +1,82 @@
+/**
+ * Tests for src/services/agentWithdrawals.js
+ *
+ * Covers: debit on request, approval queues for the runner, reject
+ * refunds, no double approval or double refund (sending is covered in
+ * test_withdrawalRunner)
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  AGENT_WITHDRAWAL_STATUS,
+  requestAgentWithdrawal,
+  approveAgentWithdrawal,
+  rejectAgentWithdrawal,
+} from '../../src/services/agentWithdrawals.js';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+
+const WALLET = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+
+function setup(balance = 100) {
+  const db = createFakeDb();
+  const agent = { _id: new ObjectId(), name: 'alice', klikBalance: balance };
+  db.docs('Agent').push(agent);
+  const balanceOf = () => db.docs('Agent')[0].klikBalance;
+  const withdrawal = () => db.docs('Transaction')[0];
+  return { db, agent, balanceOf, withdrawal };
+}
+
+async function request(db, agent, amount = 40) {
+  const outcome = await requestAgentWithdrawal(db, { agentId: agent._id, amount, destinationWallet: WALLET });
+  return outcome.result.insertedId;
+}
+
+describe('agent withdrawals', () => {
+  test('requesting debits the agent and queues a PENDING withdrawal', async () => {
+    const { db, agent, balanceOf, withdrawal } = setup();
+    await request(db, agent);
+
+    expect(balanceOf()).toBe(60);
+    expect(withdrawal()).toMatchObject({ type: 'WITHDRAWAL', status: 'PENDING', amount: 40, destinationWallet: WALLET });
+  });
+
+  test('approve queues the withdrawal for the runner exactly once', async () => {
+    const { db, agent, balanceOf, withdrawal } = setup();
+    const id = await request(db, agent);
+
+    const claimed = await approveAgentWithdrawal(db, id, { reviewedBy: 'ops' });
+    expect(claimed).toMatchObject({ status: AGENT_WITHDRAWAL_STATUS.PROCESSING, attempts: 0, reviewedBy: 'ops' });
+    expect(claimed.nextAttemptAt).toBeInstanceOf(Date);
+    await expect(approveAgentWithdrawal(db, id)).rejects.toMatchObject({ code: 'WITHDRAWAL_NOT_PENDING', status: 409 });
+
+    expect(withdrawal().status).toBe('PROCESSING');
+    expect(balanceOf()).toBe(60);
+  });
+
+  test('reject refunds exactly once and cannot be approved afterwards', async () => {
+    const { db, agent, balanceOf } = setup();
+    const id = await request(db, agent);
+
+    const rejected = await rejectAgentWithdrawal(db, id, { reason: 'suspicious' });
+    expect(rejected).toMatchObject({ status: 'REJECTED', rejectionReason: 'suspicious' });
+    expect(balanceOf()).toBe(100);
+
+    await expect(rejectAgentWithdrawal(db, id)).rejects.toMatchObject({ code: 'WITHDRAWAL_NOT_PENDING' });
+    await expect(approveAgentWithdrawal(db, id)).rejects.toMatchObject({ code: 'WITHDRAWAL_NOT_PENDING' });
+    expect(balanceOf()).toBe(100);
+  });
+
+  test('cannot reject a withdrawal that is already being sent', async () => {
+    const { db, agent, balanceOf } = setup();
+    const id = await request(db, agent);
+    await approveAgentWithdrawal(db, id);
+
+    await expect(rejectAgentWithdrawal(db, id)).rejects.toMatchObject({ status: 409 });
+    expect(balanceOf()).toBe(60);
+  });
+
+  test('unknown withdrawals are 404', async () => {
+    const { db } = setup();
+    await expect(approveAgentWithdrawal(db, new ObjectId())).rejects.toMatchObject({ code: 'WITHDRAWAL_NOT_FOUND', status: 404 });
+  });
+});
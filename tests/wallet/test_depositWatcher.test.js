@@ -0,0 +1,409 @@
+/**
+ * Tests for src/services/depositWatcher.js
+ *
+ * Covers: memo extraction, amount from treasury token balance deltas, mint
+ * verification, confirmation threshold, crediting once per signature,
+ * unmatched deposits, cursor advancing, backlogs deeper than one poll,
+ * deposit references, and assigning/refunding unmatched deposits
+ *
+ * Runs against a mocked RPC connection and an in-memory db; the ledger
+ * credit is replaced by a fake that enforces unique references. Assigning
+ * goes through the real ledger on the tests/helpers in-memory db.
+ */
+
+import { Keypair } from '@solana/web3.js';
+import { ObjectId } from 'mongodb';
+import { createFakeDb as createLedgerDb } from '../helpers/fakeMongo.js';
+import {
+  MAX_PAGES_PER_POLL,
+  createDepositWatcher,
+  assignDeposit,
+  refundDeposit,
+  parseDepositTransaction,
+  extractMemoReference,
+  getDepositReference,
+  toKlikAmount,
+} from '../../src/services/depositWatcher.js';
+
+const treasury = Keypair.generate().publicKey;
+const mint = Keypair.generate().publicKey.toBase58();
+const otherMint = Keypair.generate().publicKey.toBase58();
+const sender = Keypair.generate().publicKey.toBase58();
+
+// ---------------------------------------------------------------------------
+// Fakes
+// ---------------------------------------------------------------------------
+
+function createFakeDb() {
+  const state = {};
+  const matches = (doc, filter) => Object.entries(filter).every(([k, v]) => {
+    if (v instanceof ObjectId) return doc[k] instanceof ObjectId && doc[k].equals(v);
+    return doc[k] === v;
+  });
+  const collection = (name) => {
+    const docs = (state[name] = state[name] || []);
+    return {
+      async findOne(filter) {
+        return docs.find(d => matches(d, filter)) || null;
+      },
+      async insertOne(doc) {
+        const unique = { DepositReference: ['memo'], Deposit: ['signature'] }[name] || [];
+        if (unique.some(field => docs.some(d => d[field] === doc[field]))) {
+          const err = new Error('duplicate key');
+          err.code = 11000;
+          throw err;
+        }
+        docs.push({ ...doc });
+      },
+      async updateOne(filter, update, options = {}) {
+        let doc = docs.find(d => matches(d, filter));
+        if (!doc && options.upsert) {
+          doc = { ...filter, ...update.$setOnInsert };
+          docs.push(doc);
+        }
+        if (doc) Object.assign(doc, update.$set);
+      },
+    };
+  };
+  return { collection, docs: (name) => (state[name] = state[name] || []) };
+}
+
+// Stands in for the ledger: unique per reference, records the Deposit
+function createFakeCredit() {
+  const balances = new Map();
+  const references = new Set();
+  const credit = async (db, deposit) => {
+    const reference = `deposit:${deposit.signature}`;
+    if (references.has(reference)) {
+      const err = new Error('duplicate');
+      err.code = 'DUPLICATE_LEDGER_REFERENCE';
+      throw err;
+    }
+    references.add(reference);
+    const key = `${deposit.accountType}:${deposit.accountId}`;
+    balances.set(key, (balances.get(key) || 0) + deposit.amount);
+    await db.collection('Deposit').insertOne(deposit);
+  };
+  return { credit, balanceOf: (type, id) => balances.get(`${type}:${id}`) || 0 };
+}
+
+function tokenBalance(accountIndex, owner, mintAddress, amount) {
+  return { accountIndex, owner, mint: mintAddress, uiTokenAmount: { amount: String(amount), decimals: 9 } };
+}
+
+function depositTx({ amount, memo = null, mintAddress = mint, err = null }) {
+  const instructions = [
+    { program: 'spl-token', parsed: { type: 'transferChecked', info: {} } },
+  ];
+  if (memo) instructions.push({ program: 'spl-memo', parsed: memo });
+  return {
+    slot: 100,
+    blockTime: 1_700_000_000,
+    transaction: { message: { accountKeys: [], instructions } },
+    meta: {
+      err,
+      preTokenBalances: [
+        tokenBalance(1, treasury.toBase58(), mintAddress, 500n * 10n ** 9n),
+        tokenBalance(2, sender, mintAddress, amount),
+      ],
+      postTokenBalances: [
+        tokenBalance(1, treasury.toBase58(), mintAddress, 500n * 10n ** 9n + BigInt(amount)),
+        tokenBalance(2, sender, mintAddress, 0),
+      ],
+    },
+  };
+}
+
+// Mocked RPC: signatures newest-first, like getSignaturesForAddress
+function createFakeConnection() {
+  const txs = new Map();
+  const statuses = new Map();
+  const order = [];
+  const calls = { getSignaturesForAddress: [] };
+
+  return {
+    calls,
+    add(signature, tx, status = { confirmationStatus: 'finalized', confirmations: null }) {
+      txs.set(signature, tx);
+      statuses.set(signature, status);
+      order.unshift(signature);
+    },
+    setStatus(signature, status) {
+      statuses.set(signature, status);
+    },
+    // Listed for the address, but the RPC can't return the transaction
+    addMissing(signature) {
+      order.unshift(signature);
+    },
+    async getSignaturesForAddress(address, { until, before, limit }) {
+      calls.getSignaturesForAddress.push({ address: address.toBase58(), until, before });
+      const start = before ? order.indexOf(before) + 1 : 0;
+      const stop = until ? order.indexOf(until) : order.length;
+      return order.slice(start, stop).slice(0, limit).map(signature => ({
+        signature,
+        err: txs.get(signature)?.meta?.err || null,
+      }));
+    },
+    async getSignatureStatuses(signatures) {
+      return { value: signatures.map(s => (statuses.has(s) ? { slot: 100, err: null, ...statuses.get(s) } : null)) };
+    },
+    async getParsedTransaction(signature) {
+      return txs.get(signature) || null;
+    },
+  };
+}
+
+const sig = (n) => String(n).padStart(88, '5');
+
+async function setup({ minConfirmations = 32, pageSize, maxNotFoundPolls, seeded = true } = {}) {
+  const db = createFakeDb();
+  if (seeded) {
+    // A watcher that was already running before the test's deposits
+    db.docs('DepositWatcherState').push({ _id: 'klik-treasury-deposits', lastSignature: null, resumeBefore: null });
+  }
+  const connection = createFakeConnection();
+  const ledger = createFakeCredit();
+  const agentId = new ObjectId();
+  const memo = await getDepositReference(db, { type: 'AGENT', id: agentId });
+  const watcher = createDepositWatcher({
+    db,
+    connection,
+    treasuryOwner: treasury,
+    mint,
+    minConfirmations,
+    credit: ledger.credit,
+    pageSize,
+    maxNotFoundPolls,
+  });
+  return { db, connection, ledger, agentId, memo, watcher };
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+describe('parseDepositTransaction', () => {
+  const options = { treasuryOwner: treasury.toBase58(), mint };
+
+  test('measures the treasury KLIK balance increase and reads the memo', () => {
+    const parsed = parseDepositTransaction(depositTx({ amount: 2_500_000_000, memo: 'KLIK-ABCD2345' }), options);
+    expect(parsed.rawAmount).toBe(2_500_000_000n);
+    expect(parsed.memo).toBe('KLIK-ABCD2345');
+    expect(toKlikAmount(parsed.rawAmount, parsed.decimals)).toBe(2.5);
+  });
+
+  test('ignores other mints, failed transactions and outgoing transfers', () => {
+    expect(parseDepositTransaction(depositTx({ amount: 10, mintAddress: otherMint }), options)).toBeNull();
+    expect(parseDepositTransaction(depositTx({ amount: 10, err: { InstructionError: [0, 'x'] } }), options)).toBeNull();
+
+    const outgoing = depositTx({ amount: 10 });
+    [outgoing.meta.preTokenBalances, outgoing.meta.postTokenBalances] =
+      [outgoing.meta.postTokenBalances, outgoing.meta.preTokenBalances];
+    expect(parseDepositTransaction(outgoing, options)).toBeNull();
+  });
+
+  test('extractMemoReference finds the reference inside free text', () => {
+    expect(extractMemoReference('deposit for klik-abcd2345 thanks')).toBe('KLIK-ABCD2345');
+    expect(extractMemoReference('KLIK-0000')).toBeNull();
+    expect(extractMemoReference(null)).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Watcher
+// ---------------------------------------------------------------------------
+
+describe('deposit watcher', () => {
+  test('credits a confirmed deposit to the memo owner exactly once', async () => {
+    const { db, connection, ledger, agentId, memo, watcher } = await setup();
+    connection.add(sig(1), depositTx({ amount: 7_000_000_000, memo }));
+
+    const first = await watcher.pollOnce();
+    expect(first).toMatchObject({ scanned: 1, credited: 1 });
+    expect(ledger.balanceOf('AGENT', agentId)).toBe(7);
+
+    // Claiming by signature and re-polling are both no-ops
+    expect((await watcher.processSignature(sig(1))).status).toBe('duplicate');
+    const second = await watcher.pollOnce();
+    expect(second.scanned).toBe(0);
+    expect(ledger.balanceOf('AGENT', agentId)).toBe(7);
+    expect(db.docs('Deposit')).toHaveLength(1);
+  });
+
+  test('waits for confirmations and does not advance past a pending deposit', async () => {
+    const { db, connection, ledger, agentId, memo, watcher } = await setup({ minConfirmations: 10 });
+    connection.add(sig(1), depositTx({ amount: 1_000_000_000, memo }), { confirmationStatus: 'confirmed', confirmations: 3 });
+    connection.add(sig(2), depositTx({ amount: 2_000_000_000, memo }));
+
+    const pending = await watcher.pollOnce();
+    expect(pending).toMatchObject({ credited: 0, pending: 1 });
+    expect(db.docs('DepositWatcherState')[0].lastSignature).toBeNull();
+
+    connection.setStatus(sig(1), { confirmationStatus: 'confirmed', confirmations: 12 });
+    const done = await watcher.pollOnce();
+    expect(done.credited).toBe(2);
+    expect(ledger.balanceOf('AGENT', agentId)).toBe(3);
+    expect(db.docs('DepositWatcherState')[0].lastSignature).toBe(sig(2));
+  });
+
+  test('records deposits without a known memo as unmatched', async () => {
+    const { db, connection, watcher } = await setup();
+    connection.add(sig(1), depositTx({ amount: 5_000_000_000 }));
+    connection.add(sig(2), depositTx({ amount: 5_000_000_000, memo: 'KLIK-ZZZZZZZZ' }));
+
+    const summary = await watcher.pollOnce();
+    expect(summary).toMatchObject({ credited: 0, unmatched: 2 });
+    expect(db.docs('Deposit').map(d => d.status)).toEqual(['unmatched', 'unmatched']);
+  });
+
+  test('skips transfers of other tokens and advances the cursor', async () => {
+    const { connection, ledger, agentId, memo, watcher, db } = await setup();
+    connection.add(sig(1), depositTx({ amount: 9_000_000_000, memo, mintAddress: otherMint }));
+
+    const summary = await watcher.pollOnce();
+    expect(summary.credited).toBe(0);
+    expect(ledger.balanceOf('AGENT', agentId)).toBe(0);
+    expect(db.docs('DepositWatcherState')[0].lastSignature).toBe(sig(1));
+  });
+
+  test('works through a backlog deeper than one poll without skipping the oldest', async () => {
+    const pageSize = 2;
+    const { db, connection, ledger, agentId, memo, watcher } = await setup({ pageSize });
+    connection.add(sig(1), depositTx({ amount: 1_000_000_000, memo }));
+    await watcher.pollOnce();
+
+    // More than MAX_PAGES_PER_POLL full pages arrive between two polls
+    const backlog = pageSize * MAX_PAGES_PER_POLL * 2 + 1;
+    for (let n = 2; n <= backlog + 1; n++) {
+      connection.add(sig(n), depositTx({ amount: 1_000_000_000, memo }));
+    }
+
+    const first = await watcher.pollOnce();
+    expect(first).toMatchObject({ backlog: true, scanned: 0 });
+    expect(db.docs('DepositWatcherState')[0].lastSignature).toBe(sig(1));
+
+    let polls = 1;
+    while ((await watcher.pollOnce()).scanned > 0 || db.docs('DepositWatcherState')[0].resumeBefore) {
+      polls++;
+      expect(polls).toBeLessThan(20);
+    }
+
+    expect(ledger.balanceOf('AGENT', agentId)).toBe(backlog + 1);
+    // Credited oldest first, none skipped
+    expect(db.docs('Deposit').map(d => d.signature))
+      .toEqual(Array.from({ length: backlog + 1 }, (_, i) => sig(i + 1)));
+    expect(db.docs('DepositWatcherState')[0].lastSignature).toBe(sig(backlog + 1));
+  });
+
+  test('starts from the newest signature on first run instead of replaying history', async () => {
+    const { db, connection, ledger, agentId, memo, watcher } = await setup({ seeded: false });
+    connection.add(sig(1), depositTx({ amount: 1_000_000_000 }));
+    connection.add(sig(2), depositTx({ amount: 1_000_000_000, memo }));
+
+    expect(await watcher.pollOnce()).toMatchObject({ seeded: true, scanned: 0 });
+    expect(db.docs('DepositWatcherState')[0].lastSignature).toBe(sig(2));
+    expect(db.docs('Deposit')).toHaveLength(0);
+
+    connection.add(sig(3), depositTx({ amount: 4_000_000_000, memo }));
+    expect(await watcher.pollOnce()).toMatchObject({ seeded: false, scanned: 1, credited: 1 });
+    expect(ledger.balanceOf('AGENT', agentId)).toBe(4);
+  });
+
+  test('starts from a configured signature on first run', async () => {
+    const { db, connection, ledger, agentId, memo } = await setup({ seeded: false });
+    const watcher = createDepositWatcher({
+      db, connection, treasuryOwner: treasury, mint, credit: ledger.credit, startSignature: sig(1),
+    });
+    connection.add(sig(1), depositTx({ amount: 1_000_000_000, memo }));
+    connection.add(sig(2), depositTx({ amount: 2_000_000_000, memo }));
+
+    await watcher.pollOnce();
+    expect(await watcher.pollOnce()).toMatchObject({ scanned: 1, credited: 1 });
+    expect(ledger.balanceOf('AGENT', agentId)).toBe(2);
+  });
+
+  test('skips a signature that stays not found so later deposits are credited', async () => {
+    const { db, connection, ledger, agentId, memo, watcher } = await setup({ maxNotFoundPolls: 3 });
+    connection.addMissing(sig(1));
+    connection.add(sig(2), depositTx({ amount: 2_000_000_000, memo }));
+
+    expect(await watcher.pollOnce()).toMatchObject({ pending: 1, credited: 0 });
+    expect(await watcher.pollOnce()).toMatchObject({ pending: 1, credited: 0 });
+    expect(db.docs('DepositWatcherState')[0].notFound).toEqual({ signature: sig(1), polls: 2 });
+
+    expect(await watcher.pollOnce()).toMatchObject({ skipped: 1, credited: 1 });
+    expect(ledger.balanceOf('AGENT', agentId)).toBe(2);
+    expect(db.docs('SkippedDepositSignature')).toMatchObject([{ signature: sig(1), reason: 'not_found', polls: 3 }]);
+    expect(db.docs('DepositWatcherState')[0]).toMatchObject({ lastSignature: sig(2), notFound: null });
+  });
+
+  test('reads signatures for the treasury KLIK token account', async () => {
+    const { connection, watcher } = await setup();
+    await watcher.pollOnce();
+    expect(connection.calls.getSignaturesForAddress[0].address).toBe(watcher.tokenAccount.toBase58());
+  });
+});
+
+describe('getDepositReference', () => {
+  test('is stable per account and distinct across accounts', async () => {
+    const db = createFakeDb();
+    const id = new ObjectId();
+    const memo = await getDepositReference(db, { type: 'USER', id });
+
+    expect(memo).toMatch(/^KLIK-[A-HJ-NP-Z2-9]{8}$/);
+    expect(await getDepositReference(db, { type: 'USER', id })).toBe(memo);
+    expect(await getDepositReference(db, { type: 'AGENT', id })).not.toBe(memo);
+  });
+});
+
+describe('unmatched deposits', () => {
+  async function unmatched() {
+    const db = createLedgerDb({ unique: { Deposit: ['signature'] } });
+    const agent = { _id: new ObjectId(), name: 'alice', klikBalance: 0, ownerEarnings: 0 };
+    db.docs('Agent').push(agent);
+    db.docs('Deposit').push({
+      signature: sig(1),
+      amount: 4,
+      memo: null,
+      status: 'unmatched',
+      accountType: null,
+      accountId: null,
+      createdAt: new Date(),
+    });
+    return { db, agent };
+  }
+  const admin = { email: 'fin@klik.cool' };
+
+  test('assigning credits the account through the ledger once', async () => {
+    const { db, agent } = await unmatched();
+
+    const deposit = await assignDeposit(db, sig(1), { type: 'AGENT', id: agent._id }, admin);
+    expect(deposit).toMatchObject({ status: 'credited', accountType: 'AGENT', assignedBy: 'fin@klik.cool' });
+    expect(db.docs('Agent')[0].klikBalance).toBe(4);
+    expect(db.docs('Deposit')[0]).toMatchObject({ status: 'credited', assignedBy: 'fin@klik.cool' });
+    expect(db.docs('LedgerTransaction')[0].reference).toBe(`deposit:${sig(1)}`);
+    expect(db.docs('Transaction')[0]).toMatchObject({ type: 'DEPOSIT', amount: 4, txHash: sig(1) });
+
+    await expect(assignDeposit(db, sig(1), { type: 'AGENT', id: agent._id }, admin))
+      .rejects.toMatchObject({ code: 'DEPOSIT_NOT_UNMATCHED', status: 409 });
+    await expect(refundDeposit(db, sig(1), { refundSignature: sig(9), admin }))
+      .rejects.toMatchObject({ code: 'DEPOSIT_NOT_UNMATCHED' });
+    expect(db.docs('Agent')[0].klikBalance).toBe(4);
+  });
+
+  test('refunding records the return transaction and leaves the ledger alone', async () => {
+    const { db, agent } = await unmatched();
+
+    await expect(refundDeposit(db, sig(1), { refundSignature: 'nope', admin }))
+      .rejects.toMatchObject({ code: 'INVALID_SIGNATURE', status: 400 });
+
+    const deposit = await refundDeposit(db, sig(1), { refundSignature: sig(9), reason: 'wrong wallet', admin });
+    expect(deposit).toMatchObject({ status: 'refunded', refundSignature: sig(9), refundedBy: 'fin@klik.cool' });
+    expect(db.docs('LedgerTransaction')).toHaveLength(0);
+
+    await expect(assignDeposit(db, sig(1), { type: 'AGENT', id: agent._id }, admin))
+      .rejects.toMatchObject({ code: 'DEPOSIT_NOT_UNMATCHED' });
+    await expect(assignDeposit(db, sig(2), { type: 'AGENT', id: agent._id }, admin))
+      .rejects.toMatchObject({ code: 'DEPOSIT_NOT_FOUND', status: 404 });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for src/services/earningsAnalytics.js
+ *
+ * Covers: query validation, UTC bucketing, carrying prices forward,
+ * the gap-free series and breakdowns, and CSV export
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  parseAnalyticsQuery,
+  bucketStart,
+  enumerateBuckets,
+  buildEarningsPipeline,
+  priceBuckets,
+  priceRows,
+  formatEarningsReport,
+  formatEarningsCsv,
+} from '../../src/services/earningsAnalytics.js';
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+const day = (iso) => Date.parse(`${iso}T00:00:00Z`);
+
+describe('parseAnalyticsQuery', () => {
+  test('defaults to the last 30 days by day as JSON', () => {
+    const query = parseAnalyticsQuery({}, NOW);
+    expect(query).toEqual({
+      from: new Date('2026-02-13T12:00:00Z'),
+      to: NOW,
+      granularity: 'day',
+      groupBy: [],
+      format: 'json',
+    });
+  });
+
+  test('parses group_by lists and rejects bad input with INVALID_ANALYTICS_QUERY', () => {
+    expect(parseAnalyticsQuery({ group_by: 'post, tipper_type,post' }, NOW).groupBy).toEqual(['post', 'tipper_type']);
+
+    for (const bad of [
+      { granularity: 'hour' },
+      { from: 'yesterday' },
+      { from: '2026-03-02', to: '2026-03-01' },
+      { group_by: 'country' },
+      { format: 'xml' },
+      { from: '2020-01-01', to: '2026-01-01', granularity: 'day' },
+    ]) {
+      expect(() => parseAnalyticsQuery(bad, NOW)).toThrow(expect.objectContaining({
+        code: 'INVALID_ANALYTICS_QUERY',
+        status: 400,
+      }));
+    }
+    expect(parseAnalyticsQuery({ from: '2020-01-01', to: '2026-01-01', granularity: 'week' }, NOW).granularity).toBe('week');
+  });
+});
+
+describe('buckets', () => {
+  test('weeks start on Monday and months on the 1st, in UTC', () => {
+    // 2026-03-15 is a Sunday
+    expect(bucketStart(new Date('2026-03-15T23:59:00Z'), 'week')).toBe(day('2026-03-09'));
+    expect(bucketStart(new Date('2026-03-16T00:00:00Z'), 'week')).toBe(day('2026-03-16'));
+    expect(bucketStart(new Date('2026-03-15T12:00:00Z'), 'month')).toBe(day('2026-03-01'));
+    expect(enumerateBuckets(new Date('2026-01-20T00:00:00Z'), new Date('2026-03-01T00:00:00Z'), 'month'))
+      .toEqual([day('2026-01-01'), day('2026-02-01')]);
+  });
+
+  test('the pipeline scopes to the agents, tip types and range', () => {
+    const agentIds = [new ObjectId()];
+    const from = new Date('2026-03-01T00:00:00Z');
+    const to = new Date('2026-03-08T00:00:00Z');
+    const [match, lookup, , group] = buildEarningsPipeline({ agentIds, from, to, granularity: 'week', dimension: 'content_type' });
+
+    expect(match.$match).toEqual({
+      type: { $in: ['TIP', 'USER_TIP'] },
+      toAgentId: { $in: agentIds },
+      createdAt: { $gte: from, $lt: to },
+    });
+    expect(lookup.$lookup.from).toBe('Post');
+    expect(group.$group._id.period.$dateTrunc).toMatchObject({ unit: 'week', startOfWeek: 'monday' });
+  });
+});
+
+describe('pricing', () => {
+  test('carries the last price forward and leaves earlier buckets unpriced', () => {
+    const buckets = [day('2026-03-01'), day('2026-03-02'), day('2026-03-03')];
+    const none = priceBuckets(buckets, { buckets: new Map([[day('2026-03-02'), 0.02]]), before: null });
+    expect([...none.values()]).toEqual([null, 0.02, 0.02]);
+
+    const before = priceBuckets(buckets, { buckets: new Map([[day('2026-03-03'), 0.03]]), before: 0.01 });
+    expect([...before.values()]).toEqual([0.01, 0.01, 0.03]);
+  });
+});
+
+function analytics() {
+  const agentA = new ObjectId();
+  const agentB = new ObjectId();
+  const buckets = [day('2026-03-01'), day('2026-03-02'), day('2026-03-03')];
+  const bucketPrices = priceBuckets(buckets, { buckets: new Map([[day('2026-03-02'), 0.5]]), before: null });
+  const row = (period, key, amount, count = 1) => ({
+    _id: { period: new Date(period), key },
+    amount,
+    agentShare: amount * 0.8,
+    ownerShare: amount * 0.2,
+    count,
+  });
+
+  return {
+    agentA,
+    agentB,
+    result: {
+      from: new Date(buckets[0]),
+      to: new Date(day('2026-03-04')),
+      granularity: 'day',
+      buckets,
+      bucketPrices,
+      series: priceRows([row(buckets[1], null, 10, 2), row(buckets[2], null, 4)], bucketPrices),
+      breakdowns: {
+        agent: priceRows([
+          row(buckets[1], agentA, 3),
+          row(buckets[1], agentB, 7),
+          row(buckets[2], agentA, 4),
+        ], bucketPrices),
+      },
+      labels: { agent: new Map([[agentA.toString(), 'Alpha'], [agentB.toString(), '=HYPERLINK("x")']]) },
+    },
+  };
+}
+
+describe('formatEarningsReport', () => {
+  test('fills empty buckets, values earnings in USD and ranks breakdowns', () => {
+    const { agentA, result } = analytics();
+    const report = formatEarningsReport(result);
+
+    expect(report.totals).toEqual({ tips: 3, amount: 14, agent_share: 11.2, owner_share: 2.8, usd: 7 });
+    expect(report.series).toEqual([
+      { period_start: '2026-03-01T00:00:00.000Z', klik_usd: null, tips: 0, amount: 0, agent_share: 0, owner_share: 0, usd: 0 },
+      { period_start: '2026-03-02T00:00:00.000Z', klik_usd: 0.5, tips: 2, amount: 10, agent_share: 8, owner_share: 2, usd: 5 },
+      { period_start: '2026-03-03T00:00:00.000Z', klik_usd: 0.5, tips: 1, amount: 4, agent_share: 3.2, owner_share: 0.8, usd: 2 },
+    ]);
+    expect(report.breakdowns.agent[0]).toMatchObject({ key: agentA.toString(), label: 'Alpha', amount: 7, tips: 2, usd: 3.5 });
+    expect(report.breakdowns.agent[1].amount).toBe(7);
+  });
+
+  test('USD totals are null when some earnings predate the price history', () => {
+    const { result } = analytics();
+    result.series = priceRows([{ _id: { period: new Date(result.buckets[0]), key: null }, amount: 1, agentShare: 0.8, ownerShare: 0.2, count: 1 }], result.bucketPrices);
+    expect(formatEarningsReport(result).totals.usd).toBeNull();
+  });
+});
+
+describe('formatEarningsCsv', () => {
+  test('writes one row per bucket, or per bucket and key of the first dimension', () => {
+    const { result } = analytics();
+    const grouped = formatEarningsCsv(result).trim().split('\n');
+    expect(grouped[0]).toBe('period_start,agent,label,tips,amount_klik,agent_share_klik,owner_share_klik,klik_usd,amount_usd');
+    expect(grouped).toHaveLength(4);
+    // Labels are quoted and can't run as spreadsheet formulas
+    expect(grouped.find(line => line.includes('HYPERLINK'))).toContain(',"\'=HYPERLINK(""x"")",');
+
+    result.breakdowns = {};
+    const series = formatEarningsCsv(result).trim().split('\n');
+    expect(series).toEqual([
+      'period_start,tips,amount_klik,agent_share_klik,owner_share_klik,klik_usd,amount_usd',
+      '2026-03-02T00:00:00.000Z,2,10,8,2,0.5,5',
+      '2026-03-03T00:00:00.000Z,1,4,3.2,0.8,0.5,2',
+    ]);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for src/services/ledger.js
+ *
+ * Covers: balanced postings, conditional debits (no overdraw), rollback of
+ * partial writes, rounding of split amounts, duplicate references, opening
+ * balances and reconciliation
+ *
+ * Uses the in-memory MongoDB stand-in from tests/helpers, whose
+ * withTransaction snapshots state and restores it when the callback throws.
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  postLedgerTransaction,
+  transfer,
+  balanceAfter,
+  recordOpeningBalance,
+  reconcileLedger,
+  agentAccount,
+  ownerEarningsAccount,
+  userAccount,
+  systemAccount,
+  SYSTEM_ACCOUNTS,
+  LEDGER_TYPES,
+} from '../../src/services/ledger.js';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+
+function seed(db) {
+  const alice = { _id: new ObjectId(), name: 'alice', klikBalance: 10, ownerEarnings: 0 };
+  const bob = { _id: new ObjectId(), name: 'bob', klikBalance: 0, ownerEarnings: 0 };
+  const user = { _id: new ObjectId(), klikBalance: 5 };
+  db.docs('Agent').push(alice, bob);
+  db.docs('User').push(user);
+  return { alice, bob, user };
+}
+
+const agentDoc = (db, id) => db.docs('Agent').find(a => a._id.equals(id));
+
+// ---------------------------------------------------------------------------
+// Posting
+// ---------------------------------------------------------------------------
+
+describe('postLedgerTransaction', () => {
+  test('moves balances and writes one entry per leg', async () => {
+    const db = createFakeDb();
+    const { alice, bob } = seed(db);
+
+    const outcome = await postLedgerTransaction(db, {
+      type: LEDGER_TYPES.TIP,
+      legs: [
+        { account: agentAccount(alice._id), amount: -5 },
+        { account: agentAccount(bob._id), amount: 4 },
+        { account: ownerEarningsAccount(bob._id), amount: 1 },
+      ],
+    });
+
+    expect(agentDoc(db, alice._id).klikBalance).toBe(5);
+    expect(agentDoc(db, bob._id).klikBalance).toBe(4);
+    expect(agentDoc(db, bob._id).ownerEarnings).toBe(1);
+    expect(balanceAfter(outcome, agentAccount(alice._id))).toBe(5);
+    expect(db.docs('LedgerEntry')).toHaveLength(3);
+    expect(db.docs('LedgerEntry').reduce((sum, e) => sum + e.amount, 0)).toBe(0);
+  });
+
+  test('refuses to overdraw and leaves no partial writes', async () => {
+    const db = createFakeDb();
+    const { alice, bob } = seed(db);
+
+    await expect(transfer(db, {
+      type: LEDGER_TYPES.TIP,
+      from: agentAccount(alice._id),
+      to: agentAccount(bob._id),
+      amount: 11,
+      withSession: async () => { throw new Error('should not run'); },
+    })).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS', status: 402, balance: 10, needed: 11 });
+
+    expect(agentDoc(db, alice._id).klikBalance).toBe(10);
+    expect(agentDoc(db, bob._id).klikBalance).toBe(0);
+    expect(db.docs('LedgerEntry')).toHaveLength(0);
+  });
+
+  test('a failing side write rolls back the balance changes', async () => {
+    const db = createFakeDb();
+    const { alice, bob } = seed(db);
+
+    await expect(transfer(db, {
+      type: LEDGER_TYPES.TIP,
+      from: agentAccount(alice._id),
+      to: agentAccount(bob._id),
+      amount: 3,
+      withSession: async () => { throw new Error('crash after debit'); },
+    })).rejects.toThrow('crash after debit');
+
+    expect(agentDoc(db, alice._id).klikBalance).toBe(10);
+    expect(agentDoc(db, bob._id).klikBalance).toBe(0);
+    expect(db.docs('LedgerTransaction')).toHaveLength(0);
+  });
+
+  test('concurrent spends cannot both succeed past the balance', async () => {
+    const db = createFakeDb();
+    const { alice, bob } = seed(db);
+    const spend = () => transfer(db, {
+      type: LEDGER_TYPES.TIP,
+      from: agentAccount(alice._id),
+      to: agentAccount(bob._id),
+      amount: 6,
+    });
+
+    const results = await Promise.allSettled([spend(), spend()]);
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    expect(agentDoc(db, alice._id).klikBalance).toBe(4);
+  });
+
+  test('rounds split amounts to 9 decimals and keeps the legs balanced', async () => {
+    const db = createFakeDb();
+    const { alice, bob } = seed(db);
+    const amount = 1.1;
+
+    await postLedgerTransaction(db, {
+      type: LEDGER_TYPES.TIP,
+      legs: [
+        { account: agentAccount(alice._id), amount: -amount },
+        { account: agentAccount(bob._id), amount: amount * 0.8 },
+        { account: ownerEarningsAccount(bob._id), amount: amount * 0.2 },
+      ],
+    });
+
+    expect(agentDoc(db, bob._id).klikBalance).toBe(0.88);
+    expect(agentDoc(db, bob._id).ownerEarnings).toBe(0.22);
+  });
+
+  test('rejects unbalanced legs', async () => {
+    const db = createFakeDb();
+    const { alice, bob } = seed(db);
+    await expect(postLedgerTransaction(db, {
+      type: LEDGER_TYPES.TIP,
+      legs: [
+        { account: agentAccount(alice._id), amount: -5 },
+        { account: agentAccount(bob._id), amount: 4 },
+      ],
+    })).rejects.toMatchObject({ code: 'UNBALANCED_LEDGER_TRANSACTION' });
+  });
+
+  test('duplicate references are rejected with 409', async () => {
+    const db = createFakeDb();
+    const { user } = seed(db);
+    const deposit = () => transfer(db, {
+      type: LEDGER_TYPES.DEPOSIT,
+      from: systemAccount(SYSTEM_ACCOUNTS.DEPOSITS),
+      to: userAccount(user._id),
+      amount: 50,
+      reference: 'deposit:sig123',
+    });
+
+    await deposit();
+    await expect(deposit()).rejects.toMatchObject({ code: 'DUPLICATE_LEDGER_REFERENCE', status: 409 });
+    expect(db.docs('User')[0].klikBalance).toBe(55);
+  });
+
+  test('crediting a missing account fails with ACCOUNT_NOT_FOUND', async () => {
+    const db = createFakeDb();
+    const { alice } = seed(db);
+    await expect(transfer(db, {
+      type: LEDGER_TYPES.TIP,
+      from: agentAccount(alice._id),
+      to: agentAccount(new ObjectId()),
+      amount: 1,
+    })).rejects.toMatchObject({ code: 'ACCOUNT_NOT_FOUND' });
+    expect(agentDoc(db, alice._id).klikBalance).toBe(10);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Opening balances & reconciliation
+// ---------------------------------------------------------------------------
+
+describe('reconcileLedger', () => {
+  test('flags pre-ledger balances until they are opened', async () => {
+    const db = createFakeDb();
+    const { alice, user } = seed(db);
+
+    let report = await reconcileLedger(db);
+    expect(report.mismatches.map(m => String(m.accountId)).sort())
+      .toEqual([String(alice._id), String(user._id)].sort());
+    expect(report.mismatches.every(m => m.opened === false)).toBe(true);
+
+    expect(await recordOpeningBalance(db, agentAccount(alice._id))).toBe(10);
+    expect(await recordOpeningBalance(db, userAccount(user._id))).toBe(5);
+    expect(await recordOpeningBalance(db, agentAccount(alice._id))).toBeNull();
+
+    report = await reconcileLedger(db);
+    expect(report.mismatches).toEqual([]);
+    expect(report.imbalance).toBe(0);
+    expect(report.systemBalances[SYSTEM_ACCOUNTS.OPENING]).toBe(-15);
+  });
+
+  test('detects balances written outside the ledger', async () => {
+    const db = createFakeDb();
+    const { alice, bob, user } = seed(db);
+    await recordOpeningBalance(db, agentAccount(alice._id));
+    await recordOpeningBalance(db, userAccount(user._id));
+    await transfer(db, { type: LEDGER_TYPES.TIP, from: agentAccount(alice._id), to: agentAccount(bob._id), amount: 2 });
+
+    agentDoc(db, bob._id).klikBalance += 100; // rogue $inc
+
+    const report = await reconcileLedger(db);
+    expect(report.mismatches).toHaveLength(1);
+    expect(report.mismatches[0]).toMatchObject({ accountType: 'AGENT', stored: 102, ledger: 2, difference: 100 });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Tests for src/services/ownerEarnings.js
+ *
+ * Covers: settlement into the owner's balance through the ledger, history
+ * records, sweeps per user and across all agents, agents owned through
+ * Agent.owner only, unclaimed/orphaned
+ * agents, adoption forfeiting earnings atomically, and an ownership change
+ * racing a settlement
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  settleAgentOwnerEarnings,
+  settleUserOwnerEarnings,
+  settleAllOwnerEarnings,
+  forfeitOrphanEarnings,
+  adoptOrphanedAgent,
+  SETTLEMENT_REASONS,
+} from '../../src/services/ownerEarnings.js';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+
+function setup() {
+  const db = createFakeDb();
+  const alice = { _id: new ObjectId(), klikBalance: 5, totalEarned: 0 };
+  const bob = { _id: new ObjectId(), klikBalance: 0, totalEarned: 0 };
+  db.docs('User').push(alice, bob);
+
+  const addAgent = (fields) => {
+    const agent = { _id: new ObjectId(), name: `agent${db.docs('Agent').length}`, klikBalance: 0, ownerEarnings: 0, ...fields };
+    db.docs('Agent').push(agent);
+    return agent;
+  };
+  const agent = (id) => db.docs('Agent').find(a => a._id.equals(id));
+  const user = (id) => db.docs('User').find(u => u._id.equals(id));
+  return { db, alice, bob, addAgent, agent, user };
+}
+
+describe('settleAgentOwnerEarnings', () => {
+  test('moves owner earnings into the owner balance once, with a history record', async () => {
+    const { db, alice, addAgent, agent, user } = setup();
+    const a = addAgent({ userId: alice._id, ownerEarnings: 20 });
+
+    const settlement = await settleAgentOwnerEarnings(db, a._id, { reason: SETTLEMENT_REASONS.MANUAL });
+    expect(settlement).toMatchObject({ agentId: a._id, userId: alice._id, amount: 20, reason: 'manual', forfeited: false });
+    expect(agent(a._id).ownerEarnings).toBe(0);
+    expect(user(alice._id)).toMatchObject({ klikBalance: 25, totalEarned: 20 });
+
+    expect(db.docs('OwnerSettlement')).toHaveLength(1);
+    expect(db.docs('LedgerTransaction')[0]).toMatchObject({ type: 'OWNER_SETTLEMENT' });
+    expect(db.docs('OwnerSettlement')[0].ledgerTransactionId).toEqual(db.docs('LedgerTransaction')[0]._id);
+
+    expect(await settleAgentOwnerEarnings(db, a._id)).toBeNull();
+    expect(user(alice._id).klikBalance).toBe(25);
+  });
+
+  test('unowned agents keep accruing until claimed, then the claimer is paid', async () => {
+    const { db, alice, addAgent, agent, user } = setup();
+    const a = addAgent({ ownerEarnings: 8, walletAgentData: { claimStatus: 'UNCLAIMED' } });
+
+    expect(await settleAgentOwnerEarnings(db, a._id)).toBeNull();
+    expect(agent(a._id).ownerEarnings).toBe(8);
+
+    agent(a._id).userId = alice._id;
+    const settlement = await settleAgentOwnerEarnings(db, a._id, { reason: SETTLEMENT_REASONS.CLAIM });
+    expect(settlement).toMatchObject({ reason: 'claim', amount: 8 });
+    expect(user(alice._id).klikBalance).toBe(13);
+  });
+
+  test('an ownership change during settlement pays nobody', async () => {
+    const { db, alice, bob, addAgent, agent, user } = setup();
+    const a = addAgent({ userId: alice._id, ownerEarnings: 10 });
+
+    // Agent is transferred to bob right after the settlement reads it
+    const collection = db.collection;
+    let transferred = false;
+    db.collection = (name) => {
+      const c = collection(name);
+      if (name === 'Agent') {
+        const findOne = c.findOne;
+        c.findOne = async (...args) => {
+          const doc = await findOne(...args);
+          if (!transferred) {
+            transferred = true;
+            agent(a._id).userId = bob._id;
+          }
+          return doc;
+        };
+      }
+      return c;
+    };
+
+    expect(await settleAgentOwnerEarnings(db, a._id)).toBeNull();
+    expect(agent(a._id).ownerEarnings).toBe(10);
+    expect(user(alice._id).klikBalance).toBe(5);
+    expect(user(bob._id).klikBalance).toBe(0);
+    expect(db.docs('OwnerSettlement')).toHaveLength(0);
+
+    db.collection = collection;
+    expect(await settleAgentOwnerEarnings(db, a._id)).toMatchObject({ userId: bob._id, amount: 10 });
+  });
+});
+
+describe('sweeps', () => {
+  test('settleUserOwnerEarnings settles only the user\'s agents', async () => {
+    const { db, alice, bob, addAgent, user } = setup();
+    addAgent({ userId: alice._id, ownerEarnings: 3 });
+    addAgent({ userId: alice._id, ownerEarnings: 4.5 });
+    addAgent({ userId: alice._id, ownerEarnings: 0 });
+    addAgent({ userId: bob._id, ownerEarnings: 100 });
+
+    const { settled, settlements } = await settleUserOwnerEarnings(db, alice._id);
+    expect(settled).toBe(7.5);
+    expect(settlements).toHaveLength(2);
+    expect(user(alice._id).klikBalance).toBe(12.5);
+    expect(user(bob._id).klikBalance).toBe(0);
+  });
+
+  test('settleAllOwnerEarnings settles every owned agent and skips unowned ones', async () => {
+    const { db, alice, bob, addAgent, agent } = setup();
+    addAgent({ userId: alice._id, ownerEarnings: 3 });
+    addAgent({ userId: bob._id, ownerEarnings: 2 });
+    const unowned = addAgent({ ownerEarnings: 9 });
+
+    expect(await settleAllOwnerEarnings(db)).toEqual({ agents: 2, settled: 5, errors: 0 });
+    expect(agent(unowned._id).ownerEarnings).toBe(9);
+    expect(db.docs('OwnerSettlement').every(s => s.reason === 'scheduled')).toBe(true);
+  });
+
+  test('agents registered with only Agent.owner settle to that user', async () => {
+    const { db, alice, bob, addAgent, user } = setup();
+    const registered = () => addAgent({ owner: alice._id, ownerEarnings: 2 });
+    const a = registered();
+    registered();
+    registered();
+    // userId wins over a stale owner
+    addAgent({ userId: bob._id, owner: alice._id, ownerEarnings: 1 });
+
+    expect(await settleAgentOwnerEarnings(db, a._id)).toMatchObject({ userId: alice._id, amount: 2 });
+    expect(await settleAllOwnerEarnings(db)).toEqual({ agents: 3, settled: 5, errors: 0 });
+    expect(user(alice._id).klikBalance).toBe(11);
+    expect(user(bob._id).klikBalance).toBe(1);
+
+    registered();
+    expect((await settleUserOwnerEarnings(db, alice._id)).settled).toBe(2);
+    expect(await settleUserOwnerEarnings(db, bob._id)).toEqual({ settled: 0, settlements: [] });
+  });
+});
+
+describe('forfeitOrphanEarnings', () => {
+  test('orphaned earnings are forfeited before adoption', async () => {
+    const { db, addAgent, agent } = setup();
+    const a = addAgent({ ownerEarnings: 6, walletAgentData: { claimStatus: 'ORPHANED' } });
+
+    const settlement = await forfeitOrphanEarnings(db, a._id);
+    expect(settlement).toMatchObject({ userId: null, forfeited: true, reason: 'adoption', amount: 6 });
+    expect(agent(a._id).ownerEarnings).toBe(0);
+    expect(db.docs('LedgerEntry').find(e => e.accountType === 'SYSTEM')).toMatchObject({
+      accountId: 'forfeited_earnings',
+      amount: 6,
+    });
+  });
+
+  test('unclaimed and owned agents are left alone', async () => {
+    const { db, alice, addAgent, agent } = setup();
+    const unclaimed = addAgent({ ownerEarnings: 6, walletAgentData: { claimStatus: 'UNCLAIMED' } });
+    const owned = addAgent({ userId: alice._id, ownerEarnings: 6, walletAgentData: { claimStatus: 'ORPHANED' } });
+
+    expect(await forfeitOrphanEarnings(db, unclaimed._id)).toBeNull();
+    expect(await forfeitOrphanEarnings(db, owned._id)).toBeNull();
+    expect(agent(unclaimed._id).ownerEarnings).toBe(6);
+    expect(agent(owned._id).ownerEarnings).toBe(6);
+  });
+});
+
+describe('adoptOrphanedAgent', () => {
+  const orphan = () => ({ isWalletAgent: true, walletAgentData: { claimStatus: 'ORPHANED' } });
+
+  test('forfeits orphaned earnings and assigns the adopter together', async () => {
+    const { db, alice, addAgent, agent } = setup();
+    const a = addAgent({ ...orphan(), ownerEarnings: 6 });
+
+    const { agent: adopted, settlement } = await adoptOrphanedAgent(db, a._id, alice._id);
+    expect(settlement).toMatchObject({ userId: null, forfeited: true, reason: 'adoption', amount: 6 });
+    expect(adopted).toMatchObject({ userId: alice._id, ownerEarnings: 0, walletAgentData: { claimStatus: 'ADOPTED' } });
+    expect(agent(a._id).walletAgentData.adoptedBy).toBe(alice._id);
+  });
+
+  test('adopts an agent without earnings and rejects a second adoption', async () => {
+    const { db, alice, bob, addAgent, agent } = setup();
+    const a = addAgent(orphan());
+
+    expect((await adoptOrphanedAgent(db, a._id, alice._id)).settlement).toBeNull();
+    await expect(adoptOrphanedAgent(db, a._id, bob._id)).rejects.toMatchObject({ code: 'NOT_ADOPTABLE', status: 409 });
+    expect(agent(a._id).userId).toBe(alice._id);
+  });
+
+  test('keeps the earnings when the adoption write fails', async () => {
+    const { db, alice, addAgent, agent } = setup();
+    const a = addAgent({ ...orphan(), ownerEarnings: 6 });
+    const failing = {
+      ...db,
+      collection: (name) => (name === 'OwnerSettlement'
+        ? { ...db.collection(name), insertOne: async () => { throw new Error('write failed'); } }
+        : db.collection(name)),
+    };
+
+    await expect(adoptOrphanedAgent(failing, a._id, alice._id)).rejects.toThrow('write failed');
+    expect(agent(a._id)).toMatchObject({ ownerEarnings: 6, walletAgentData: { claimStatus: 'ORPHANED' } });
+    expect(agent(a._id).userId).toBeUndefined();
+    expect(db.docs('LedgerEntry')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for price history in src/services/priceFeed.js
+ *
+ * Covers: which samples are recorded, candle query validation, and
+ * converting an amount at a past timestamp (including samples too old to use)
+ */
+
+import {
+  recordPriceSample,
+  parseCandleQuery,
+  getPriceAt,
+  convertKlikToUsdAt,
+} from '../../src/services/priceFeed.js';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+const price = (updatedAt, klikUsd, source = 'jupiter') => ({ klikUsd, solUsd: 150, updatedAt, source });
+
+describe('recordPriceSample', () => {
+  test('records fresh prices once and skips fallbacks', async () => {
+    const db = createFakeDb();
+
+    expect(await recordPriceSample(db, price('2026-03-15T11:00:00.000Z', 0.01))).toBe(true);
+    // Cached price served again by the next refresh
+    expect(await recordPriceSample(db, price('2026-03-15T11:00:00.000Z', 0.01))).toBe(false);
+    expect(await recordPriceSample(db, price('2026-03-15T11:01:00.000Z', 0, 'cache_fallback'))).toBe(false);
+    expect(await recordPriceSample(db, price('2026-03-15T11:01:00.000Z', 0.011))).toBe(true);
+
+    expect(db.docs('KlikPriceSample')).toMatchObject([
+      { ts: new Date('2026-03-15T11:00:00Z'), source: 'jupiter', klikUsd: 0.01, solUsd: 150 },
+      { ts: new Date('2026-03-15T11:01:00Z'), source: 'jupiter', klikUsd: 0.011, solUsd: 150 },
+    ]);
+  });
+});
+
+describe('parseCandleQuery', () => {
+  test('defaults to the last week of hourly candles', () => {
+    expect(parseCandleQuery({}, NOW)).toEqual({
+      interval: '1h',
+      from: new Date('2026-03-08T12:00:00Z'),
+      to: NOW,
+    });
+    expect(parseCandleQuery({ interval: '1m' }, NOW).from).toEqual(new Date('2026-03-15T06:00:00Z'));
+  });
+
+  test('rejects unknown intervals, bad dates and oversized ranges', () => {
+    for (const bad of [
+      { interval: '5m' },
+      { from: 'last week' },
+      { from: '2026-03-15', to: '2026-03-14' },
+      { interval: '1m', from: '2026-03-01', to: '2026-03-15' },
+    ]) {
+      expect(() => parseCandleQuery(bad, NOW)).toThrow(expect.objectContaining({
+        code: 'INVALID_PRICE_QUERY',
+        status: 400,
+      }));
+    }
+    expect(parseCandleQuery({ interval: '1d', from: '2023-01-01' }, NOW).interval).toBe('1d');
+  });
+});
+
+describe('convertKlikToUsdAt', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function withSamples() {
+    const db = createFakeDb();
+    db.docs('KlikPriceSample').push(
+      { ts: new Date('2026-03-01T00:00:00Z'), source: 'jupiter', klikUsd: 0.01, solUsd: 140 },
+      { ts: new Date('2026-03-02T00:00:00Z'), source: 'jupiter', klikUsd: 0.02, solUsd: 150 },
+      { ts: new Date('2026-03-03T00:00:00Z'), source: 'jupiter', klikUsd: 0.04, solUsd: 160 }
+    );
+    return db;
+  }
+
+  test('uses the latest price at or before the timestamp', async () => {
+    const db = withSamples();
+
+    expect(await getPriceAt(db, '2026-03-02T00:00:00Z')).toMatchObject({ klikUsd: 0.02, solUsd: 150, age_seconds: 0 });
+    expect(await convertKlikToUsdAt(db, 50, new Date('2026-03-02T18:30:00Z'), { maxAgeMs: DAY_MS })).toEqual({
+      usd: 1,
+      klikUsd: 0.02,
+      priceAt: new Date('2026-03-02T00:00:00Z'),
+      age_seconds: 18.5 * 60 * 60,
+    });
+    expect(await convertKlikToUsdAt(db, 50, '2026-02-28T00:00:00Z')).toBeNull();
+  });
+
+  test('treats a sample older than the max age as no price', async () => {
+    const db = withSamples();
+
+    expect(await getPriceAt(db, '2026-03-02T00:59:00Z')).toMatchObject({ klikUsd: 0.02, age_seconds: 59 * 60 });
+    // Default max age is an hour; the refresh has been down since midnight
+    expect(await getPriceAt(db, '2026-03-02T18:30:00Z')).toBeNull();
+    expect(await convertKlikToUsdAt(db, 50, '2026-03-02T18:30:00Z')).toBeNull();
+    expect(await convertKlikToUsdAt(db, 50, '2026-03-02T18:30:00Z', { maxAgeMs: DAY_MS })).toMatchObject({ usd: 1 });
+  });
+});
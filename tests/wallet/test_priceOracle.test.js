@@ -0,0 +1,116 @@
+/**
+ * Tests for the price oracle in src/services/priceFeed.js
+ *
+ * Covers: median aggregation, outlier rejection, priority on disagreement,
+ * falling back to the last good price and staleness, using stand-in
+ * providers instead of HTTP
+ */
+
+import { createPriceOracle, aggregateQuotes, withFreshness } from '../../src/services/priceFeed.js';
+
+const provider = (name, price) => ({
+  name,
+  calls: 0,
+  price,
+  async fetchPrice() {
+    this.calls++;
+    if (this.price instanceof Error) throw this.price;
+    return this.price;
+  },
+});
+
+function setup(prices, options = {}) {
+  let clock = Date.parse('2026-03-15T12:00:00Z');
+  const providers = Object.entries(prices).map(([name, price]) => provider(name, price));
+  const oracle = createPriceOracle({
+    providers,
+    solProvider: provider('sol', 100),
+    cacheTtlMs: 60_000,
+    staleAfterMs: 300_000,
+    outlierPct: 10,
+    now: () => clock,
+    ...options,
+  });
+  return { oracle, providers, advance: (ms) => { clock += ms; } };
+}
+
+describe('aggregateQuotes', () => {
+  test('takes the median of the quotes within range of it', () => {
+    expect(aggregateQuotes([
+      { name: 'a', price: 1.0 },
+      { name: 'b', price: 1.04 },
+      { name: 'c', price: 5 },
+    ], 10)).toEqual({ price: 1.02, accepted: ['a', 'b'], rejected: ['c'] });
+  });
+
+  test('two disagreeing quotes fall back to the higher priority one', () => {
+    expect(aggregateQuotes([{ name: 'a', price: 1 }, { name: 'b', price: 2 }], 10))
+      .toEqual({ price: 1, accepted: ['a'], rejected: ['b'] });
+    expect(aggregateQuotes([], 10)).toBeNull();
+  });
+});
+
+describe('createPriceOracle', () => {
+  test('reports the aggregated price with its sources and freshness', async () => {
+    const { oracle } = setup({ jupiter: 0.02, dexscreener: 0.021, birdeye: 0.5 });
+
+    expect(await oracle.getPrice()).toEqual({
+      klikUsd: 0.0205,
+      solUsd: 100,
+      klikSol: 0.000205,
+      updatedAt: '2026-03-15T12:00:00.000Z',
+      source: 'median',
+      sources: ['jupiter', 'dexscreener'],
+      age_seconds: 0,
+      stale: false,
+    });
+  });
+
+  test('caches within the TTL, then refetches', async () => {
+    const { oracle, providers, advance } = setup({ jupiter: 0.02 });
+
+    await oracle.getPrice();
+    advance(30_000);
+    expect(await oracle.getPrice()).toMatchObject({ source: 'jupiter', age_seconds: 30 });
+    expect(providers[0].calls).toBe(1);
+
+    advance(31_000);
+    expect(await oracle.getPrice()).toMatchObject({ age_seconds: 0 });
+    expect(providers[0].calls).toBe(2);
+  });
+
+  test('serves the last good price when every provider fails, stale once it ages', async () => {
+    const { oracle, providers, advance } = setup({ jupiter: 0.02, dexscreener: 0.02 });
+    await oracle.getPrice();
+
+    for (const p of providers) p.price = new Error('down');
+    advance(120_000);
+    expect(await oracle.getPrice()).toMatchObject({ klikUsd: 0.02, age_seconds: 120, stale: false });
+
+    advance(240_000);
+    expect(await oracle.getPrice()).toMatchObject({ klikUsd: 0.02, age_seconds: 360, stale: true });
+
+    // A provider coming back yields a fresh price again
+    providers[1].price = 0.03;
+    expect(await oracle.getPrice()).toMatchObject({ klikUsd: 0.03, source: 'dexscreener', stale: false });
+  });
+
+  test('with no price ever seen, reports zero as stale with unknown age', async () => {
+    const { oracle } = setup({ jupiter: new Error('down'), dexscreener: 0 }, { solProvider: null });
+    expect(await oracle.getPrice()).toMatchObject({
+      klikUsd: 0,
+      source: 'cache_fallback',
+      updatedAt: null,
+      age_seconds: null,
+      stale: true,
+    });
+  });
+});
+
+describe('withFreshness', () => {
+  test('recomputes age for prices read back from a cache', () => {
+    const cached = { klikUsd: 0.02, updatedAt: '2026-03-15T12:00:00.000Z', age_seconds: 0, stale: false };
+    expect(withFreshness(cached, { now: Date.parse('2026-03-15T12:10:00Z'), staleAfterMs: 300_000 }))
+      .toMatchObject({ age_seconds: 600, stale: true });
+  });
+});
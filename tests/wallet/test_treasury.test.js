@@ -0,0 +1,146 @@
+/**
+ * Tests for src/services/treasury.js
+ *
+ * Covers: liabilities (balances + unsent withdrawals), solvency thresholds,
+ * alerts sent only when raised or resolved, and the spend guard (paused on
+ * critical alerts, ignored when stale)
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  getLiabilities,
+  assessSolvency,
+  recordTreasurySnapshot,
+  getTreasuryGuard,
+  TREASURY_ALERTS,
+} from '../../src/services/treasury.js';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+
+const thresholds = { solAlert: 1, solPause: 0.05, klikCoverage: 1 };
+
+function setup() {
+  const db = createFakeDb();
+  db.docs('User').push(
+    { _id: new ObjectId(), klikBalance: 1000 },
+    { _id: new ObjectId(), klikBalance: 500 },
+    { _id: new ObjectId() }
+  );
+  db.docs('Agent').push(
+    { _id: new ObjectId(), klikBalance: 300, ownerEarnings: 50 },
+    { _id: new ObjectId(), klikBalance: 200 }
+  );
+  db.docs('Withdrawal').push(
+    { _id: new ObjectId(), amount: 100, status: 'pending' },
+    { _id: new ObjectId(), amount: 20000, status: 'held' },
+    { _id: new ObjectId(), amount: 999, status: 'completed' },
+    { _id: new ObjectId(), amount: 999, status: 'failed' }
+  );
+  db.docs('Transaction').push(
+    { _id: new ObjectId(), type: 'WITHDRAWAL', amount: 40, status: 'PENDING' },
+    { _id: new ObjectId(), type: 'WITHDRAWAL', amount: 999, status: 'COMPLETED' },
+    { _id: new ObjectId(), type: 'TIP', amount: 999, status: 'PENDING' }
+  );
+
+  const alerts = [];
+  const record = (balances, now = new Date()) => recordTreasurySnapshot(db, {
+    fetchBalances: async () => ({ wallet: 'treasury', ...balances }),
+    notify: async (change) => { alerts.push(change); },
+    now,
+  });
+  return { db, alerts, record };
+}
+
+describe('getLiabilities', () => {
+  test('sums stored balances, owner earnings and unsent withdrawals', async () => {
+    const { db } = setup();
+    expect(await getLiabilities(db)).toEqual({
+      users: 1500,
+      agents: 500,
+      ownerEarnings: 50,
+      pendingWithdrawals: 20140,
+      total: 22190,
+    });
+  });
+
+  test('is zero for an empty database', async () => {
+    expect((await getLiabilities(createFakeDb())).total).toBe(0);
+  });
+});
+
+describe('assessSolvency', () => {
+  const liabilities = { pendingWithdrawals: 100, total: 1000 };
+
+  test('healthy treasury has no alerts and nothing paused', () => {
+    expect(assessSolvency({ sol: 2, klik: 1500 }, liabilities, thresholds)).toMatchObject({
+      status: 'ok',
+      alerts: [],
+      coverageRatio: 1.5,
+      surplus: 500,
+      memosPaused: false,
+      withdrawalsPaused: false,
+    });
+  });
+
+  test('low SOL warns; critically low SOL pauses memos and withdrawals', () => {
+    const low = assessSolvency({ sol: 0.5, klik: 1500 }, liabilities, thresholds);
+    expect(low.alerts.map(a => a.code)).toEqual([TREASURY_ALERTS.SOL_LOW]);
+    expect(low).toMatchObject({ status: 'warning', memosPaused: false, withdrawalsPaused: false });
+
+    const critical = assessSolvency({ sol: 0.01, klik: 1500 }, liabilities, thresholds);
+    expect(critical.alerts.map(a => a.code)).toEqual([TREASURY_ALERTS.SOL_CRITICAL]);
+    expect(critical).toMatchObject({ status: 'critical', memosPaused: true, withdrawalsPaused: true });
+  });
+
+  test('KLIK below liabilities warns; below pending withdrawals pauses withdrawals only', () => {
+    const under = assessSolvency({ sol: 2, klik: 800 }, liabilities, thresholds);
+    expect(under.alerts.map(a => a.code)).toEqual([TREASURY_ALERTS.KLIK_UNDERCOLLATERALIZED]);
+    expect(under.withdrawalsPaused).toBe(false);
+
+    const short = assessSolvency({ sol: 2, klik: 50 }, liabilities, thresholds);
+    expect(short.alerts.map(a => a.code)).toContain(TREASURY_ALERTS.KLIK_BELOW_PENDING_WITHDRAWALS);
+    expect(short).toMatchObject({ memosPaused: false, withdrawalsPaused: true });
+  });
+});
+
+describe('recordTreasurySnapshot', () => {
+  test('stores the snapshot and alerts only when an alert is raised or resolved', async () => {
+    const { db, alerts, record } = setup();
+
+    await record({ sol: 2, klik: 30000 });
+    expect(alerts).toEqual([]);
+
+    await record({ sol: 0.5, klik: 30000 });
+    await record({ sol: 0.4, klik: 30000 });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].raised.map(a => a.code)).toEqual([TREASURY_ALERTS.SOL_LOW]);
+
+    await record({ sol: 3, klik: 30000 });
+    expect(alerts).toHaveLength(2);
+    expect(alerts[1]).toMatchObject({ raised: [], resolved: [TREASURY_ALERTS.SOL_LOW] });
+
+    expect(db.docs('TreasurySnapshot')).toHaveLength(4);
+    expect(db.docs('TreasurySnapshot')[0]).toMatchObject({ wallet: 'treasury', sol: 2, status: 'ok' });
+  });
+});
+
+describe('getTreasuryGuard', () => {
+  test('pauses withdrawals while KLIK cannot cover the queue, resumes after top-up', async () => {
+    const { db, record } = setup();
+
+    await record({ sol: 2, klik: 10000 }, new Date(Date.now() - 1000));
+    const paused = await getTreasuryGuard(db);
+    expect(paused).toMatchObject({ withdrawalsPaused: true, memosPaused: false, stale: false });
+    expect(paused.reasons[0]).toMatch(/pending withdrawals/);
+
+    await record({ sol: 2, klik: 25000 });
+    expect(await getTreasuryGuard(db)).toMatchObject({ withdrawalsPaused: false });
+  });
+
+  test('a stale or missing snapshot pauses nothing', async () => {
+    const { db, record } = setup();
+    expect(await getTreasuryGuard(db)).toMatchObject({ withdrawalsPaused: false, stale: true });
+
+    await record({ sol: 0, klik: 0 }, new Date(Date.now() - 60 * 60 * 1000));
+    expect(await getTreasuryGuard(db)).toMatchObject({ memosPaused: false, withdrawalsPaused: false, stale: true });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for src/services/withdrawalRisk.js
+ *
+ * Covers: wallet-change cooldown, rolling daily/weekly caps by tier (only
+ * withdrawals that moved or reserved funds count), holds above the review
+ * threshold, releasing and rejecting held withdrawals, status reasons
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  assessWithdrawal,
+  checkWalletCooldown,
+  describeWithdrawalStatus,
+  releaseHeldWithdrawal,
+  rejectHeldWithdrawal,
+  getWithdrawalUsage,
+  REVIEW_THRESHOLD,
+  WALLET_COOLDOWN_HOURS,
+} from '../../src/services/withdrawalRisk.js';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-03-10T12:00:00Z');
+const ago = (hours) => new Date(now.getTime() - hours * HOUR);
+
+function setup(tier = 'free') {
+  const db = createFakeDb();
+  const user = { _id: new ObjectId(), subscriptionTier: tier, klikBalance: 0 };
+  db.docs('User').push(user);
+  const addWithdrawal = (amount, hoursAgo, status = 'completed', extra = {}) => {
+    const doc = { _id: new ObjectId(), userId: user._id, amount, status, walletAddress: 'w', createdAt: ago(hoursAgo), ...extra };
+    db.docs('Withdrawal').push(doc);
+    return doc;
+  };
+  return { db, user, addWithdrawal };
+}
+
+describe('checkWalletCooldown', () => {
+  test('blocks withdrawals until the cooldown after a wallet change has passed', () => {
+    const user = { walletLinkedAt: ago(1) };
+    let error;
+    try {
+      checkWalletCooldown(user, now);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toMatchObject({ code: 'WALLET_COOLDOWN', status: 403 });
+    expect(error.availableAt).toEqual(new Date(ago(1).getTime() + WALLET_COOLDOWN_HOURS * HOUR));
+
+    expect(() => checkWalletCooldown({ walletLinkedAt: ago(WALLET_COOLDOWN_HOURS + 1) }, now)).not.toThrow();
+    expect(() => checkWalletCooldown({}, now)).not.toThrow();
+  });
+});
+
+describe('assessWithdrawal', () => {
+  test('enforces the rolling daily cap for the tier', async () => {
+    const { db, user, addWithdrawal } = setup('free');
+    addWithdrawal(800, 2);
+    addWithdrawal(500, 3, 'failed');    // refunded, doesn't count
+    addWithdrawal(500, 30);             // outside 24h
+
+    await expect(assessWithdrawal(db, user, 300, { now })).rejects.toMatchObject({
+      code: 'WITHDRAWAL_LIMIT_EXCEEDED',
+      status: 403,
+      window: 'daily',
+      limit: 1000,
+      used: 800,
+      available: 200,
+    });
+    await expect(assessWithdrawal(db, user, 200, { now })).resolves.toMatchObject({ status: 'pending' });
+  });
+
+  test('enforces the rolling weekly cap', async () => {
+    const { db, user, addWithdrawal } = setup('free');
+    for (const day of [1, 2, 3, 4, 5]) addWithdrawal(900, day * 24 + 1);
+    addWithdrawal(900, 8 * 24);         // outside 7d
+
+    expect(await getWithdrawalUsage(db, user._id, { now })).toEqual({ daily: 0, weekly: 4500 });
+    await expect(assessWithdrawal(db, user, 600, { now })).rejects.toMatchObject({ window: 'weekly', available: 500 });
+  });
+
+  test('held and in-flight withdrawals count toward the caps', async () => {
+    const { db, user, addWithdrawal } = setup('free');
+    addWithdrawal(400, 1, 'held');
+    addWithdrawal(400, 1, 'processing');
+
+    await expect(assessWithdrawal(db, user, 300, { now })).rejects.toMatchObject({ used: 800 });
+  });
+
+  test('holds withdrawals at or above the review threshold', async () => {
+    const { db, user } = setup('unlimited');
+
+    await expect(assessWithdrawal(db, user, REVIEW_THRESHOLD, { now }))
+      .resolves.toEqual({ status: 'held', holdReason: 'amount_over_threshold' });
+    await expect(assessWithdrawal(db, user, REVIEW_THRESHOLD - 1, { now }))
+      .resolves.toEqual({ status: 'pending', holdReason: null });
+  });
+
+  test('higher tiers get higher caps; unknown tiers fall back to free', async () => {
+    const pro = setup('pro');
+    await expect(assessWithdrawal(pro.db, pro.user, 5000, { now })).resolves.toMatchObject({ status: 'pending' });
+
+    const odd = setup('legacy-plan');
+    await expect(assessWithdrawal(odd.db, odd.user, 5000, { now })).rejects.toMatchObject({ limit: 1000 });
+  });
+});
+
+describe('held withdrawal review', () => {
+  test('release queues the withdrawal for the runner once', async () => {
+    const { db, addWithdrawal } = setup();
+    const held = addWithdrawal(20_000, 1, 'held', { holdReason: 'amount_over_threshold' });
+
+    const released = await releaseHeldWithdrawal(db, held._id, { reviewedBy: 'ops' });
+    expect(released).toMatchObject({ status: 'pending', attempts: 0, reviewedBy: 'ops' });
+    await expect(releaseHeldWithdrawal(db, held._id)).rejects.toMatchObject({ code: 'WITHDRAWAL_NOT_HELD', status: 409 });
+    await expect(releaseHeldWithdrawal(db, new ObjectId())).rejects.toMatchObject({ code: 'WITHDRAWAL_NOT_FOUND' });
+  });
+
+  test('reject refunds the user once and records the reason', async () => {
+    const { db, addWithdrawal } = setup();
+    const held = addWithdrawal(20_000, 1, 'held', { holdReason: 'amount_over_threshold' });
+
+    const rejected = await rejectHeldWithdrawal(db, held._id, { reason: 'wallet flagged' });
+    expect(rejected).toMatchObject({ status: 'rejected', rejectionReason: 'wallet flagged' });
+    expect(db.docs('User')[0].klikBalance).toBe(20_000);
+    expect(describeWithdrawalStatus(rejected)).toMatch(/wallet flagged/);
+
+    await expect(rejectHeldWithdrawal(db, held._id)).rejects.toMatchObject({ code: 'WITHDRAWAL_NOT_HELD' });
+    expect(db.docs('User')[0].klikBalance).toBe(20_000);
+  });
+});
+
+describe('describeWithdrawalStatus', () => {
+  test('explains holds and failures to the user', () => {
+    expect(describeWithdrawalStatus({ status: 'held', holdReason: 'amount_over_threshold' })).toMatch(/review/);
+    expect(describeWithdrawalStatus({ status: 'failed' })).toMatch(/refunded/);
+    expect(describeWithdrawalStatus({ status: 'processing', lastError: 'timeout' })).toMatch(/retrying/);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Tests for src/services/withdrawalRunner.js
+ *
+ * Covers: signature persisted before broadcast, recovery after a crash
+ * (already landed / re-broadcast / blockhash expired), retry with backoff,
+ * refund after the last attempt or a permanent error, leases, legacy
+ * withdrawals, and approved agent withdrawals
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  runDueWithdrawals,
+  newJobFields,
+  backoffMs,
+  countLegacyPendingWithdrawals,
+  MAX_ATTEMPTS,
+} from '../../src/services/withdrawalRunner.js';
+import { requestAgentWithdrawal, approveAgentWithdrawal } from '../../src/services/agentWithdrawals.js';
+import { createFakeDb } from '../helpers/fakeMongo.js';
+
+const WALLET = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+
+// Transfer client double (see createSplTransferClient)
+function createFakeChain() {
+  let count = 0;
+  const chain = {
+    blockHeight: 1000,
+    statuses: new Map(),
+    prepared: [],
+    sent: [],
+    persistedBeforeSend: [],
+    sendError: null,
+    confirmError: null,
+    db: null,
+    async prepare({ recipient, amount }) {
+      count++;
+      const tx = { signature: `sig${count}`, rawTransaction: `raw${count}`, blockhash: `bh${count}`, lastValidBlockHeight: chain.blockHeight + 150 };
+      chain.prepared.push({ recipient, amount, ...tx });
+      return tx;
+    },
+    async send(raw) {
+      if (chain.db) {
+        const withdrawal = chain.db.docs('Withdrawal').find(w => w.txRaw === raw);
+        chain.persistedBeforeSend.push(Boolean(withdrawal));
+      }
+      chain.sent.push(raw);
+      if (chain.sendError) throw chain.sendError();
+    },
+    async confirm({ signature }) {
+      if (chain.confirmError) throw chain.confirmError();
+      chain.statuses.set(signature, { state: 'confirmed' });
+    },
+    async getStatus(signature) {
+      return chain.statuses.get(signature) || { state: 'unknown' };
+    },
+    async getBlockHeight() {
+      return chain.blockHeight;
+    },
+  };
+  return chain;
+}
+
+function setup(overrides = {}) {
+  const db = createFakeDb();
+  const chain = createFakeChain();
+  chain.db = db;
+  const user = { _id: new ObjectId(), klikBalance: 0 };
+  db.docs('User').push(user);
+  const withdrawal = {
+    _id: new ObjectId(),
+    userId: user._id,
+    amount: 150,
+    walletAddress: WALLET,
+    status: 'pending',
+    txSignature: null,
+    error: null,
+    ...newJobFields(new Date(Date.now() - 1000)),
+    createdAt: new Date(),
+    ...overrides,
+  };
+  db.docs('Withdrawal').push(withdrawal);
+  return {
+    db,
+    chain,
+    job: () => db.docs('Withdrawal')[0],
+    balance: () => db.docs('User')[0].klikBalance,
+  };
+}
+
+const later = (ms = 24 * 60 * 60 * 1000) => new Date(Date.now() + ms);
+const notSent = (message = 'preflight failed') => () => Object.assign(new Error(message), { notSent: true });
+
+describe('withdrawal runner', () => {
+  test('persists the signature before broadcasting and completes', async () => {
+    const { db, chain, job } = setup();
+    const summary = await runDueWithdrawals(db, { chain });
+
+    expect(summary.completed).toBe(1);
+    expect(chain.persistedBeforeSend).toEqual([true]);
+    expect(chain.prepared[0]).toMatchObject({ recipient: WALLET, amount: 150 });
+    expect(job()).toMatchObject({ status: 'completed', txSignature: 'sig1', attempts: 1 });
+  });
+
+  test('after a crash, a transfer that already landed is completed without resending', async () => {
+    const { db, chain, job } = setup({
+      status: 'processing', attempts: 1, txSignature: 'sigX', txRaw: 'rawX', txBlockhash: 'bhX', txLastValidBlockHeight: 900,
+    });
+    chain.statuses.set('sigX', { state: 'confirmed' });
+
+    await runDueWithdrawals(db, { chain });
+    expect(chain.sent).toEqual([]);
+    expect(chain.prepared).toEqual([]);
+    expect(job()).toMatchObject({ status: 'completed', txSignature: 'sigX' });
+  });
+
+  test('after a crash, an unconfirmed transfer with a live blockhash is re-broadcast as-is', async () => {
+    const { db, chain, job } = setup({
+      status: 'processing', attempts: 1, txSignature: 'sigX', txRaw: 'rawX', txBlockhash: 'bhX', txLastValidBlockHeight: 1100,
+    });
+
+    await runDueWithdrawals(db, { chain });
+    expect(chain.prepared).toEqual([]);
+    expect(chain.sent).toEqual(['rawX']);
+    expect(job()).toMatchObject({ status: 'completed', txSignature: 'sigX', attempts: 1 });
+  });
+
+  test('after a crash, an expired transfer is retried with a new transaction', async () => {
+    const { db, chain, job } = setup({
+      status: 'processing', attempts: 1, txSignature: 'sigX', txRaw: 'rawX', txBlockhash: 'bhX', txLastValidBlockHeight: 900,
+    });
+
+    await runDueWithdrawals(db, { chain });
+    expect(chain.sent).toEqual(['raw1']);
+    expect(job()).toMatchObject({ status: 'completed', txSignature: 'sig1', attempts: 2 });
+  });
+
+  test('a landed-but-unconfirmed transfer is rechecked, not resent', async () => {
+    const { db, chain, job } = setup({
+      status: 'processing', attempts: 1, txSignature: 'sigX', txRaw: 'rawX', txBlockhash: 'bhX', txLastValidBlockHeight: 900,
+    });
+    chain.statuses.set('sigX', { state: 'processed' });
+
+    const summary = await runDueWithdrawals(db, { chain });
+    expect(summary.pending).toBe(1);
+    expect(chain.sent).toEqual([]);
+    expect(job()).toMatchObject({ status: 'processing', txSignature: 'sigX' });
+  });
+
+  test('an ambiguous confirmation keeps the signature for the next check', async () => {
+    const { db, chain, job } = setup();
+    chain.confirmError = () => new Error('confirmation timed out');
+
+    const summary = await runDueWithdrawals(db, { chain });
+    expect(summary.pending).toBe(1);
+    expect(job()).toMatchObject({ status: 'processing', txSignature: 'sig1', lastError: 'confirmation timed out' });
+    expect(job().nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('rejected sends back off, then fail and refund once after the last attempt', async () => {
+    const { db, chain, job, balance } = setup();
+    chain.sendError = notSent('Blockhash not found');
+
+    const first = await runDueWithdrawals(db, { chain });
+    expect(first.retry).toBe(1);
+    expect(job()).toMatchObject({ status: 'processing', attempts: 1, txSignature: null });
+    expect(job().nextAttemptAt.getTime()).toBeGreaterThanOrEqual(Date.now() + backoffMs(1) - 1000);
+
+    // Not due yet
+    expect((await runDueWithdrawals(db, { chain })).retry).toBe(0);
+
+    for (let i = 1; i < MAX_ATTEMPTS; i++) {
+      await runDueWithdrawals(db, { chain, now: later() });
+    }
+    expect(job()).toMatchObject({ status: 'failed', attempts: MAX_ATTEMPTS, error: 'Blockhash not found' });
+    expect(balance()).toBe(150);
+
+    await runDueWithdrawals(db, { chain, now: later(2 * 24 * 60 * 60 * 1000) });
+    expect(balance()).toBe(150);
+  });
+
+  test('permanent errors refund immediately', async () => {
+    const { db, chain, job, balance } = setup();
+    chain.prepare = async () => { throw Object.assign(new Error('Invalid recipient wallet address'), { permanent: true }); };
+
+    const summary = await runDueWithdrawals(db, { chain });
+    expect(summary.failed).toBe(1);
+    expect(job().status).toBe('failed');
+    expect(balance()).toBe(150);
+  });
+
+  test('jobs leased by another runner are not picked up', async () => {
+    const { db, chain } = setup({ status: 'processing', leaseOwner: 'other', nextAttemptAt: later(60 * 1000) });
+    const summary = await runDueWithdrawals(db, { chain });
+    expect(summary.completed).toBe(0);
+    expect(chain.prepared).toEqual([]);
+  });
+
+  test('legacy pending withdrawals are reported, not retried', async () => {
+    const { db, chain, job } = setup();
+    delete job().attempts;
+
+    await runDueWithdrawals(db, { chain });
+    expect(chain.prepared).toEqual([]);
+    expect(await countLegacyPendingWithdrawals(db)).toBe(1);
+  });
+
+  test('sends approved agent withdrawals and refunds failed ones', async () => {
+    const { db, chain } = setup({ status: 'completed' });
+    const agent = { _id: new ObjectId(), klikBalance: 100 };
+    db.docs('Agent').push(agent);
+
+    const ok = await requestAgentWithdrawal(db, { agentId: agent._id, amount: 30, destinationWallet: WALLET });
+    const bad = await requestAgentWithdrawal(db, { agentId: agent._id, amount: 20, destinationWallet: WALLET });
+    await approveAgentWithdrawal(db, ok.result.insertedId);
+
+    await runDueWithdrawals(db, { chain });
+    const find = (id) => db.docs('Transaction').find(t => t._id.equals(id));
+    expect(find(ok.result.insertedId)).toMatchObject({ status: 'COMPLETED', txSignature: 'sig1' });
+    expect(find(bad.result.insertedId).status).toBe('PENDING');
+
+    await approveAgentWithdrawal(db, bad.result.insertedId);
+    chain.prepare = async () => { throw Object.assign(new Error('bad address'), { permanent: true }); };
+    await runDueWithdrawals(db, { chain });
+
+    expect(find(bad.result.insertedId).status).toBe('FAILED');
+    expect(db.docs('Agent')[0].klikBalance).toBe(70);
+  });
+});